@@ -1,5 +1,5 @@
 # app.py
-from flask import Flask, request, jsonify
+from flask import Flask, Response, request, jsonify, stream_with_context
 from flask_cors import CORS
 from qiskit import QuantumCircuit, transpile
 from qiskit_aer import Aer
@@ -11,14 +11,50 @@ import base64
 import json
 from functools import wraps
 import hashlib 
+import threading
+from key_store import DEFAULT_KEY_SIZE, KeyStore, KeyStoreError, bits_to_bytes
+from photon_sim import StatevectorSimulator
+from security_policy import DEFAULT_POLICY, LIMITS, RunLedger, SecurityPolicyError, check_key, check_length
 
 app = Flask(__name__)
 CORS(app)  # Enable CORS for React frontend
 
-def encode_message(bits, bases):
+# Largest run the API accepts, and the size above which "auto" leaves Qiskit for
+# the single-photon statevector path (one circuit per photon doesn't scale)
+MAX_PHOTONS = 100_000
+QISKIT_MAX_PHOTONS = 1000
+SIMULATORS = ('auto', 'qiskit', 'statevector')
+
+class QiskitSimulator:
+    """One single-qubit circuit per photon, measured with one shot on Aer."""
+
+    name = 'qiskit-aer'
+
+    def __init__(self):
+        self.backend = Aer.get_backend("qasm_simulator")
+
+    def qubit(self):
+        return QuantumCircuit(1, 1)
+
+    def measure(self, circuits):
+        job = self.backend.run(transpile(circuits, self.backend), shots=1,
+                               seed_simulator=int(np.random.randint(2**31 - 1)))
+        results = job.result()
+        outcomes = []
+        for k in range(len(circuits)):
+            counts = results.get_counts(k)
+            outcomes.append(int(max(counts, key=counts.get)))
+        return outcomes
+
+def make_simulator(name, n_bits):
+    if name == 'auto':
+        name = 'qiskit' if n_bits <= QISKIT_MAX_PHOTONS else 'statevector'
+    return QiskitSimulator() if name == 'qiskit' else StatevectorSimulator()
+
+def encode_message(bits, bases, sim):
     circuits = []
     for bit, basis in zip(bits, bases):
-        qc = QuantumCircuit(1, 1)
+        qc = sim.qubit()
         if basis == 0:  # Z basis
             if bit == 1:
                 qc.x(0)
@@ -52,48 +88,309 @@ def calculate_qber(alice_key, bob_key):
     qber = errors / len(alice_key)
     return qber
 
-def eavesdrop(circuits, eve_bases, eve_prob=0.0):
-    """Eve intercepts, measures, and resends qubits with probability eve_prob."""
-    intercepted_circuits = []
-    eve_results = []
+def wilson_interval(errors, n, z=1.96):
+    """95% Wilson score interval for an error rate observed as errors/n."""
+    if n == 0:
+        return 0.0, 1.0
+    p = errors / n
+    denom = 1 + z ** 2 / n
+    centre = (p + z ** 2 / (2 * n)) / denom
+    half = z * np.sqrt(p * (1 - p) / n + z ** 2 / (4 * n ** 2)) / denom
+    return float(max(0.0, centre - half)), float(min(1.0, centre + half))
+
+def estimate_qber(alice_key, bob_key, matched_indices, sample_fraction):
+    """Disclose a random sample of the sifted key publicly and estimate QBER from it.
+
+    Returns the sampled table indices, the estimate with its confidence interval,
+    and the key positions that were never disclosed.
+    """
+    n_sifted = len(alice_key)
+    sample_size = min(n_sifted, max(1, int(round(sample_fraction * n_sifted)))) if n_sifted else 0
+    sampled = set(np.random.choice(n_sifted, size=sample_size, replace=False).tolist()) if sample_size else set()
 
-    backend = Aer.get_backend("qasm_simulator")
+    errors = sum(alice_key[k] != bob_key[k] for k in sampled)
+    low, high = wilson_interval(errors, sample_size)
+    kept = [k for k in range(n_sifted) if k not in sampled]
+    return {
+        "sample_indices": sorted(int(matched_indices[k]) for k in sampled),
+        "sample_size": sample_size,
+        "sample_errors": int(errors),
+        "estimated_qber": float(errors / sample_size) if sample_size else 0.0,
+        "qber_interval": [low, high],
+        "alice_remaining_key": [int(alice_key[k]) for k in kept],
+        "bob_remaining_key": [int(bob_key[k]) for k in kept],
+    }
 
-    for i, (qc, basis) in enumerate(zip(circuits, eve_bases)):
-        if random.random() < eve_prob:  # Eve intercepts this qubit
-            eve_circuit = qc.copy()
-            if basis == 1:  # measure in X basis
-                eve_circuit.h(0)
-            eve_circuit.measure(0, 0)
-
-            # Run Eve's measurement (1 shot, like real life)
-            job = backend.run(transpile(eve_circuit, backend), shots=1)
-            counts = job.result().get_counts()
-            bit = int(max(counts, key=counts.get))
-            eve_results.append(bit)
-
-            # Eve resends according to her result & basis
-            resent = QuantumCircuit(1, 1)
-            if basis == 0:  # Z basis
-                if bit == 1:
-                    resent.x(0)
-            else:  # X basis
-                if bit == 0:
-                    resent.h(0)
-                else:
-                    resent.x(0)
-                    resent.h(0)
+EVE_STRATEGIES = ('intercept-resend', 'breidbart', 'cloning', 'pns')
+DEFAULT_ATTACK = {
+    'strategy': 'intercept-resend',
+    'cloning_disturbance': 0.1,  # Bob's error rate from the cloner; 0.146 is optimal
+    'signal_mu': 0.6,
+    'decoy_mu': 0.1,
+    'transmittance': 0.15,
+    'decoy': True,
+}
+BREIDBART_ANGLE = 22.5  # polarization halfway between + and ×
+INTENSITY_SHARES = (('signal', 0.7), ('decoy', 0.2), ('vacuum', 0.1))
+
+def binary_entropy(p):
+    if p <= 0 or p >= 1:
+        return 0.0
+    return float(-p * np.log2(p) - (1 - p) * np.log2(1 - p))
+
+def cloning_guess_probability(disturbance):
+    """Chance Eve's clone, read in the announced basis, gives the right bit."""
+    return 0.5 + np.sqrt(disturbance * (1 - disturbance))
+
+def information_per_bit(attack, basis_matched=False, split=False):
+    """Shannon information Eve holds about one sifted bit she attacked."""
+    strategy = attack['strategy']
+    if strategy == 'breidbart':
+        return 1 - binary_entropy(np.sin(np.radians(BREIDBART_ANGLE)) ** 2)
+    if strategy == 'cloning':
+        return 1 - binary_entropy(cloning_guess_probability(attack['cloning_disturbance']))
+    if strategy == 'pns':
+        return 1.0 if split else 0.0
+    # Intercept-resend: after sifting Eve knows which guesses were in the right basis
+    return 1.0 if basis_matched else 0.0
+
+def intensity_mu(name, attack):
+    return {'signal': attack['signal_mu'], 'decoy': attack['decoy_mu'], 'vacuum': 0.0}[name]
+
+def expected_gain(mu, transmittance):
+    """Probability Bob clicks on a pulse of mean mu over an honest channel."""
+    return float(1 - np.exp(-mu * transmittance))
+
+def pns_forward_probability(attack):
+    """How often PNS Eve forwards a multi-photon pulse so the signal gain looks honest."""
+    mu = attack['signal_mu']
+    multi_photon = 1 - np.exp(-mu) * (1 + mu)
+    return min(1.0, expected_gain(mu, attack['transmittance']) / multi_photon) if multi_photon > 0 else 0.0
+
+def weak_coherent_pulses(n_bits, attack):
+    """Intensity class and Poisson photon number of every pulse Alice sends."""
+    pulses = []
+    for _ in range(n_bits):
+        intensity = 'signal'
+        if attack['decoy']:
+            r = np.random.random()
+            for name, share in INTENSITY_SHARES:
+                if r < share:
+                    intensity = name
+                    break
+                r -= share
+        photons = int(np.random.poisson(intensity_mu(intensity, attack)))
+        pulses.append({'intensity': intensity, 'photons': photons, 'detected': False})
+    return pulses
+
+def decoy_analysis(pulses, attack):
+    """Gains per intensity and the vacuum + weak decoy lower bound on the
+    single-photon yield (Ma et al. 2005). An honest channel has Y1 close to the
+    transmittance; blocking single photons drives the bound towards zero.
+    """
+    names = [name for name, _ in INTENSITY_SHARES] if attack['decoy'] else ['signal']
+    intensities = []
+    for name in names:
+        sent = [p for p in pulses if p['intensity'] == name]
+        detected = sum(p['detected'] for p in sent)
+        mu = intensity_mu(name, attack)
+        intensities.append({
+            'name': name,
+            'mu': mu,
+            'sent': len(sent),
+            'detected': int(detected),
+            'gain': detected / len(sent) if sent else 0.0,
+            'expected_gain': expected_gain(mu, attack['transmittance']),
+        })
 
-            intercepted_circuits.append(resent)
-        else:  # Eve does not intercept → qubit passes untouched
-            eve_results.append(None)  # no measurement
-            intercepted_circuits.append(qc.copy())
+    expected = attack['transmittance']
+    if not attack['decoy']:
+        return {'enabled': False, 'transmittance': expected, 'intensities': intensities,
+                'single_photon_yield': None, 'expected_single_photon_yield': expected,
+                'attack_detected': None, 'low_statistics': False}
+
+    signal, decoy, vacuum = intensities
+    mu, nu = signal['mu'], decoy['mu']
+    y1 = mu / (mu * nu - nu ** 2) * (
+        decoy['gain'] * np.exp(nu)
+        - signal['gain'] * np.exp(mu) * nu ** 2 / mu ** 2
+        - (mu ** 2 - nu ** 2) / mu ** 2 * vacuum['gain']
+    )
+    return {
+        'enabled': True,
+        'transmittance': expected,
+        'intensities': intensities,
+        'single_photon_yield': float(max(0.0, y1)),
+        'expected_single_photon_yield': expected,
+        'attack_detected': bool(y1 < expected / 2),  # generous margin for small runs
+        'low_statistics': decoy['detected'] < 10,
+    }
 
-    return intercepted_circuits, eve_results
+def prepare_state(bit, sim, angle_deg=0.0):
+    """Single-qubit circuit holding a photon polarized at angle_deg (+90° for bit 1)."""
+    qc = sim.qubit()
+    if bit == 1:
+        qc.x(0)
+    if angle_deg:
+        qc.ry(np.radians(2 * angle_deg), 0)
+    return qc
+
+def measure_once(qc, angle_deg, sim):
+    """Measure along a polarizer at angle_deg with one shot."""
+    circuit = qc.copy()
+    if angle_deg:
+        circuit.ry(-np.radians(2 * angle_deg), 0)
+    circuit.measure(0, 0)
+    return sim.measure([circuit])[0]
+
+def eavesdrop(circuits, eve_bases, sim, eve_prob=0.0, attack=None, alice_bits=None,
+              alice_bases=None, pulses=None):
+    """Eve attacks each qubit with probability eve_prob using attack['strategy'].
+
+    Returns the circuits sent on to Bob (None for a blocked pulse) and, per
+    qubit, a dict describing Eve's action or None if she left it alone.
+    """
+    attack = attack or DEFAULT_ATTACK
+    strategy = attack['strategy']
+    forward_probability = pns_forward_probability(attack) if strategy == 'pns' else 0.0
+    intercepted_circuits = []
+    eve_actions = []
 
-def bb84_protocol(n_bits=10, seed=None, with_eve=False, eve_prob=0.0):
-    if seed is not None:
-        np.random.seed(seed)
+    for i, (qc, basis) in enumerate(zip(circuits, eve_bases)):
+        # Draw from numpy so a seeded run reproduces Eve's choices too
+        if np.random.random() >= eve_prob:  # Eve leaves this qubit alone
+            eve_actions.append(None)
+            intercepted_circuits.append(qc.copy())
+            continue
+
+        if strategy == 'breidbart':
+            bit = measure_once(qc, BREIDBART_ANGLE, sim)
+            eve_actions.append({'basis': f'Breidbart ({BREIDBART_ANGLE:g}°)', 'bit': bit,
+                                'disturbs': True, 'info': information_per_bit(attack)})
+            intercepted_circuits.append(prepare_state(bit, sim, BREIDBART_ANGLE))
+        elif strategy == 'cloning':
+            # The cloner's disturbance reaches Bob as a Y error; Eve reads her copy
+            # once Alice announces the basis
+            disturbed = np.random.random() < attack['cloning_disturbance']
+            correct = np.random.random() < cloning_guess_probability(attack['cloning_disturbance'])
+            bit = int(alice_bits[i]) if correct else 1 - int(alice_bits[i])
+            eve_actions.append({'basis': "Clone (read in Alice's basis)", 'bit': bit,
+                                'disturbs': bool(disturbed), 'info': information_per_bit(attack)})
+            cloned = qc.copy()
+            if disturbed:
+                cloned.y(0)
+            intercepted_circuits.append(cloned)
+        elif strategy == 'pns':
+            photons = pulses[i]['photons']
+            if photons == 0:
+                eve_actions.append(None)
+                intercepted_circuits.append(qc.copy())
+            elif photons == 1:
+                eve_actions.append({'basis': 'Blocked (1 photon)', 'bit': None,
+                                    'disturbs': False, 'info': 0.0})
+                intercepted_circuits.append(None)
+            else:
+                # Keep one photon until the bases are public, forward the rest losslessly
+                forwarded = np.random.random() < forward_probability
+                eve_actions.append({'basis': f'Split 1 of {photons}', 'bit': int(alice_bits[i]),
+                                    'disturbs': False, 'info': information_per_bit(attack, split=True),
+                                    'lossless': bool(forwarded)})
+                intercepted_circuits.append(qc.copy() if forwarded else None)
+        else:
+            # Intercept-resend in Eve's random + or × basis
+            bit = measure_once(qc, 45 if basis == 1 else 0, sim)
+            eve_actions.append({'basis': "+ (0°)" if basis == 0 else "× (45°)", 'bit': bit,
+                                'disturbs': bool(basis != alice_bases[i]),
+                                'info': information_per_bit(attack, basis_matched=basis == alice_bases[i])})
+            intercepted_circuits.append(encode_message([bit], [basis], sim)[0])
+
+    return intercepted_circuits, eve_actions
+
+def apply_channel_noise(circuits, noise=None):
+    """Apply channel noise (independent of Eve) to each qubit on its way to Bob.
+
+    noise keys:
+      bit_flip         probability of an X error
+      depolarizing     probability of a random X, Y or Z error (p/3 each)
+      misalignment_deg polarization rotation in degrees, applied to every photon
+    Returns the noisy circuits and the Pauli errors applied to each qubit.
+    """
+    noise = noise or {}
+    p_flip = float(noise.get('bit_flip', 0.0))
+    p_depol = float(noise.get('depolarizing', 0.0))
+    theta = np.radians(float(noise.get('misalignment_deg', 0.0)))
+
+    noisy_circuits = []
+    noise_events = []
+    for qc in circuits:
+        if qc is None:  # blocked before reaching Bob
+            noisy_circuits.append(None)
+            noise_events.append([])
+            continue
+        noisy = qc.copy()
+        events = []
+        if theta:
+            # A polarization rotation by theta is a Bloch rotation by 2*theta
+            noisy.ry(2 * theta, 0)
+        if np.random.random() < p_flip:
+            noisy.x(0)
+            events.append('X')
+        if np.random.random() < p_depol:
+            pauli = ['X', 'Y', 'Z'][np.random.randint(3)]
+            getattr(noisy, pauli.lower())(0)
+            events.append(pauli)
+        noisy_circuits.append(noisy)
+        noise_events.append(events)
+    return noisy_circuits, noise_events
+
+def flips_basis(events, basis):
+    """True if the Pauli errors flip a bit encoded in basis (0 = Z, 1 = X)."""
+    flipping = ('X', 'Y') if basis == 0 else ('Y', 'Z')
+    return sum(e in flipping for e in events) % 2 == 1
+
+def describe_noise(events):
+    names = {'X': 'Bit flip (X)', 'Y': 'Depolarizing (Y)', 'Z': 'Depolarizing (Z)'}
+    return ' + '.join(names[e] for e in events) if events else '-'
+
+def noise_floor(noise=None):
+    """Expected sifted-key error rate from channel noise alone, averaged over bases.
+
+    A bit flip (X) only disturbs Z-basis photons; depolarizing Y/Z errors hit
+    each basis with probability 2p/3.
+    """
+    noise = noise or {}
+    misaligned = np.sin(np.radians(float(noise.get('misalignment_deg', 0.0)))) ** 2
+    depolarized = 2 * float(noise.get('depolarizing', 0.0)) / 3
+
+    def combine(rates):
+        total = 0.0
+        for r in rates:
+            total = total + r - 2 * total * r  # independent flips combine by XOR
+        return total
+
+    z_basis = combine([float(noise.get('bit_flip', 0.0)), depolarized, misaligned])
+    x_basis = combine([depolarized, misaligned])
+    return float((z_basis + x_basis) / 2)
+
+# Photons cross the channel in chunks of this size: a streamed run reports each
+# chunk as it lands, and Qiskit still measures many circuits per job
+CHUNK_PHOTONS = 100
+
+def bb84_steps(n_bits=10, seed=None, with_eve=False, eve_prob=0.0, noise=None,
+               sample_fraction=0.25, attack=None, simulator='auto'):
+    """Run BB84 chunk by chunk, yielding (event, payload) pairs as it goes.
+
+    Events, in order: 'start' with the run's parameters, 'photons' with
+    (first index, table rows) for every chunk, 'sift' with the matched indices,
+    'qber' with the estimate, and 'result' with the full /api/bb84 response.
+    A given seed gives the same run however the steps are consumed.
+    """
+    attack = {**DEFAULT_ATTACK, **(attack or {})}
+    sim = make_simulator(simulator, n_bits)
+    # Always run seeded so every response carries the seed needed to replay it
+    if seed is None:
+        seed = random.randrange(2**32)
+    np.random.seed(seed)
 
     # Alice's random bits & bases
     alice_bits = np.random.randint(2, size=n_bits)
@@ -102,156 +399,527 @@ def bb84_protocol(n_bits=10, seed=None, with_eve=False, eve_prob=0.0):
     # Bob's random bases
     bob_bases = np.random.randint(2, size=n_bits)
 
-    # Encode + measure
-    message = encode_message(alice_bits, alice_bases)
-    eve_bases = None
-    eve_results = None
-    if with_eve:
-        eve_bases = np.random.randint(2, size=n_bits)
-        message, eve_results = eavesdrop(message, eve_bases, eve_prob=eve_prob)
-
-    bob_circuits = measure_message(message, bob_bases)
-
-    # Run on local simulator
-    backend = Aer.get_backend("qasm_simulator")
-    transpiled = transpile(bob_circuits, backend)
-    job = backend.run(transpiled, shots=1)
+    # PNS only makes sense against a weak-coherent source, so that strategy swaps
+    # the ideal single-photon source for attenuated laser pulses (with decoys)
+    weak_coherent = attack['strategy'] == 'pns'
+    pulses = weak_coherent_pulses(n_bits, attack) if weak_coherent else None
+    eve_bases = np.random.randint(2, size=n_bits) if with_eve else None
+
+    yield 'start', {
+        "protocol": "bb84",
+        "n_bits": n_bits,
+        "seed": seed,
+        "noise": noise or {},
+        "noise_floor": noise_floor(noise),
+        "attack": attack,
+        "weak_coherent": weak_coherent,
+        "simulator": sim.name,
+    }
 
-    results = job.result()
+    eve_actions = []
     bob_results = []
-    for i in range(n_bits):
-        counts = results.get_counts(i)
-        outcome = max(counts, key=counts.get)
-        bob_results.append(int(outcome))
-
-    # Sifted keys
-    alice_key = remove_garbage(alice_bases, bob_bases, alice_bits)
-    bob_key = remove_garbage(alice_bases, bob_bases, bob_results)
-
-    qber = calculate_qber(alice_key, bob_key)
-
-    # Format table data for frontend
+    matched_indices = []
     table_data = []
-    for i in range(n_bits):
-        eve_intercepted = with_eve and eve_results[i] is not None
-        table_data.append({
-            "Alice Bit": int(alice_bits[i]),
-            "Alice Basis": "+ (0°)" if alice_bases[i] == 0 else "× (45°)",
-            "Bob Basis": "+ (0°)" if bob_bases[i] == 0 else "× (45°)",
-            "Eve Intercepting": "Yes" if eve_intercepted else "No",
-            "Eve Bit": int(eve_results[i]) if eve_intercepted else "-",
-            "Bob Measured Bit": int(bob_results[i]),
-            "Match": "Yes" if alice_bases[i] == bob_bases[i] else "No"
-        })
+    error_breakdown = {"eve": 0, "noise": 0, "both": 0}
+    for start in range(0, n_bits, CHUNK_PHOTONS):
+        chunk = slice(start, min(n_bits, start + CHUNK_PHOTONS))
+        chunk_pulses = pulses[chunk] if weak_coherent else None
+
+        # Encode + measure
+        message = encode_message(alice_bits[chunk], alice_bases[chunk], sim)
+        actions = [None] * len(message)
+        if with_eve:
+            message, actions = eavesdrop(message, eve_bases[chunk], sim, eve_prob=eve_prob, attack=attack,
+                                         alice_bits=alice_bits[chunk], alice_bases=alice_bases[chunk],
+                                         pulses=chunk_pulses)
+
+        if weak_coherent:
+            # Honest channel: each photon survives with the transmittance. Eve's
+            # lossless line always delivers, a blocked pulse never does
+            for k, pulse in enumerate(chunk_pulses):
+                eve = actions[k]
+                if eve and eve.get('lossless'):
+                    pulse['detected'] = True
+                elif message[k] is None:
+                    pulse['detected'] = False
+                else:
+                    survive = 1 - (1 - attack['transmittance']) ** pulse['photons']
+                    pulse['detected'] = bool(np.random.random() < survive)
+                if not pulse['detected']:
+                    message[k] = None
+
+        message, noise_events = apply_channel_noise(message, noise)
+
+        detected = [k for k in range(len(message)) if message[k] is not None]
+        bob_circuits = measure_message([message[k] for k in detected],
+                                       [bob_bases[start + k] for k in detected])
+
+        # Run on local simulator
+        results = [None] * len(message)
+        if bob_circuits:
+            for k, outcome in zip(detected, sim.measure(bob_circuits)):
+                results[k] = outcome
+
+        rows = []
+        for k, eve in enumerate(actions):
+            i = start + k
+            # Only detected signal pulses measured in Alice's basis become key
+            match = (alice_bases[i] == bob_bases[i] and results[k] is not None
+                     and (not weak_coherent or chunk_pulses[k]['intensity'] == 'signal'))
+            if match:
+                matched_indices.append(i)
+
+            # Attribute sifted errors: Eve only causes one when her attack disturbed the
+            # photon (for intercept-resend, a wrong-basis measurement); anything else
+            # has to be channel noise
+            error_source = "-"
+            if match and alice_bits[i] != results[k]:
+                eve_caused = bool(eve and eve['disturbs'])
+                noise_caused = flips_basis(noise_events[k], alice_bases[i])
+                if eve_caused and noise_caused:
+                    error_source = "Eve + Noise"
+                    error_breakdown["both"] += 1
+                elif eve_caused:
+                    error_source = "Eve"
+                    error_breakdown["eve"] += 1
+                else:
+                    error_source = "Noise"
+                    error_breakdown["noise"] += 1
+
+            row = {
+                "Alice Bit": int(alice_bits[i]),
+                "Alice Basis": "+ (0°)" if alice_bases[i] == 0 else "× (45°)",
+            }
+            if weak_coherent:
+                pulse = chunk_pulses[k]
+                row["Intensity"] = f"{pulse['intensity']} (μ={intensity_mu(pulse['intensity'], attack):g})"
+                row["Photons"] = pulse['photons']
+                row["Detected"] = "Yes" if pulse['detected'] else "No"
+            # "Sampled" is added once the QBER sample is drawn
+            row.update({
+                "Bob Basis": "+ (0°)" if bob_bases[i] == 0 else "× (45°)",
+                "Eve Intercepting": "Yes" if eve else "No",
+                "Eve Basis": eve['basis'] if eve else "-",
+                "Eve Bit": eve['bit'] if eve and eve['bit'] is not None else "-",
+                "Noise": describe_noise(noise_events[k]),
+                "Bob Measured Bit": results[k] if results[k] is not None else "-",
+                "Match": "Yes" if match else "No",
+                "Error Source": error_source,
+            })
+            rows.append(row)
+
+        eve_actions.extend(actions)
+        bob_results.extend(results)
+        table_data.extend(rows)
+        yield 'photons', (start, rows)
+
+    alice_key = [int(alice_bits[i]) for i in matched_indices]
+    bob_key = [bob_results[i] for i in matched_indices]
+    yield 'sift', {"matched_indices": matched_indices}
 
-    # Get Eve's key (only bits she intercepted and where bases matched)
-    eve_key = []
-    if with_eve and eve_results is not None:
-        for i in range(n_bits):
-            if alice_bases[i] == bob_bases[i] and eve_results[i] is not None:
-                eve_key.append(int(eve_results[i]))
+    qber = calculate_qber(alice_key, bob_key)
+    estimation = estimate_qber(alice_key, bob_key, matched_indices, sample_fraction)
+    yield 'qber', {"qber": float(qber), **estimation}
+
+    sampled = set(estimation["sample_indices"])
+    for i, row in enumerate(table_data):
+        row["Sampled"] = "Yes" if i in sampled else "No"
+
+    # Get Eve's key (bits she learned at positions that survive sifting) and how
+    # much information those bits carry
+    touched = [i for i in matched_indices if eve_actions[i] and eve_actions[i]['bit'] is not None]
+    eve_key = [eve_actions[i]['bit'] for i in touched]
+    eve_bits = sum(eve_actions[i]['info'] for i in touched)
+    eve_information = {
+        "strategy": attack['strategy'],
+        "intercepted": len(touched),
+        "correct": int(sum(eve_actions[i]['bit'] == alice_bits[i] for i in touched)),
+        "bits": float(eve_bits),
+        "key_fraction": float(eve_bits / len(matched_indices)) if matched_indices else 0.0,
+    }
 
-    return {
+    yield 'result', {
+        "protocol": "bb84",
         "table_data": table_data,
-        "alice_key": [int(bit) for bit in alice_key],
-        "bob_key": [int(bit) for bit in bob_key],
+        "alice_key": alice_key,
+        "bob_key": bob_key,
         "qber": float(qber),
         "eve_key": eve_key,
-        "matched_indices": [i for i in range(n_bits) if alice_bases[i] == bob_bases[i]]
+        "eve_information": eve_information,
+        "matched_indices": matched_indices,
+        **estimation,
+        "seed": seed,
+        "noise": noise or {},
+        "noise_floor": noise_floor(noise),
+        "error_breakdown": error_breakdown,
+        "attack": attack,
+        "decoy": decoy_analysis(pulses, attack) if weak_coherent else None,
+        "simulator": sim.name
     }
-def check_security(qber_threshold=0.1):
+
+# The protocol draws from the global np.random. A run in progress holds its own
+# generator state and swaps it in for each step, so a streamed run can't be
+# disturbed by (or disturb) another request running between two of its chunks.
+RNG_LOCK = threading.Lock()
+
+def isolated_steps(steps):
+    state = None
+    while True:
+        with RNG_LOCK:
+            if state is not None:
+                np.random.set_state(state)
+            try:
+                step = next(steps)
+            except StopIteration:
+                return
+            state = np.random.get_state()
+        yield step
+
+# Every finished run's QBER sample, so keys can be judged on what the server
+# measured rather than what a client reports
+run_ledger = RunLedger()
+
+def recorded(result, key=None):
+    """The run's response with the run_id its evidence is kept under."""
+    return {**result, 'run_id': run_ledger.record(result, key)}
+
+def bb84_protocol(**params):
+    for event, payload in isolated_steps(bb84_steps(**params)):
+        if event == 'result':
+            return recorded(payload)
+
+def check_security():
+    """Refuse raw keys from runs the security policy rejects.
+
+    Key-store keys (key_ID) were checked against the policy when they were
+    deposited. A raw key names the backend run it came from ("run_id") and is
+    checked against that run's recorded QBER; without one it is refused.
+    """
     def decorator(f):
         @wraps(f)
         def decorated_function(*args, **kwargs):
-            data = request.json
-            key = data.get('key', [])
-            
-            # If no key is provided or key is empty, allow the operation
-            if not key:
-                return f(*args, **kwargs)
-                
-            # Calculate QBER from the key (this is a simplified example)
-            # In a real implementation, you'd want to track QBER from the BB84 protocol
-            if len(key) > 10:  # Only check if we have enough bits
-                # Simple heuristic: if more than threshold of bits are 1, consider it suspicious
-                ones_ratio = sum(key) / len(key)
-                if abs(ones_ratio - 0.5) > qber_threshold:  # Should be roughly 50/50
-                    return jsonify({'error': 'High QBER detected. Key may be compromised.'}), 400
-            
+            data = request.get_json(silent=True) or {}
+            key = data.get('key')
+            if key:
+                try:
+                    evidence = run_ledger.evidence([data.get('run_id')])
+                    check_key(len(key) if isinstance(key, list) else 0, evidence)
+                except SecurityPolicyError as e:
+                    return jsonify({'error': str(e), 'code': e.code}), e.status
             return f(*args, **kwargs)
         return decorated_function
     return decorator
 
 # ---------------------- NEW HELPER ----------------------
-def derive_final_key(bits, length=32):
+# Key sizes in bytes per cipher. "demo" stretches a short privacy-amplified key
+# with SHA-256 so classroom runs can still encrypt; it is NOT secure and says so
+# in the UI. It still refuses keys shorter than DEMO_MIN_KEY_BITS.
+CIPHER_KEY_BYTES = {'aes-256': 32, 'aes-128': 16, 'demo': 32}
+DEMO_MIN_KEY_BITS = 32
+
+def cipher_of(body):
+    """The cipher a request or ciphertext names; ValueError if it names none we know."""
+    cipher = body.get('cipher') if isinstance(body, dict) else None
+    if cipher not in CIPHER_KEY_BYTES:
+        raise ValueError(f"cipher must be one of {', '.join(CIPHER_KEY_BYTES)}")
+    return cipher
+
+def derive_final_key(bits, cipher):
     """
-    Apply privacy amplification using SHA-256.
-    Returns a strong key of `length` bytes (default 32 = AES-256).
+    Turn final key bits into an AES key for `cipher`.
+
+    Privacy amplification (Toeplitz hashing) happens on the client, so the bits
+    are already secure. The real ciphers use them as-is and need at least their
+    key size; the demo cipher hashes at least DEMO_MIN_KEY_BITS of them to 32
+    bytes with SHA-256.
     """
     if not bits:
         raise ValueError("Empty key bits, cannot derive final key")
-    # Convert list of bits → bytes
-    bitstring = ''.join(map(str, bits))  
-    key_bytes = hashlib.sha256(bitstring.encode()).digest()
-    return key_bytes[:length]   # AES-128 if length=16, AES-256 if length=32
+    if cipher not in CIPHER_KEY_BYTES:
+        raise ValueError(f"Unknown cipher: {cipher}")
+    length = CIPHER_KEY_BYTES[cipher]
+    bitstring = ''.join(map(str, bits))
+    if cipher == 'demo':
+        if len(bits) < DEMO_MIN_KEY_BITS:
+            raise ValueError(
+                f"Key too short for the demo cipher: need {DEMO_MIN_KEY_BITS} privacy-amplified bits, got {len(bits)}")
+        return hashlib.sha256(bitstring.encode()).digest()[:length]
+    if len(bits) < length * 8:
+        raise ValueError(
+            f"Key too short for {cipher.upper()}: need {length * 8} bits, got {len(bits)}")
+    return int(bitstring[:length * 8], 2).to_bytes(length, 'big')
+# --------------------------------------------------------
+
+# ---------------------- KEY STORE ----------------------
+# Finished keys from the frontend land in one pool; applications get them by
+# key_ID through an ETSI GS QKD 014-style interface. The calling SAE names
+# itself in an X-SAE-ID header (the standard uses TLS client certificates).
+key_store = KeyStore()
+
+def caller_sae():
+    sae_id = request.headers.get('X-SAE-ID', '').strip()
+    if not sae_id:
+        raise KeyStoreError("Identify the calling SAE with an X-SAE-ID header", status=401)
+    return sae_id
+
+def kme_error(error):
+    return jsonify({'message': str(error)}), error.status
+
+def resolve_key(data, encrypted=None):
+    """Key bits for encrypt/decrypt: looked up by key_ID, or raw bits for the demo cipher."""
+    key_id = data.get('key_ID') or (encrypted or {}).get('key_ID')
+    if key_id:
+        return key_store.lookup(key_id, caller_sae()), key_id
+    if cipher_of(encrypted or data) != 'demo':
+        raise KeyStoreError("Send a key_ID from the key store; raw key bits are only accepted for the demo cipher")
+    return data.get('key', []), None
 # --------------------------------------------------------
 
-def aes_encrypt(message, key_bits):
+# Authenticated AES modes; ciphertext from before modes were selectable is EAX
+AES_MODES = {'eax': AES.MODE_EAX, 'gcm': AES.MODE_GCM}
+
+def aes_mode(name):
+    if name not in AES_MODES:
+        raise ValueError(f"Unknown AES mode: {name}")
+    return AES_MODES[name]
+
+def aes_encrypt(message, key_bits, cipher_name, mode='eax'):
     """Encrypt a message using AES with privacy-amplified quantum key"""
-    key_bytes = derive_final_key(key_bits, 32)   # ✅ use SHA-256 derived key
-    cipher = AES.new(key_bytes, AES.MODE_EAX)
+    key_bytes = derive_final_key(key_bits, cipher_name)
+    cipher = AES.new(key_bytes, aes_mode(mode))
     ciphertext, tag = cipher.encrypt_and_digest(message.encode())
     return {
         'ciphertext': base64.b64encode(ciphertext).decode('utf-8'),
         'nonce': base64.b64encode(cipher.nonce).decode('utf-8'),
-        'tag': base64.b64encode(tag).decode('utf-8')
+        'tag': base64.b64encode(tag).decode('utf-8'),
+        'cipher': cipher_name,
+        'mode': mode
     }
 
 def aes_decrypt(encrypted_data, key_bits):
     """Decrypt a message using AES with privacy-amplified quantum key"""
-    key_bytes = derive_final_key(key_bits, 32)   # ✅ use SHA-256 derived key
+    key_bytes = derive_final_key(key_bits, encrypted_data['cipher'])
     ciphertext = base64.b64decode(encrypted_data['ciphertext'])
     nonce = base64.b64decode(encrypted_data['nonce'])
     tag = base64.b64decode(encrypted_data['tag'])
     
-    cipher = AES.new(key_bytes, AES.MODE_EAX, nonce=nonce)
+    cipher = AES.new(key_bytes, aes_mode(encrypted_data.get('mode', 'eax')), nonce=nonce)
     plaintext = cipher.decrypt_and_verify(ciphertext, tag)
     return plaintext.decode('utf-8')
 
+# ---------------------- FILE ENCRYPTION ----------------------
+# Files are encrypted chunk by chunk so the browser can show progress. Every AES
+# chunk gets its own nonce and authenticates `aad` (file id, chunk index and chunk
+# count), so chunks can't be reordered, dropped or moved between files. The
+# one-time pad XORs each chunk with the key bytes at its offset and has no tag.
+FILE_MODES = ('eax', 'gcm', 'otp')
+MAX_CHUNK_BYTES = 1024 * 1024
+
+def file_key_bytes(key_ids):
+    if not isinstance(key_ids, list) or not key_ids:
+        raise KeyStoreError("key_IDs must be a non-empty list")
+    sae_id = caller_sae()
+    return bits_to_bytes([bit for key_id in key_ids for bit in key_store.lookup(key_id, sae_id)])
+
+def file_request():
+    data = request.get_json(silent=True) or {}
+    mode = data.get('mode')
+    if mode not in FILE_MODES:
+        raise KeyStoreError(f"mode must be one of {', '.join(FILE_MODES)}")
+    key = file_key_bytes(data.get('key_IDs'))
+    if mode != 'otp' and len(key) != 32:
+        raise KeyStoreError("AES file encryption needs one 256-bit key")
+    return data, mode, key
+
+def otp_chunk(key, chunk, offset):
+    if not isinstance(offset, int) or offset < 0 or offset + len(chunk) > len(key):
+        raise KeyStoreError(f"The pad has {len(key)} bytes; this chunk needs bytes {offset}–{offset + len(chunk)}")
+    return bytes(b ^ k for b, k in zip(chunk, key[offset:offset + len(chunk)]))
+
+@app.route('/api/files/encrypt', methods=['POST'])
+def encrypt_file_chunk():
+    try:
+        data, mode, key = file_request()
+        chunk = base64.b64decode(data.get('chunk', ''))
+        if len(chunk) > MAX_CHUNK_BYTES:
+            raise KeyStoreError(f"Chunks are limited to {MAX_CHUNK_BYTES} bytes")
+        if mode == 'otp':
+            return jsonify({'ciphertext': base64.b64encode(otp_chunk(key, chunk, data.get('offset'))).decode('utf-8')})
+        cipher = AES.new(key, aes_mode(mode))
+        cipher.update(str(data.get('aad', '')).encode())
+        ciphertext, tag = cipher.encrypt_and_digest(chunk)
+        return jsonify({
+            'nonce': base64.b64encode(cipher.nonce).decode('utf-8'),
+            'ciphertext': base64.b64encode(ciphertext).decode('utf-8'),
+            'tag': base64.b64encode(tag).decode('utf-8'),
+        })
+    except KeyStoreError as e:
+        return jsonify({'error': str(e)}), e.status
+    except (ValueError, TypeError) as e:
+        return jsonify({'error': f'Bad chunk: {e}'}), 400
+
+@app.route('/api/files/decrypt', methods=['POST'])
+def decrypt_file_chunk():
+    try:
+        data, mode, key = file_request()
+        chunk = data.get('chunk') or {}
+        ciphertext = base64.b64decode(chunk.get('ciphertext', ''))
+        if mode == 'otp':
+            plaintext = otp_chunk(key, ciphertext, data.get('offset'))
+        else:
+            cipher = AES.new(key, aes_mode(mode), nonce=base64.b64decode(chunk.get('nonce', '')))
+            cipher.update(str(data.get('aad', '')).encode())
+            plaintext = cipher.decrypt_and_verify(ciphertext, base64.b64decode(chunk.get('tag', '')))
+        return jsonify({'chunk': base64.b64encode(plaintext).decode('utf-8')})
+    except KeyStoreError as e:
+        return jsonify({'error': str(e)}), e.status
+    except (ValueError, TypeError) as e:
+        # decrypt_and_verify raises ValueError when the tag doesn't match
+        return jsonify({'error': f'Chunk failed authentication: {e}'}), 400
+# --------------------------------------------------------
+
 @app.route("/")
 def home():
     return {"message": "Backend is live!"}
 
-@app.route('/api/bb84', methods=['POST'])
-def run_bb84():
-    data = request.json
+def bb84_params(data):
+    """Validated bb84_steps keyword arguments from a request body; ValueError if invalid."""
+    if not isinstance(data, dict):
+        raise ValueError('The request body must be a JSON object')
     n_bits = data.get('n_bits', 10)
+    if isinstance(n_bits, bool) or not isinstance(n_bits, int) or not 1 <= n_bits <= MAX_PHOTONS:
+        raise ValueError(f'n_bits must be a whole number between 1 and {MAX_PHOTONS}')
+    simulator = data.get('simulator', 'auto')
+    if simulator not in SIMULATORS:
+        raise ValueError(f"simulator must be one of {', '.join(SIMULATORS)}")
     eve_prob = data.get('eve_prob', 0.3)
+    if isinstance(eve_prob, bool) or not isinstance(eve_prob, (int, float)) or not 0 <= eve_prob <= 1:
+        raise ValueError('eve_prob must be a number between 0 and 1')
     seed = data.get('seed', None)
+    sample_fraction = data.get('sample_fraction', 0.25)
+    if isinstance(sample_fraction, bool) or not isinstance(sample_fraction, (int, float)) or not 0 < sample_fraction <= 1:
+        raise ValueError('sample_fraction must be in (0, 1]')
+    if seed is not None:
+        try:
+            seed = int(seed)
+        except (TypeError, ValueError):
+            raise ValueError('Seed must be an integer')
+        if not 0 <= seed < 2**32:
+            raise ValueError('Seed must be between 0 and 4294967295')
+    
+    noise = data.get('noise', {}) or {}
+    if not isinstance(noise, dict):
+        raise ValueError('noise must be an object')
+    for name, limit in (('bit_flip', 1), ('depolarizing', 1), ('misalignment_deg', 90)):
+        value = noise.get(name, 0)
+        if isinstance(value, bool) or not isinstance(value, (int, float)) or not 0 <= value <= limit:
+            raise ValueError(f'noise.{name} must be between 0 and {limit}')
+    
+    attack = data.get('attack', {}) or {}
+    if not isinstance(attack, dict):
+        raise ValueError('attack must be an object')
+    attack = {**DEFAULT_ATTACK, **attack}
+    if attack['strategy'] not in EVE_STRATEGIES:
+        raise ValueError(f"attack.strategy must be one of {', '.join(EVE_STRATEGIES)}")
+    for name, low, high in (('cloning_disturbance', 0, 0.5), ('signal_mu', 0, 5),
+                            ('decoy_mu', 0, 5), ('transmittance', 0, 1)):
+        value = attack[name]
+        if isinstance(value, bool) or not isinstance(value, (int, float)) or not low <= value <= high:
+            raise ValueError(f'attack.{name} must be between {low} and {high}')
+    if attack['decoy'] and not 0 < attack['decoy_mu'] < attack['signal_mu']:
+        raise ValueError('attack.decoy_mu must be above 0 and below attack.signal_mu')
     
-    with_eve = eve_prob > 0
+    return {
+        'n_bits': n_bits,
+        'seed': seed,
+        'with_eve': eve_prob > 0,
+        'eve_prob': eve_prob,
+        'noise': noise,
+        'sample_fraction': sample_fraction,
+        'attack': attack,
+        'simulator': simulator,
+    }
+
+@app.route('/api/bb84', methods=['POST'])
+def run_bb84():
+    try:
+        params = bb84_params(request.get_json(silent=True))
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 400
     
     try:
-        results = bb84_protocol(
-            n_bits=n_bits, 
-            seed=seed, 
-            with_eve=with_eve, 
-            eve_prob=eve_prob
-        )
+        results = bb84_protocol(**params)
         return jsonify(results)
     except Exception as e:
         return jsonify({'error': str(e)}), 500
 
+def sse(event, data, event_id=None):
+    lines = [f'event: {event}']
+    if event_id is not None:
+        lines.append(f'id: {event_id}')
+    lines.append(f'data: {json.dumps(data)}')
+    return '\n'.join(lines) + '\n\n'
+
+# Streamed runs: one Server-Sent Event per photon as it clears the channel, then
+# 'sift', 'qber' and 'done' (the response without table_data, which the client
+# already has). Event ids count photons then the three closing events, so a
+# client that lost the connection sends the same body, with the seed from
+# 'start', and Last-Event-ID: the run is replayed from the seed and only events
+# after that id are sent again.
+@app.route('/api/bb84/stream', methods=['POST'])
+def stream_bb84():
+    try:
+        params = bb84_params(request.get_json(silent=True))
+        resume_after = int(request.headers.get('Last-Event-ID', -1))
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 400
+    n_bits = params['n_bits']
+
+    def events():
+        try:
+            for event, payload in isolated_steps(bb84_steps(**params)):
+                if event == 'start':
+                    yield sse('start', {**payload, 'resumed_after': resume_after})
+                elif event == 'photons':
+                    start, rows = payload
+                    for k, row in enumerate(rows):
+                        if start + k > resume_after:
+                            yield sse('photon', {'index': start + k, 'row': row}, start + k)
+                elif event == 'sift' and n_bits > resume_after:
+                    yield sse('sift', payload, n_bits)
+                elif event == 'qber' and n_bits + 1 > resume_after:
+                    yield sse('qber', payload, n_bits + 1)
+                elif event == 'result':
+                    # A resumed stream replays the same run, so it keeps the same run_id
+                    run = json.dumps({**params, 'seed': payload['seed']}, sort_keys=True)
+                    done = {k: v for k, v in recorded(payload, run).items() if k != 'table_data'}
+                    yield sse('done', done, n_bits + 2)
+        except Exception as e:
+            # Headers are already sent, so failures travel as an event
+            yield sse('error', {'error': str(e)})
+
+    return Response(stream_with_context(events()), mimetype='text/event-stream',
+                    headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'})
+
 @app.route('/api/encrypt', methods=['POST'])
 @check_security()
 def encrypt_message():
     data = request.json
     message = data.get('message', '')
-    key = data.get('key', [])
+    mode = data.get('mode', 'eax')
+    try:
+        cipher = cipher_of(data)
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 400
     
     try:
-        encrypted = aes_encrypt(message, key)
+        key, key_id = resolve_key(data)
+        encrypted = aes_encrypt(message, key, cipher, mode)
+        if key_id:
+            encrypted['key_ID'] = key_id
         return jsonify(encrypted)
+    except KeyStoreError as e:
+        return jsonify({'error': str(e)}), e.status
     except Exception as e:
         return jsonify({'error': str(e)}), 500
 
@@ -260,14 +928,86 @@ def encrypt_message():
 def decrypt_message():
     data = request.json
     encrypted_data = data.get('encrypted_data', {})
-    key = data.get('key', [])
+    try:
+        cipher_of(encrypted_data)
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 400
     
     try:
+        key, _ = resolve_key(data, encrypted_data)
         decrypted = aes_decrypt(encrypted_data, key)
         return jsonify({'decrypted': decrypted})
+    except KeyStoreError as e:
+        return jsonify({'error': str(e)}), e.status
     except Exception as e:
         return jsonify({'error': str(e)}), 500
 
+# ---------------- ETSI GS QKD 014 key delivery ----------------
+@app.route('/api/v1/keys/<slave_sae_id>/status')
+def kme_status(slave_sae_id):
+    try:
+        return jsonify(key_store.status(caller_sae(), slave_sae_id))
+    except KeyStoreError as e:
+        return kme_error(e)
+
+@app.route('/api/v1/keys/<slave_sae_id>/enc_keys', methods=['GET', 'POST'])
+def kme_enc_keys(slave_sae_id):
+    """Get key: the calling (master) SAE asks for new keys shared with slave_sae_id."""
+    if request.method == 'POST':
+        body = request.get_json(silent=True) or {}
+        number, size = body.get('number', 1), body.get('size', DEFAULT_KEY_SIZE)
+    else:
+        number = request.args.get('number', 1, type=int)
+        size = request.args.get('size', DEFAULT_KEY_SIZE, type=int)
+    try:
+        return jsonify(key_store.new_keys(caller_sae(), slave_sae_id, number, size))
+    except KeyStoreError as e:
+        return kme_error(e)
+
+@app.route('/api/v1/keys/<master_sae_id>/dec_keys', methods=['GET', 'POST'])
+def kme_dec_keys(master_sae_id):
+    """Get key with key IDs: the calling (slave) SAE fetches keys master_sae_id was given."""
+    if request.method == 'POST':
+        body = request.get_json(silent=True) or {}
+        entries = body.get('key_IDs', [])
+        key_ids = [e.get('key_ID') for e in entries if isinstance(e, dict)] if isinstance(entries, list) else None
+    else:
+        key_ids = request.args.getlist('key_ID')
+    try:
+        return jsonify(key_store.get_keys(master_sae_id, caller_sae(), key_ids))
+    except KeyStoreError as e:
+        return kme_error(e)
+
+# Not part of ETSI 014: the QKD link feeding the pool, and a metadata view for the UI
+@app.route('/api/kme/deposit', methods=['POST'])
+def kme_deposit():
+    data = request.get_json(silent=True) or {}
+    bits = data.get('bits')
+
+    # Only keys the security policy accepts enter the pool, judged on the QBER
+    # the server recorded for the runs they were distilled from
+    def accept(evidence):
+        if isinstance(bits, list):
+            check_length(len(bits))
+            check_key(len(bits), evidence)
+        return key_store.deposit(bits, data.get('source'))
+
+    try:
+        stored = run_ledger.claim(data.get('run_ids'), accept)
+        return jsonify({'stored_bits': stored})
+    except KeyStoreError as e:
+        return kme_error(e)
+    except SecurityPolicyError as e:
+        return jsonify({'message': str(e), 'code': e.code}), e.status
+
+@app.route('/api/security/policy')
+def security_policy():
+    return jsonify({'policy': DEFAULT_POLICY, 'limits': LIMITS})
+
+@app.route('/api/kme/keys')
+def kme_keys():
+    return jsonify(key_store.summary())
+
 import os
 
 if __name__ == "__main__":
@@ -0,0 +1,146 @@
+# key_store.py
+"""In-memory key management entity (KME) for the simulator.
+
+Finished QKD keys are appended to one pool of bits. Applications (SAEs, "secure
+application entities" in ETSI GS QKD 014 terms) never see the pool: the master
+SAE asks for keys of a given size, the KME carves them out and gives each a
+key_ID, and the slave SAE later fetches the same keys by ID. Every fetch is
+recorded so the UI can show who has which key.
+
+The store lives in the Flask process and is lost on restart.
+"""
+import base64
+import threading
+import uuid
+from datetime import datetime, timezone
+
+KME_ID = "bb84-sim-kme"
+DEFAULT_KEY_SIZE = 256
+MIN_KEY_SIZE = 8
+MAX_KEY_SIZE = 4096
+MAX_KEY_PER_REQUEST = 16
+MAX_KEY_COUNT = 1000
+MAX_POOL_BITS = 1_000_000
+
+
+class KeyStoreError(Exception):
+    """A request the KME refuses; `status` is the HTTP status to answer with."""
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.status = status
+
+
+def now():
+    return datetime.now(timezone.utc).isoformat()
+
+
+def bits_to_bytes(bits):
+    return int(''.join(map(str, bits)), 2).to_bytes(len(bits) // 8, 'big')
+
+
+class KeyStore:
+    def __init__(self):
+        self.lock = threading.Lock()
+        self.pool = []
+        self.deposits = []
+        self.keys = {}
+
+    def deposit(self, bits, source=None):
+        """Append a finished key from the QKD link to the pool."""
+        if not isinstance(bits, list) or not bits or not all(b in (0, 1) for b in bits):
+            raise KeyStoreError("bits must be a non-empty list of 0/1 values")
+        with self.lock:
+            if len(self.pool) + len(bits) > MAX_POOL_BITS:
+                raise KeyStoreError("Key pool is full", status=503)
+            self.pool.extend(bits)
+            self.deposits.append({'source': source, 'bits': len(bits), 'at': now()})
+            return len(self.pool)
+
+    def status(self, master, slave):
+        with self.lock:
+            stored = len(self.pool)
+        return {
+            'source_KME_ID': KME_ID,
+            'target_KME_ID': KME_ID,
+            'master_SAE_ID': master,
+            'slave_SAE_ID': slave,
+            'key_size': DEFAULT_KEY_SIZE,
+            'stored_key_count': stored // DEFAULT_KEY_SIZE,
+            'max_key_count': MAX_KEY_COUNT,
+            'max_key_per_request': MAX_KEY_PER_REQUEST,
+            'max_key_size': MAX_KEY_SIZE,
+            'min_key_size': MIN_KEY_SIZE,
+            'max_SAE_ID_count': 0,
+            # Not in the standard: the pool is bits, not fixed-size keys
+            'status_extension': {'stored_bits': stored, 'issued_keys': len(self.keys)},
+        }
+
+    def new_keys(self, master, slave, number=1, size=DEFAULT_KEY_SIZE):
+        """Carve `number` keys of `size` bits for master → slave ("Get key")."""
+        if not isinstance(number, int) or not 1 <= number <= MAX_KEY_PER_REQUEST:
+            raise KeyStoreError(f"number must be between 1 and {MAX_KEY_PER_REQUEST}")
+        if not isinstance(size, int) or not MIN_KEY_SIZE <= size <= MAX_KEY_SIZE or size % 8:
+            raise KeyStoreError(f"size must be a multiple of 8 between {MIN_KEY_SIZE} and {MAX_KEY_SIZE}")
+        if master == slave:
+            raise KeyStoreError("master and slave SAE must differ")
+        with self.lock:
+            if len(self.keys) + number > MAX_KEY_COUNT:
+                raise KeyStoreError("Too many keys issued", status=503)
+            if len(self.pool) < number * size:
+                raise KeyStoreError(
+                    f"Not enough key material: {number * size} bits requested, {len(self.pool)} in the pool",
+                    status=503)
+            issued = []
+            for _ in range(number):
+                bits, self.pool = self.pool[:size], self.pool[size:]
+                key_id = str(uuid.uuid4())
+                self.keys[key_id] = {
+                    'key_ID': key_id,
+                    'bits': bits,
+                    'master_SAE_ID': master,
+                    'slave_SAE_ID': slave,
+                    'created': now(),
+                    'fetched_by': [{'SAE_ID': master, 'at': now()}],
+                }
+                issued.append(self.container_entry(key_id))
+            return {'keys': issued}
+
+    def get_keys(self, master, slave, key_ids):
+        """Hand the slave the keys the master was issued ("Get key with key IDs")."""
+        if not isinstance(key_ids, list) or not key_ids:
+            raise KeyStoreError("key_IDs must be a non-empty list")
+        with self.lock:
+            found = []
+            for key_id in key_ids:
+                record = self.keys.get(key_id)
+                if record is None or record['master_SAE_ID'] != master or record['slave_SAE_ID'] != slave:
+                    raise KeyStoreError(f"No key {key_id} from {master} for {slave}")
+                record['fetched_by'].append({'SAE_ID': slave, 'at': now()})
+                found.append(self.container_entry(key_id))
+            return {'keys': found}
+
+    def lookup(self, key_id, sae_id):
+        """Key bits for an SAE that has fetched this key, for the encrypt/decrypt endpoints."""
+        with self.lock:
+            record = self.keys.get(key_id)
+            if record is None:
+                raise KeyStoreError(f"Unknown key_ID {key_id}", status=404)
+            if sae_id not in {f['SAE_ID'] for f in record['fetched_by']}:
+                raise KeyStoreError(f"{sae_id} has not fetched key {key_id}", status=403)
+            return list(record['bits'])
+
+    def container_entry(self, key_id):
+        return {'key_ID': key_id, 'key': base64.b64encode(bits_to_bytes(self.keys[key_id]['bits'])).decode('ascii')}
+
+    def summary(self):
+        """Pool and key metadata for the key management panel — never key material."""
+        with self.lock:
+            return {
+                'stored_bits': len(self.pool),
+                'deposits': list(self.deposits),
+                'keys': [
+                    {**{k: v for k, v in record.items() if k != 'bits'}, 'size': len(record['bits'])}
+                    for record in self.keys.values()
+                ],
+            }
@@ -0,0 +1,56 @@
+# photon_sim.py
+"""Fast single-photon simulator for large runs.
+
+Every photon in the simulator is one qubit that only ever sees real single-qubit
+gates (X, Z, H, RY) and Pauli Y, so its state is a polarization angle theta:
+cos(theta)|0> + sin(theta)|1>, with Y adding an irrelevant global phase.
+PolarizedPhoton offers the QuantumCircuit methods the protocol code calls, so the
+same encode/eavesdrop/noise/measure functions run on it unchanged, without
+building and transpiling one Qiskit circuit per photon.
+"""
+import math
+
+import numpy as np
+
+
+class PolarizedPhoton:
+    def __init__(self, theta=0.0):
+        self.theta = theta
+
+    def copy(self):
+        return PolarizedPhoton(self.theta)
+
+    def x(self, _qubit):
+        self.theta = math.pi / 2 - self.theta
+
+    def y(self, _qubit):
+        self.theta = self.theta + math.pi / 2
+
+    def z(self, _qubit):
+        self.theta = -self.theta
+
+    def h(self, _qubit):
+        self.theta = math.pi / 4 - self.theta
+
+    def ry(self, angle, _qubit):
+        self.theta = self.theta + angle / 2
+
+    def measure(self, _qubit, _clbit):
+        # Measurement happens in StatevectorSimulator.measure
+        pass
+
+    def p_one(self):
+        return math.sin(self.theta) ** 2
+
+
+class StatevectorSimulator:
+    """Samples each photon's Z measurement from its exact probability."""
+
+    name = 'statevector'
+
+    def qubit(self):
+        return PolarizedPhoton()
+
+    def measure(self, photons):
+        # Draw from numpy so a seeded run is reproducible
+        return [int(np.random.random() < photon.p_one()) for photon in photons]
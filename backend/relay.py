@@ -0,0 +1,197 @@
+# relay.py
+"""WebSocket relay for networked BB84 lab sessions.
+
+Alice, Bob and (optionally) Eve join a room from separate browsers. The relay is
+the quantum channel: it holds Alice's photons in flight, measures them for Eve
+and Bob, and only ever tells each party its own outcomes. Everything else —
+basis announcement, sifting, the QBER sample — goes over the classical channel,
+which the relay forwards verbatim to every other party in the room (Eve included).
+
+    pip install websockets
+    python relay.py --port 8765
+"""
+import argparse
+import asyncio
+import json
+import logging
+import random
+
+import websockets
+
+ROLES = ("alice", "bob", "eve")
+MAX_PHOTONS = 256
+CLASSICAL_KINDS = ("bases", "matches", "sample", "qber", "chat")
+
+rng = random.SystemRandom()
+rooms = {}
+
+
+class RelayError(Exception):
+    """A client sent something the relay refuses; reported back as an error message."""
+
+
+def measure(photon, basis):
+    """Measure a BB84 photon: the right basis reads its bit, the wrong one a coin flip.
+
+    The photon collapses to the measured state, as it would in the lab."""
+    bit = photon["bit"] if photon["basis"] == basis else rng.randrange(2)
+    photon["basis"], photon["bit"] = basis, bit
+    return bit
+
+
+class Room:
+    def __init__(self, name):
+        self.name = name
+        self.clients = {}
+        self.reset_round()
+
+    def reset_round(self):
+        self.photons = None
+        self.awaiting_eve = False
+        self.measured = False
+
+    async def send(self, role, message):
+        client = self.clients.get(role)
+        if client is not None:
+            await client.send(json.dumps(message))
+
+    async def broadcast(self, message, exclude=None):
+        await asyncio.gather(*(self.send(role, message) for role in list(self.clients) if role != exclude))
+
+    async def announce_peers(self):
+        await self.broadcast({"type": "peers", "roles": sorted(self.clients)})
+
+    async def deliver_to_bob(self):
+        self.awaiting_eve = False
+        await self.send("bob", {"type": "photons-arrived", "count": len(self.photons)})
+
+
+def check_bits(values, name, count=None):
+    if not isinstance(values, list) or not all(v in (0, 1) for v in values):
+        raise RelayError(f"{name} must be a list of 0/1 values")
+    if count is not None and len(values) != count:
+        raise RelayError(f"{name} must have {count} entries")
+
+
+async def on_photons(room, message):
+    bits, bases = message.get("bits"), message.get("bases")
+    check_bits(bits, "bits")
+    check_bits(bases, "bases", len(bits))
+    if not 1 <= len(bits) <= MAX_PHOTONS:
+        raise RelayError(f"Send between 1 and {MAX_PHOTONS} photons")
+    room.reset_round()
+    room.photons = [{"bit": bit, "basis": basis} for bit, basis in zip(bits, bases)]
+    await room.broadcast({"type": "round-started", "count": len(bits)})
+    # Eve, if present, gets first go at the photons in flight
+    if "eve" in room.clients:
+        room.awaiting_eve = True
+        await room.send("eve", {"type": "photons-in-flight", "count": len(bits)})
+    else:
+        await room.deliver_to_bob()
+
+
+async def on_intercept(room, message):
+    if room.photons is None or not room.awaiting_eve:
+        raise RelayError("No photons in flight to intercept")
+    choices = message.get("choices", [])
+    if not isinstance(choices, list):
+        raise RelayError("choices must be a list")
+    results = []
+    for choice in choices:
+        index, basis = choice.get("index"), choice.get("basis")
+        if not isinstance(index, int) or not 0 <= index < len(room.photons) or basis not in (0, 1):
+            raise RelayError("Each choice needs a photon index and a basis of 0 or 1")
+        # Eve measures and resends the state she saw
+        results.append({"index": index, "basis": basis, "bit": measure(room.photons[index], basis)})
+    await room.send("eve", {"type": "intercepted", "results": results})
+    await room.deliver_to_bob()
+
+
+async def on_measure(room, message):
+    if room.photons is None or room.awaiting_eve:
+        raise RelayError("No photons have arrived yet")
+    if room.measured:
+        raise RelayError("These photons were already measured")
+    bases = message.get("bases")
+    check_bits(bases, "bases", len(room.photons))
+    room.measured = True
+    bits = [measure(photon, basis) for photon, basis in zip(room.photons, bases)]
+    await room.send("bob", {"type": "measured", "bits": bits})
+    await room.broadcast({"type": "bob-measured"}, exclude="bob")
+
+
+async def on_classical(room, role, message):
+    kind = message.get("kind")
+    if kind not in CLASSICAL_KINDS:
+        raise RelayError(f"Unknown classical message kind: {kind}")
+    await room.broadcast(
+        {"type": "classical", "from": role, "kind": kind, "payload": message.get("payload")},
+        exclude=role,
+    )
+
+
+HANDLERS = {
+    "photons": ("alice", on_photons),
+    "intercept": ("eve", on_intercept),
+    "measure": ("bob", on_measure),
+}
+
+
+async def handle(websocket):
+    room, role = None, None
+    try:
+        async for raw in websocket:
+            try:
+                message = json.loads(raw)
+                kind = message.get("type")
+                if kind == "join":
+                    if room is not None:
+                        raise RelayError("Already joined a room")
+                    name, wanted = str(message.get("room", "")).strip(), message.get("role")
+                    if not name or wanted not in ROLES:
+                        raise RelayError("Join needs a room name and a role (alice, bob or eve)")
+                    candidate = rooms.setdefault(name, Room(name))
+                    if wanted in candidate.clients:
+                        raise RelayError(f"Someone is already {wanted} in room {name}")
+                    room, role = candidate, wanted
+                    room.clients[role] = websocket
+                    await websocket.send(json.dumps({"type": "joined", "room": name, "role": role}))
+                    await room.announce_peers()
+                elif room is None:
+                    raise RelayError("Join a room first")
+                elif kind == "classical":
+                    await on_classical(room, role, message)
+                elif kind in HANDLERS:
+                    allowed, handler = HANDLERS[kind]
+                    if role != allowed:
+                        raise RelayError(f"Only {allowed} can send {kind}")
+                    await handler(room, message)
+                else:
+                    raise RelayError(f"Unknown message type: {kind}")
+            except (RelayError, ValueError, AttributeError) as e:
+                await websocket.send(json.dumps({"type": "error", "message": str(e)}))
+    finally:
+        if room is not None:
+            del room.clients[role]
+            if room.clients:
+                await room.announce_peers()
+                # Don't leave Bob waiting on an Eve who walked away
+                if role == "eve" and room.awaiting_eve:
+                    await room.deliver_to_bob()
+            else:
+                rooms.pop(room.name, None)
+
+
+async def main(host, port):
+    async with websockets.serve(handle, host, port):
+        logging.info("BB84 relay listening on ws://%s:%d", host, port)
+        await asyncio.Future()
+
+
+if __name__ == "__main__":
+    parser = argparse.ArgumentParser(description="WebSocket relay for networked BB84 sessions")
+    parser.add_argument("--host", default="0.0.0.0")
+    parser.add_argument("--port", type=int, default=8765)
+    args = parser.parse_args()
+    logging.basicConfig(level=logging.INFO)
+    asyncio.run(main(args.host, args.port))
@@ -0,0 +1,143 @@
+# security_policy.py
+"""The one rule for whether a key may be used.
+
+A policy has three knobs:
+  qber_threshold  highest estimated QBER a key may come from (BB84's one-way
+                  key rate 1 - 2h(Q) reaches zero just above 11%)
+  min_key_length  fewest secret bits a key store deposit may carry
+  epsilon         security parameter of the finite-key analysis and privacy
+                  amplification
+
+Keys are judged on evidence the server holds itself: every run it executes is
+recorded in a RunLedger under a run id, and a raw key or a key store deposit
+names the runs it came from. The QBER a client reports is never trusted.
+
+The frontend fetches DEFAULT_POLICY and LIMITS from /api/security/policy and
+can only make the policy stricter. It ships the same defaults
+(frontend/src/engine/securityPolicy.js) for when no backend answers; keep the two
+in step.
+"""
+import threading
+import uuid
+from collections import OrderedDict
+
+DEFAULT_POLICY = {
+    'qber_threshold': 0.11,
+    'min_key_length': 128,
+    'epsilon': 1e-6,
+}
+
+LIMITS = {
+    'qber_threshold': (0.01, 0.25),
+    'min_key_length': (8, 4096),
+    'epsilon': (1e-15, 1e-2),
+}
+
+
+class SecurityPolicyError(Exception):
+    """A key the policy refuses, or one without the evidence to judge it.
+
+    Answered with a 400 whose body carries `code`, so clients can tell a policy
+    refusal from other bad requests without reading the message.
+    """
+
+    status = 400
+    code = 'security'
+
+
+def check_qber(qber, policy=DEFAULT_POLICY):
+    """Raise unless the estimated QBER is within the threshold."""
+    if qber > policy['qber_threshold']:
+        raise SecurityPolicyError(
+            f"QBER {qber * 100:.1f}% exceeds the security policy's {policy['qber_threshold'] * 100:.1f}% "
+            'threshold. Key may be compromised.'
+        )
+
+
+def check_length(bits, policy=DEFAULT_POLICY):
+    if bits < policy['min_key_length']:
+        raise SecurityPolicyError(
+            f"A {bits}-bit key is below the security policy's minimum of {policy['min_key_length']} bits"
+        )
+
+
+def check_key(bits, evidence, policy=DEFAULT_POLICY):
+    """Raise unless a raw key of `bits` bits may come from runs with this evidence."""
+    check_qber(evidence['qber'], policy)
+    if bits > evidence['key_bits']:
+        raise SecurityPolicyError(
+            f"A {bits}-bit key can't come from runs that kept {evidence['key_bits']} undisclosed bits"
+        )
+
+
+MAX_RUNS = 1000
+
+
+class RunLedger:
+    """The QBER sample and key size of the newest MAX_RUNS runs, by run id.
+
+    In memory, like the key store: a restart forgets every run.
+    """
+
+    def __init__(self, max_runs=MAX_RUNS):
+        self.lock = threading.Lock()
+        self.runs = OrderedDict()
+        self.max_runs = max_runs
+        # Run ids by the caller's key for the run, kept after the run is claimed
+        self.keys = OrderedDict()
+
+    def record(self, result, key=None):
+        """Keep a finished run's evidence and return the run id it goes by.
+
+        A key names the run itself (e.g. its seed and parameters): recording it
+        again returns the first run id, even once that run has been claimed.
+        """
+        with self.lock:
+            if key is not None and key in self.keys:
+                return self.keys[key]
+            run_id = str(uuid.uuid4())
+            if key is not None:
+                self.keys[key] = run_id
+                while len(self.keys) > self.max_runs:
+                    self.keys.popitem(last=False)
+            self.runs[run_id] = {
+                'sample_size': result['sample_size'],
+                'sample_errors': result['sample_errors'],
+                'key_bits': len(result['alice_remaining_key']),
+            }
+            while len(self.runs) > self.max_runs:
+                self.runs.popitem(last=False)
+        return run_id
+
+    def _combined(self, run_ids):
+        if not isinstance(run_ids, list) or not run_ids or not all(isinstance(r, str) for r in run_ids):
+            raise SecurityPolicyError('Name the backend runs the key came from (run ids)')
+        if len(set(run_ids)) != len(run_ids):
+            raise SecurityPolicyError('Each run may back a key only once')
+        missing = [r for r in run_ids if r not in self.runs]
+        if missing:
+            raise SecurityPolicyError(
+                f'Run {missing[0]} is unknown to this server; keys are only accepted from backend runs it executed'
+            )
+        runs = [self.runs[r] for r in run_ids]
+        size = sum(run['sample_size'] for run in runs)
+        errors = sum(run['sample_errors'] for run in runs)
+        return {
+            'sample_size': size,
+            'sample_errors': errors,
+            'qber': errors / size if size else 0.0,
+            'key_bits': sum(run['key_bits'] for run in runs),
+        }
+
+    def evidence(self, run_ids):
+        """The runs' pooled QBER sample and undisclosed key bits."""
+        with self.lock:
+            return self._combined(run_ids)
+
+    def claim(self, run_ids, use):
+        """Call use(evidence) and forget the runs if it succeeds, so no run backs two deposits."""
+        with self.lock:
+            result = use(self._combined(run_ids))
+            for run_id in run_ids:
+                del self.runs[run_id]
+            return result
@@ -0,0 +1,97 @@
+# test_app.py
+"""Tests for the Flask app's request handling. Run with `python -m pytest` from
+backend/, with requirements.txt installed."""
+import pytest
+
+from app import DEFAULT_ATTACK, MAX_PHOTONS, app, bb84_params, run_ledger
+
+
+def test_bb84_params_defaults():
+    params = bb84_params({})
+    assert params == {
+        'n_bits': 10,
+        'seed': None,
+        'with_eve': True,
+        'eve_prob': 0.3,
+        'noise': {},
+        'sample_fraction': 0.25,
+        'attack': DEFAULT_ATTACK,
+        'simulator': 'auto',
+    }
+
+
+def test_bb84_params_accepts_a_full_request():
+    params = bb84_params({
+        'n_bits': 500,
+        'eve_prob': 0,
+        'seed': '42',
+        'sample_fraction': 1,
+        'noise': {'bit_flip': 0.1, 'misalignment_deg': 5},
+        'attack': {'strategy': 'pns', 'signal_mu': 0.5, 'decoy_mu': 0.1},
+        'simulator': 'statevector',
+    })
+    assert params['seed'] == 42
+    assert params['with_eve'] is False
+    assert params['attack'] == {**DEFAULT_ATTACK, 'strategy': 'pns', 'signal_mu': 0.5, 'decoy_mu': 0.1}
+
+
+@pytest.mark.parametrize('body', [
+    None,
+    [],
+    {'n_bits': 0},
+    {'n_bits': MAX_PHOTONS + 1},
+    {'n_bits': 2.5},
+    {'n_bits': '10'},
+    {'n_bits': True},
+    {'eve_prob': 1.5},
+    {'eve_prob': True},
+    {'eve_prob': 'half'},
+    {'sample_fraction': 0},
+    {'sample_fraction': True},
+    {'seed': 'abc'},
+    {'seed': -1},
+    {'seed': 2**32},
+    {'noise': 'loud'},
+    {'noise': {'bit_flip': 2}},
+    {'noise': {'bit_flip': True}},
+    {'noise': {'misalignment_deg': 91}},
+    {'attack': 'eve'},
+    {'attack': {'strategy': 'telepathy'}},
+    {'attack': {'transmittance': 1.5}},
+    {'attack': {'transmittance': True}},
+    {'attack': {'decoy_mu': 0.8, 'signal_mu': 0.5}},
+    {'simulator': 'ibm'},
+])
+def test_bb84_params_rejects(body):
+    with pytest.raises(ValueError):
+        bb84_params(body)
+
+
+def recorded_run(sample_errors=1, key_bits=200):
+    return run_ledger.record({
+        'sample_size': 50,
+        'sample_errors': sample_errors,
+        'alice_remaining_key': [0] * key_bits,
+    })
+
+
+def encrypt(**body):
+    return app.test_client().post('/api/encrypt', json={'message': 'hi', 'cipher': 'demo', **body})
+
+
+def test_check_security_accepts_a_raw_key_from_a_recorded_run():
+    response = encrypt(key=[1, 0] * 32, run_id=recorded_run())
+    assert response.status_code == 200
+    assert response.get_json()['cipher'] == 'demo'
+
+
+@pytest.mark.parametrize('run_id', [
+    lambda: None,
+    lambda: 'unknown',
+    lambda: recorded_run(sample_errors=10),  # 20% QBER
+    lambda: recorded_run(key_bits=32),  # fewer bits than the key
+])
+def test_check_security_refuses_raw_keys_without_evidence(run_id):
+    response = encrypt(key=[1, 0] * 32, run_id=run_id())
+    assert response.status_code == 400
+    assert response.get_json()['code'] == 'security'
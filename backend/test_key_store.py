@@ -0,0 +1,80 @@
+# test_key_store.py
+"""Tests for the in-memory KME. Run with `python -m pytest` from backend/."""
+import base64
+
+import pytest
+
+from key_store import MAX_KEY_PER_REQUEST, KeyStore, KeyStoreError, bits_to_bytes
+
+
+def filled(bits=1024):
+    store = KeyStore()
+    store.deposit([i % 2 for i in range(bits)], source='test')
+    return store
+
+
+def test_deposit_rejects_anything_but_bits():
+    store = KeyStore()
+    for bits in ([], [0, 2], '0101', None):
+        with pytest.raises(KeyStoreError):
+            store.deposit(bits)
+    assert store.deposit([1, 0, 1]) == 3
+
+
+def test_new_keys_carve_the_pool_in_order():
+    store = KeyStore()
+    store.deposit([1] * 8 + [0] * 8)
+    first, second = store.new_keys('alice', 'bob', number=2, size=8)['keys']
+    assert base64.b64decode(first['key']) == bytes([0xFF])
+    assert base64.b64decode(second['key']) == bytes([0x00])
+    assert first['key_ID'] != second['key_ID']
+    assert store.status('alice', 'bob')['status_extension'] == {'stored_bits': 0, 'issued_keys': 2}
+
+
+def test_new_keys_validate_the_request():
+    store = filled()
+    with pytest.raises(KeyStoreError):
+        store.new_keys('alice', 'bob', number=MAX_KEY_PER_REQUEST + 1, size=8)
+    with pytest.raises(KeyStoreError):
+        store.new_keys('alice', 'bob', number=1, size=12)
+    with pytest.raises(KeyStoreError):
+        store.new_keys('alice', 'alice', number=1, size=8)
+    with pytest.raises(KeyStoreError) as short:
+        store.new_keys('alice', 'bob', number=1, size=2048)
+    assert short.value.status == 503
+
+
+def test_slave_fetches_the_masters_keys_by_id():
+    store = filled()
+    issued = store.new_keys('alice', 'bob', number=1, size=256)['keys'][0]
+    fetched = store.get_keys('alice', 'bob', [issued['key_ID']])['keys'][0]
+    assert fetched == issued
+    with pytest.raises(KeyStoreError):
+        store.get_keys('alice', 'eve', [issued['key_ID']])
+
+
+def test_lookup_needs_a_fetch_first():
+    store = filled()
+    key_id = store.new_keys('alice', 'bob', number=1, size=256)['keys'][0]['key_ID']
+    assert len(store.lookup(key_id, 'alice')) == 256
+    with pytest.raises(KeyStoreError) as unfetched:
+        store.lookup(key_id, 'bob')
+    assert unfetched.value.status == 403
+    store.get_keys('alice', 'bob', [key_id])
+    assert store.lookup(key_id, 'bob') == store.lookup(key_id, 'alice')
+    with pytest.raises(KeyStoreError) as unknown:
+        store.lookup('nope', 'alice')
+    assert unknown.value.status == 404
+
+
+def test_summary_never_shows_key_material():
+    store = filled()
+    store.new_keys('alice', 'bob', number=1, size=64)
+    summary = store.summary()
+    assert summary['stored_bits'] == 1024 - 64
+    assert summary['deposits'][0]['bits'] == 1024
+    assert 'bits' not in summary['keys'][0] and summary['keys'][0]['size'] == 64
+
+
+def test_bits_to_bytes_is_big_endian():
+    assert bits_to_bytes([0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0]) == b'\x01\x80'
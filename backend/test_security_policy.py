@@ -0,0 +1,81 @@
+# test_security_policy.py
+"""Tests for the security policy and the run ledger. Run with `python -m pytest` from backend/."""
+import pytest
+
+from security_policy import DEFAULT_POLICY, RunLedger, SecurityPolicyError, check_key, check_length, check_qber
+
+
+def run(sample_size=100, sample_errors=2, key_bits=300):
+    return {'sample_size': sample_size, 'sample_errors': sample_errors, 'alice_remaining_key': [0] * key_bits}
+
+
+def test_check_qber_and_length_follow_the_policy():
+    check_qber(DEFAULT_POLICY['qber_threshold'])
+    with pytest.raises(SecurityPolicyError):
+        check_qber(DEFAULT_POLICY['qber_threshold'] + 0.001)
+    check_length(DEFAULT_POLICY['min_key_length'])
+    with pytest.raises(SecurityPolicyError):
+        check_length(DEFAULT_POLICY['min_key_length'] - 1)
+    with pytest.raises(SecurityPolicyError):
+        check_qber(0.06, {**DEFAULT_POLICY, 'qber_threshold': 0.05})
+
+
+def test_check_key_wants_no_more_bits_than_the_runs_kept():
+    check_key(300, {'qber': 0.02, 'key_bits': 300})
+    with pytest.raises(SecurityPolicyError):
+        check_key(301, {'qber': 0.02, 'key_bits': 300})
+    with pytest.raises(SecurityPolicyError):
+        check_key(10, {'qber': 0.2, 'key_bits': 300})
+
+
+def test_ledger_pools_the_evidence_of_several_runs():
+    ledger = RunLedger()
+    ids = [ledger.record(run(100, 2, 300)), ledger.record(run(50, 4, 150))]
+    assert ledger.evidence(ids) == {'sample_size': 150, 'sample_errors': 6, 'qber': 0.04, 'key_bits': 450}
+
+
+@pytest.mark.parametrize('run_ids', [None, [], 'abc', [1], ['unknown']])
+def test_ledger_refuses_runs_it_cannot_vouch_for(run_ids):
+    with pytest.raises(SecurityPolicyError):
+        RunLedger().evidence(run_ids)
+
+
+def test_ledger_refuses_a_run_named_twice():
+    ledger = RunLedger()
+    run_id = ledger.record(run())
+    with pytest.raises(SecurityPolicyError):
+        ledger.evidence([run_id, run_id])
+
+
+def test_claim_spends_runs_only_when_the_use_succeeds():
+    ledger = RunLedger()
+    run_id = ledger.record(run())
+
+    def refuse(evidence):
+        raise SecurityPolicyError('no')
+
+    with pytest.raises(SecurityPolicyError):
+        ledger.claim([run_id], refuse)
+    assert ledger.claim([run_id], lambda evidence: evidence['key_bits']) == 300
+    with pytest.raises(SecurityPolicyError):
+        ledger.claim([run_id], lambda evidence: None)
+
+
+def test_ledger_records_a_keyed_run_once():
+    ledger = RunLedger()
+    run_id = ledger.record(run(), key='seed 7')
+    assert ledger.record(run(), key='seed 7') == run_id
+    assert len(ledger.runs) == 1
+    ledger.claim([run_id], lambda evidence: None)
+    assert ledger.record(run(), key='seed 7') == run_id
+    with pytest.raises(SecurityPolicyError):
+        ledger.evidence([run_id])
+    assert ledger.record(run(), key='seed 8') != run_id
+
+
+def test_ledger_forgets_the_oldest_runs():
+    ledger = RunLedger(max_runs=2)
+    first, second, third = (ledger.record(run()) for _ in range(3))
+    with pytest.raises(SecurityPolicyError):
+        ledger.evidence([first])
+    assert ledger.evidence([second, third])['key_bits'] == 600
@@ -1,376 +1,896 @@
 import React, { useState, useEffect, useRef, useMemo } from "react";
 import { motion, AnimatePresence } from "framer-motion";
+import { PROTOCOLS, columnsFor, protocolById } from "./engine/protocols";
+import { DEFAULT_ATTACK, EVE_STRATEGIES, strategyById } from "./engine/eavesdropping";
+import { photonJourney } from "./engine/photonStates";
+import { MAX_SEED, createRng, randomSeed } from "./engine/random";
+import { NO_NOISE, hasNoise } from "./engine/noise";
+import { DEFAULT_SAMPLE_FRACTION } from "./engine/estimation";
+import { reconcile } from "./engine/reconciliation";
+import { AES_MODES, CIPHERS, amplify, cipherById } from "./engine/privacyAmplification";
+import { PadExhaustedError, PadReuseError, otpDecrypt, otpEncrypt, textToBits } from "./engine/oneTimePad";
+import { blockEntry } from "./engine/keyPool";
+import { assessRun, qberUpperBound } from "./engine/securityPolicy";
+import { LARGE_RUN_SIZES, MAX_ANIMATED_PHOTONS, isLargeRun, photonCount } from "./engine/largeRuns";
+import { MITM_ATTACKS, buildTranscript, mitmById, visiblePhases } from "./engine/classicalChannel";
+import { usePlayback } from "./hooks/usePlayback";
+import { useRunHistory } from "./hooks/useRunHistory";
+import { useLessonProgress } from "./hooks/useLessonProgress";
+import { useKeyPool } from "./hooks/useKeyPool";
+import { useSimulationWorker } from "./hooks/useSimulationWorker";
+import { useSecurityPolicy } from "./hooks/useSecurityPolicy";
+import PlaybackControls from "./components/PlaybackControls";
+import DecoyCard from "./components/DecoyCard";
+import PhotonStatePanel from "./components/PhotonStatePanel";
+import RunTally from "./components/RunTally";
+import ResultsTable from "./components/ResultsTable";
+import ClassicalChannelPanel from "./components/ClassicalChannelPanel";
+import ReconciliationPanel from "./components/ReconciliationPanel";
+import KeyBudget from "./components/KeyBudget";
+import KeyPoolPanel from "./components/KeyPoolPanel";
+import FileEncryptionPanel from "./components/FileEncryptionPanel";
+import PrivacyAmplificationPanel from "./components/PrivacyAmplificationPanel";
+import SecurityAnalysisPanel from "./components/SecurityAnalysisPanel";
+import ExperimentPanel from "./components/ExperimentPanel";
+import HistoryPanel from "./components/HistoryPanel";
+import RunComparison from "./components/RunComparison";
+import ChatHelpBot from "./components/ChatHelpBot";
+import LessonPanel from "./components/LessonPanel";
+import NetworkPanel from "./components/NetworkPanel";
+import RunReport from "./components/RunReport";
+import { rowClassName } from "./components/ResultsTable";
+import { readRunLink, runLinkUrl } from "./utils/runLink";
+import { buildReport } from "./utils/report";
+import { themeVariables } from "./utils/theme";
+import {
+  ApiError, BackendUnavailableError, RequestCancelledError, RequestTimeoutError, SecurityError, ServerError, createApi,
+} from "./api";
+import { ApiContext, useApi } from "./hooks/useApi";
 import "./styles.css";
 
-const BB84Simulator = () => {
-  const [n, setN] = useState(10);
-  const [eveProb, setEveProb] = useState(0.3);
-  const [speed, setSpeed] = useState(150);
+const MODES = [
+  { id: "simulator", label: "🔬 Simulator" },
+  { id: "experiment", label: "📈 Experiment" },
+  { id: "lessons", label: "🎓 Lessons" },
+  { id: "network", label: "🌐 Network" },
+];
+
+// Controls are addressed by lessons through a slug of their label, e.g. "eve-probability"
+const lessonTarget = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// Undisclosed sifted bits Eve measured; privacy amplification charges them to her
+const interceptedKeyBits = (data) =>
+  data.table_data.filter(
+    (row) => row["Match"] === "Yes" && row["Sampled"] !== "Yes" && row["Eve Intercepting"] === "Yes"
+  ).length;
+
+// Pad ranges spent by one-time-pad messages on the key on screen
+const NO_PAD_USE = [];
+
+// Key displays stop here on large runs; the counts below them stay exact
+const MAX_SHOWN_BITS = 256;
+
+const KeyBits = ({ bits, className = "" }) =>
+  bits.length > 0 ? (
+    <>
+      {bits.slice(0, MAX_SHOWN_BITS).map((bit, idx) => (
+        <span key={idx} className={`bit ${className} ${bit === 0 ? "zero" : "one"}`}>
+          {bit}
+        </span>
+      ))}
+      {bits.length > MAX_SHOWN_BITS && <span className="more-bits">… +{(bits.length - MAX_SHOWN_BITS).toLocaleString()}</span>}
+    </>
+  ) : (
+    "-"
+  );
+
+const ENGINES = [
+  { id: "local", label: "Local" },
+  { id: "backend", label: "Backend" },
+];
+
+// Settings a shared link reproduces; see utils/runLink
+const linkSettings = (run, speed) => ({
+  protocol: run.protocol,
+  n: run.n,
+  eveProb: run.eveProb,
+  speed,
+  seed: run.seed,
+  engine: run.engine,
+  sampleFraction: run.sampleFraction,
+  noise: run.noise,
+  attack: run.attack,
+});
+
+// Parts of the page an embedding site can leave out
+const DEFAULT_SECTIONS = { channel: true, table: true, encryption: true, legend: true, chatbot: true };
+const NO_PARAMS = {};
+const NO_LOCKS = [];
+
+// The whole simulator, usable as a widget on another page:
+//   initialParams  starting settings, as in a shared link: { protocol, n, eveProb,
+//                  speed, seed, engine, sampleFraction, noise, attack }
+//   lockedControls settings the user can't change, by the same names (plus "mitm")
+//   sections       { channel, table, encryption, legend, chatbot } to show, all by default
+//   theme          colour tokens (see utils/theme) for this simulator only
+//   engine         "local" or "backend" to fix the engine; apiBaseUrl picks this simulator's backend
+//   storageKey     prefix of this simulator's localStorage entries (history, key pool, policy,
+//                  lessons); simulators with different apiBaseUrls get their own by default
+//   syncUrl        read and update the page's query string; only the standalone app sets it
+//   autoRun        start a run as soon as the simulator is up
+//   onRunComplete, onKeyGenerated, onEncrypt, onDecrypt  called with plain data
+const Simulator = ({
+  initialParams = NO_PARAMS,
+  lockedControls = NO_LOCKS,
+  sections,
+  theme,
+  engine: fixedEngine,
+  storageKey,
+  syncUrl = false,
+  autoRun = false,
+  onRunComplete,
+  onKeyGenerated,
+  onEncrypt,
+  onDecrypt,
+}) => {
+  const api = useApi();
+
+  // A shared link (?protocol=…&n=…&seed=…) overrides the host's initial settings,
+  // except those the host locked
+  const [initial] = useState(() => {
+    const link = syncUrl ? readRunLink(window.location.search) : {};
+    const unlocked = Object.fromEntries(Object.entries(link).filter(([key]) => !lockedControls.includes(key)));
+    return { ...initialParams, ...unlocked, autorun: autoRun || Boolean(link.autorun) };
+  });
+  const [protocol, setProtocol] = useState(initial.protocol ?? "bb84");
+  const [n, setN] = useState(initial.n >= 10 && initial.n <= MAX_ANIMATED_PHOTONS ? initial.n : 10);
+  // A high-volume size replaces the slider's value; null keeps the animated range
+  const [largeN, setLargeN] = useState(LARGE_RUN_SIZES.includes(initial.n) ? initial.n : null);
+  const [eveProb, setEveProb] = useState(initial.eveProb ?? 0.3);
+  const [attack, setAttack] = useState({ ...DEFAULT_ATTACK, ...initial.attack });
+  const [noise, setNoise] = useState({ ...NO_NOISE, ...initial.noise });
+  const [sampleFraction, setSampleFraction] = useState(initial.sampleFraction ?? DEFAULT_SAMPLE_FRACTION);
+  const [speed, setSpeed] = useState(initial.speed ?? 150);
   const [tableData, setTableData] = useState([]);
   const [timeline, setTimeline] = useState("");
   const [photon, setPhoton] = useState(null);
+  const [photonStage, setPhotonStage] = useState("alice");
   const [animationKey, setAnimationKey] = useState(0);
   const [eveActive, setEveActive] = useState(false);
   const [highlightedRow, setHighlightedRow] = useState(null);
+  const [sampledRows, setSampledRows] = useState([]);
   const [siftedKey, setSiftedKey] = useState([]);
   const [qber, setQBER] = useState(0);
   const [eveKey, setEveKey] = useState([]);
+  const [errorStats, setErrorStats] = useState(null);
+  const [resultsData, setResultsData] = useState(null);
+  const [reconMethod, setReconMethod] = useState("cascade");
+  const [mitm, setMitm] = useState("none");
+  const [cipher, setCipher] = useState("aes-256");
+  const [aesMode, setAesMode] = useState("eax");
   const [isRunning, setIsRunning] = useState(false);
+  // { received, total, reconnecting } while a backend run streams in
+  const [streamProgress, setStreamProgress] = useState(null);
+  const streamAbort = useRef(null);
   const [message, setMessage] = useState("");
   const [encryptedData, setEncryptedData] = useState(null);
   const [decryptedMessage, setDecryptedMessage] = useState("");
+  const [padLedger, setPadLedger] = useState(NO_PAD_USE);
+  const [reusePad, setReusePad] = useState(false);
   const [securityWarning, setSecurityWarning] = useState("");
+  const [engineChoice, setEngine] = useState(initial.engine ?? "backend");
+  const engine = fixedEngine ?? engineChoice;
+  const [mode, setMode] = useState("simulator");
+  const [seedInput, setSeedInput] = useState(initial.seed !== undefined ? String(initial.seed) : "");
+  // The classical channel's pre-shared authentication secret: drawn once per
+  // session and never shown or put in a link, unlike the seed
+  const [authSecret] = useState(randomSeed);
+  const [lastRun, setLastRun] = useState(null);
+  const [comparePair, setComparePair] = useState(null);
+  const [report, setReport] = useState(null);
+  const history = useRunHistory(storageKey);
+  const lessonProgress = useLessonProgress(storageKey);
+  const securityPolicy = useSecurityPolicy(storageKey);
+  // The backend's policy (the built-in one until it loads), possibly tightened
+  const { policy } = securityPolicy;
+  const pool = useKeyPool(policy, storageKey);
+  const runLocal = useSimulationWorker();
+  const [lessonRow, setLessonRow] = useState(null);
+  const playback = usePlayback({ photonMs: speed * 30, siftMs: 700 });
+  const busy = isRunning || playback.playing;
+  const show = { ...DEFAULT_SECTIONS, ...sections };
+  const locked = useMemo(() => new Set(fixedEngine ? [...lockedControls, "engine"] : lockedControls), [lockedControls, fixedEngine]);
+  // The host page's callbacks, read when they fire so new function props don't re-run effects
+  const callbacks = useRef({});
+  callbacks.current = { onRunComplete, onKeyGenerated, onEncrypt, onDecrypt };
+  // Lessons drive the same simulator view; experiment and network modes replace it
+  const showsSimulator = mode === "simulator" || mode === "lessons";
+  const protocolDef = protocolById(protocol);
+  // Only BB84 offers the full choice of attacks; the other engines intercept-resend
+  const runAttack = protocol === "bb84" ? attack : DEFAULT_ATTACK;
+  const photons = largeN ?? n;
 
-  // QA Knowledge Base for chatbot
-  const QA_KB = [
-    {
-      q: /what is bb48|bb84 protocol|explain bb84|how does this work/i,
-      a: "BB84 is a quantum key distribution protocol. Alice sends qubits encoded in one of two bases (+ or ×). Bob measures in random bases. They keep only positions where their bases matched (the sifted key). If an eavesdropper (Eve) intercepts, she disturbs the system and increases the QBER (error rate), revealing her presence.",
-    },
-    {
-      q: /what does eve(\'|)s? prob|eve prob|eve probability|what is eve/i,
-      a: "Eve probability controls how often the eavesdropper intercepts and measures photons. Higher values typically raise the Quantum Bit Error Rate (QBER).",
-    },
-    {
-      q: /qber|error rate|why is qber high/i,
-      a: "QBER (Quantum Bit Error Rate) is the percentage of mismatched bits in the sifted key. In an ideal secure channel with no Eve and low noise, QBER stays low. A high QBER suggests eavesdropping or noise.",
-    },
-    {
-      q: /sifted key|final key|why are some bits dropped|matched indices/i,
-      a: "Only positions where Alice and Bob used the same basis are kept — this is key sifting. The simulator highlights those rows and forms the final sifted key from those bits.",
-    },
-    {
-      q: /what does animation speed do|animation speed/i,
-      a: "Animation speed changes how fast each photon travels across the quantum channel (purely visual).",
-    },
-    {
-      q: /aes|encrypt|decrypt|how to encrypt/i,
-      a: "After generating a sifted key, you can encrypt a message. The backend turns the key into an AES key to encrypt your text; then you can decrypt using the same key.",
-    },
-    {
-      q: /backend|api|server|localhost 5000|error connecting/i,
-      a: "This UI expects a local API at http://localhost:5000. Make sure your backend exposes /api/bb84, /api/encrypt, and /api/decrypt. If you see connection errors, start the server or check CORS.",
-    },
-    {
-      q: /why are bases different|bases match|× vs \+|plus vs cross/i,
-      a: "Alice encodes and Bob measures in random bases (+ or ×). Only matching bases yield reliable bits; different bases are discarded during sifting.",
-    },
-    {
-      q: /reset|clear|start over/i,
-      a: "To start over, just run the simulation again. It clears the table, timeline, photon, and results.",
-    },
-    {
-      q: /tips|how to use|help/i,
-      a: "1) Pick photons, Eve probability, and speed. 2) Run the simulation. 3) Watch the table fill. 4) Use the sifted key to encrypt a message; then decrypt it. If QBER > ~25–12%, assume Eve/noise.",
-    },
-  ];
-
-
-  // Chatbot hook
-  const useBot = () => {
-    const [open, setOpen] = useState(false);
-    const [input, setInput] = useState("");
-    const [messages, setMessages] = useState([
-      {
-        role: "bot",
-        text: "Hi! I'm your quantum helper. Ask me about BB84, QBER, Eve, or how to encrypt/decrypt here.",
-      },
-    ]);
-
-    const match = (text) => {
-      for (const { q, a } of QA_KB) {
-        if (q.test(text)) return a;
-      }
-      return "I'm not sure yet — try asking about 'BB84', 'Eve probability', 'QBER', or 'encryption'.";
-    };
+  const isConnectivityError = (error) =>
+    error instanceof BackendUnavailableError || error instanceof RequestTimeoutError;
 
-    const send = (text) => {
-      if (!text.trim()) return;
-      const userMsg = { role: "user", text };
-      const botMsg = { role: "bot", text: match(text) };
-      setMessages((m) => [...m, userMsg, botMsg]);
-      setInput("");
-    };
-
-    return { open, setOpen, input, setInput, messages, send };
+  // Each API error type gets its own treatment: security refusals go to the warning
+  // banner, connectivity problems point at the backend URL, the rest land in the timeline.
+  const reportApiError = (error, action) => {
+    if (error instanceof SecurityError) {
+      setSecurityWarning(`🛡️ ${action} refused by backend: ${error.message}`);
+      setTimeline(`❌ ${action} blocked by security check`);
+    } else if (error instanceof RequestTimeoutError) {
+      setTimeline(`⏱️ ${action} timed out — the backend at ${api.baseUrl} may be waking up, try again`);
+    } else if (error instanceof BackendUnavailableError) {
+      setTimeline(`🔌 ${action} failed: cannot reach backend at ${api.baseUrl}`);
+    } else if (error instanceof ServerError) {
+      setTimeline(`❌ ${action} error on backend: ${error.message}`);
+    } else if (error instanceof ApiError) {
+      setTimeline(`❌ ${action} rejected: ${error.message}`);
+    } else {
+      setTimeline(`❌ ${action} failed`);
+    }
   };
 
-  // Chatbot component
-  const ChatHelpBot = () => {
-    const { open, setOpen, input, setInput, messages, send } = useBot();
-    const endRef = useRef(null);
-
-    useEffect(() => {
-      endRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages, open]);
-
-    const quickPrompts = useMemo(
-      () => [
-        "What is BB84?",
-        "What does Eve probability do?",
-        "Why is QBER high?",
-        "How do I encrypt a message?",
-      ],
-      []
-    );
-
-    return (
-      <>
-        <button
-          className="chatbot-toggle"
-          aria-label="Open help chatbot"
-          onClick={() => setOpen((v) => !v)}
-        >
-          {open ? "✖" : "💬 Help"}
-        </button>
-
-        <AnimatePresence>
-          {open && (
-            <motion.aside
-              key="chatbot"
-              initial={{ opacity: 0, y: 30 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: 30 }}
-              transition={{ duration: 0.2 }}
-              className="chatbot-panel"
-            >
-              <div className="chatbot-header">
-                <span>Quantum Help</span>
-                <button className="chatbot-close" onClick={() => setOpen(false)}>
-                  ×
-                </button>
-              </div>
-
-              <div className="chatbot-body">
-                {messages.map((m, i) => (
-                  <div key={i} className={`msg ${m.role}`}>
-                    <div className="bubble">{m.text}</div>
-                  </div>
-                ))}
-                <div ref={endRef} />
-              </div>
-
-              <div className="chatbot-quick">
-                {quickPrompts.map((p) => (
-                  <button
-                    key={p}
-                    onClick={() => send(p)}
-                    className="chip"
-                    type="button"
-                  >
-                    {p}
-                  </button>
-                ))}
-              </div>
-
-              <form
-                className="chatbot-input"
-                onSubmit={(e) => {
-                  e.preventDefault();
-                  send(input);
-                }}
-              >
-                <input
-                  value={input}
-                  onChange={(e) => setInput(e.target.value)}
-                  placeholder="Ask a question…"
-                  aria-label="Type your question"
-                />
-                <button type="submit">Send</button>
-              </form>
-            </motion.aside>
-          )}
-        </AnimatePresence>
-      </>
-    );
+  const parseSeed = (value) => {
+    if (value.trim() === "") return randomSeed();
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) return null;
+    return seed;
   };
 
-  const runSimulation = async () => {
-    setIsRunning(true);
+  const resetResults = () => {
     setTableData([]);
     setHighlightedRow(null);
+    setSampledRows([]);
     setSiftedKey([]);
     setQBER(0);
     setEveKey([]);
+    setErrorStats(null);
+    setResultsData(null);
     setSecurityWarning("");
-    setTimeline("Sending request to quantum backend...");
     setEncryptedData(null);
     setDecryptedMessage("");
     setMessage("");
+    setPadLedger(NO_PAD_USE);
+    setReusePad(false);
+    setLessonRow(null);
+  };
+
+  // Drive the channel, table and result cards from the playback cursor
+  const { frame, data: playbackData } = playback;
+  // Columns and bases follow the run on screen, not the selector
+  const viewProtocol = playbackData ? protocolById(playbackData.protocol) : protocolDef;
+  const tableColumns = columnsFor(viewProtocol, playbackData);
+  const largeRunOnScreen = Boolean(playbackData) && isLargeRun(photonCount(playbackData));
+  const sampledSet = useMemo(() => new Set(sampledRows), [sampledRows]);
+  const eveStrategy = strategyById(playbackData ? playbackData.attack?.strategy : runAttack.strategy);
+  useEffect(() => {
+    const data = playbackData;
+    if (!frame || !data) return;
+    const rows = data.table_data;
+
+    setTableData(
+      frame.type === "photon" ? rows.slice(0, frame.index + 1) : frame.type === "batch" ? rows.slice(0, frame.end) : rows
+    );
+    setHighlightedRow(frame.type === "sift" ? frame.index : null);
+
+    if (frame.type === "photon") {
+      const row = rows[frame.index];
+      const bit = row["Alice Bit"];
+      setPhoton({
+        symbol: bit === 0 ? "→" : "↗",
+        color: bit === 0 ? "#4A90E2" : "#FF6B6B",
+        basis: protocolById(data.protocol).photonBasis(row),
+        bit,
+        eveAction: row["Eve Intercepting"] === "Yes" ? row["Eve Basis"] : null,
+        journey: photonJourney(row, data),
+      });
+      setAnimationKey((prev) => prev + 1);
+      setEveActive(row["Eve Intercepting"] === "Yes");
+      setTimeline(`📡 Displaying photon ${frame.index + 1} of ${photonCount(data)}`);
+    } else {
+      setEveActive(false);
+    }
+
+    if (frame.type === "batch") {
+      setPhoton(null);
+      setTimeline(`📡 Photons ${(frame.start + 1).toLocaleString()}–${frame.end.toLocaleString()} of ${photonCount(data).toLocaleString()} sent`);
+    }
+
+    const revealSample = frame.type === "estimate" || frame.type === "results";
+    setSampledRows(revealSample ? data.sample_indices || [] : []);
+
+    if (frame.type === "estimate") {
+      setTimeline(`📢 Disclosing ${data.sample_size} of ${data.matched_indices.length} sifted bits publicly to estimate QBER — ${data.sample_errors} mismatched`);
+    }
+
+    if (frame.type === "sift") {
+      setTimeline(`🔍 Performing key sifting... position ${frame.index + 1} (${frame.step + 1} of ${data.matched_indices.length})`);
+    }
+
+    if (frame.type === "results") {
+      // Only undisclosed bits are usable key, and Alice and Bob only know the sampled QBER
+      const estimated = data.estimated_qber !== undefined;
+      setSiftedKey(data.bob_remaining_key ?? data.bob_key);
+      setQBER(((estimated ? data.estimated_qber : data.qber) * 100).toFixed(2));
+      setEveKey(data.eve_key);
+      setResultsData(data);
+      setErrorStats({
+        noiseFloor: data.noise_floor ?? 0,
+        breakdown: data.error_breakdown ?? null,
+        trueQber: data.qber,
+        estimate: estimated
+          ? {
+              interval: data.qber_interval,
+              sampleSize: data.sample_size,
+              sampleErrors: data.sample_errors,
+              siftedLength: data.matched_indices.length,
+            }
+          : null,
+      });
+      setTimeline(`✅ Quantum simulation complete${lastRun ? ` — ${lastRun.source}` : ""}`);
+    } else {
+      // Scrubbing back before the end hides results that haven't "happened" yet
+      setSiftedKey([]);
+      setQBER(0);
+      setEveKey([]);
+      setErrorStats(null);
+      setResultsData(null);
+    }
+  }, [frame, playbackData, lastRun]);
+
+  // Reconcile Alice's and Bob's undisclosed bits once the results are revealed.
+  // The block shuffles are public randomness, seeded from the run for replayability.
+  const reconciliation = useMemo(() => {
+    if (!resultsData) return null;
+    return reconcile(
+      reconMethod,
+      resultsData.alice_remaining_key ?? resultsData.alice_key,
+      resultsData.bob_remaining_key ?? resultsData.bob_key,
+      { qber: resultsData.estimated_qber ?? resultsData.qber, rng: createRng(resultsData.seed) }
+    );
+  }, [resultsData, reconMethod]);
+
+  // Every public announcement up to the frame on screen, MAC-checked. A message Eve
+  // rewrote fails its check and aborts the run: no reconciliation, no key.
+  const transcript = useMemo(
+    () => (playbackData ? buildTranscript({ data: playbackData, authSecret, reconciliation, mitm }) : null),
+    [playbackData, authSecret, reconciliation, mitm]
+  );
+  const channelPhases = visiblePhases(frame?.type);
+  const channelAborted = Boolean(transcript?.aborted && channelPhases.includes(transcript.abortedPhase));
+  const keysVerified = Boolean(
+    !channelAborted && reconciliation?.verification.identical && reconciliation.aliceKey.length > 0
+  );
+
+  // Compress the reconciled key to what Eve can't know. The QBER's finite-size
+  // upper bound is used so a lucky sample can't inflate the key length.
+  const privacy = useMemo(() => {
+    if (!reconciliation || !resultsData) return null;
+    return amplify({
+      aliceKey: reconciliation.aliceKey,
+      bobKey: reconciliation.bobKey,
+      qber: qberUpperBound({
+        keyLength: reconciliation.aliceKey.length,
+        sampleSize: resultsData.sample_size ?? 0,
+        sampleErrors: resultsData.sample_errors ?? 0,
+        epsilon: policy.epsilon,
+      }),
+      leakedBits: reconciliation.leakedBits,
+      verificationBits: reconciliation.verification.tagBits,
+      eveInterceptedBits: interceptedKeyBits(resultsData),
+      epsilon: policy.epsilon,
+      // Independent public randomness for the Toeplitz seed
+      rng: createRng((resultsData.seed ^ 0x9e3779b9) >>> 0),
+    });
+  }, [reconciliation, resultsData, policy.epsilon]);
+
+  // The security policy's verdict on the run on screen; every key decision below
+  // (encryption, decryption, pooling) goes through it
+  const security = useMemo(
+    () =>
+      resultsData && privacy
+        ? assessRun({ results: resultsData, secureLength: channelAborted ? 0 : privacy.outputLength, aborted: channelAborted, policy })
+        : null,
+    [resultsData, privacy, channelAborted, policy]
+  );
+  const keyBlocked = Boolean(security && !security.qberOk);
+  const qberLimit = `${(policy.qberThreshold * 100).toFixed(1)}%`;
+
+  // Every finished backend run that wasn't compromised feeds the key pool's pending
+  // block; the key store only takes keys from runs the backend executed itself.
+  // Replays and history loads don't: their key is already known.
+  const { addRun: addToPool } = pool;
+  useEffect(() => {
+    if (!resultsData?.run_id || !lastRun?.fresh || channelAborted || !security?.qberOk) return;
+    addToPool(blockEntry({ runId: lastRun.id, results: resultsData, eveInterceptedBits: interceptedKeyBits(resultsData) }));
+  }, [resultsData, lastRun, channelAborted, security, addToPool]);
+
+  // Tell the host page once per fresh run that Alice and Bob share a verified key
+  const reportedKeyRun = useRef(null);
+  useEffect(() => {
+    if (!lastRun?.fresh || !keysVerified || !security?.qberOk || reportedKeyRun.current === lastRun.id) return;
+    reportedKeyRun.current = lastRun.id;
+    callbacks.current.onKeyGenerated?.({
+      runId: lastRun.id,
+      reconciledKey: reconciliation.aliceKey,
+      secretKey: privacy.aliceKey,
+      qber: security.estimate,
+      status: security.status,
+    });
+  }, [lastRun, keysVerified, security, reconciliation, privacy]);
+
+  // Keys the browser holds for a cipher that doesn't use the pool: the run's
+  // amplified key, as a one-time pad or for the demo cipher to stretch
+  const keysFor = (cipherId) => {
+    const target = cipherById(cipherId);
+    if (!privacy || target.fromPool || privacy.outputLength < target.keyBits) return null;
+    return { alice: privacy.aliceKey, bob: privacy.bobKey };
+  };
+  const selectedCipher = cipherById(cipher);
+  const encryptionKeys = keysVerified && !selectedCipher.fromPool ? keysFor(cipher) : null;
+  const canEncrypt = selectedCipher.fromPool ? pool.storedBits >= selectedCipher.keyBits : Boolean(encryptionKeys);
+
+  // Protocol-specific security statistic shown next to the QBER (e.g. E91's CHSH S)
+  const protocolStat = resultsData && viewProtocol.statistic ? viewProtocol.statistic(resultsData) : null;
+
+  // The finished run lesson steps are graded against
+  const lessonRun = useMemo(
+    () => (lastRun && resultsData ? { id: lastRun.id, params: lastRun, results: resultsData, qber } : null),
+    [lastRun, resultsData, qber]
+  );
+
+  // Step the state view through Alice → Eve → Bob across each photon's frame.
+  // Paused or stepping, show the whole journey at once.
+  const { playing } = playback;
+  useEffect(() => {
+    if (!playing) {
+      setPhotonStage("bob");
+      return undefined;
+    }
+    const frameMs = speed * 30;
+    setPhotonStage("alice");
+    const toEve = setTimeout(() => setPhotonStage("eve"), frameMs / 3);
+    const toBob = setTimeout(() => setPhotonStage("bob"), (2 * frameMs) / 3);
+    return () => {
+      clearTimeout(toEve);
+      clearTimeout(toBob);
+    };
+  }, [animationKey, playing, speed]);
+
+  // Eve's indicator only lights up for the first half of each photon's flight
+  useEffect(() => {
+    if (!eveActive) return undefined;
+    const timer = setTimeout(() => setEveActive(false), (speed * 30) / 2);
+    return () => clearTimeout(timer);
+  }, [eveActive, animationKey, speed]);
+
+  // One run on the chosen engine. Local engines run in a Web Worker so large
+  // runs don't freeze the page; the backend streams photons in as they're
+  // measured, handing each partial run to onPartial. Resolves to the response,
+  // its source and the engine that actually ran it ("local" or "backend").
+  // Without `fallback` an unreachable backend is an error rather than a local run.
+  const simulate = async ({ protocol: protocolId, engine: engineId, ...params }, { onPartial, fallback = true } = {}) => {
+    const def = protocolById(protocolId);
+    if (engineId === "local" || !def.backend) {
+      setTimeline(`Running local ${def.label} engine...`);
+      const data = await runLocal(protocolId, params);
+      return {
+        data,
+        source: engineId === "local" ? "local engine" : `local engine (no ${def.label} backend)`,
+        ranOn: "local",
+      };
+    }
+    setTimeline(`Checking quantum backend at ${api.baseUrl}...`);
+    let received = 0;
     try {
-      const response = await fetch('http://localhost:5000/api/bb84', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+      await api.checkHealth();
+      setTimeline(`Streaming ${params.nBits.toLocaleString()} photons from the quantum backend...`);
+      streamAbort.current = new AbortController();
+      setStreamProgress({ received: 0, total: params.nBits, reconnecting: false });
+      const data = await api.streamBB84(params, {
+        signal: streamAbort.current.signal,
+        onProgress: (partial, progress) => {
+          received = progress.received;
+          setStreamProgress(progress);
+          onPartial?.(partial);
         },
-        body: JSON.stringify({
-          n_bits: n,
-          eve_prob: eveProb
-        })
       });
+      return {
+        data,
+        source: data.simulator === "statevector" ? "quantum backend (statevector)" : "quantum backend",
+        ranOn: "backend",
+      };
+    } catch (error) {
+      // Once photons are on screen a local run would be a different run
+      if (!fallback || !isConnectivityError(error) || received > 0) throw error;
+      // Backend down or too slow: keep the classroom going with the in-browser engine
+      console.warn("Backend unreachable, falling back to local engine:", error);
+      setTimeline("⚠️ Backend unreachable — using local engine instead");
+      return { data: await runLocal(protocolId, params), source: "local engine (backend unreachable)", ranOn: "local" };
+    } finally {
+      streamAbort.current = null;
+      setStreamProgress(null);
+    }
+  };
 
-      const data = await response.json();
-      
-      if (data.error) {
-        setTimeline(`Error: ${data.error}`);
-        setIsRunning(false);
-        return;
-      }
+  const runSimulation = async () => {
+    const seed = parseSeed(seedInput);
+    if (seed === null) {
+      setTimeline(`Seed must be a whole number between 0 and ${MAX_SEED}`);
+      return;
+    }
 
-      setTimeline("Quantum simulation complete. Animating...");
-      
-      // Animate the table data
-      for (let i = 0; i < data.table_data.length; i++) {
-        setTimeline(`📡 Displaying photon ${i + 1} of ${data.table_data.length}`);
-        
-        // Check if Eve intercepted this photon
-        const eveHere = data.table_data[i]["Eve Intercepting"] === "Yes";
-        setEveActive(eveHere);
-        
-        // Animate photon
-        await animatePhoton(
-          data.table_data[i]["Alice Bit"], 
-          data.table_data[i]["Alice Basis"].includes("+") ? 0 : 1,
-          eveHere
-        );
-        
-        // Add row to table
-        setTableData(prev => [...prev, data.table_data[i]]);
-      }
+    if (runAttack.strategy === "pns" && runAttack.decoy && !(runAttack.decoyMu < runAttack.signalMu)) {
+      setTimeline("Decoy intensity must be below the signal intensity");
+      return;
+    }
 
-      // Animate key sifting
-      setTimeline("🔍 Performing key sifting...");
-      for (let idx of data.matched_indices) {
-        setHighlightedRow(idx);
-        await new Promise((res) => setTimeout(res, 500));
-        setHighlightedRow(null);
-        await new Promise((res) => setTimeout(res, 200));
+    setIsRunning(true);
+    resetResults();
+    // A streamed run starts playing with its first photons and keeps its place
+    // as the rest, and finally the full response, arrive
+    let streaming = false;
+    const showPartial = (partial) => {
+      if (streaming) {
+        playback.update(partial);
+      } else {
+        streaming = true;
+        playback.load(partial);
       }
+    };
+    try {
+      const { data, source, ranOn } = await simulate(
+        {
+          protocol,
+          engine,
+          nBits: photons,
+          eveProb,
+          seed,
+          noise,
+          sampleFraction,
+          attack: runAttack,
+        },
+        { onPartial: showPartial }
+      );
 
-      // Set final results
-      setSiftedKey(data.bob_key);
-      setQBER((data.qber * 100).toFixed(2));
-      setEveKey(data.eve_key);
-      
-      // Check for security warning
-      
-      setTimeline("✅ Quantum simulation complete");
+      const runSeed = data.seed ?? seed;
+      const strategyLabel = strategyById(runAttack.strategy).label;
+      const record = history.addRun({
+        name: `${protocolDef.label} · ${photons} photons · Eve ${(eveProb * 100).toFixed(0)}% ${strategyLabel} · seed ${runSeed}`,
+        params: { protocol, n: photons, eveProb, attack: runAttack, noise, sampleFraction, engine, seed: runSeed },
+        source,
+        ranOn,
+        response: data,
+      });
+      const run = { id: record.id, data, source, seed: runSeed, protocol, n: photons, eveProb, attack: runAttack, noise, sampleFraction, engine, fresh: true };
+      setLastRun(run);
+      // The address bar always reopens the run on screen
+      if (syncUrl) window.history.replaceState(null, "", runLinkUrl(linkSettings(run, speed)));
+      callbacks.current.onRunComplete?.({
+        id: record.id,
+        params: { protocol, n: photons, eveProb, attack: runAttack, noise, sampleFraction, engine, seed: runSeed },
+        source,
+        results: data,
+      });
+      if (streaming) playback.update(data);
+      else playback.load(data);
     } catch (error) {
+      if (error instanceof RequestCancelledError) {
+        setTimeline("⏹️ Run cancelled — the photons received so far stay on screen");
+        return;
+      }
       console.error('Error:', error);
-      setTimeline("❌ Error connecting to quantum backend");
+      reportApiError(error, "Quantum simulation");
     } finally {
       setIsRunning(false);
     }
   };
 
-  const animatePhoton = (bit, basis, eveHere) => {
-    return new Promise((resolve) => {
-      const symbol = bit === 0 ? "→" : "↗";
-      const color = bit === 0 ? "#4A90E2" : "#FF6B6B";
-      setPhoton({ symbol, color, basis, bit });
-      setAnimationKey((prev) => prev + 1);
+  // Re-animate the stored response without touching either engine
+  const replayLastRun = () => {
+    if (!lastRun) return;
+    resetResults();
+    playback.load(lastRun.data);
+  };
 
-      setTimeout(() => setEveActive(false), (speed * 30) / 2);
-      setTimeout(resolve, speed * 30);
+  // Bring a saved run back on screen and re-animate it. Large runs aren't kept
+  // in storage, so they're simulated again from their parameters and seed, on
+  // the engine that produced them: the same seed gives another run on the other
+  // engine's RNG. Runs saved before ranOn was recorded tell by their source.
+  const loadHistoryRun = async (run) => {
+    resetResults();
+    let response = run.response;
+    if (!response) {
+      const { params } = run;
+      setIsRunning(true);
+      try {
+        ({ data: response } = await simulate({
+          protocol: params.protocol ?? "bb84",
+          engine: run.ranOn ?? (run.source?.startsWith("local") ? "local" : "backend"),
+          nBits: params.n,
+          eveProb: params.eveProb,
+          seed: params.seed,
+          noise: params.noise,
+          sampleFraction: params.sampleFraction,
+          attack: params.attack ?? DEFAULT_ATTACK,
+        }, { fallback: false }));
+      } catch (error) {
+        console.error('Error:', error);
+        reportApiError(error, "Re-running the saved run");
+        return;
+      } finally {
+        setIsRunning(false);
+      }
+    }
+    setLastRun({
+      id: run.id,
+      data: response,
+      source: run.source,
+      seed: response.seed ?? run.params.seed,
+      protocol: run.params.protocol ?? "bb84",
+      n: run.params.n,
+      eveProb: run.params.eveProb,
+      attack: run.params.attack ?? DEFAULT_ATTACK,
+      noise: run.params.noise,
+      sampleFraction: run.params.sampleFraction,
+      engine: run.params.engine,
     });
+    playback.load(response);
+  };
+
+  // A link that opens the last run's configuration and runs it straight away
+  const copyRunLink = async () => {
+    const url = runLinkUrl(linkSettings(lastRun, speed), { autorun: true });
+    try {
+      await navigator.clipboard.writeText(url);
+      setTimeline("🔗 Link copied — it opens this configuration and runs it");
+    } catch (error) {
+      setTimeline(`🔗 Share this link: ${url}`);
+    }
+  };
+
+  const openReport = () => {
+    setReport(
+      buildReport({
+        run: lastRun,
+        results: resultsData,
+        columns: tableColumns,
+        rowClass: (row, idx) => rowClassName(row, idx, null, sampledSet),
+        speed,
+        security,
+        policy,
+        encryption: encryptedData && { message, encrypted: encryptedData, decrypted: decryptedMessage },
+        // An embedding page doesn't read links, so there's none to give
+        link: syncUrl ? runLinkUrl(linkSettings(lastRun, speed), { autorun: true }) : null,
+      })
+    );
+  };
+
+  // A link with run=1 starts its run once, as soon as the page is up
+  const autorunPending = useRef(initial.autorun);
+  useEffect(() => {
+    if (!autorunPending.current) return;
+    autorunPending.current = false;
+    runSimulation();
+  });
+
+  const cancelPlayback = () => {
+    streamAbort.current?.abort();
+    playback.cancel();
+    setEveActive(false);
+    setTimeline("⏹️ Animation cancelled — use Replay to watch it again");
   };
 
   // Modify encryptMessage function to check QBER
   const encryptMessage = async () => {
-    if (parseFloat(qber) > 20) {
-      setSecurityWarning("❌ Encryption blocked: QBER is too high (>20%). Potential eavesdropping detected.");
+    if (keyBlocked) {
+      setSecurityWarning(`❌ Encryption blocked: QBER is above the security policy's ${qberLimit} threshold. Potential eavesdropping detected.`);
       return;
     }
     
+    if (selectedCipher.fromPool) {
+      encryptWithPoolKey();
+      return;
+    }
+
     if (!message || siftedKey.length === 0) {
       setTimeline("Please generate a key and enter a message first");
       return;
     }
 
+    if (!keysVerified) {
+      setSecurityWarning("❌ Encryption blocked: Alice's and Bob's reconciled keys are not verified identical.");
+      return;
+    }
+
+    if (!encryptionKeys) {
+      setSecurityWarning(`❌ Encryption blocked: privacy amplification left ${privacy?.outputLength ?? 0} secure bits, ${selectedCipher.label} needs ${selectedCipher.keyBits}.`);
+      return;
+    }
+
+    if (cipher === "demo" && !resultsData?.run_id) {
+      setSecurityWarning("❌ Encryption blocked: the backend only accepts raw keys from runs it executed. Run on the Backend engine to use the demo cipher.");
+      return;
+    }
+
     setSecurityWarning("");
+    if (cipher === "otp") {
+      encryptWithPad();
+      return;
+    }
     setTimeline("Encrypting message with quantum key...");
     
     try {
-      const response = await fetch('http://localhost:5000/api/encrypt', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          message: message,
-          key: siftedKey
-        })
-      });
-
-      const data = await response.json();
-      
-      if (data.error) {
-        setTimeline(`Encryption error: ${data.error}`);
-        return;
+      // Alice encrypts with her key; Bob decrypts with his reconciled copy
+      const data = await api.encrypt(message, { key: encryptionKeys.alice, runId: resultsData.run_id }, cipher, aesMode);
+      setEncryptedData(data);
+      callbacks.current.onEncrypt?.({ cipher, message, encrypted: data });
+      if (lastRun?.id) {
+        history.updateRun(lastRun.id, { encryption: { cipher, message, encrypted: data } });
       }
+      setTimeline("✅ Message encrypted successfully");
+    } catch (error) {
+      console.error('Error:', error);
+      reportApiError(error, "Encryption");
+    }
+  };
 
+  // Alice's application asks the key store for a fresh key ("get key") and the
+  // backend encrypts with it by ID; the key bits never pass through the browser's request
+  const encryptWithPoolKey = async () => {
+    if (!message) {
+      setTimeline("Please enter a message first");
+      return;
+    }
+    if (pool.storedBits < selectedCipher.keyBits) {
+      setSecurityWarning(`❌ Encryption blocked: the key pool holds ${pool.storedBits} bits, ${selectedCipher.label} needs ${selectedCipher.keyBits}. Keep running simulations to fill it.`);
+      return;
+    }
+    setSecurityWarning("");
+    setTimeline(`Fetching a ${selectedCipher.keyBits}-bit key from the key store...`);
+    try {
+      const { keys } = await api.getEncKeys({ size: selectedCipher.keyBits });
+      const keyId = keys[0].key_ID;
+      const data = await api.encrypt(message, { keyId }, cipher, aesMode);
       setEncryptedData(data);
-      setTimeline("✅ Message encrypted successfully");
+      callbacks.current.onEncrypt?.({ cipher, message, encrypted: data });
+      setDecryptedMessage("");
+      if (lastRun?.id) {
+        history.updateRun(lastRun.id, { encryption: { cipher, message, encrypted: data } });
+      }
+      setTimeline(`✅ Message encrypted with pooled key ${keyId.slice(0, 8)}`);
+    } catch (error) {
+      console.error('Error:', error);
+      reportApiError(error, "Encryption");
+    } finally {
+      pool.refresh();
+    }
+  };
+
+  // Bob's application fetches the same key by ID ("get key with key IDs") first
+  const decryptWithPoolKey = async () => {
+    const keyId = encryptedData.key_ID;
+    setTimeline(`Fetching key ${keyId.slice(0, 8)} for Bob from the key store...`);
+    try {
+      await api.getDecKeys([keyId]);
+      const data = await api.decrypt(encryptedData, { keyId });
+      setDecryptedMessage(data.decrypted);
+      callbacks.current.onDecrypt?.({ encrypted: encryptedData, decrypted: data.decrypted });
+      if (lastRun?.id) {
+        history.updateRun(lastRun.id, (run) => ({
+          encryption: { ...run.encryption, decrypted: data.decrypted },
+        }));
+      }
+      setTimeline("✅ Message decrypted successfully");
     } catch (error) {
       console.error('Error:', error);
-      setTimeline("❌ Error encrypting message");
+      reportApiError(error, "Decryption");
+    } finally {
+      pool.refresh();
+    }
+  };
+
+  // One-time pad runs in the browser: no key ever leaves it, and every message
+  // takes fresh pad bits unless the reuse demo is switched on
+  const encryptWithPad = () => {
+    try {
+      const { encrypted, entry, reused } = otpEncrypt(message, encryptionKeys.alice, padLedger, { reuse: reusePad });
+      setPadLedger((prev) => [...prev, entry]);
+      setEncryptedData(encrypted);
+      callbacks.current.onEncrypt?.({ cipher, message, encrypted, reusedPad: reused.length > 0 });
+      setDecryptedMessage("");
+      if (lastRun?.id) {
+        history.updateRun(lastRun.id, { encryption: { cipher, message, encrypted } });
+      }
+      setTimeline(
+        reused.length > 0
+          ? `⚠️ Message ${entry.id} reuses the pad of message ${reused.map((e) => e.id).join(", ")} — XORing the two ciphertexts cancels the key`
+          : `✅ Message ${entry.id} encrypted with pad bits ${entry.offset + 1}–${entry.offset + entry.length}`
+      );
+    } catch (error) {
+      if (error instanceof PadExhaustedError) {
+        setSecurityWarning(`❌ Encryption refused: ${error.message}. Generate more key with a new run.`);
+      } else if (error instanceof PadReuseError) {
+        setSecurityWarning(`🚨 Pad reuse detected: ${error.message.toLowerCase()}. Alice refuses to encrypt with it.`);
+      } else {
+        console.error("Error:", error);
+        setSecurityWarning(`❌ Encryption failed: ${error.message}`);
+      }
+    }
+  };
+
+  const decryptWithPad = (keys) => {
+    try {
+      const decrypted = otpDecrypt(encryptedData, keys.bob, padLedger);
+      setDecryptedMessage(decrypted);
+      callbacks.current.onDecrypt?.({ encrypted: encryptedData, decrypted });
+      if (lastRun?.id) {
+        history.updateRun(lastRun.id, (run) => ({ encryption: { ...run.encryption, decrypted } }));
+      }
+      setTimeline(`✅ Message ${encryptedData.message_id} decrypted with the same pad bits`);
+    } catch (error) {
+      if (error instanceof PadReuseError) {
+        setSecurityWarning(`🚨 Pad reuse detected: message ${encryptedData.message_id} uses ${error.message.toLowerCase()}. Bob refuses to decrypt it.`);
+      } else if (error instanceof PadExhaustedError) {
+        setSecurityWarning(`❌ Decryption refused: ${error.message}.`);
+      } else {
+        console.error("Error:", error);
+        setSecurityWarning(`❌ Decryption failed: ${error.message}`);
+      }
     }
   };
 
   // Modify decryptMessage function to check QBER
   const decryptMessage = async () => {
-    if (parseFloat(qber) > 20) {
-      setSecurityWarning("❌ Decryption blocked: QBER is too high (>20%). Potential eavesdropping detected.");
+    if (keyBlocked) {
+      setSecurityWarning(`❌ Decryption blocked: QBER is above the security policy's ${qberLimit} threshold. Potential eavesdropping detected.`);
       return;
     }
     
-    if (!encryptedData || siftedKey.length === 0) {
+    if (encryptedData?.key_ID) {
+      setSecurityWarning("");
+      decryptWithPoolKey();
+      return;
+    }
+
+    const keys = encryptedData?.cipher && keysFor(encryptedData.cipher);
+    if (!encryptedData || !keys) {
       setTimeline("No encrypted data or key available");
       return;
     }
 
     setSecurityWarning("");
+    if (encryptedData.cipher === "otp") {
+      decryptWithPad(keys);
+      return;
+    }
     setTimeline("Decrypting message with quantum key...");
     
     try {
-      const response = await fetch('http://localhost:5000/api/decrypt', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          encrypted_data: encryptedData,
-          key: siftedKey
-        })
-      });
-
-      const data = await response.json();
-      
-      if (data.error) {
-        setTimeline(`Decryption error: ${data.error}`);
-        return;
-      }
-
+      const data = await api.decrypt(encryptedData, { key: keys.bob, runId: resultsData?.run_id });
       setDecryptedMessage(data.decrypted);
+      callbacks.current.onDecrypt?.({ encrypted: encryptedData, decrypted: data.decrypted });
+      if (lastRun?.id) {
+        history.updateRun(lastRun.id, (run) => ({
+          encryption: { ...run.encryption, decrypted: data.decrypted },
+        }));
+      }
       setTimeline("✅ Message decrypted successfully");
     } catch (error) {
       console.error('Error:', error);
-      setTimeline("❌ Error decrypting message");
+      reportApiError(error, "Decryption");
     }
   };
 
-  const BasisIndicator = ({ basis }) => (
-    <span style={{ 
-      display: "inline-block",
-      padding: "4px 12px",
-      borderRadius: "6px",
-      background: basis === 0 ? "rgba(74, 144, 226, 0.2)" : "rgba(255, 193, 7, 0.2)",
-      border: `2px solid ${basis === 0 ? "#4A90E2" : "#FFC107"}`,
-      color: basis === 0 ? "#4A90E2" : "#FFC107",
-      fontWeight: "bold",
-      fontSize: "1.1em"
-    }}>
-      {basis === 0 ? "+" : "×"}
+  // One colour per basis: + blue, × amber, ○ green; E91 angles stay neutral
+  const BasisIndicator = ({ basis, dimmed = false }) => (
+    <span
+      className={`basis-indicator basis-${basis.basis ?? "angle"} ${dimmed ? "dimmed" : ""}`}
+      title={basis.label}
+    >
+      {basis.symbol}
     </span>
   );
 
@@ -381,28 +901,152 @@ const BB84Simulator = () => {
   );
 
   return (
-    <div className="quantum-simulator">
-      <ChatHelpBot />
+    <div className={`quantum-simulator ${report ? "printing-report" : ""}`} style={themeVariables(theme)}>
+      <RunReport report={report} onClose={() => setReport(null)} />
+      {show.chatbot && (
+        <ChatHelpBot context={{ qber, siftedKey, eveKey, tableData, securityWarning, results: resultsData }} />
+      )}
+      <HistoryPanel history={history} onLoad={loadHistoryRun} onCompare={setComparePair} disabled={busy} />
+      <RunComparison runs={comparePair} onClose={() => setComparePair(null)} />
       
       <div className="header">
         <h1>Quantum BB84 Simulator</h1>
-        <p className="subtitle">Visualizing Quantum Key Distribution with the BB84 Protocol</p>
+        <p className="subtitle">Visualizing Quantum Key Distribution with BB84, B92, Six-state and E91</p>
+      </div>
+
+      <div className="mode-tabs" role="tablist">
+        {MODES.map((m) => (
+          <button
+            key={m.id}
+            type="button"
+            role="tab"
+            aria-selected={mode === m.id}
+            className={mode === m.id ? "active" : ""}
+            onClick={() => setMode(m.id)}
+            disabled={busy}
+          >
+            {m.label}
+          </button>
+        ))}
       </div>
 
+      {mode === "lessons" && (
+        <LessonPanel progress={lessonProgress} run={lessonRun} selectedRow={lessonRow} onSelectRow={setLessonRow} />
+      )}
+
       {securityWarning && (
         <div className="security-warning">
           {securityWarning}
         </div>
       )}
 
-      <div className="controls-container">
+      <div className="controls-container" hidden={mode === "network"}>
         <div className="controls">
+          <div className="control-item" data-lesson="protocol">
+            <label htmlFor="protocol-select">Protocol: {protocolDef.label}</label>
+            <select
+              id="protocol-select"
+              value={protocol}
+              onChange={(e) => setProtocol(e.target.value)}
+              disabled={busy || locked.has("protocol")}
+            >
+              {PROTOCOLS.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+            <p className="protocol-summary">
+              {protocolDef.summary}
+              {!protocolDef.backend && " Runs on the local engine."}
+            </p>
+          </div>
+          <div className="control-item" data-lesson="eve-strategy">
+            <label htmlFor="strategy-select">Eve strategy: {strategyById(runAttack.strategy).label}</label>
+            <select
+              id="strategy-select"
+              value={runAttack.strategy}
+              onChange={(e) => setAttack((prev) => ({ ...prev, strategy: e.target.value }))}
+              disabled={busy || protocol !== "bb84" || locked.has("attack")}
+            >
+              {EVE_STRATEGIES.map((st) => (
+                <option key={st.id} value={st.id}>
+                  {st.label}
+                </option>
+              ))}
+            </select>
+            <p className="protocol-summary">
+              {protocol === "bb84" ? strategyById(runAttack.strategy).summary : `${protocolDef.label} supports intercept-resend only.`}
+            </p>
+            {runAttack.strategy === "pns" && (
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={attack.decoy}
+                  onChange={(e) => setAttack((prev) => ({ ...prev, decoy: e.target.checked }))}
+                  disabled={busy || locked.has("attack")}
+                />
+                Decoy states (signal / decoy / vacuum pulses)
+              </label>
+            )}
+          </div>
+          <div className="control-item" data-lesson="classical-eve">
+            <label htmlFor="mitm-select">Classical-channel Eve: {mitmById(mitm).label}</label>
+            <select
+              id="mitm-select"
+              value={mitm}
+              onChange={(e) => setMitm(e.target.value)}
+              disabled={busy || Boolean(encryptedData) || locked.has("mitm")}
+            >
+              {MITM_ATTACKS.map((a) => (
+                <option key={a.id} value={a.id}>
+                  {a.label}
+                </option>
+              ))}
+            </select>
+            <p className="protocol-summary">{mitmById(mitm).summary} Applies to the run on screen.</p>
+          </div>
+          <div className="control-item" data-lesson={lessonTarget("Photons per run")}>
+            <label htmlFor="run-size-select">Photons per run: {photons.toLocaleString()}</label>
+            <select
+              id="run-size-select"
+              value={largeN ?? ""}
+              onChange={(e) => setLargeN(e.target.value ? Number(e.target.value) : null)}
+              disabled={busy || locked.has("n")}
+            >
+              <option value="">Animated (10–{MAX_ANIMATED_PHOTONS})</option>
+              {LARGE_RUN_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size.toLocaleString()}
+                </option>
+              ))}
+            </select>
+            {largeN !== null && (
+              <p className="protocol-summary">Large run: simulated off the main thread and played back in batches.</p>
+            )}
+          </div>
           {[
-            { label: "Number of photons", value: n, min: 10, max: 50, step: 1, setter: setN },
-            { label: "Eve probability", value: eveProb, min: 0, max: 1, step: 0.1, setter: setEveProb, format: (v) => `${(v * 100).toFixed(0)}%` },
-            { label: "Animation speed", value: speed, min: 10, max: 300, step: 10, setter: setSpeed, format: (v) => `${v}ms` },
+            ...(largeN === null ? [{ label: "Number of photons", setting: "n", value: n, min: 10, max: MAX_ANIMATED_PHOTONS, step: 1, setter: setN }] : []),
+            { label: "Eve probability", setting: "eveProb", value: eveProb, min: 0, max: 1, step: 0.1, setter: setEveProb, format: (v) => `${(v * 100).toFixed(0)}%` },
+            ...(runAttack.strategy === "cloning"
+              ? [{ label: "Cloning disturbance", setting: "attack", value: attack.cloningDisturbance, min: 0, max: 0.25, step: 0.01, setter: (v) => setAttack((prev) => ({ ...prev, cloningDisturbance: v })), format: (v) => `${(v * 100).toFixed(0)}% (optimal ≈ 15%)` }]
+              : []),
+            ...(runAttack.strategy === "pns"
+              ? [
+                  { label: "Signal intensity μ", setting: "attack", value: attack.signalMu, min: 0.2, max: 1, step: 0.05, setter: (v) => setAttack((prev) => ({ ...prev, signalMu: v, decoyMu: Math.min(prev.decoyMu, v - 0.05) })), format: (v) => v.toFixed(2) },
+                  ...(attack.decoy
+                    ? [{ label: "Decoy intensity ν", setting: "attack", value: attack.decoyMu, min: 0.05, max: attack.signalMu - 0.05, step: 0.05, setter: (v) => setAttack((prev) => ({ ...prev, decoyMu: v })), format: (v) => v.toFixed(2) }]
+                    : []),
+                  { label: "Channel transmittance", setting: "attack", value: attack.transmittance, min: 0.05, max: 1, step: 0.05, setter: (v) => setAttack((prev) => ({ ...prev, transmittance: v })), format: (v) => `${(v * 100).toFixed(0)}%` },
+                ]
+              : []),
+            { label: "Bit-flip (X) noise", setting: "noise", value: noise.bitFlip, min: 0, max: 0.3, step: 0.01, setter: (v) => setNoise((prev) => ({ ...prev, bitFlip: v })), format: (v) => `${(v * 100).toFixed(0)}%` },
+            { label: "Depolarizing noise", setting: "noise", value: noise.depolarizing, min: 0, max: 0.3, step: 0.01, setter: (v) => setNoise((prev) => ({ ...prev, depolarizing: v })), format: (v) => `${(v * 100).toFixed(0)}%` },
+            { label: "Polarization misalignment", setting: "noise", value: noise.misalignmentDeg, min: 0, max: 30, step: 1, setter: (v) => setNoise((prev) => ({ ...prev, misalignmentDeg: v })), format: (v) => `${v}°` },
+            { label: "QBER sample size", setting: "sampleFraction", value: sampleFraction, min: 0.1, max: 0.5, step: 0.05, setter: setSampleFraction, format: (v) => `${(v * 100).toFixed(0)}% of sifted bits` },
+            { label: "Animation speed", setting: "speed", value: speed, min: 10, max: 300, step: 10, setter: setSpeed, format: (v) => `${v}ms`, live: true },
           ].map((ctrl) => (
-            <div key={ctrl.label} className="control-item">
+            <div key={ctrl.label} className="control-item" data-lesson={lessonTarget(ctrl.label)}>
               <label>{ctrl.label}: {ctrl.format ? ctrl.format(ctrl.value) : ctrl.value}</label>
               <input
                 type="range"
@@ -411,226 +1055,460 @@ const BB84Simulator = () => {
                 step={ctrl.step}
                 value={ctrl.value}
                 onChange={(e) => ctrl.setter(Number(e.target.value))}
-                disabled={isRunning}
+                disabled={(busy && !ctrl.live) || locked.has(ctrl.setting)}
               />
             </div>
           ))}
+          <div className="control-item" data-lesson="seed">
+            <label htmlFor="seed-input">Seed: {seedInput === "" ? "random each run" : seedInput}</label>
+            <div className="seed-control">
+              <input
+                id="seed-input"
+                type="number"
+                min={0}
+                max={MAX_SEED}
+                step={1}
+                value={seedInput}
+                placeholder="random"
+                onChange={(e) => setSeedInput(e.target.value)}
+                disabled={busy || locked.has("seed")}
+              />
+              <button
+                type="button"
+                onClick={() => setSeedInput(String(randomSeed()))}
+                disabled={busy || locked.has("seed")}
+                title="Pick a random seed"
+              >
+                🎲 Random
+              </button>
+            </div>
+          </div>
         </div>
 
-        <div className="simulate-button-container">
-          <button
-            onClick={runSimulation}
-            disabled={isRunning}
-            className="simulate-button"
-          >
-            {isRunning ? "⏳ Running Quantum Simulation..." : "▶️ Run Quantum Simulation"}
-          </button>
-        </div>
+        {showsSimulator && (
+          <div className="simulate-button-container" data-lesson="run-button">
+            <div className="engine-toggle" role="group" aria-label="Simulation engine">
+              {ENGINES.map((e) => (
+                <button
+                  key={e.id}
+                  type="button"
+                  className={engine === e.id ? "active" : ""}
+                  onClick={() => setEngine(e.id)}
+                  disabled={busy || locked.has("engine")}
+                >
+                  {e.label}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={runSimulation}
+              disabled={busy}
+              className="simulate-button"
+            >
+              {isRunning ? "⏳ Running Quantum Simulation..." : playback.playing ? "📡 Animating..." : "▶️ Run Quantum Simulation"}
+            </button>
+            <button
+              onClick={replayLastRun}
+              disabled={busy || !lastRun}
+              className="simulate-button secondary"
+              title="Re-animate the last run from its stored result"
+            >
+              🔁 Replay
+            </button>
+          </div>
+        )}
       </div>
 
-      <div className="timeline">{timeline}</div>
+      {mode === "experiment" && (
+        <ExperimentPanel defaultEngine={engine} engineLocked={locked.has("engine")} noise={noise} sampleFraction={sampleFraction} attack={attack} />
+      )}
 
-      <div className="quantum-channel-container">
-        <div className="quantum-channel">
-          <div className="party alice">
-            <div className="label">Alice</div>
-            <div className="description">Sender</div>
-            <div className="bit-display">
-              {photon && <BitIndicator bit={photon.bit} />}
-            </div>
+      {/* Kept mounted so the relay connection survives switching tabs */}
+      <div hidden={mode !== "network"}>
+        <NetworkPanel />
+      </div>
+
+      <div className="simulator-view" hidden={!showsSimulator}>
+        <div className="timeline">{timeline}</div>
+
+        {streamProgress && (
+          <div className="stream-progress">
+            <progress value={streamProgress.received} max={streamProgress.total} />
+            <span>
+              {streamProgress.received.toLocaleString()} of {streamProgress.total.toLocaleString()} photons received from the quantum backend
+              {streamProgress.reconnecting && " — connection lost, resuming…"}
+            </span>
           </div>
+        )}
+
+        <PlaybackControls playback={playback} onCancel={cancelPlayback} />
+
+        {show.channel && largeRunOnScreen && <RunTally data={playbackData} frame={frame} />}
+
+        <div className="quantum-channel-container" data-lesson="photon-channel" hidden={largeRunOnScreen || !show.channel}>
+          <div className="quantum-channel">
+            <div className="party alice">
+              <div className="label">Alice</div>
+              <div className="description">Sender</div>
+              <div className="basis-set">
+                {viewProtocol.aliceBases.map((b) => (
+                  <BasisIndicator key={b.label} basis={b} dimmed={Boolean(photon) && photon.basis.symbol !== b.symbol} />
+                ))}
+              </div>
+              <div className="bit-display">
+                {photon && <BitIndicator bit={photon.bit} />}
+              </div>
+            </div>
           
-          <div className="communication-line">
-            <AnimatePresence>
-              {photon && (
-                <motion.div
-                  key={animationKey}
-                  initial={{ left: "10%", opacity: 0, scale: 0.8 }}
-                  animate={{ left: "90%", opacity: 1, scale: 1 }}
-                  exit={{ opacity: 0, scale: 0.5 }}
-                  transition={{ duration: speed / 1000, ease: "easeInOut" }}
-                  className="photon"
-                  style={{ color: photon.color }}
+            <div className="communication-line">
+              <AnimatePresence>
+                {photon && (
+                  <motion.div
+                    key={animationKey}
+                    initial={{ left: "10%", opacity: 0, scale: 0.8 }}
+                    animate={{ left: "90%", opacity: 1, scale: 1 }}
+                    exit={{ opacity: 0, scale: 0.5 }}
+                    transition={{ duration: speed / 1000, ease: "easeInOut" }}
+                    className="photon"
+                    style={{ color: photon.color }}
+                  >
+                    <div className="photon-symbol">{photon.symbol}</div>
+                    <div className="photon-basis">
+                      <BasisIndicator basis={photon.basis} />
+                    </div>
+                    <div className="photon-bit">
+                      <BitIndicator bit={photon.bit} />
+                    </div>
+                  </motion.div>
+                )}
+              </AnimatePresence>
+
+              {eveActive && (
+                <motion.div 
+                  initial={{ opacity: 0, scale: 0.5, y: -20 }}
+                  animate={{ opacity: 1, scale: 1, y: 0 }}
+                  exit={{ opacity: 0, scale: 0.5, y: -20 }}
+                  className="eve-indicator"
                 >
-                  <div className="photon-symbol">{photon.symbol}</div>
-                  <div className="photon-basis">
-                    <BasisIndicator basis={photon.basis} />
-                  </div>
-                  <div className="photon-bit">
-                    <BitIndicator bit={photon.bit} />
-                  </div>
+                  .
                 </motion.div>
               )}
-            </AnimatePresence>
-
-            {eveActive && (
-              <motion.div 
-                initial={{ opacity: 0, scale: 0.5, y: -20 }}
-                animate={{ opacity: 1, scale: 1, y: 0 }}
-                exit={{ opacity: 0, scale: 0.5, y: -20 }}
-                className="eve-indicator"
-              >
-                .
-              </motion.div>
-            )}
-          </div>
+            </div>
           
-          <div className="party bob">
-            <div className="label">Bob</div>
-            <div className="description">Receiver</div>
-            <div className="bit-display">
-              {photon && <BitIndicator bit={photon.bit} />}
+            <div className="party bob">
+              <div className="label">Bob</div>
+              <div className="description">Receiver</div>
+              <div className="basis-set">
+                {viewProtocol.bobBases.map((b) => (
+                  <BasisIndicator key={b.label} basis={b} />
+                ))}
+              </div>
+              <div className="bit-display">
+                {photon && <BitIndicator bit={photon.bit} />}
+              </div>
             </div>
-          </div>
 
-          <div className={`party eve ${eveActive ? 'active' : ''}`}>
-            <div className="label">Eve</div>
-            <div className="description">Eavesdropper</div>
+            <div className={`party eve ${eveActive ? 'active' : ''}`}>
+              <div className="label">Eve</div>
+              <div className="description">{eveStrategy.label}</div>
+              {eveActive && photon?.eveAction && <div className="eve-action">{photon.eveAction}</div>}
+            </div>
           </div>
         </div>
-      </div>
 
-      <div className="results-table">
-        <div className="table-wrapper">
-          <table>
-            <thead>
-              <tr>
-                {["Alice Bases","Alice Bits", "Bob Basis", "Bob Measured Bit", "Eve Bits ", "Eve Intercepting", "Bases Match"].map((col) => (
-                  <th key={col}>{col}</th>
-                ))}
-              </tr>
-            </thead>
-            <tbody>
-              {tableData.map((row, idx) => {
-                const aliceBit = row["Alice Bit"];
-                const bobBit = row["Bob Measured Bit"];
-                const eveIntercept = row["Eve Intercepting"] === "Yes";
-                const basesMatch = row["Match"] === "Yes";
-
-                let rowClass = "";
-                if (highlightedRow === idx) rowClass = "highlighted";
-                else if (eveIntercept) rowClass = "eve-present";
-                else if (!basesMatch) rowClass = "bases-differ";
-                else if (aliceBit !== bobBit) rowClass = "error";
-                else if (aliceBit === bobBit) rowClass = "correct";
-
-                return (
-                  <tr key={idx} className={rowClass}>
-                    {Object.values(row).map((val, i) => (
-                      <td key={i}>{val}</td>
-                    ))}
-                  </tr>
-                );
-              })}
-            </tbody>
-          </table>
+        {show.channel && !largeRunOnScreen && <PhotonStatePanel photon={photon} stage={photonStage} />}
+
+        <div className="results-table" data-lesson="results-table" hidden={!show.table}>
+          <ResultsTable
+            columns={tableColumns}
+            rows={tableData}
+            highlightedRow={highlightedRow}
+            sampledRows={sampledSet}
+            onSelectRow={mode === "lessons" ? setLessonRow : undefined}
+          />
         </div>
-      </div>
 
-      <div className="results">
-        <h2>Quantum Results</h2>
+        <ClassicalChannelPanel transcript={transcript} phases={channelPhases} />
+
+        <ReconciliationPanel
+          reconciliation={channelAborted ? null : reconciliation}
+          method={reconMethod}
+          onMethodChange={setReconMethod}
+          disabled={busy || Boolean(encryptedData)}
+        />
+
+        <PrivacyAmplificationPanel privacy={channelAborted ? null : privacy} cipher={selectedCipher} />
+
+        <SecurityAnalysisPanel
+          analysis={security}
+          policy={policy}
+          basePolicy={securityPolicy.basePolicy}
+          limits={securityPolicy.limits}
+          status={securityPolicy.status}
+          onRetry={securityPolicy.retry}
+          onPolicyChange={securityPolicy.update}
+          onPolicyReset={securityPolicy.reset}
+          disabled={busy}
+        />
+
+        <KeyPoolPanel pool={pool} disabled={busy} />
+
+        <div className="results">
+          <h2>Quantum Results</h2>
+          {lastRun && (
+            <p className="run-meta">
+              Seed <code>{lastRun.seed}</code> · {lastRun.n.toLocaleString()} photons · Eve {(lastRun.eveProb * 100).toFixed(0)}%
+              {lastRun.eveProb > 0 && lastRun.attack && ` (${strategyById(lastRun.attack.strategy).label})`}
+              {hasNoise(lastRun.noise) && ` · Noise: flip ${(lastRun.noise.bitFlip * 100).toFixed(0)}%, depol ${(lastRun.noise.depolarizing * 100).toFixed(0)}%, tilt ${lastRun.noise.misalignmentDeg}°`}
+              {" "}· {lastRun.source}
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => setSeedInput(String(lastRun.seed))}
+                disabled={busy || locked.has("seed")}
+              >
+                Reuse seed
+              </button>
+              {syncUrl && (
+                <button type="button" className="link-button" onClick={copyRunLink} disabled={busy}>
+                  🔗 Copy link
+                </button>
+              )}
+              <button type="button" className="link-button" onClick={openReport} disabled={busy || !resultsData}>
+                📄 Generate report
+              </button>
+            </p>
+          )}
         
-        <div className="result-cards">
-          <div className="result-card">
-            <h3>Final Sifted Key</h3>
-            <div className="key-display">
-              {siftedKey.length > 0 ? siftedKey.map((bit, idx) => (
-                <span key={idx} className={`bit ${bit === 0 ? "zero" : "one"}`}>
-                  {bit}
-                </span>
-              )) : "-"}
+          <div className="result-cards">
+            <div className="result-card" data-lesson="sifted-key-card">
+              <h3>Sifted Key (after sampling)</h3>
+              <div className="key-display">
+                <KeyBits bits={siftedKey} />
+              </div>
+              <p>
+                {siftedKey.length.toLocaleString()} bits
+                {errorStats?.estimate && ` (${errorStats.estimate.sampleSize} disclosed for QBER estimation)`}
+              </p>
             </div>
-            <p>{siftedKey.length} bits</p>
-          </div>
           
-          <div className="result-card">
-            <h3>Quantum Bit Error Rate</h3>
-            <div className="qber-value">{qber}%</div>
-            <p>{qber > 20 ? "High error rate - Eve might be present!" : "Low error rate - channel is secure"}</p>
-          </div>
+            <div className="result-card" data-lesson="qber-card">
+              <h3>{errorStats?.estimate ? "Estimated QBER" : "Quantum Bit Error Rate"}</h3>
+              <div className="qber-value">{qber}%</div>
+              {errorStats?.estimate && (
+                <div className="qber-estimate">
+                  <span>
+                    95% CI: {(errorStats.estimate.interval[0] * 100).toFixed(1)}–{(errorStats.estimate.interval[1] * 100).toFixed(1)}%
+                  </span>
+                  <span>
+                    From {errorStats.estimate.sampleErrors} errors in {errorStats.estimate.sampleSize} of {errorStats.estimate.siftedLength} sifted bits
+                  </span>
+                </div>
+              )}
+              <p>
+                {keyBlocked
+                  ? `Above the ${qberLimit} policy threshold - Eve might be present!`
+                  : `Within the ${qberLimit} policy threshold`}
+              </p>
+              {errorStats && (
+                <div className="qber-breakdown">
+                  {errorStats.breakdown && (
+                    <span>
+                      Errors from Eve: {errorStats.breakdown.eve} · Noise: {errorStats.breakdown.noise} · Both: {errorStats.breakdown.both}
+                    </span>
+                  )}
+                  <span>Noise alone would give ≈ {(errorStats.noiseFloor * 100).toFixed(1)}%</span>
+                  {errorStats.estimate && (
+                    <span>True QBER (simulator only): {(errorStats.trueQber * 100).toFixed(2)}%</span>
+                  )}
+                </div>
+              )}
+            </div>
           
-          <div className="result-card">
-            <h3>Eve's Intercepted Key</h3>
-            <div className="key-display">
-              {eveKey.length > 0 ? eveKey.map((bit, idx) => (
-                <span key={idx} className={`bit eve-bit ${bit === 0 ? "zero" : "one"}`}>
-                  {bit}
-                </span>
-              )) : "-"}
+            <div className="result-card" data-lesson="eve-card">
+              <h3>Eve's Intercepted Key · {eveStrategy.label}</h3>
+              <div className="key-display">
+                <KeyBits bits={eveKey} className="eve-bit" />
+              </div>
+              <p>{eveKey.length.toLocaleString()} bits intercepted</p>
+              {resultsData?.eve_information && (
+                <div className="qber-breakdown">
+                  <span>
+                    Eve's information: ≈ {resultsData.eve_information.bits.toFixed(1)} bits ({(resultsData.eve_information.key_fraction * 100).toFixed(1)}% of the sifted key)
+                  </span>
+                  {resultsData.eve_information.intercepted > 0 && (
+                    <span>
+                      {resultsData.eve_information.correct} of {resultsData.eve_information.intercepted} of her sifted bits are right
+                    </span>
+                  )}
+                </div>
+              )}
             </div>
-            <p>{eveKey.length} bits intercepted</p>
+
+            {resultsData?.decoy && <DecoyCard decoy={resultsData.decoy} />}
+
+            {protocolStat && (
+              <div className={`result-card protocol-statistic ${protocolStat.alarm ? "alarm" : ""}`} data-lesson="protocol-statistic">
+                <h3>{protocolStat.title}</h3>
+                <div className="qber-value">{protocolStat.value}</div>
+                <p>{protocolStat.detail}</p>
+              </div>
+            )}
           </div>
         </div>
-      </div>
 
-      <div className="encryption-section">
-        <h2>AES Encryption {parseFloat(qber) > 20 && "(Disabled - High QBER)"}</h2>
+        <div className="encryption-section" data-lesson="encryption" hidden={!show.encryption}>
+          <h2>{cipher === "otp" ? "One-Time Pad" : "AES"} Encryption {keyBlocked && "(Disabled - High QBER)"}</h2>
         
-        <div className="encryption-controls">
-          <div className="input-group">
-            <label>Message to encrypt:</label>
-            <input
-              type="text"
-              value={message}
-              onChange={(e) => setMessage(e.target.value)}
-              placeholder="Enter secret message"
-              disabled={parseFloat(qber) > 20}
-            />
+          <div className="input-group cipher-group">
+            <label htmlFor="cipher-select">Cipher:</label>
+            <select
+              id="cipher-select"
+              value={cipher}
+              onChange={(e) => setCipher(e.target.value)}
+              disabled={Boolean(encryptedData)}
+            >
+              {CIPHERS.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.label}
+                  {c.id === "otp" ? ` — ${c.keyBits} secure bits per byte` : c.fromPool ? ` — ${c.keyBits}-bit key from the pool` : ""}
+                </option>
+              ))}
+            </select>
+            {cipher !== "otp" && (
+              <>
+                <label htmlFor="aes-mode-select">Mode:</label>
+                <select
+                  id="aes-mode-select"
+                  value={aesMode}
+                  onChange={(e) => setAesMode(e.target.value)}
+                  disabled={Boolean(encryptedData)}
+                >
+                  {AES_MODES.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
           </div>
+
+          {cipher === "otp" && keysVerified && privacy && (
+            <KeyBudget
+              keyLength={privacy.outputLength}
+              ledger={padLedger}
+              needed={textToBits(message).length}
+              onGenerate={runSimulation}
+              disabled={busy}
+            />
+          )}
+
+          <div className="encryption-controls">
+            <div className="input-group">
+              <label>Message to encrypt:</label>
+              <input
+                type="text"
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                placeholder="Enter secret message"
+                disabled={keyBlocked}
+              />
+            </div>
+
+            {cipher === "otp" && padLedger.length > 0 && (
+              <label className="checkbox-label">
+                <input type="checkbox" checked={reusePad} onChange={(e) => setReusePad(e.target.checked)} />
+                Reuse the previous message's pad (insecure demo)
+              </label>
+            )}
           
-          <button 
-            onClick={encryptMessage} 
-            disabled={siftedKey.length === 0 || parseFloat(qber) > 20}
-          >
-            {parseFloat(qber) > 20 ? "Encryption Disabled" : "Encrypt with Quantum Key"}
-          </button>
+            <button 
+              onClick={encryptMessage} 
+              disabled={!canEncrypt || keyBlocked}
+            >
+              {keyBlocked
+                ? "Encryption Disabled"
+                : selectedCipher.fromPool
+                  ? canEncrypt
+                    ? "Encrypt with Pooled Key"
+                    : "Key Pool Too Small"
+                  : channelAborted
+                    ? "Protocol Aborted"
+                    : !keysVerified
+                      ? "Awaiting Verified Key"
+                      : encryptionKeys
+                        ? "Encrypt with Quantum Key"
+                        : "Secure Key Too Short"}
+            </button>
           
-          {encryptedData && (
-            <div className="encrypted-data">
-              <h4>Encrypted Message:</h4>
-              <div className="ciphertext">{encryptedData.ciphertext}</div>
+            {encryptedData && (
+              <div className="encrypted-data">
+                <h4>Encrypted Message:</h4>
+                <div className="ciphertext">{encryptedData.ciphertext}</div>
+                {encryptedData.key_ID && (
+                  <p className="run-meta">
+                    Key ID <code>{encryptedData.key_ID}</code>
+                    {encryptedData.mode && ` · AES-${encryptedData.mode.toUpperCase()}`}
+                  </p>
+                )}
               
-              <button 
-                onClick={decryptMessage} 
-                style={{ marginTop: '15px' }}
-                disabled={parseFloat(qber) > 20}
-              >
-                {parseFloat(qber) >20 ? "Decryption Disabled" : "Decrypt with Quantum Key"}
-              </button>
-            </div>
-          )}
+                <button 
+                  onClick={decryptMessage} 
+                  style={{ marginTop: '15px' }}
+                  disabled={keyBlocked}
+                >
+                  {keyBlocked ? "Decryption Disabled" : "Decrypt with Quantum Key"}
+                </button>
+              </div>
+            )}
           
-          {decryptedMessage && (
-            <div className="decrypted-data">
-              <h4>Decrypted Message:</h4>
-              <div className="plaintext">{decryptedMessage}</div>
-            </div>
-          )}
+            {decryptedMessage && (
+              <div className="decrypted-data">
+                <h4>Decrypted Message:</h4>
+                <div className="plaintext">{decryptedMessage}</div>
+              </div>
+            )}
+          </div>
+
+          <FileEncryptionPanel
+            poolBits={pool.storedBits}
+            disabled={busy || keyBlocked}
+            onKeysUsed={pool.refresh}
+          />
         </div>
-      </div>
 
-      <div className="legend">
-        <h3>Legend</h3>
-        <div className="legend-items">
-          <div className="legend-item">
-            <div className="color-swatch correct"></div>
-            <span>Matching bases (no Eve)</span>
-          </div>
-          <div className="legend-item">
-            <div className="color-swatch eve-present"></div>
-            <span>Eve intercepted</span>
-          </div>
-          <div className="legend-item">
-            <div className="color-swatch error"></div>
-            <span>Measurement error</span>
-          </div>
-          <div className="legend-item">
-            <div className="color-swatch bases-differ"></div>
-            <span>Different bases</span>
-          </div>
-          <div className="legend-item">
-            <div className="color-swatch highlighted"></div>
-            <span>Selected for key</span>
+        <div className="legend" hidden={!show.legend}>
+          <h3>Legend</h3>
+          <div className="legend-items">
+            <div className="legend-item">
+              <div className="color-swatch correct"></div>
+              <span>Matching bases (no Eve)</span>
+            </div>
+            <div className="legend-item">
+              <div className="color-swatch eve-present"></div>
+              <span>Eve intercepted</span>
+            </div>
+            <div className="legend-item">
+              <div className="color-swatch error"></div>
+              <span>Measurement error</span>
+            </div>
+            <div className="legend-item">
+              <div className="color-swatch noise-error"></div>
+              <span>Noise error (not Eve)</span>
+            </div>
+            <div className="legend-item">
+              <div className="color-swatch bases-differ"></div>
+              <span>Different bases</span>
+            </div>
+            <div className="legend-item">
+              <div className="color-swatch sampled"></div>
+              <span>Disclosed for QBER estimate</span>
+            </div>
+            <div className="legend-item">
+              <div className="color-swatch highlighted"></div>
+              <span>Selected for key</span>
+            </div>
           </div>
         </div>
       </div>
@@ -642,4 +1520,17 @@ const BB84Simulator = () => {
   );
 };
 
+// Every simulator gets its own backend client, so two on one page can use
+// different backends
+// Run ids and pending key-pool blocks only mean something to the backend that
+// issued them, so another backend's simulator keeps its own storage
+const BB84Simulator = ({ apiBaseUrl, storageKey = apiBaseUrl ? `bb84@${apiBaseUrl}` : "bb84", ...props }) => {
+  const api = useMemo(() => createApi(apiBaseUrl), [apiBaseUrl]);
+  return (
+    <ApiContext.Provider value={api}>
+      <Simulator storageKey={storageKey} {...props} />
+    </ApiContext.Provider>
+  );
+};
+
 export default BB84Simulator;
@@ -0,0 +1,385 @@
+import { toNoisePayload } from "./engine/noise";
+import { toAttackPayload } from "./engine/eavesdropping";
+import { API_BASE_URL, API_TIMEOUT_MS, API_RETRIES, HEALTH_TIMEOUT_MS } from "./config";
+
+// Client for the Flask backend. createApi(baseUrl) makes one per backend; every
+// call goes through its request(), which applies the timeout/retry policy and
+// turns failures into the error types below so the UI can react to each one
+// differently.
+
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Network failure or failed health check: nothing answered at the base URL
+export class BackendUnavailableError extends ApiError {
+  constructor(message = "Quantum backend is unreachable", options) {
+    super(message, options);
+    this.name = "BackendUnavailableError";
+  }
+}
+
+export class RequestTimeoutError extends ApiError {
+  constructor(message = "Quantum backend did not respond in time", options) {
+    super(message, options);
+    this.name = "RequestTimeoutError";
+  }
+}
+
+// The caller aborted a streamed run
+export class RequestCancelledError extends ApiError {
+  constructor(message = "Request cancelled", options) {
+    super(message, options);
+    this.name = "RequestCancelledError";
+  }
+}
+
+// 400 with code "security": the security policy refused the key (check_security,
+// or a key store deposit)
+export class SecurityError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "SecurityError";
+  }
+}
+
+// 5xx: the backend was reached but the operation itself failed
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ServerError";
+  }
+}
+
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+
+const toError = (status, body) => {
+  // Simulator endpoints answer { error }, the ETSI key-delivery ones { message }
+  const message = (body && (body.error || body.message)) || `Request failed with status ${status}`;
+  if (status === 400 && body?.code === "security") {
+    return new SecurityError(message, { status, body });
+  }
+  if (status >= 500) return new ServerError(message, { status, body });
+  return new ApiError(message, { status, body });
+};
+
+const isRetryable = (error) =>
+  error instanceof BackendUnavailableError ||
+  error instanceof RequestTimeoutError ||
+  RETRYABLE_STATUSES.includes(error.status);
+
+const attempt = async (url, { method, body, headers, timeout }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: { ...(body ? { "Content-Type": "application/json" } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") throw new RequestTimeoutError();
+    throw new BackendUnavailableError();
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (error) {
+    // Non-JSON body (e.g. a proxy error page); fall through on status alone
+  }
+
+  if (!response.ok) throw toError(response.status, data);
+  if (data && data.error) throw toError(500, data);
+  return data;
+};
+
+const bb84Body = ({ nBits, eveProb, seed, noise, sampleFraction, attack }) => ({
+  n_bits: nBits,
+  eve_prob: eveProb,
+  seed,
+  noise: toNoisePayload(noise),
+  sample_fraction: sampleFraction,
+  attack: toAttackPayload(attack),
+});
+
+// One connection to /api/bb84/stream. Server-Sent Events are parsed off a fetch
+// body (EventSource can't POST); the timeout applies to every gap between
+// reads, so a long run is fine as long as photons keep arriving.
+const readEvents = async (url, { body, lastEventId, signal }, onEvent) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort);
+  let timer = setTimeout(abort, API_TIMEOUT_MS);
+  const failed = (error) => {
+    if (signal?.aborted) return new RequestCancelledError();
+    if (error.name === "AbortError") return new RequestTimeoutError("Quantum backend stopped sending photons");
+    return error instanceof ApiError ? error : new BackendUnavailableError();
+  };
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(lastEventId !== null ? { "Last-Event-ID": String(lastEventId) } : {}),
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw failed(error);
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw toError(response.status, data);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for (;;) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        throw failed(error);
+      }
+      if (chunk.done) throw new BackendUnavailableError("Quantum backend closed the stream before the run finished");
+      clearTimeout(timer);
+      timer = setTimeout(abort, API_TIMEOUT_MS);
+
+      buffer += decoder.decode(chunk.value, { stream: true });
+      const blocks = buffer.split("\n\n");
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const event = { type: "message", id: null, data: "" };
+        block.split("\n").forEach((line) => {
+          const [field, ...rest] = line.split(":");
+          const value = rest.join(":").replace(/^ /, "");
+          if (field === "event") event.type = value;
+          else if (field === "id") event.id = Number(value);
+          else if (field === "data") event.data += value;
+        });
+        const data = JSON.parse(event.data);
+        if (event.type === "error") throw toError(500, data);
+        // Resolves once the run is complete
+        if (onEvent(event.type, data, event.id)) {
+          controller.abort();
+          return;
+        }
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+  }
+};
+
+// Least time between two of streamBB84's progress updates
+const STREAM_FLUSH_MS = 100;
+
+// Alice and Bob as ETSI GS QKD 014 "secure application entities"
+export const SAE_IDS = { alice: "sae-alice", bob: "sae-bob" };
+
+const asSae = (saeId) => ({ "X-SAE-ID": saeId });
+
+// Real ciphers take a key_ID from the key store, looked up as Alice (encrypt) or
+// Bob (decrypt); only the demo cipher still sends raw key bits, with the id of
+// the backend run they came from so the server can check that run's QBER
+const keyFields = ({ keyId = null, key = null, runId = null }) => (keyId ? { key_ID: keyId } : { key, run_id: runId });
+
+// A client for the backend at baseUrl (the configured one by default). Each
+// simulator on a page makes its own, so they can talk to different backends.
+export const createApi = (url = API_BASE_URL) => {
+  const baseUrl = (url || API_BASE_URL).replace(/\/+$/, "");
+
+  const request = async (
+    path,
+    { method = "GET", body = null, headers = {}, timeout = API_TIMEOUT_MS, retries = API_RETRIES } = {}
+  ) => {
+    for (let i = 0; ; i++) {
+      try {
+        return await attempt(`${baseUrl}${path}`, { method, body, headers, timeout });
+      } catch (error) {
+        if (i >= retries || !isRetryable(error)) throw error;
+        await sleep(500 * 2 ** i);
+      }
+    }
+  };
+
+  const checkHealth = async () => {
+    try {
+      return await request("/", { timeout: HEALTH_TIMEOUT_MS, retries: 0 });
+    } catch (error) {
+      if (error instanceof RequestTimeoutError) throw error;
+      throw new BackendUnavailableError(`Health check failed: ${error.message}`, {
+        status: error.status,
+        body: error.body,
+      });
+    }
+  };
+
+  // Large runs take the backend's statevector path but still need longer than the
+  // default timeout: allow about 2 ms per photon
+  const runBB84 = (params) =>
+    request("/api/bb84", {
+      method: "POST",
+      timeout: Math.max(API_TIMEOUT_MS, params.nBits * 2),
+      body: bb84Body(params),
+    });
+
+  // Runs BB84 on the backend photon by photon. onProgress(partial, status) gets a
+  // growing copy of the response (table_data so far, plus the run's parameters)
+  // at most every STREAM_FLUSH_MS, and the promise resolves with the same
+  // response /api/bb84 returns. A dropped connection is resumed from the last
+  // event, replaying the run from its seed, up to API_RETRIES times in a row.
+  const streamBB84 = async (params, { onProgress = () => {}, signal } = {}) => {
+    let body = bb84Body(params);
+    let lastEventId = null;
+    let failures = 0;
+    let run = null;
+    let rows = [];
+    let tail = {};
+    let flushedAt = 0;
+
+    const flush = (reconnecting = false) => {
+      flushedAt = Date.now();
+      onProgress(
+        { ...run, table_data: rows.slice(), expected_photons: run.n_bits, streaming: true },
+        { received: rows.length, total: run.n_bits, reconnecting }
+      );
+    };
+
+    const onEvent = (type, data, id) => {
+      if (id !== null) lastEventId = id;
+      failures = 0;
+      if (type === "start") {
+        // Reconnects must replay the same run
+        body = { ...body, seed: data.seed };
+        run = data;
+      } else if (type === "photon") {
+        rows[data.index] = data.row;
+      } else if (type === "sift" || type === "qber") {
+        tail = { ...tail, ...data };
+      } else if (type === "done") {
+        const sampled = new Set(data.sample_indices ?? tail.sample_indices);
+        rows = rows.map((row, i) => ({ ...row, Sampled: sampled.has(i) ? "Yes" : "No" }));
+        run = { ...tail, ...data, table_data: rows };
+        return true;
+      }
+      if (run && Date.now() - flushedAt >= STREAM_FLUSH_MS) flush();
+      return false;
+    };
+
+    for (;;) {
+      try {
+        await readEvents(`${baseUrl}/api/bb84/stream`, { body, lastEventId, signal }, onEvent);
+        return run;
+      } catch (error) {
+        if (failures >= API_RETRIES || !isRetryable(error)) throw error;
+        failures += 1;
+        if (run) flush(true);
+        await sleep(500 * 2 ** (failures - 1));
+        if (signal?.aborted) throw new RequestCancelledError();
+      }
+    }
+  };
+
+  const encrypt = (message, keySource, cipher, mode = "eax") =>
+    request("/api/encrypt", {
+      method: "POST",
+      headers: asSae(SAE_IDS.alice),
+      body: { message, cipher, mode, ...keyFields(keySource) },
+    });
+
+  const decrypt = (encryptedData, keySource) =>
+    request("/api/decrypt", {
+      method: "POST",
+      headers: asSae(SAE_IDS.bob),
+      body: { encrypted_data: encryptedData, ...keyFields(keySource) },
+    });
+
+  // Files go chunk by chunk (base64) so progress can be shown; `offset` is the
+  // chunk's byte offset into the one-time pad, `aad` binds AES chunks to their file
+  const encryptFileChunk = ({ mode, keyIds, chunk, aad, offset }) =>
+    request("/api/files/encrypt", {
+      method: "POST",
+      headers: asSae(SAE_IDS.alice),
+      body: { mode, key_IDs: keyIds, chunk, aad, offset },
+    });
+
+  const decryptFileChunk = ({ mode, keyIds, chunk, aad, offset }) =>
+    request("/api/files/decrypt", {
+      method: "POST",
+      headers: asSae(SAE_IDS.bob),
+      body: { mode, key_IDs: keyIds, chunk, aad, offset },
+    });
+
+  // ----- Key store (ETSI GS QKD 014 style) -----
+
+  const getKeyStatus = (slave = SAE_IDS.bob, caller = SAE_IDS.alice) =>
+    request(`/api/v1/keys/${encodeURIComponent(slave)}/status`, { headers: asSae(caller) });
+
+  // "Get key": the master SAE asks for new keys it will share with the slave
+  const getEncKeys = ({ number = 1, size }, slave = SAE_IDS.bob, caller = SAE_IDS.alice) =>
+    request(`/api/v1/keys/${encodeURIComponent(slave)}/enc_keys`, {
+      method: "POST",
+      headers: asSae(caller),
+      body: { number, size },
+      retries: 0,
+    });
+
+  // "Get key with key IDs": the slave SAE fetches the master's keys by ID
+  const getDecKeys = (keyIds, master = SAE_IDS.alice, caller = SAE_IDS.bob) =>
+    request(`/api/v1/keys/${encodeURIComponent(master)}/dec_keys`, {
+      method: "POST",
+      headers: asSae(caller),
+      body: { key_IDs: keyIds.map((id) => ({ key_ID: id })) },
+    });
+
+  // The key store judges the block on the QBER it recorded for runIds, the
+  // backend runs it was distilled from, and spends them
+  const depositKey = (bits, source, runIds) =>
+    request("/api/kme/deposit", {
+      method: "POST",
+      body: { bits, source, run_ids: runIds },
+      retries: 0,
+    });
+
+  const listKeys = () => request("/api/kme/keys");
+
+  // The policy the backend judges every key by, and how far it may be tightened
+  const getSecurityPolicy = () => request("/api/security/policy");
+
+  return {
+    baseUrl,
+    request,
+    checkHealth,
+    runBB84,
+    streamBB84,
+    encrypt,
+    decrypt,
+    encryptFileChunk,
+    decryptFileChunk,
+    getKeyStatus,
+    getEncKeys,
+    getDecKeys,
+    depositKey,
+    listKeys,
+    getSecurityPolicy,
+  };
+};
@@ -0,0 +1,37 @@
+import { ApiError, SecurityError, ServerError, createApi } from "./api";
+
+const answer = (status, body) => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) }));
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe("api errors", () => {
+  const api = createApi("http://backend.test/");
+
+  it("calls the backend it was made for", async () => {
+    answer(200, { decrypted: "hi" });
+    await api.decrypt({ cipher: "demo" }, { key: [1], runId: "r" });
+    expect(global.fetch.mock.calls[0][0]).toBe("http://backend.test/api/decrypt");
+  });
+
+  it("turns a 400 with code security into a SecurityError", async () => {
+    answer(400, { error: "A 40-bit key can't come from runs that kept 32 undisclosed bits", code: "security" });
+    await expect(api.encrypt("hi", { key: [1], runId: "r" }, "demo")).rejects.toBeInstanceOf(SecurityError);
+  });
+
+  it("leaves other 400s alone, whatever their message says", async () => {
+    answer(400, { error: "QBER field is compromised" });
+    const error = await api.encrypt("hi", { key: [1] }, "demo").catch((e) => e);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).not.toBeInstanceOf(SecurityError);
+    expect(error.message).toBe("QBER field is compromised");
+  });
+
+  it("reports 5xx as a ServerError", async () => {
+    answer(500, { error: "boom" });
+    await expect(api.listKeys()).rejects.toBeInstanceOf(ServerError);
+  });
+});
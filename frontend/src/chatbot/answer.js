@@ -0,0 +1,54 @@
+import { KNOWLEDGE_BASE } from "./knowledgeBase";
+import { RUN_INTENTS } from "./runAnswers";
+import { correctSpelling, tokenize } from "./fuzzy";
+
+// Answers a chat question: run-aware intents first (they need the current run),
+// then the static help topics by regex, then by keyword overlap after typos
+// are corrected.
+
+export const GREETING = {
+  role: "bot",
+  text: "Hi! I'm your quantum helper. Ask me about BB84, QBER, Eve, or how to encrypt/decrypt here — or about your run, like \"why was row 3 dropped?\"",
+  followUps: ["What is BB84?", "What does Eve probability do?", "Why is QBER high?", "How do I encrypt a message?"],
+};
+
+const FALLBACK = {
+  text: "I'm not sure yet — try asking about 'BB84', 'Eve probability', 'QBER', or 'encryption', or about a row of your run.",
+  followUps: ["What is BB84?", "Why is my QBER what it is?", "How many bits did Eve get?"],
+};
+
+const vocabularyOf = (topics) => [...new Set(topics.flatMap((topic) => topic.keywords ?? []))];
+
+// Keyword overlap between the corrected question and a topic
+const keywordScore = (words, topic) => (topic.keywords ?? []).filter((keyword) => words.includes(keyword)).length;
+
+export const answerQuestion = (question, context = {}, { knowledgeBase = KNOWLEDGE_BASE, intents = RUN_INTENTS } = {}) => {
+  const vocabulary = vocabularyOf([...knowledgeBase, ...intents]);
+  const corrected = correctSpelling(question, vocabulary);
+  const candidates = [String(question), corrected];
+
+  for (const intent of intents) {
+    for (const text of candidates) {
+      const match = text.match(intent.pattern);
+      if (!match) continue;
+      const reply = intent.answer(text, context, match);
+      if (reply) return reply;
+      break;
+    }
+  }
+
+  const topic = knowledgeBase.find((entry) => entry.pattern.test(question));
+  if (topic) return { text: topic.answer, followUps: topic.followUps ?? [] };
+
+  const words = tokenize(corrected);
+  let best = null;
+  let bestScore = 0;
+  knowledgeBase.forEach((entry) => {
+    const score = keywordScore(words, entry);
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  });
+  return best ? { text: best.answer, followUps: best.followUps ?? [] } : FALLBACK;
+};
@@ -0,0 +1,63 @@
+import { answerQuestion } from "./answer";
+import { KNOWLEDGE_BASE } from "./knowledgeBase";
+import { correctSpelling } from "./fuzzy";
+
+const topic = (id) => KNOWLEDGE_BASE.find((entry) => entry.id === id);
+
+const row = (aliceBasis, bobBasis, bit, extra = {}) => ({
+  "Alice Bit": bit,
+  "Alice Basis": aliceBasis,
+  "Bob Basis": bobBasis,
+  "Bob Measured Bit": bit,
+  "Eve Intercepting": "No",
+  "Eve Basis": "-",
+  "Eve Bit": "-",
+  Match: aliceBasis === bobBasis ? "Yes" : "No",
+  Sampled: "No",
+  ...extra,
+});
+
+// A five-photon BB84 run: rows 1, 2 and 4 were kept, 3 and 5 dropped in sifting
+const RUN = {
+  protocol: "bb84",
+  table_data: [
+    row("+", "+", 0),
+    row("×", "×", 1, { Sampled: "Yes" }),
+    row("+", "×", 1, { "Eve Intercepting": "Yes", "Eve Basis": "×", "Eve Bit": 0 }),
+    row("×", "×", 0),
+    row("×", "+", 1),
+  ],
+  matched_indices: [0, 1, 3],
+  alice_key: [0, 0],
+  bob_key: [0, 0],
+  eve_key: [0],
+  qber: 0,
+};
+
+describe("answerQuestion", () => {
+  it("corrects typos before matching topics by keyword", () => {
+    expect(correctSpelling("what is toplitz hashng", ["toeplitz", "hashing"])).toBe("what is toeplitz hashing");
+    expect(answerQuestion("explain the toplitz matrx")).toEqual({
+      text: topic("privacy-amplification").answer,
+      followUps: topic("privacy-amplification").followUps,
+    });
+  });
+
+  it("answers questions about a row from the current run", () => {
+    const reply = answerQuestion("why was row 3 dropped?", { results: RUN, tableData: RUN.table_data });
+    expect(reply.text).toMatch(/^Row 3 was dropped during sifting: Alice encoded in \+ but Bob measured in ×/);
+    expect(reply.text).toMatch(/Eve intercepted it, measured in × and read 0\./);
+    expect(reply.followUps).toContain("Why was row 3 dropped?");
+  });
+
+  it("keeps row questions inside the run", () => {
+    expect(answerQuestion("what about row 9?", { results: RUN }).text).toBe("This run has 5 rows — ask about a row between 1 and 5.");
+    expect(answerQuestion("why was row 3 dropped?").text).toMatch(/no run to look at yet/);
+  });
+
+  it("falls back when nothing matches", () => {
+    const reply = answerQuestion("zzz qwv");
+    expect(reply.text).toMatch(/^I'm not sure yet/);
+    expect(reply.followUps.length).toBeGreaterThan(0);
+  });
+});
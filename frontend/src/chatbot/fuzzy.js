@@ -0,0 +1,53 @@
+// Typo-tolerant word matching for the chatbot: questions are split into words
+// and each word is snapped to the closest known keyword within a small edit distance.
+
+export const tokenize = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9%.'+×-]+/g, " ")
+    .split(" ")
+    .map((word) => word.replace(/'s$/, "").replace(/^[.'-]+|[.'-]+$/g, ""))
+    .filter(Boolean);
+
+// Levenshtein distance, abandoning early once it exceeds `limit`
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short keywords must match exactly; longer ones tolerate one or two typos
+const allowedTypos = (keyword) => (keyword.length < 4 ? 0 : keyword.length < 8 ? 1 : 2);
+
+export const closestWord = (word, vocabulary) => {
+  if (vocabulary.includes(word)) return word;
+  if (word.length < 3) return null;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of vocabulary) {
+    const limit = allowedTypos(candidate);
+    const distance = editDistance(word, candidate, limit);
+    if (distance <= limit && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+// Rewrite `text` with misspelled words replaced by their vocabulary match
+export const correctSpelling = (text, vocabulary) =>
+  tokenize(text)
+    .map((word) => closestWord(word, vocabulary) ?? word)
+    .join(" ");
@@ -0,0 +1,209 @@
+// Static help topics for the chatbot. Each entry answers when its regex matches,
+// or fuzzily when enough of its keywords appear in the question (typos allowed).
+// Add topics here; run-specific questions are handled in runAnswers.js.
+
+export const KNOWLEDGE_BASE = [
+  {
+    id: "bb84",
+    pattern: /what is bb84|bb84 protocol|explain bb84|how does this work/i,
+    keywords: ["bb84", "protocol", "qkd", "quantum", "distribution"],
+    answer: "BB84 is a quantum key distribution protocol. Alice sends qubits encoded in one of two bases (+ or ×). Bob measures in random bases. They keep only positions where their bases matched (the sifted key). If an eavesdropper (Eve) intercepts, she disturbs the system and increases the QBER (error rate), revealing her presence.",
+    followUps: ["Why are some bits dropped?", "What does Eve probability do?", "What is QBER?"],
+  },
+  {
+    id: "protocols",
+    pattern: /b92|six.?state|e91|ekert|chsh|bell|entangle|protocol/i,
+    keywords: ["b92", "six-state", "sixstate", "e91", "ekert", "chsh", "bell", "entanglement", "entangled"],
+    answer: "Pick a protocol in the controls. B92 uses just two non-orthogonal states and keeps only Bob's conclusive outcomes (about 25%). Six-state adds a circular basis, so only a third of photons survive sifting but intercept-resend costs Eve a 33% QBER. E91 sends entangled pairs: matching angles give the key and the other angle pairs run a CHSH test — |S| near 2.83 means the entanglement is intact, |S| ≤ 2 means someone measured the photons. Only BB84 runs on the backend; the others use the in-browser engine.",
+    followUps: ["What is a decoy state?", "What is QBER?"],
+  },
+  {
+    id: "eve-strategies",
+    pattern: /strateg|breidbart|clon|pns|photon.?number|decoy|attack/i,
+    keywords: ["strategy", "breidbart", "cloning", "clone", "pns", "splitting", "decoy", "attack"],
+    answer: "Pick Eve's attack under 'Eve strategy' (BB84). Intercept-resend and the Breidbart basis both cause about 25% QBER at full strength, but Breidbart guesses 85% of bits right. Partial cloning trades disturbance for information: the cloner's error rate is the QBER it causes. Photon-number splitting against a weak laser source causes no errors at all — Eve keeps one photon from multi-photon pulses and blocks single photons. Decoy states catch it: Alice mixes in weaker pulses, and the single-photon yield estimated from their click rates collapses under attack. Eve's card shows how many bits of information she holds.",
+    followUps: ["How many bits did Eve get?", "Why is my QBER high?"],
+  },
+  {
+    id: "eve-probability",
+    pattern: /what does eve'?s? prob|eve prob|eve probability|what is eve/i,
+    keywords: ["eve", "eavesdropper", "probability", "intercept"],
+    answer: "Eve probability controls how often the eavesdropper intercepts and measures photons. Higher values typically raise the Quantum Bit Error Rate (QBER).",
+    followUps: ["Which attacks can Eve use?", "How many bits did Eve get?"],
+  },
+  {
+    id: "qber",
+    pattern: /qber|error rate|why is qber high/i,
+    keywords: ["qber", "error", "rate", "errors", "mismatch"],
+    answer: "QBER (Quantum Bit Error Rate) is the percentage of mismatched bits in the sifted key. In an ideal secure channel with no Eve and low noise, QBER stays low. A high QBER suggests eavesdropping or noise.",
+    followUps: ["Why is my QBER what it is?", "What is channel noise?", "How is QBER estimated?"],
+  },
+  {
+    id: "sifting",
+    pattern: /sifted key|why are some bits dropped|matched indices/i,
+    keywords: ["sifted", "sifting", "dropped", "discarded", "matched", "indices"],
+    answer: "Only positions where Alice and Bob used the same basis are kept — this is key sifting. The simulator highlights those rows and forms the final sifted key from those bits.",
+    followUps: ["Why was row 1 dropped?", "Why are bases different?"],
+  },
+  {
+    id: "estimation",
+    pattern: /sample|estimat|confidence|disclos/i,
+    keywords: ["sample", "estimate", "estimation", "confidence", "interval", "disclosed"],
+    answer: "Alice and Bob can't compare their whole keys, so after sifting they publicly reveal a random sample of sifted bits (the 'QBER sample size' slider), estimate the error rate from it with a 95% confidence interval, and throw the revealed bits away. Small samples give wide intervals — try 50 photons with a larger sample to see it tighten.",
+    followUps: ["What is QBER?", "How does reconciliation work?"],
+  },
+  {
+    id: "reconciliation",
+    pattern: /cascade|winnow|reconcil|error correct|parity|leak/i,
+    keywords: ["cascade", "winnow", "reconciliation", "correction", "parity", "leak", "leaked"],
+    answer: "After estimation Bob's key still has errors. Reconciliation fixes them over the public channel: Cascade compares block parities and bisects mismatched blocks to find each error; Winnow sends Hamming syndromes instead. Every parity or syndrome bit is public, so the panel counts it as leaked. Encryption only unlocks once both keys' verification tags match.",
+    followUps: ["What is privacy amplification?"],
+  },
+  {
+    id: "privacy-amplification",
+    pattern: /privacy amplif|toeplitz|final key|key length|too short/i,
+    keywords: ["privacy", "amplification", "toeplitz", "final", "length", "short"],
+    answer: "Privacy amplification hashes the reconciled key with a random Toeplitz matrix down to ℓ = n − (Eve's information) − (error-correction leakage) − (verification tag) − 2·log₂(1/ε) bits. Short runs often leave nothing — AES-256 needs 256 secure bits. The Demo cipher lets you try encryption with as few as 32 amplified bits, but it only stretches them with SHA-256 and is not secure.",
+    followUps: ["How do I encrypt a message?"],
+  },
+  {
+    id: "classical-channel",
+    pattern: /classical channel|public channel|authenticat|\bmac\b|man.in.the.middle|mitm|tamper/i,
+    keywords: ["classical", "channel", "authentication", "mac", "tag", "middle", "mitm", "tamper", "abort"],
+    answer: "Everything after the photons — basis announcements, sifting, the QBER sample, parities, verification tags — goes over a public classical channel, logged in the Classical Channel panel. Eve may read it but must not change it, so each message carries a 32-bit Wegman–Carter MAC keyed with bits Alice and Bob shared beforehand. Pick a 'Classical-channel Eve' to let her rewrite a message: she can't forge the tag, the check fails and the protocol aborts with no key.",
+    followUps: ["How does reconciliation work?", "What is QBER?"],
+  },
+  {
+    id: "key-pool",
+    pattern: /key pool|key store|key.?id|etsi|\bkme\b|\bsae\b|pooled/i,
+    keywords: ["pool", "store", "etsi", "kme", "sae", "pooled", "deposit", "block"],
+    answer: "A single 10–50 photon run is too short to leave any secure key after privacy amplification. Each finished backend run therefore joins a pending block in the Key Pool panel; the block is error-corrected, verified and amplified as one key and deposited in the backend's key store once it gives 128 secure bits. The store checks the block against the QBER it recorded for those runs, so runs on the Local engine can't be pooled. AES encryption then asks the store for a key (ETSI GS QKD 014 'get key'), encrypts by key ID, and Bob fetches the same key by ID to decrypt.",
+    followUps: ["What is privacy amplification?", "How do I encrypt a message?"],
+  },
+  {
+    id: "file-encryption",
+    pattern: /encrypt (a )?file|file encryption|envelope|drag.?and.?drop|\bgcm\b|\beax\b/i,
+    keywords: ["file", "envelope", "drop", "upload", "download", "gcm", "eax"],
+    answer: "Drop any file on the File Encryption area under the message box. It is encrypted chunk by chunk with a fresh key from the key store, in AES-256-EAX, AES-256-GCM or as a one-time pad (8 pool bits per byte), and you download an envelope: a JSON file with the ciphertext, nonces, tags and the key IDs, never the key. Drop or open that envelope later, even in another browser session, and Bob fetches the key by ID to get the file back, as long as the backend's key store is still running.",
+    followUps: ["What is the key pool?", "How do I encrypt a message?"],
+  },
+  {
+    id: "large-runs",
+    pattern: /large run|thousands of photons|more photons|100.?000|photons per run|statevector/i,
+    keywords: ["large", "thousands", "photons", "size", "statevector", "batch", "worker"],
+    answer: "Pick a size from 'Photons per run' (1,000 to 100,000) instead of the 10–50 slider. The local engine then runs in a Web Worker so the page stays responsive, and the backend simulates each photon as a polarization state rather than building one Qiskit circuit per photon. Playback steps through 20 batches with running totals and a QBER-so-far chart instead of animating every photon, and the table only renders the rows you scroll to. With that many sifted bits the QBER estimate's confidence interval gets narrow, and a single run can fill the key pool on its own.",
+    followUps: ["What is QBER?", "What is the key pool?"],
+  },
+  {
+    id: "security-policy",
+    pattern: /security policy|key rate|finite.?key|finite.?size|threshold|1 ?− ?2h|epsilon|ε/i,
+    keywords: ["policy", "rate", "finite", "threshold", "epsilon", "minimum", "abort"],
+    answer: "One security policy decides every key in the app: a QBER threshold (11% by default, where BB84's asymptotic key rate 1 − 2h(Q) reaches zero), a minimum key length and the security parameter ε. It comes from the backend, which checks every key against it and the QBER it measured for the run; without a backend the app uses the same defaults. The Key Rate & Security panel can only make it stricter, and encryption, decryption and the key pool follow it. The panel compares the asymptotic rate, which assumes infinitely many photons, with the finite-key length this run actually gives: the sampled bits are spent, the QBER is bounded from above by Q + μ with μ shrinking as the sample grows, and error correction and 2·log₂(1/ε) are paid for. It also estimates how many photons you'd need for a key of the minimum length.",
+    followUps: ["What is QBER?", "What is privacy amplification?"],
+  },
+  {
+    id: "share-report",
+    pattern: /\bshar(e|ing) (a |this )?(run|link|result)|\blink\b|\burl\b|report|\bprint|\bpdf\b|markdown|hand in/i,
+    keywords: ["share", "link", "url", "report", "print", "pdf", "markdown", "json"],
+    answer: "After a run, the address bar holds its settings (protocol, photons, Eve probability, speed, seed, noise and attack), so reloading reopens that configuration. '🔗 Copy link' next to the seed under Quantum Results copies a link that also runs it straight away, and with the same seed the run comes out identical. '📄 Generate report' opens a lab report with the parameters, the full results table, the sifted key, QBER, Eve's key, the encryption round-trip and a short interpretation. Print it or save it as PDF from the print dialog, or download it as JSON or Markdown.",
+    followUps: ["What does the seed do?", "What is QBER?"],
+  },
+  {
+    id: "experiment",
+    pattern: /experiment|sweep|monte carlo|csv|plot|chart/i,
+    keywords: ["experiment", "sweep", "monte", "carlo", "csv", "plot", "chart"],
+    answer: "Switch to the 📈 Experiment tab to run many trials per Eve probability without animation. It plots mean QBER (with 95% error bars) against the theoretical 25%·p line, plus sifted and Eve key lengths, and exports the numbers as CSV for your report.",
+    followUps: ["How do I compare runs?"],
+  },
+  {
+    id: "history",
+    pattern: /history|previous run|compare|saved run/i,
+    keywords: ["history", "previous", "compare", "saved", "runs"],
+    answer: "Every run is saved in the 🕘 History sidebar (kept in your browser). Load a run to replay it, rename or delete it, or tick two runs and press 'Compare' to see their QBER, key lengths, and which rows Eve intercepted or had errors side by side.",
+    followUps: ["How do I replay a run?"],
+  },
+  {
+    id: "animation-speed",
+    pattern: /what does animation speed do|animation speed/i,
+    keywords: ["animation", "speed", "fast", "slow"],
+    answer: "Animation speed changes how fast each photon travels across the quantum channel (purely visual).",
+    followUps: ["How do I pause the animation?"],
+  },
+  {
+    id: "encryption",
+    pattern: /aes|encrypt|decrypt|how to encrypt|one.time pad|\botp\b|xor/i,
+    keywords: ["aes", "encrypt", "decrypt", "encryption", "cipher", "pad", "otp", "xor", "budget"],
+    answer: "After generating a sifted key, you can encrypt a message. With AES the backend turns the key into an AES key to encrypt your text; then you can decrypt using the same key. The One-time pad cipher instead XORs each message bit with a fresh key bit in your browser — perfectly secret, but every message uses up 8 key bits per byte. The key budget shows what's left, encryption is refused when it runs out, and Bob refuses any message whose pad was used before.",
+    followUps: ["Why is encryption blocked?", "What is privacy amplification?"],
+  },
+  {
+    id: "backend",
+    pattern: /backend|api|server|localhost 5000|error connecting|local engine|offline/i,
+    keywords: ["backend", "api", "server", "localhost", "offline", "engine", "connecting"],
+    answer: "The Backend engine talks to the API configured by REACT_APP_API_BASE_URL (http://localhost:5000 in development), exposing /api/bb84, /api/encrypt, and /api/decrypt. If it can't be reached, the simulation falls back to the in-browser Local engine automatically — or pick 'Local' to skip the server entirely. Encryption still needs the backend.",
+    followUps: ["How do I replay a run?"],
+  },
+  {
+    id: "noise",
+    pattern: /noise|bit.?flip|depolariz|misalign/i,
+    keywords: ["noise", "bitflip", "flip", "depolarizing", "misalignment", "tilt"],
+    answer: "Channel noise is separate from Eve: bit-flip applies X errors (these only disturb + photons), depolarizing applies a random X, Y or Z, and misalignment tilts every photon's polarization. Noise errors are tagged in the 'Error Source' column and the QBER card shows the error rate noise alone would produce — which is why real systems need a QBER threshold above zero.",
+    followUps: ["Why is my QBER what it is?"],
+  },
+  {
+    id: "bases",
+    pattern: /why are bases different|bases match|× vs \+|plus vs cross/i,
+    keywords: ["bases", "basis", "different", "plus", "cross"],
+    answer: "Alice encodes and Bob measures in random bases (+ or ×). Only matching bases yield reliable bits; different bases are discarded during sifting.",
+    followUps: ["Why was row 1 dropped?"],
+  },
+  {
+    id: "playback",
+    pattern: /pause|step|scrub|rewind|cancel|stop the animation/i,
+    keywords: ["pause", "step", "scrub", "rewind", "cancel", "stop"],
+    answer: "Use the playback bar under the timeline: ⏸️/▶️ pauses and resumes, ⏮️/⏭️ steps one photon (or one sifting position) at a time, the slider scrubs across photons, sifting and results, and ⏹️ cancels the animation so you can change settings.",
+    followUps: ["What does the Bloch sphere show?"],
+  },
+  {
+    id: "reset",
+    pattern: /reset|clear|start over/i,
+    keywords: ["reset", "clear", "restart"],
+    answer: "To start over, just run the simulation again. It clears the table, timeline, photon, and results. 'Replay' re-animates the last run without generating a new one.",
+    followUps: ["How do I replay a run?"],
+  },
+  {
+    id: "seed",
+    pattern: /seed|reproduc|replay|same run/i,
+    keywords: ["seed", "reproduce", "reproducible", "replay", "same"],
+    answer: "The seed fixes every random choice — Alice's bits and bases, Bob's bases and Eve's interceptions — so the same seed, photon count and Eve probability give the same run again on the same engine. The Local and Backend engines draw their random numbers differently, so one seed gives different runs on each, and a backend run that fell back to the local engine won't match a real backend run. Leave it empty for a fresh random seed; the seed used is shown above the results.",
+    followUps: ["How do I compare runs?"],
+  },
+  {
+    id: "tips",
+    pattern: /tips|how to use|help/i,
+    keywords: ["tips", "usage", "help", "start", "guide"],
+    answer: "1) Pick photons, Eve probability, and speed. 2) Run the simulation. 3) Watch the table fill. 4) Use the sifted key to encrypt a message; then decrypt it. If QBER > ~25–12%, assume Eve/noise.",
+    followUps: ["What is BB84?", "How do I encrypt a message?"],
+  },
+  {
+    id: "lessons",
+    pattern: /lesson|quiz|tutorial|guided|instructor|teach/i,
+    keywords: ["lesson", "lessons", "quiz", "tutorial", "guided", "instructor", "teach", "course"],
+    answer: "Open the 🎓 Lessons tab for guided walk-throughs: each step highlights the control, table rows or result card it talks about, asks you to make a run or find a row, and grades quiz answers against your actual run. Progress is saved in this browser. Instructors can write new lessons as JSON files and load them from the Lessons tab.",
+    followUps: ["What is BB84?", "Why is my QBER what it is?"],
+  },
+  {
+    id: "network",
+    pattern: /network|relay|websocket|separate browser|multiplayer|room/i,
+    keywords: ["network", "networked", "relay", "websocket", "room", "browser", "multiplayer"],
+    answer: "The 🌐 Network tab lets Alice, Bob and Eve play from separate browsers. Start the relay with `python backend/relay.py`, then each person joins the same room with a role. Alice picks bits and bases and sends photons; Eve (optional) chooses which to intercept; Bob picks measurement bases. The relay acts as the quantum channel and only tells each party its own outcomes. Basis announcement, sifting and the QBER sample are explicit messages on the public classical channel, which Eve hears too.",
+    followUps: ["Why are bases different?", "How is QBER estimated?"],
+  },
+  {
+    id: "bloch-sphere",
+    pattern: /bloch|sphere|polarization dial|collapse|projection/i,
+    keywords: ["bloch", "sphere", "dial", "polarization", "collapse", "projection"],
+    answer: "The Bloch sphere and polarization dial under the channel follow the photon in flight: Alice's prepared state (blue), the state Eve's measurement collapses it to (red), and Bob's measurement axis (amber) with the probabilities of reading 0 or 1. Measuring in the wrong basis lands the state on the equator between Bob's outcomes — that 50/50 split is where Eve's errors come from. Pause or step the playback to study one photon.",
+    followUps: ["Why are bases different?", "Why is my QBER what it is?"],
+  },
+];
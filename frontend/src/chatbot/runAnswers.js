@@ -0,0 +1,200 @@
+// Run-aware intents: questions about the current run are answered from its
+// actual numbers. Each intent sees the (spell-corrected) question and the run
+// context { qber, siftedKey, eveKey, tableData, securityWarning, results } and
+// returns { text, followUps }, or null to let the static help topics answer.
+
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+const NO_RUN = {
+  text: "There's no run to look at yet — press Run Simulation and ask me again.",
+  followUps: ["What is BB84?", "How do I use this?"],
+};
+
+// First row that was dropped during sifting, for a useful follow-up chip
+const firstDroppedRow = (rows) => {
+  const index = rows.findIndex((row) => row["Match"] !== "Yes");
+  return index === -1 ? null : index + 1;
+};
+
+const rowFollowUps = (rows) => {
+  const dropped = firstDroppedRow(rows);
+  return [dropped ? `Why was row ${dropped} dropped?` : "Why is my QBER what it is?", "How many bits did Eve get?"];
+};
+
+// Why a row was discarded, in the terms of the protocol that produced it
+const droppedReason = (protocol, row) => {
+  if (row["Detected"] === "No") {
+    return "the pulse never reached Bob's detector — it was lost in the channel or blocked by Eve's photon-number-splitting attack";
+  }
+  if (row["Intensity"] && !String(row["Intensity"]).startsWith("signal")) {
+    return `it was a ${String(row["Intensity"]).split(" ")[0]} pulse, sent only to check the channel's click rates and never used for the key`;
+  }
+  if (protocol === "b92") {
+    return `Bob measured in ${row["Bob Basis"]} and got outcome ${row["Bob Outcome"]}, which is inconclusive — it can't tell |0⟩ from |+⟩`;
+  }
+  if (protocol === "e91") {
+    return row["Round"] === "CHSH"
+      ? `Alice measured at ${row["Alice Angle"]} and Bob at ${row["Bob Angle"]}, so the pair went into the CHSH test instead of the key`
+      : `Alice measured at ${row["Alice Angle"]} and Bob at ${row["Bob Angle"]} — neither a key nor a CHSH combination`;
+  }
+  return `Alice encoded in ${row["Alice Basis"]} but Bob measured in ${row["Bob Basis"]}, so his bit is a coin flip and carries no information`;
+};
+
+const eveNote = (row) => {
+  if (row["Eve Intercepting"] !== "Yes") return "";
+  if (row["Eve Bit"] === "-") return " Eve attacked this photon without measuring it directly.";
+  return ` Eve intercepted it, measured in ${row["Eve Basis"]} and read ${row["Eve Bit"]}.`;
+};
+
+const explainRow = (number, context) => {
+  const rows = context.results?.table_data ?? context.tableData ?? [];
+  if (!rows.length) return NO_RUN;
+  if (number < 1 || number > rows.length) {
+    return {
+      text: `This run has ${plural(rows.length, "row")} — ask about a row between 1 and ${rows.length}.`,
+      followUps: rowFollowUps(rows),
+    };
+  }
+
+  const protocol = context.results?.protocol ?? "bb84";
+  const row = rows[number - 1];
+  const aliceBit = row["Alice Bit"];
+  const bobBit = row["Bob Measured Bit"];
+  let text;
+  if (row["Match"] !== "Yes") {
+    text = `Row ${number} was dropped during sifting: ${droppedReason(protocol, row)}.`;
+  } else if (row["Sampled"] === "Yes") {
+    text = `Row ${number} survived sifting but was picked for the public sample: Alice and Bob compared it openly (${aliceBit} vs ${bobBit}) to estimate the QBER, so it was removed from the key.`;
+  } else if (aliceBit !== bobBit) {
+    text = `Row ${number} was kept, but it's an error — Alice sent ${aliceBit} and Bob read ${bobBit}. Cause: ${row["Error Source"]}. Reconciliation will correct it.`;
+  } else {
+    text = `Row ${number} was kept: the bases matched and both Alice and Bob have bit ${aliceBit}.`;
+  }
+
+  return { text: text + eveNote(row), followUps: rowFollowUps(rows) };
+};
+
+// Break the sifted errors down by cause and compare with what Eve and noise would predict
+const explainQber = (context) => {
+  const { results } = context;
+  if (!results) return null;
+
+  const shown = Number(context.qber);
+  const lines = [];
+  if (results.sample_size) {
+    lines.push(
+      `Your QBER reads ${shown.toFixed(2)}%: ${plural(results.sample_errors, "error")} in a public sample of ${plural(results.sample_size, "bit")}` +
+        (results.qber_interval ? ` (95% interval ${pct(results.qber_interval[0])}–${pct(results.qber_interval[1])})` : "") +
+        `. Over the whole sifted key the true QBER is ${pct(results.qber)}.`
+    );
+  } else {
+    lines.push(`Your QBER is ${shown.toFixed(2)}% over ${plural(results.alice_key.length, "sifted bit")}.`);
+  }
+
+  const breakdown = results.error_breakdown;
+  if (breakdown) {
+    const total = breakdown.eve + breakdown.noise + breakdown.both;
+    lines.push(
+      total
+        ? `Of the ${plural(total, "error")} in the sifted key, ${breakdown.eve} came from Eve, ${breakdown.noise} from channel noise and ${breakdown.both} from both.`
+        : "There are no errors in the sifted key at all."
+    );
+  }
+
+  const eve = results.eve_information;
+  if (eve?.intercepted) {
+    lines.push(
+      eve.strategy === "pns"
+        ? "Eve's photon-number-splitting attack causes no errors, so a low QBER doesn't prove she's absent — check the decoy-state card."
+        : `Eve touched ${plural(eve.intercepted, "sifted photon")}; each one she measured in the wrong basis had a 50% chance of becoming an error.`
+    );
+  }
+  if (results.noise_floor) lines.push(`Channel noise alone would give about ${pct(results.noise_floor)}.`);
+  if (results.sample_size && results.sample_size < 20) {
+    lines.push("The sample is small, so the estimate can swing a lot — send more photons for a steadier number.");
+  }
+
+  return { text: lines.join(" "), followUps: ["How many bits did Eve get?", ...rowFollowUps(results.table_data).slice(0, 1)] };
+};
+
+const explainEve = (context) => {
+  const { results } = context;
+  if (!results) return NO_RUN;
+
+  const eve = results.eve_information;
+  if (!eve || !eve.intercepted) {
+    return {
+      text: "Eve didn't touch any photon that made it into the sifted key, so she knows nothing about it.",
+      followUps: ["What does Eve probability do?", "Which attacks can Eve use?"],
+    };
+  }
+  const sifted = results.matched_indices.length;
+  return {
+    text:
+      `Eve holds ${plural(context.eveKey?.length ?? eve.intercepted, "bit")} at sifted positions, ` +
+      `${eve.correct} of which match Alice's. That is ${eve.bits.toFixed(1)} bits of information — ` +
+      `${pct(eve.key_fraction)} of the ${plural(sifted, "sifted bit")}. Privacy amplification shortens the key to squeeze this out.`,
+    followUps: ["What is privacy amplification?", "Why is my QBER what it is?"],
+  };
+};
+
+const explainKey = (context) => {
+  const { results } = context;
+  if (!results) return NO_RUN;
+
+  const sent = results.table_data.length;
+  const sifted = results.matched_indices.length;
+  const sampled = results.sample_size ?? 0;
+  return {
+    text:
+      `Of ${plural(sent, "photon")}, ${sifted} survived sifting (${pct(sifted / Math.max(1, sent))}). ` +
+      `${sampled} of those were disclosed to estimate the QBER, leaving ${plural(context.siftedKey?.length ?? sifted - sampled, "bit")} for reconciliation and privacy amplification.`,
+    followUps: rowFollowUps(results.table_data),
+  };
+};
+
+const explainWarning = (context) => {
+  if (!context.securityWarning) {
+    return context.results
+      ? { text: "Nothing is blocked right now — the keys passed the security checks.", followUps: ["How do I encrypt a message?"] }
+      : null;
+  }
+  return {
+    text: `${context.securityWarning} The app refuses to use a key when the QBER suggests eavesdropping, when reconciliation couldn't verify the keys are identical, or when privacy amplification leaves too few bits for the cipher.`,
+    followUps: ["Why is my QBER what it is?", "What is privacy amplification?"],
+  };
+};
+
+export const RUN_INTENTS = [
+  {
+    id: "row",
+    pattern: /\b(?:row|photon|position)\s*#?\s*(\d+)/i,
+    keywords: ["row", "photon", "position", "dropped", "discarded"],
+    answer: (question, context, match) => explainRow(Number(match[1]), context),
+  },
+  {
+    id: "eve-bits",
+    pattern: /how (?:much|many).*\beve\b|\beve\b.*\b(?:get|got|know|learn|learned|bits|information|key)\b/i,
+    keywords: ["eve", "bits", "information", "know", "learn"],
+    answer: (question, context) => explainEve(context),
+  },
+  {
+    id: "qber",
+    pattern: /\b(?:my|this|the current|current)\b.*\bqber\b|\bqber\b.*(?:\d+(?:\.\d+)?%|\bso\b)|why is (?:my |the )?qber/i,
+    keywords: ["qber", "error", "rate"],
+    answer: (question, context) => explainQber(context),
+  },
+  {
+    id: "blocked",
+    pattern: /block|refus|warning|(?:can't|cannot|won't) (?:encrypt|decrypt)/i,
+    keywords: ["blocked", "warning", "refused"],
+    answer: (question, context) => explainWarning(context),
+  },
+  {
+    id: "key-length",
+    pattern: /how (?:many|long).*\b(?:key|kept|sifted)\b|\b(?:my|this)\b.*\b(?:sifted|key)\b/i,
+    keywords: ["sifted", "kept", "key", "length"],
+    answer: (question, context) => explainKey(context),
+  },
+];
@@ -0,0 +1,104 @@
+import React from "react";
+
+const SIZE = 220;
+const C = SIZE / 2;
+const R = 80;
+
+// Oblique projection: Z up, Y to the right, X towards the viewer (down-left)
+const project = ([x, y, z]) => [C + R * (0.87 * y - 0.45 * x), C - R * (0.95 * z - 0.3 * x)];
+
+const circlePath = (point) => {
+  const steps = 64;
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const [sx, sy] = project(point((2 * Math.PI * i) / steps));
+    return `${i === 0 ? "M" : "L"}${sx.toFixed(1)},${sy.toFixed(1)}`;
+  }).join(" ");
+};
+
+const EQUATOR = circlePath((t) => [Math.cos(t), Math.sin(t), 0]);
+// Linear polarizations live on this great circle
+const POLARIZATION_CIRCLE = circlePath((t) => [Math.sin(t), 0, Math.cos(t)]);
+
+const POLES = [
+  { v: [0, 0, 1], label: "|0⟩ 0°" },
+  { v: [0, 0, -1], label: "|1⟩ 90°" },
+  { v: [1, 0, 0], label: "|+⟩ 45°" },
+  { v: [-1, 0, 0], label: "|−⟩ 135°" },
+  { v: [0, 1, 0], label: "|R⟩ ○" },
+  { v: [0, -1, 0], label: "|L⟩" },
+];
+
+const COLORS = { alice: "#4A90E2", eve: "#ef4444", bob: "#f59e0b", arriving: "#7c3aed" };
+
+const Arrow = ({ vector, color, faded = false, markerId }) => {
+  const [x2, y2] = project(vector);
+  return (
+    <line
+      x1={C}
+      y1={C}
+      x2={x2}
+      y2={y2}
+      stroke={color}
+      strokeWidth={3}
+      opacity={faded ? 0.3 : 1}
+      markerEnd={`url(#${markerId})`}
+    />
+  );
+};
+
+// Bloch-sphere view of one photon. `stage` walks through Alice's preparation,
+// Eve's collapse and Bob's projective measurement.
+const BlochSphere = ({ journey, stage, idPrefix = "bloch" }) => {
+  const { alice, eve, arriving, bob, lost } = journey;
+  const showEve = stage !== "alice" && eve;
+  const showBob = stage === "bob" && !lost && bob.axis;
+  const marker = (name) => `${idPrefix}-${name}`;
+
+  const [ax1, ay1] = showBob ? project(bob.axis) : [0, 0];
+  const [ax0, ay0] = showBob ? project(bob.axis.map((c) => -c)) : [0, 0];
+  // Where the arriving state's projection lands on Bob's axis
+  const [px, py] = showBob ? project(bob.axis.map((c) => c * (bob.p0 - bob.p1))) : [0, 0];
+
+  return (
+    <svg className="bloch-sphere" viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label="Bloch sphere">
+      <defs>
+        {Object.entries(COLORS).map(([name, color]) => (
+          <marker key={name} id={marker(name)} viewBox="0 0 10 10" refX="8" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+            <path d="M0,0 L10,5 L0,10 z" fill={color} />
+          </marker>
+        ))}
+      </defs>
+
+      <circle cx={C} cy={C} r={R} className="bloch-outline" />
+      <path d={EQUATOR} className="bloch-equator" />
+      <path d={POLARIZATION_CIRCLE} className="bloch-polarization" />
+      {POLES.map(({ v, label }) => {
+        const [sx, sy] = project(v);
+        const [lx, ly] = project(v.map((c) => c * 1.28));
+        return (
+          <g key={label}>
+            <line x1={C} y1={C} x2={sx} y2={sy} className="bloch-axis" />
+            <text x={lx} y={ly} className="bloch-label" textAnchor="middle" dominantBaseline="middle">
+              {label}
+            </text>
+          </g>
+        );
+      })}
+
+      {showBob && (
+        <g>
+          <line x1={ax0} y1={ay0} x2={ax1} y2={ay1} stroke={COLORS.bob} strokeWidth={2} strokeDasharray="5 4" />
+          <circle cx={ax1} cy={ay1} r={bob.outcome === 0 ? 7 : 4} fill={COLORS.bob} opacity={0.35 + 0.65 * bob.p0} />
+          <circle cx={ax0} cy={ay0} r={bob.outcome === 1 ? 7 : 4} fill={COLORS.bob} opacity={0.35 + 0.65 * bob.p1} />
+          <circle cx={px} cy={py} r={3} fill={COLORS.arriving} />
+        </g>
+      )}
+
+      <Arrow vector={alice} color={COLORS.alice} faded={Boolean(showEve) || Boolean(showBob)} markerId={marker("alice")} />
+      {showEve && <Arrow vector={eve.state} color={COLORS.eve} faded={Boolean(showBob)} markerId={marker("eve")} />}
+      {showBob && <Arrow vector={arriving} color={COLORS.arriving} markerId={marker("arriving")} />}
+    </svg>
+  );
+};
+
+export default BlochSphere;
@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { GREETING, answerQuestion } from "../chatbot/answer";
+
+// `context` is the current run ({ qber, siftedKey, eveKey, tableData,
+// securityWarning, results }) so answers can quote its numbers
+const useBot = (context) => {
+  const [open, setOpen] = useState(false);
+  const [input, setInput] = useState("");
+  const [messages, setMessages] = useState([GREETING]);
+
+  const send = (text) => {
+    if (!text.trim()) return;
+    const userMsg = { role: "user", text };
+    const botMsg = { role: "bot", ...answerQuestion(text, context) };
+    setMessages((m) => [...m, userMsg, botMsg]);
+    setInput("");
+  };
+
+  return { open, setOpen, input, setInput, messages, send };
+};
+
+const ChatHelpBot = ({ context }) => {
+  const { open, setOpen, input, setInput, messages, send } = useBot(context);
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages, open]);
+
+  // Suggestions follow the latest answer
+  const followUps = [...messages].reverse().find((m) => m.role === "bot")?.followUps ?? GREETING.followUps;
+
+  return (
+    <>
+      <button
+        className="chatbot-toggle"
+        aria-label="Open help chatbot"
+        onClick={() => setOpen((v) => !v)}
+      >
+        {open ? "✖" : "💬 Help"}
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.aside
+            key="chatbot"
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 30 }}
+            transition={{ duration: 0.2 }}
+            className="chatbot-panel"
+          >
+            <div className="chatbot-header">
+              <span>Quantum Help</span>
+              <button className="chatbot-close" onClick={() => setOpen(false)}>
+                ×
+              </button>
+            </div>
+
+            <div className="chatbot-body">
+              {messages.map((m, i) => (
+                <div key={i} className={`msg ${m.role}`}>
+                  <div className="bubble">{m.text}</div>
+                </div>
+              ))}
+              <div ref={endRef} />
+            </div>
+
+            <div className="chatbot-quick">
+              {followUps.map((p) => (
+                <button
+                  key={p}
+                  onClick={() => send(p)}
+                  className="chip"
+                  type="button"
+                >
+                  {p}
+                </button>
+              ))}
+            </div>
+
+            <form
+              className="chatbot-input"
+              onSubmit={(e) => {
+                e.preventDefault();
+                send(input);
+              }}
+            >
+              <input
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder="Ask a question…"
+                aria-label="Type your question"
+              />
+              <button type="submit">Send</button>
+            </form>
+          </motion.aside>
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default ChatHelpBot;
@@ -0,0 +1,113 @@
+import React from "react";
+import { CHANNEL_PHASES, MAC_TAG_BITS } from "../engine/classicalChannel";
+
+const PARTY = { alice: "Alice", bob: "Bob" };
+const PHASE_LABELS = {
+  sifting: "Sifting",
+  estimation: "QBER sample",
+  reconciliation: "Error correction",
+  verification: "Verification",
+};
+
+// Large runs send lists of thousands of entries; only the start of each is printed
+const MAX_LISTED = 40;
+const MAX_LOGGED = 150;
+
+const list = (items, separator) =>
+  items.length > MAX_LISTED
+    ? `${items.slice(0, MAX_LISTED).join(separator)}${separator}… (+${(items.length - MAX_LISTED).toLocaleString()} more)`
+    : items.join(separator);
+
+const positions = (indices) => list(indices.map((i) => `#${i + 1}`), ", ") || "(none)";
+
+const describe = ({ kind, payload }) => {
+  switch (kind) {
+    case "bases":
+      return `My bases: ${list(payload.bases, " ")}`;
+    case "conclusive":
+      return `Conclusive at ${positions(payload.indices)}`;
+    case "sift-ack":
+      return `OK, keep ${positions(payload.indices)}`;
+    case "sample":
+      return `Sample: ${list(payload.indices.map((i, k) => `#${i + 1}=${payload.bits[k]}`), ", ") || "(none)"}`;
+    case "qber":
+      return `${payload.errors} errors in ${payload.size} sampled bits`;
+    case "parities":
+      return `Pass ${payload.pass + 1} block parities: ${list(payload.parities, "")}`;
+    case "bisect":
+      return `Pass ${payload.pass + 1}, block ${payload.block + 1} bisection parities: ${payload.values.join("")}`;
+    case "syndrome":
+      return `Pass ${payload.pass + 1}, block ${payload.block + 1} syndrome: ${payload.values.join(", ")}`;
+    case "key-tag":
+      return `Key verification tag ${payload.tag}`;
+    default:
+      return JSON.stringify(payload);
+  }
+};
+
+// Every public message of the run on screen, with its MAC and whether it verified
+const ClassicalChannelPanel = ({ transcript, phases }) => {
+  if (!transcript || phases.length === 0) return null;
+  const messages = transcript.messages.filter((m) => phases.includes(m.phase));
+  const aborted = transcript.aborted && phases.includes(transcript.abortedPhase);
+  const failed = aborted ? transcript.messages[transcript.messages.length - 1] : null;
+  // Past the cap only messages Eve touched are listed
+  const logged = messages.filter((m, i) => i < MAX_LOGGED || m.tampered);
+
+  return (
+    <div className="reconciliation-panel channel-panel" data-lesson="classical-channel">
+      <div className="panel-header">
+        <h2>Classical Channel</h2>
+        <span className="run-meta">Public and authenticated — Eve hears every message</span>
+      </div>
+
+      <div className="recon-stats">
+        <div><strong>{messages.length}</strong><span>messages sent</span></div>
+        <div><strong>{MAC_TAG_BITS}</strong><span>bit MAC per message</span></div>
+        <div><strong>{transcript.keyBits.hash}</strong><span>hash key bits (reused)</span></div>
+        <div><strong>{messages.length * MAC_TAG_BITS}</strong><span>pad bits used</span></div>
+        <div><strong>{transcript.mitm.label}</strong><span>man in the middle</span></div>
+      </div>
+      <p className="run-meta">
+        Tags are keyed with a secret Alice and Bob share for this session, not the run seed: the seed is public, so a
+        replay with it shows the same messages but different tags.
+      </p>
+
+      <ol className="channel-log">
+        {logged.map((m) => (
+          <li key={m.seq} className={`${m.from} ${m.tampered ? (m.verified ? "forged" : "rejected") : ""}`}>
+            <span className="channel-phase">{PHASE_LABELS[m.phase]}</span>
+            <strong>{PARTY[m.from]} → {PARTY[m.to]}:</strong> {describe(m)}
+            {m.tampered && <del className="channel-original">{describe({ kind: m.kind, payload: m.original })}</del>}
+            <span className="channel-tag">
+              MAC <code>{m.receivedTag}</code>
+              {m.tampered
+                ? m.verified
+                  ? " ⚠️ forged tag guessed right (odds 2⁻³²)"
+                  : ` ❌ expected ${m.tag} — rejected`
+                : " ✅"}
+            </span>
+          </li>
+        ))}
+      </ol>
+      {logged.length < messages.length && (
+        <p className="run-meta">{(messages.length - logged.length).toLocaleString()} more untampered messages not listed.</p>
+      )}
+
+      {aborted ? (
+        <div className="recon-verification failed">
+          {PARTY[failed.to]} rejected message {failed.seq + 1}: Eve changed it but couldn't produce a valid tag without the pre-shared key.
+          <span>❌ Protocol aborted — the key is discarded and encryption stays blocked.</span>
+        </div>
+      ) : (
+        transcript.mitm.id !== "none" &&
+        !transcript.attempted &&
+        phases.length === CHANNEL_PHASES.length && (
+          <p className="run-meta">Eve had nothing to change in this run, so every message verified.</p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ClassicalChannelPanel;
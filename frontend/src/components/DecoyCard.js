@@ -0,0 +1,57 @@
+import React from "react";
+
+const pct = (v) => `${(v * 100).toFixed(2)}%`;
+
+// Weak-coherent source report for PNS runs: per-intensity gains against an
+// honest channel and the decoy-state bound on the single-photon yield
+const DecoyCard = ({ decoy }) => {
+  const verdict = !decoy.enabled
+    ? "Without decoys the signal gain looks honest — a PNS attack goes unnoticed."
+    : decoy.attack_detected
+      ? "❌ Single-photon yield far below the channel's transmittance — PNS attack suspected."
+      : "✅ Single-photon yield consistent with the channel.";
+
+  return (
+    <div className={`result-card protocol-statistic ${decoy.attack_detected ? "alarm" : ""}`} data-lesson="decoy-card">
+      <h3>Decoy-State Check</h3>
+      {decoy.enabled && (
+        <div className="qber-value">
+          Y₁ ≥ {pct(decoy.single_photon_yield)}
+        </div>
+      )}
+      <table className="decoy-table">
+        <thead>
+          <tr>
+            <th>Pulses</th>
+            <th>Clicks</th>
+            <th>Gain</th>
+            <th>Honest</th>
+          </tr>
+        </thead>
+        <tbody>
+          {decoy.intensities.map((row) => (
+            <tr key={row.name}>
+              <th>
+                {row.name} (μ={row.mu})
+              </th>
+              <td>
+                {row.detected}/{row.sent}
+              </td>
+              <td>{pct(row.gain)}</td>
+              <td>{pct(row.expected_gain)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p>{verdict}</p>
+      {decoy.enabled && (
+        <div className="qber-breakdown">
+          <span>Honest single-photon yield ≈ {pct(decoy.expected_single_photon_yield)} (the transmittance)</span>
+          {decoy.low_statistics && <span>Few decoy clicks — send more photons for a reliable bound</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DecoyCard;
@@ -0,0 +1,222 @@
+import React, { useRef, useState } from "react";
+import { runBB84 } from "../engine/bb84";
+import { noiseFloor } from "../engine/noise";
+import { attackQber, strategyById } from "../engine/eavesdropping";
+import {
+  buildSweep, runExperiment, summariesToCsv, theoreticalQber, trialsToCsv,
+} from "../engine/experiment";
+import { useApi } from "../hooks/useApi";
+import { downloadFile } from "../utils/download";
+import LineChart from "./LineChart";
+
+const SERIES_COLORS = ["#2563eb", "#059669", "#7c3aed", "#0891b2", "#4f46e5"];
+const EVE_COLORS = ["#e11d48", "#f97316", "#a21caf", "#b45309", "#be123c"];
+const MAX_N_BITS = 2000;
+
+const parseNBits = (text) =>
+  text
+    .split(",")
+    .map((v) => Number(v.trim()))
+    .filter((v) => Number.isInteger(v) && v > 0 && v <= MAX_N_BITS);
+
+// engineLocked keeps the sweep on the simulator's engine (an embedding host fixed
+// or locked it)
+const ExperimentPanel = ({ defaultEngine, engineLocked = false, noise, sampleFraction, attack }) => {
+  const [eveFrom, setEveFrom] = useState(0);
+  const [eveTo, setEveTo] = useState(1);
+  const [eveStep, setEveStep] = useState(0.1);
+  const [nBitsText, setNBitsText] = useState("50");
+  const [trialsPerPoint, setTrialsPerPoint] = useState(20);
+  const [engineChoice, setEngine] = useState(defaultEngine);
+  const engine = engineLocked ? defaultEngine : engineChoice;
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [status, setStatus] = useState("");
+  const [results, setResults] = useState(null);
+  const control = useRef({ cancelled: false });
+  const api = useApi();
+
+  const floor = noiseFloor(noise);
+  const perAttack = attackQber(attack);
+
+  const start = async () => {
+    const nBitsList = parseNBits(nBitsText);
+    if (nBitsList.length === 0) {
+      setStatus(`Enter photon counts between 1 and ${MAX_N_BITS}, separated by commas`);
+      return;
+    }
+    if (eveStep <= 0 || eveTo < eveFrom) {
+      setStatus("Eve probability sweep needs from ≤ to and a positive step");
+      return;
+    }
+
+    const points = buildSweep({ eveFrom, eveTo, eveStep, nBitsList });
+    control.current = { cancelled: false };
+    setRunning(true);
+    setResults(null);
+    setProgress({ done: 0, total: points.length * trialsPerPoint });
+
+    let runTrial = ({ nBits, eveProb }) => runBB84({ nBits, eveProb, noise, sampleFraction, attack });
+    let source = "local engine";
+    if (engine === "backend") {
+      try {
+        setStatus(`Checking quantum backend at ${api.baseUrl}...`);
+        await api.checkHealth();
+        runTrial = ({ nBits, eveProb }) => api.runBB84({ nBits, eveProb, noise, sampleFraction, attack });
+        source = "quantum backend";
+      } catch (error) {
+        source = "local engine (backend unreachable)";
+      }
+    }
+
+    setStatus(`Running ${points.length} points × ${trialsPerPoint} trials on the ${source}...`);
+    try {
+      const outcome = await runExperiment({
+        points,
+        trialsPerPoint,
+        runTrial,
+        control: control.current,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setResults({ ...outcome, nBitsList, source });
+      setStatus(outcome.cancelled ? "⏹️ Experiment cancelled — partial results shown" : `✅ Experiment complete — ${source}`);
+    } catch (error) {
+      console.error("Error:", error);
+      setStatus(`❌ Experiment failed: ${error.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const seriesFor = (valueKey, errKey) =>
+    results.nBitsList.map((nBits, i) => ({
+      label: `n = ${nBits}`,
+      color: SERIES_COLORS[i % SERIES_COLORS.length],
+      points: results.summaries
+        .filter((s) => s.nBits === nBits)
+        .map((s) => ({ x: s.eveProb, y: s[valueKey], err: errKey ? 1.96 * s[errKey] : 0 })),
+    }));
+
+  const qberSeries = results && [
+    ...seriesFor("meanQber", "semQber"),
+    {
+      label: `Theory: ${(perAttack * 100).toFixed(0)}%·p${floor > 0 ? " ⊕ noise" : ""} (${strategyById(attack.strategy).label})`,
+      color: "#0f172a",
+      dashed: true,
+      points: [0, 0.25, 0.5, 0.75, 1].map((p) => ({ x: p, y: theoreticalQber(p, floor, perAttack) })),
+    },
+  ];
+  const maxLength = results
+    ? Math.max(1, ...results.summaries.map((s) => s.meanSiftedLength + 1.96 * s.semSiftedLength))
+    : 1;
+
+  const numberInput = (label, value, setter, props) => (
+    <label className="experiment-field">
+      {label}
+      <input
+        type="number"
+        value={value}
+        onChange={(e) => setter(Number(e.target.value))}
+        disabled={running}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="experiment-panel">
+      <div className="experiment-config">
+        {numberInput("Eve from", eveFrom, setEveFrom, { min: 0, max: 1, step: 0.05 })}
+        {numberInput("Eve to", eveTo, setEveTo, { min: 0, max: 1, step: 0.05 })}
+        {numberInput("Step", eveStep, setEveStep, { min: 0.01, max: 1, step: 0.01 })}
+        {numberInput("Trials per point", trialsPerPoint, setTrialsPerPoint, { min: 1, max: 500, step: 1 })}
+        <label className="experiment-field">
+          Photons (comma-separated)
+          <input value={nBitsText} onChange={(e) => setNBitsText(e.target.value)} disabled={running} />
+        </label>
+        <label className="experiment-field">
+          Engine
+          <select value={engine} onChange={(e) => setEngine(e.target.value)} disabled={running || engineLocked}>
+            <option value="local">Local</option>
+            <option value="backend">Backend</option>
+          </select>
+        </label>
+      </div>
+
+      <p className="experiment-note">
+        Uses the simulator's current noise settings (noise floor ≈ {(floor * 100).toFixed(1)}%)
+        and QBER sample size. No animation — trials run back to back.
+      </p>
+
+      <div className="simulate-button-container">
+        {running ? (
+          <button className="simulate-button secondary" onClick={() => { control.current.cancelled = true; }}>
+            ⏹️ Stop
+          </button>
+        ) : (
+          <button className="simulate-button" onClick={start}>📈 Run Experiment</button>
+        )}
+        {results && !running && (
+          <>
+            <button
+              className="simulate-button secondary"
+              onClick={() => downloadFile("bb84-sweep-summary.csv", summariesToCsv(results.summaries, floor, perAttack), "text/csv")}
+            >
+              ⬇️ Summary CSV
+            </button>
+            <button
+              className="simulate-button secondary"
+              onClick={() => downloadFile("bb84-sweep-trials.csv", trialsToCsv(results.trials), "text/csv")}
+            >
+              ⬇️ Trials CSV
+            </button>
+          </>
+        )}
+      </div>
+
+      {status && <div className="timeline">{status}</div>}
+      {running && progress.total > 0 && (
+        <progress className="experiment-progress" value={progress.done} max={progress.total} />
+      )}
+
+      {results && results.summaries.length > 0 && (
+        <div className="experiment-charts">
+          <div className="result-card">
+            <h3>Mean QBER vs Eve probability</h3>
+            <LineChart
+              series={qberSeries}
+              xMax={1}
+              yMax={0.5}
+              xLabel="Eve interception probability p"
+              yLabel="QBER"
+              formatX={(v) => `${Math.round(v * 100)}%`}
+              formatY={(v) => `${Math.round(v * 100)}%`}
+            />
+            <p>Error bars: 95% confidence interval of the mean</p>
+          </div>
+          <div className="result-card">
+            <h3>Key lengths vs Eve probability</h3>
+            <LineChart
+              series={[
+                ...seriesFor("meanSiftedLength", "semSiftedLength").map((s) => ({ ...s, label: `Sifted, ${s.label}` })),
+                ...seriesFor("meanEveKeyLength", "semEveKeyLength").map((s, i) => ({
+                  ...s,
+                  label: `Eve, ${s.label}`,
+                  color: EVE_COLORS[i % EVE_COLORS.length],
+                })),
+              ]}
+              xMax={1}
+              yMax={Math.ceil(maxLength)}
+              xLabel="Eve interception probability p"
+              yLabel="Mean bits"
+              formatX={(v) => `${Math.round(v * 100)}%`}
+              formatY={(v) => v.toFixed(0)}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExperimentPanel;
@@ -0,0 +1,192 @@
+import React, { useRef, useState } from "react";
+import { useFileCrypto } from "../hooks/useFileCrypto";
+import { downloadFile } from "../utils/download";
+import {
+  ENVELOPE_FORMAT,
+  EnvelopeFormatError,
+  FILE_MODES,
+  MAX_FILE_BYTES,
+  MAX_OTP_BYTES,
+  envelopeFilename,
+  fileModeById,
+  parseEnvelope,
+} from "../utils/envelope";
+
+const formatBytes = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const isEnvelopeFile = (file) => file.name.endsWith(`.${ENVELOPE_FORMAT}.json`);
+
+// Drop a file to encrypt it with a key from the key store and save the envelope;
+// drop (or open) an envelope to fetch its key as Bob and get the file back
+const FileEncryptionPanel = ({ poolBits, disabled, onKeysUsed }) => {
+  const files = useFileCrypto({ onKeysUsed });
+  const [mode, setMode] = useState("eax");
+  const [dragging, setDragging] = useState(false);
+  const [sealed, setSealed] = useState(null);
+  const [opened, setOpened] = useState(null);
+  const [decrypted, setDecrypted] = useState(null);
+  const fileRef = useRef(null);
+  const envelopeRef = useRef(null);
+  const busy = Boolean(files.progress);
+  const selected = fileModeById(mode);
+
+  const encrypt = async (file) => {
+    setSealed(null);
+    const envelope = await files.encryptFile(file, mode);
+    if (envelope) setSealed(envelope);
+  };
+
+  const open = async (file) => {
+    setOpened(null);
+    setDecrypted(null);
+    try {
+      setOpened(parseEnvelope(await file.text()));
+      files.setError("");
+    } catch (error) {
+      files.setError(error instanceof EnvelopeFormatError ? error.message : `Could not read ${file.name}`);
+    }
+  };
+
+  const decrypt = async () => {
+    const blob = await files.decryptEnvelope(opened);
+    if (blob) setDecrypted({ name: opened.file.name, blob });
+  };
+
+  const take = (file) => {
+    if (!file || busy || disabled) return;
+    if (isEnvelopeFile(file)) open(file);
+    else encrypt(file);
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    take(e.dataTransfer.files[0]);
+  };
+
+  const pick = (ref, handler) => (e) => {
+    const file = e.target.files[0];
+    if (file) handler(file);
+    ref.current.value = "";
+  };
+
+  return (
+    <div className="file-crypto" data-lesson="file-encryption">
+      <h3>File Encryption</h3>
+
+      <div className="input-group cipher-group">
+        <label htmlFor="file-mode">Mode:</label>
+        <select id="file-mode" value={mode} onChange={(e) => setMode(e.target.value)} disabled={busy || disabled}>
+          {FILE_MODES.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+              {m.keyBits ? ` — one ${m.keyBits}-bit key, files up to ${formatBytes(MAX_FILE_BYTES)}` : ` — 8 key bits per byte, files up to ${formatBytes(MAX_OTP_BYTES)}`}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div
+        className={`drop-zone ${dragging ? "dragging" : ""} ${disabled ? "disabled" : ""}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+      >
+        <p>
+          Drop a file here to encrypt it, or a <code>.{ENVELOPE_FORMAT}.json</code> envelope to decrypt it.
+        </p>
+        <div className="net-actions">
+          <button type="button" onClick={() => fileRef.current.click()} disabled={busy || disabled}>
+            Choose file…
+          </button>
+          <button type="button" onClick={() => envelopeRef.current.click()} disabled={busy || disabled}>
+            Open envelope…
+          </button>
+        </div>
+        <input ref={fileRef} type="file" hidden onChange={pick(fileRef, encrypt)} />
+        <input
+          ref={envelopeRef}
+          type="file"
+          hidden
+          accept="application/json,.json"
+          onChange={pick(envelopeRef, open)}
+        />
+        <p className="run-meta">
+          {selected.keyBits
+            ? `Uses one fresh ${selected.keyBits}-bit key from the pool (${poolBits} bits stored).`
+            : `Uses 8 pool bits per byte of the file (${poolBits} bits stored, enough for ${formatBytes(Math.floor(poolBits / 8))}).`}
+        </p>
+      </div>
+
+      {files.progress && (
+        <div className="file-progress">
+          <div className="key-budget-bar" title={`${files.progress.done} of ${files.progress.total} bytes`}>
+            <span
+              className="key-budget-segment"
+              style={{ left: 0, width: `${(files.progress.done / Math.max(1, files.progress.total)) * 100}%` }}
+            />
+          </div>
+          <p className="run-meta">
+            {files.progress.action}: {formatBytes(files.progress.done)} of {formatBytes(files.progress.total)}
+            {" "}
+            <button type="button" className="link-button" onClick={files.cancel}>
+              Cancel
+            </button>
+          </p>
+        </div>
+      )}
+
+      {files.error && <div className="privacy-status failed">{files.error}</div>}
+
+      {sealed && (
+        <div className="encrypted-data">
+          <h4>Encrypted {sealed.file.name}</h4>
+          <p className="run-meta">
+            {fileModeById(sealed.mode).label} · {formatBytes(sealed.file.size)} in {sealed.chunks.length} chunk
+            {sealed.chunks.length === 1 ? "" : "s"} · key {sealed.key.key_IDs.map((id) => id.slice(0, 8)).join(", ")}
+          </p>
+          <button
+            type="button"
+            onClick={() => downloadFile(envelopeFilename(sealed), JSON.stringify(sealed, null, 2), "application/json")}
+          >
+            Download envelope
+          </button>
+        </div>
+      )}
+
+      {opened && (
+        <div className="encrypted-data">
+          <h4>Envelope for {opened.file.name}</h4>
+          <p className="run-meta">
+            {fileModeById(opened.mode).label} · {formatBytes(opened.file.size)} · sealed {new Date(opened.created).toLocaleString()}
+            {" "}· key {opened.key.key_IDs.map((id) => id.slice(0, 8)).join(", ")}
+          </p>
+          <button type="button" onClick={decrypt} disabled={busy || disabled}>
+            Decrypt as Bob
+          </button>
+        </div>
+      )}
+
+      {decrypted && (
+        <div className="decrypted-data">
+          <h4>Decrypted {decrypted.name}</h4>
+          <button type="button" onClick={() => downloadFile(decrypted.name, decrypted.blob)}>
+            Save {formatBytes(decrypted.blob.size)}
+          </button>
+        </div>
+      )}
+
+      <p className="run-meta">
+        The envelope holds the ciphertext, nonces, tags and the key IDs, never the key. Bob fetches the key by ID
+        from the key store, so the envelope can be decrypted in another session while the backend is running.
+        {selected.id === "otp" && " The one-time pad has no authentication tag: a flipped ciphertext bit flips the same file bit."}
+      </p>
+    </div>
+  );
+};
+
+export default FileEncryptionPanel;
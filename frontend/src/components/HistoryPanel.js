@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+const HistoryItem = ({ run, selected, onToggleSelect, onLoad, onRename, onDelete, disabled }) => {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(run.name);
+
+  const commit = () => {
+    const trimmed = name.trim();
+    if (trimmed) onRename(run.id, trimmed);
+    else setName(run.name);
+    setEditing(false);
+  };
+
+  return (
+    <li className={`history-item ${selected ? "selected" : ""}`}>
+      <div className="history-item-top">
+        <input
+          type="checkbox"
+          checked={selected}
+          onChange={() => onToggleSelect(run.id)}
+          disabled={!run.response}
+          title={run.response ? undefined : "Large runs can't be compared row by row"}
+          aria-label={`Select ${run.name} for comparison`}
+        />
+        {editing ? (
+          <form onSubmit={(e) => { e.preventDefault(); commit(); }}>
+            <input
+              className="history-rename"
+              value={name}
+              autoFocus
+              onChange={(e) => setName(e.target.value)}
+              onBlur={commit}
+            />
+          </form>
+        ) : (
+          <span className="history-name" onDoubleClick={() => setEditing(true)}>{run.name}</span>
+        )}
+      </div>
+      <div className="history-meta">
+        {formatDate(run.createdAt)} · {run.params.n.toLocaleString()} photons · QBER {((run.response?.qber ?? run.summary.qber) * 100).toFixed(1)}%
+        {run.encryption?.encrypted && " · 🔐"}
+        {!run.response && " · re-simulated from its seed on load"}
+      </div>
+      <div className="history-actions">
+        <button type="button" onClick={() => onLoad(run)} disabled={disabled}>Load</button>
+        <button type="button" onClick={() => setEditing(true)}>Rename</button>
+        <button type="button" onClick={() => onDelete(run.id)}>Delete</button>
+      </div>
+    </li>
+  );
+};
+
+const HistoryPanel = ({ history, onLoad, onCompare, disabled }) => {
+  const [open, setOpen] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const { runs, renameRun, deleteRun, clearRuns } = history;
+
+  // Keep at most two selected: picking a third drops the oldest pick
+  const toggleSelect = (id) => {
+    setSelected((prev) =>
+      prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id].slice(-2)
+    );
+  };
+
+  const remove = (id) => {
+    setSelected((prev) => prev.filter((s) => s !== id));
+    deleteRun(id);
+  };
+
+  const compare = () => {
+    const pair = selected.map((id) => runs.find((r) => r.id === id)).filter(Boolean);
+    if (pair.length === 2) onCompare(pair);
+  };
+
+  return (
+    <>
+      <button
+        className="history-toggle"
+        aria-label="Open run history"
+        onClick={() => setOpen((v) => !v)}
+      >
+        {open ? "✖" : `🕘 History (${runs.length})`}
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.aside
+            key="history"
+            initial={{ opacity: 0, x: -30 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -30 }}
+            transition={{ duration: 0.2 }}
+            className="history-panel"
+          >
+            <div className="history-header">
+              <span>Run History</span>
+              <button className="chatbot-close" onClick={() => setOpen(false)}>×</button>
+            </div>
+
+            <div className="history-toolbar">
+              <button type="button" onClick={compare} disabled={selected.length !== 2}>
+                Compare selected ({selected.length}/2)
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  if (window.confirm("Delete all saved runs?")) {
+                    setSelected([]);
+                    clearRuns();
+                  }
+                }}
+                disabled={runs.length === 0}
+              >
+                Clear all
+              </button>
+            </div>
+
+            {runs.length === 0 ? (
+              <p className="history-empty">No runs yet — every simulation you run is saved here.</p>
+            ) : (
+              <ul className="history-list">
+                {runs.map((run) => (
+                  <HistoryItem
+                    key={run.id}
+                    run={run}
+                    selected={selected.includes(run.id)}
+                    onToggleSelect={toggleSelect}
+                    onLoad={onLoad}
+                    onRename={renameRun}
+                    onDelete={remove}
+                    disabled={disabled}
+                  />
+                ))}
+              </ul>
+            )}
+          </motion.aside>
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,59 @@
+import React from "react";
+import { overlapping, padBudget } from "../engine/oneTimePad";
+
+const range = (e) => `pad bits ${e.offset + 1}–${e.offset + e.length}`;
+
+// Where the one-time pad has gone: one bar segment per message, then what's left
+const KeyBudget = ({ keyLength, ledger, needed, onGenerate, disabled }) => {
+  const budget = padBudget(keyLength, ledger);
+  const short = budget.remaining === 0 || needed > budget.remaining;
+  const width = (bits) => `${(bits / Math.max(1, keyLength)) * 100}%`;
+
+  return (
+    <div className="key-budget" data-lesson="key-budget">
+      <div className="recon-stats">
+        <div><strong>{budget.total}</strong><span>pad bits available</span></div>
+        <div><strong>{budget.used}</strong><span>bits consumed</span></div>
+        <div><strong>{budget.remaining}</strong><span>bits remaining</span></div>
+        <div><strong>{needed}</strong><span>bits for this message</span></div>
+      </div>
+
+      <div className="key-budget-bar" aria-hidden="true">
+        {ledger.map((e) => (
+          <span
+            key={e.id}
+            className={`key-budget-segment ${overlapping(ledger.filter((o) => o.id !== e.id), e.offset, e.length).length ? "reused" : ""}`}
+            style={{ left: width(e.offset), width: width(e.length) }}
+            title={`Message ${e.id}: ${range(e)}`}
+          />
+        ))}
+      </div>
+
+      {ledger.length > 0 && (
+        <ol className="key-budget-log">
+          {ledger.map((e) => {
+            const reused = overlapping(ledger.filter((o) => o.id !== e.id), e.offset, e.length);
+            return (
+              <li key={e.id} className={reused.length ? "reused" : ""}>
+                Message {e.id}: {e.length} bits ({range(e)})
+                {reused.length > 0 && ` ⚠️ shares pad with message ${reused.map((o) => o.id).join(", ")}`}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {short && (
+        <div className="privacy-status failed">
+          {budget.remaining === 0 ? "The pad is used up." : `This message needs ${needed} bits but only ${budget.remaining} are left.`}
+          {" "}A one-time pad can never be reused — generate more key with a new run to keep sending.
+          <button type="button" className="link-button" onClick={onGenerate} disabled={disabled}>
+            Generate more key
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeyBudget;
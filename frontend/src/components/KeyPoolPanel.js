@@ -0,0 +1,92 @@
+import React from "react";
+
+const shortId = (id) => id.slice(0, 8);
+const time = (iso) => new Date(iso).toLocaleTimeString();
+
+// Key management: runs waiting in the pending block, and the keys the key store
+// has handed out by ID to Alice's and Bob's applications
+const KeyPoolPanel = ({ pool, disabled }) => {
+  const { block, pending, keys, storedBits, status, error, targetBits } = pool;
+  const distilled = block?.privacy.outputLength ?? 0;
+  const progress = Math.min(1, distilled / targetBits);
+
+  return (
+    <div className="reconciliation-panel key-pool-panel" data-lesson="key-pool">
+      <div className="panel-header">
+        <h2>Key Pool</h2>
+        <button type="button" className="link-button" onClick={pool.refresh} disabled={disabled}>
+          ↻ Refresh
+        </button>
+      </div>
+
+      <div className="recon-stats">
+        <div><strong>{pending.length}</strong><span>runs in the pending block</span></div>
+        <div><strong>{block?.inputLength ?? 0}</strong><span>sifted bits pending</span></div>
+        <div><strong>{distilled}</strong><span>secure bits they'd give</span></div>
+        <div><strong>{status ? storedBits : "-"}</strong><span>bits in the key store</span></div>
+        <div><strong>{status ? keys.length : "-"}</strong><span>keys issued</span></div>
+      </div>
+
+      {error && <div className="privacy-status failed">{error}</div>}
+
+      <div className="key-budget-bar" title={`${distilled} of ${targetBits} bits`}>
+        <span className="key-budget-segment" style={{ left: 0, width: `${progress * 100}%` }} />
+      </div>
+      <p className="run-meta">
+        {pending.length === 0
+          ? "Every finished backend run with a verified key joins the pending block: the key store only takes keys from runs the backend executed and checked."
+          : block.verified
+            ? `The block is error-corrected, verified and amplified as one key (QBER ≤ ${(block.qberBound * 100).toFixed(1)}% from ${block.sampleSize} sampled bits). It goes to the key store at ${targetBits} secure bits, the security policy's minimum.`
+            : "❌ The block's keys still differ after error correction — discard it."}
+      </p>
+      {pending.length > 0 && (
+        <div className="net-actions">
+          <button
+            type="button"
+            className="link-button"
+            onClick={pool.deposit}
+            disabled={disabled || !block.verified || distilled < targetBits}
+            title={distilled < targetBits ? `The security policy needs at least ${targetBits} bits` : undefined}
+          >
+            Deposit {distilled} bits now
+          </button>
+          <button type="button" className="link-button" onClick={pool.discardBlock} disabled={disabled}>
+            Discard block
+          </button>
+        </div>
+      )}
+
+      {keys.length > 0 && (
+        <div className="table-wrapper">
+          <table className="net-table">
+            <thead>
+              <tr>
+                <th>Key ID</th>
+                <th>Bits</th>
+                <th>Master → Slave</th>
+                <th>Fetched by</th>
+              </tr>
+            </thead>
+            <tbody>
+              {keys.map((k) => (
+                <tr key={k.key_ID}>
+                  <td title={k.key_ID}><code>{shortId(k.key_ID)}</code></td>
+                  <td>{k.size}</td>
+                  <td>{k.master_SAE_ID} → {k.slave_SAE_ID}</td>
+                  <td>{k.fetched_by.map((f) => `${f.SAE_ID} (${time(f.at)})`).join(", ")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="run-meta">
+        ETSI GS QKD 014 interface: <code>GET /api/v1/keys/&#123;slave&#125;/status</code> ·{" "}
+        <code>/enc_keys</code> (get key) · <code>/api/v1/keys/&#123;master&#125;/dec_keys</code> (get key with key IDs)
+      </p>
+    </div>
+  );
+};
+
+export default KeyPoolPanel;
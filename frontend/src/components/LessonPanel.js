@@ -0,0 +1,383 @@
+import React, { useEffect, useRef, useState } from "react";
+import { LESSONS, LessonFormatError, parseLesson } from "../lessons";
+import {
+  RUN_FACTS,
+  describeRequirements,
+  factValue,
+  formatFact,
+  gradeQuiz,
+  rowMatches,
+  runMeetsRequirements,
+} from "../lessons/grading";
+
+const HIGHLIGHT = "lesson-highlight";
+const NO_ROWS = [];
+const ROW_HIGHLIGHT = "lesson-highlight-row";
+
+const asList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// Outline the step's controls/cards and matching table rows, scrolling the first into view
+const useHighlights = (step, rows, foundRow) => {
+  useEffect(() => {
+    if (!step) return undefined;
+    const marked = [];
+    const mark = (el, className) => {
+      el.classList.add(className);
+      marked.push([el, className]);
+    };
+
+    asList(step.highlight).forEach((target) => {
+      document.querySelectorAll(`[data-lesson~="${target}"]`).forEach((el) => mark(el, HIGHLIGHT));
+    });
+    const rowIndices = step.highlightRows
+      ? rows.map((row, i) => (rowMatches(row, step.highlightRows) ? i : -1)).filter((i) => i !== -1)
+      : [];
+    if (foundRow !== null) rowIndices.push(foundRow);
+    rowIndices.forEach((i) => {
+      const tr = document.querySelector(`[data-lesson~="results-table"] tr[data-row="${i}"]`);
+      if (tr) mark(tr, ROW_HIGHLIGHT);
+    });
+
+    marked[0]?.[0].scrollIntoView({ behavior: "smooth", block: "center" });
+    return () => marked.forEach(([el, className]) => el.classList.remove(className));
+  }, [step, rows, foundRow]);
+};
+
+const stepDone = (progress, step) => Boolean(progress.results[step.id]);
+
+const scoreOf = (lesson, progress) => {
+  const graded = lesson.steps.filter((s) => s.type === "quiz" || s.predict);
+  const correct = graded.filter((s) => progress.results[s.id]?.correct).length;
+  return { correct, graded: graded.length, done: lesson.steps.filter((s) => stepDone(progress, s)).length };
+};
+
+const LessonCatalogue = ({ lessons, progress, onOpen, onImport, onRemove, importedIds }) => {
+  const fileRef = useRef(null);
+  const [importError, setImportError] = useState("");
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      onImport(parseLesson(await file.text()));
+      setImportError("");
+    } catch (error) {
+      setImportError(error instanceof LessonFormatError ? error.message : `Could not read ${file.name}`);
+    }
+    fileRef.current.value = "";
+  };
+
+  return (
+    <div className="lesson-catalogue">
+      <ul className="lesson-list">
+        {lessons.map((lesson) => {
+          const score = scoreOf(lesson, progress.lessonProgress(lesson.id));
+          return (
+            <li key={lesson.id} className="lesson-item">
+              <div>
+                <strong>{lesson.title}</strong>
+                <p>{lesson.summary}</p>
+                <div className="lesson-progress" aria-label={`${score.done} of ${lesson.steps.length} steps done`}>
+                  <div style={{ width: `${(score.done / lesson.steps.length) * 100}%` }} />
+                </div>
+                <span className="lesson-score">
+                  {score.done}/{lesson.steps.length} steps
+                  {score.graded > 0 && ` · ${score.correct}/${score.graded} answers right`}
+                </span>
+              </div>
+              <div className="lesson-item-actions">
+                <button type="button" onClick={() => onOpen(lesson.id)}>
+                  {score.done === 0 ? "Start" : score.done === lesson.steps.length ? "Review" : "Continue"}
+                </button>
+                {importedIds.includes(lesson.id) && (
+                  <button type="button" className="link-button" onClick={() => onRemove(lesson.id)}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      <label className="lesson-import">
+        Load a lesson file (.json):
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={(e) => loadFile(e.target.files[0])} />
+      </label>
+      {importError && <p className="lesson-error">{importError}</p>}
+    </div>
+  );
+};
+
+// What the student does on each step type; calls onResult once the step is complete
+const StepTask = ({ step, result, run, selectedRow, onResult }) => {
+  const [response, setResponse] = useState("");
+  const [prediction, setPrediction] = useState(null);
+  const [hint, setHint] = useState("");
+  // Run steps only count runs finished after the step (or the prediction) began
+  const baseline = useRef(run?.id ?? null);
+
+  // Watch for a qualifying run
+  useEffect(() => {
+    if (step.type !== "run" || result || !run || run.id === baseline.current) return;
+    if (step.predict && prediction === null) return;
+    if (runMeetsRequirements(run, step.requires)) {
+      if (!step.predict) {
+        onResult({ correct: true });
+        return;
+      }
+      const actual = factValue(step.predict.fact, run);
+      onResult({
+        correct: Math.abs(prediction - actual) <= step.predict.tolerance,
+        response: formatFact(step.predict.fact, prediction),
+        expected: formatFact(step.predict.fact, actual),
+      });
+    } else {
+      setHint("That run doesn't use the settings this step asks for — adjust them and run again.");
+    }
+  }, [step, result, run, prediction, onResult]);
+
+  // Check clicked rows for find-row steps
+  useEffect(() => {
+    if (step.type !== "find-row" || result || !selectedRow) return;
+    if (rowMatches(selectedRow.row, step.where)) {
+      onResult({ correct: true, response: `row ${selectedRow.index + 1}`, row: selectedRow.index });
+    } else {
+      setHint(`Row ${selectedRow.index + 1} isn't one — look again.`);
+    }
+  }, [step, result, selectedRow, onResult]);
+
+  if (step.type === "run") {
+    const requirements = describeRequirements(step.requires);
+    return (
+      <div className="lesson-task">
+        {requirements.length > 0 && <p className="lesson-requirements">Needs: {requirements.join(", ")}.</p>}
+        {step.predict && !result && (
+          <form
+            className="lesson-answer"
+            onSubmit={(e) => {
+              e.preventDefault();
+              const value = Number(response);
+              if (response === "" || !Number.isFinite(value)) return;
+              baseline.current = run?.id ?? null;
+              setPrediction(value);
+            }}
+          >
+            <label>
+              Your prediction for the {RUN_FACTS[step.predict.fact].label}
+              {RUN_FACTS[step.predict.fact].unit && ` (${RUN_FACTS[step.predict.fact].unit})`}:
+              <input
+                type="number"
+                step="any"
+                value={response}
+                onChange={(e) => setResponse(e.target.value)}
+                disabled={prediction !== null}
+              />
+            </label>
+            <button type="submit" disabled={prediction !== null}>
+              {prediction === null ? "Lock in" : "Locked — now run"}
+            </button>
+          </form>
+        )}
+        {!result && <p className="lesson-waiting">{hint || "Waiting for a run…"}</p>}
+      </div>
+    );
+  }
+
+  if (step.type === "find-row") {
+    if (result) return null;
+    return <p className="lesson-waiting">{hint || (run ? "Click a row in the table." : "Run a simulation first.")}</p>;
+  }
+
+  if (step.type === "quiz") {
+    const submit = (value) => {
+      const graded = gradeQuiz(step, value, run);
+      if (!graded) {
+        setHint(run ? "Enter a number." : "This question is about your run — run a simulation first.");
+        return;
+      }
+      onResult({ ...graded, response: step.choices ? step.choices[value] : value });
+    };
+    return (
+      <div className="lesson-task">
+        <p className="lesson-question">{step.question}</p>
+        {step.choices ? (
+          <div className="lesson-choices">
+            {step.choices.map((choice, i) => (
+              <button
+                key={choice}
+                type="button"
+                className={result && i === step.answer ? "correct" : ""}
+                onClick={() => submit(i)}
+                disabled={Boolean(result)}
+              >
+                {choice}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <form
+            className="lesson-answer"
+            onSubmit={(e) => {
+              e.preventDefault();
+              submit(response);
+            }}
+          >
+            <input
+              type="number"
+              step="any"
+              value={response}
+              onChange={(e) => setResponse(e.target.value)}
+              disabled={Boolean(result)}
+              aria-label="Your answer"
+            />
+            <button type="submit" disabled={Boolean(result)}>
+              Check
+            </button>
+          </form>
+        )}
+        {!result && hint && <p className="lesson-waiting">{hint}</p>}
+      </div>
+    );
+  }
+
+  return null;
+};
+
+const LessonPanel = ({ progress, run, selectedRow, onSelectRow }) => {
+  const [lessonId, setLessonId] = useState(null);
+  const lessons = [...LESSONS, ...progress.imported.filter((l) => !LESSONS.some((b) => b.id === l.id))];
+  const lesson = lessons.find((l) => l.id === lessonId) ?? null;
+  const lessonState = lesson ? progress.lessonProgress(lesson.id) : null;
+  const stepIndex = lesson ? Math.min(lessonState.step, lesson.steps.length - 1) : 0;
+  const step = lesson ? lesson.steps[stepIndex] : null;
+  const result = step ? lessonState.results[step.id] : null;
+  const rows = run?.results?.table_data ?? NO_ROWS;
+
+  useHighlights(step, rows, result?.row ?? null);
+
+  // Row picks belong to the step they were made on
+  useEffect(() => {
+    onSelectRow(null);
+  }, [step, onSelectRow]);
+
+  if (!lesson) {
+    return (
+      <div className="lesson-panel" data-lesson="lesson-panel">
+        <div className="lesson-header">
+          <h2>🎓 Lessons</h2>
+        </div>
+        <LessonCatalogue
+          lessons={lessons}
+          progress={progress}
+          onOpen={setLessonId}
+          onImport={progress.importLesson}
+          onRemove={progress.removeLesson}
+          importedIds={progress.imported.map((l) => l.id)}
+        />
+      </div>
+    );
+  }
+
+  const record = (stepResult) => progress.recordResult(lesson.id, step.id, stepResult);
+  const goTo = (index) => progress.goToStep(lesson.id, index);
+  const next = () => {
+    if (step.type === "read" && !result) record({ correct: true });
+    if (stepIndex < lesson.steps.length - 1) goTo(stepIndex + 1);
+  };
+  const canAdvance = step.type === "read" || Boolean(result);
+  const score = scoreOf(lesson, lessonState);
+  const finished = score.done === lesson.steps.length;
+
+  return (
+    <div className="lesson-panel" data-lesson="lesson-panel">
+      <div className="lesson-header">
+        <button type="button" className="link-button" onClick={() => setLessonId(null)}>
+          ← All lessons
+        </button>
+        <h2>{lesson.title}</h2>
+        <button
+          type="button"
+          className="link-button"
+          onClick={() => {
+            progress.resetLesson(lesson.id);
+            onSelectRow(null);
+          }}
+        >
+          Restart
+        </button>
+      </div>
+
+      <ol className="lesson-steps" aria-label="Lesson progress">
+        {lesson.steps.map((s, i) => {
+          const stepResult = lessonState.results[s.id];
+          const status = i === stepIndex ? "current" : stepResult ? (stepResult.correct ? "done" : "wrong") : "todo";
+          // Students can revisit finished steps or jump to the first unfinished one
+          const reachable = i <= stepIndex || lesson.steps.slice(0, i).every((prev) => stepDone(lessonState, prev));
+          return (
+            <li key={s.id}>
+              <button
+                type="button"
+                className={`lesson-step-dot ${status}`}
+                onClick={() => goTo(i)}
+                disabled={!reachable}
+                title={s.title}
+              >
+                {i + 1}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="lesson-step" key={`${lesson.id}-${step.id}`}>
+        <h3>
+          Step {stepIndex + 1} of {lesson.steps.length}: {step.title}
+        </h3>
+        <p>{step.text}</p>
+        <StepTask
+          key={`${lesson.id}-${step.id}-${result ? "done" : "open"}`}
+          step={step}
+          result={result}
+          run={run}
+          selectedRow={selectedRow}
+          onResult={record}
+        />
+        {result && (
+          <div className={`lesson-feedback ${result.correct ? "correct" : "wrong"}`}>
+            {step.type === "quiz" || step.predict
+              ? result.correct
+                ? `✅ Right${result.expected !== undefined ? ` — the run gave ${result.expected}` : ""}.`
+                : `❌ You answered ${result.response}; the answer was ${result.expected}.`
+              : step.type === "find-row"
+                ? `✅ Found it: ${result.response}. ${step.success ?? ""}`
+                : step.type === "run"
+                  ? "✅ Run complete."
+                  : null}
+            {step.explanation && <p>{step.explanation}</p>}
+          </div>
+        )}
+      </div>
+
+      <div className="lesson-nav">
+        <button type="button" onClick={() => goTo(stepIndex - 1)} disabled={stepIndex === 0}>
+          ← Back
+        </button>
+        <span className="lesson-score">
+          {score.graded > 0 && `Score ${score.correct}/${score.graded}`}
+        </span>
+        {stepIndex < lesson.steps.length - 1 ? (
+          <button type="button" onClick={next} disabled={!canAdvance}>
+            Next →
+          </button>
+        ) : finished ? (
+          <span className="lesson-complete">🎉 Lesson complete</span>
+        ) : (
+          <button type="button" onClick={next} disabled={!canAdvance}>
+            Finish
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LessonPanel;
@@ -0,0 +1,72 @@
+import React from "react";
+
+// Minimal SVG line chart: series of { x, y, err } points with optional error bars
+// and dashed reference lines. Axes are linear; both start at 0.
+
+const WIDTH = 560;
+const HEIGHT = 300;
+const PAD = { top: 16, right: 16, bottom: 44, left: 56 };
+
+const ticks = (max, count = 5) => Array.from({ length: count + 1 }, (_, i) => (max * i) / count);
+
+const LineChart = ({ series, xMax, yMax, xLabel, yLabel, formatX = (v) => v, formatY = (v) => v }) => {
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const sx = (x) => PAD.left + (x / (xMax || 1)) * innerW;
+  const sy = (y) => PAD.top + innerH - (Math.min(y, yMax) / (yMax || 1)) * innerH;
+
+  return (
+    <div className="line-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`${yLabel} against ${xLabel}`}>
+        {ticks(yMax).map((t) => (
+          <g key={`y${t}`}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={sy(t)} y2={sy(t)} className="grid" />
+            <text x={PAD.left - 8} y={sy(t) + 4} textAnchor="end">{formatY(t)}</text>
+          </g>
+        ))}
+        {ticks(xMax).map((t) => (
+          <text key={`x${t}`} x={sx(t)} y={HEIGHT - PAD.bottom + 18} textAnchor="middle">{formatX(t)}</text>
+        ))}
+        <text x={PAD.left + innerW / 2} y={HEIGHT - 6} textAnchor="middle" className="axis-label">{xLabel}</text>
+        <text
+          x={14}
+          y={PAD.top + innerH / 2}
+          textAnchor="middle"
+          className="axis-label"
+          transform={`rotate(-90 14 ${PAD.top + innerH / 2})`}
+        >
+          {yLabel}
+        </text>
+
+        {series.map((s) => (
+          <g key={s.label} style={{ color: s.color }}>
+            <polyline
+              points={s.points.map((p) => `${sx(p.x)},${sy(p.y)}`).join(" ")}
+              fill="none"
+              stroke="currentColor"
+              strokeWidth={2}
+              strokeDasharray={s.dashed ? "6 4" : undefined}
+            />
+            {!s.dashed && s.points.map((p) => (
+              <g key={p.x}>
+                {p.err > 0 && (
+                  <line x1={sx(p.x)} x2={sx(p.x)} y1={sy(p.y - p.err)} y2={sy(p.y + p.err)} stroke="currentColor" />
+                )}
+                <circle cx={sx(p.x)} cy={sy(p.y)} r={3.5} fill="currentColor" />
+              </g>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="chart-legend">
+        {series.map((s) => (
+          <span key={s.label} style={{ color: s.color }}>
+            {s.dashed ? "┄" : "●"} {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LineChart;
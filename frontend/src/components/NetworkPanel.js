@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import { RELAY_URL } from "../config";
+import { useRelaySession } from "../hooks/useRelaySession";
+import { BASIS_SYMBOLS, ROLES } from "../network/session";
+import { AliceView, BobView, EveView } from "./NetworkRoleViews";
+
+const VIEWS = { alice: AliceView, bob: BobView, eve: EveView };
+
+const roleLabel = (id) => ROLES.find((r) => r.id === id)?.label ?? id;
+
+// Human-readable line for each classical-channel message; other parties'
+// payloads are untrusted, so anything unexpected is shown raw
+const describeClassical = ({ kind, payload }) => {
+  try {
+    switch (kind) {
+      case "bases":
+        return `My bases: ${payload.bases.map((b) => BASIS_SYMBOLS[b]).join(" ")}`;
+      case "matches":
+        return `Keep positions ${payload.indices.map((i) => i + 1).join(", ") || "(none)"}`;
+      case "sample":
+        return `Sample: ${payload.indices.map((i, k) => `#${i + 1}=${payload.bits[k]}`).join(", ")}`;
+      case "qber":
+        return `${payload.errors} errors in ${payload.size} sampled bits`;
+      default:
+        return JSON.stringify(payload);
+    }
+  } catch (error) {
+    return JSON.stringify(payload);
+  }
+};
+
+// Alice, Bob and Eve in separate browsers, connected through backend/relay.py
+const NetworkPanel = () => {
+  const { session, dispatch, connect, disconnect, send, announce } = useRelaySession();
+  const [url, setUrl] = useState(RELAY_URL);
+  const [room, setRoom] = useState("lab-1");
+  const [role, setRole] = useState("alice");
+  const connected = session.status === "connected";
+  const View = VIEWS[session.role];
+
+  return (
+    <div className="network-panel">
+      <div className="network-connect">
+        <div className="control-item">
+          <label htmlFor="relay-url">Relay</label>
+          <input id="relay-url" value={url} onChange={(e) => setUrl(e.target.value)} disabled={session.status !== "disconnected"} />
+        </div>
+        <div className="control-item">
+          <label htmlFor="relay-room">Room</label>
+          <input id="relay-room" value={room} onChange={(e) => setRoom(e.target.value)} disabled={session.status !== "disconnected"} />
+        </div>
+        <div className="control-item">
+          <label>Your role</label>
+          <div className="engine-toggle" role="group" aria-label="Role">
+            {ROLES.map((r) => (
+              <button
+                key={r.id}
+                type="button"
+                className={role === r.id ? "active" : ""}
+                onClick={() => setRole(r.id)}
+                disabled={session.status !== "disconnected"}
+                title={r.description}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {session.status === "disconnected" ? (
+          <button type="button" className="simulate-button" onClick={() => connect(url, room.trim(), role)} disabled={!room.trim()}>
+            🔌 Join room
+          </button>
+        ) : (
+          <button type="button" className="simulate-button secondary" onClick={disconnect}>
+            {session.status === "connecting" ? "Cancel" : "Leave room"}
+          </button>
+        )}
+      </div>
+
+      <p className="run-meta">
+        {connected
+          ? `Connected to room "${session.room}" as ${roleLabel(session.role)} · In the room: ${session.peers.map(roleLabel).join(", ")}`
+          : session.status === "connecting"
+            ? `Connecting to ${url}…`
+            : "Not connected. Start the relay with: python backend/relay.py"}
+      </p>
+      {session.error && <div className="security-warning">{session.error}</div>}
+
+      {connected && View && (
+        <div className="network-session">
+          <View
+            key={session.role === "alice" ? "alice" : `round-${session.round?.number ?? 0}`}
+            session={session}
+            dispatch={dispatch}
+            send={send}
+            announce={announce}
+          />
+
+          <div className="classical-channel">
+            <h3>📻 Classical channel (public — Eve hears it too)</h3>
+            {session.log.length === 0 ? (
+              <p className="net-status">No announcements yet this round.</p>
+            ) : (
+              <ul>
+                {session.log.map((entry, i) => (
+                  <li key={i} className={entry.from === session.role ? "own" : ""}>
+                    <strong>{roleLabel(entry.from)}:</strong> {describeClassical(entry)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NetworkPanel;
@@ -0,0 +1,328 @@
+import React, { useState } from "react";
+import {
+  BASIS_SYMBOLS,
+  keyPositions,
+  matchingPositions,
+  ownBits,
+  pickSample,
+  sampleErrors,
+} from "../network/session";
+
+const randomBits = (n) => Array.from({ length: n }, () => (Math.random() < 0.5 ? 0 : 1));
+const toggleAt = (values, index) => values.map((v, i) => (i === index ? 1 - v : v));
+
+// A 0/1 choice shown as a bit or a basis symbol; click to flip
+const Toggle = ({ value, basis = false, onChange, disabled }) => (
+  <button
+    type="button"
+    className={`net-toggle ${basis ? `basis-indicator basis-${value}` : `bit-indicator ${value === 0 ? "zero" : "one"}`}`}
+    onClick={onChange}
+    disabled={disabled}
+  >
+    {basis ? BASIS_SYMBOLS[value] : value}
+  </button>
+);
+
+const Basis = ({ value }) => (value === null || value === undefined ? "-" : BASIS_SYMBOLS[value]);
+
+// Shared tail of every view: kept/sample columns and this party's own key
+const keptCell = (round, i) => {
+  if (!round.matches) return "?";
+  if (!round.matches.includes(i)) return "No";
+  return round.sample?.indices.includes(i) ? "Disclosed" : "Yes";
+};
+
+const KeyCard = ({ role, round }) => {
+  const bits = ownBits(role, round);
+  const positions = keyPositions(round);
+  const qber = round.qber;
+  return (
+    <div className="result-cards">
+      <div className="result-card">
+        <h3>{role === "eve" ? "Eve's guess at the key" : "Your key"}</h3>
+        <div className="key-display">
+          {positions.length > 0
+            ? positions.map((i) => (
+                <span key={i} className={`bit ${bits[i] === null ? "unknown" : bits[i] === 0 ? "zero" : "one"} ${role === "eve" ? "eve-bit" : ""}`}>
+                  {bits[i] ?? "?"}
+                </span>
+              ))
+            : "-"}
+        </div>
+        <p>
+          {round.matches
+            ? `${positions.length} bits after sifting${round.sample ? " and the public sample" : ""}`
+            : "Waiting for sifting"}
+          {role === "eve" && positions.length > 0 && ` · ${positions.filter((i) => bits[i] !== null).length} intercepted`}
+        </p>
+      </div>
+      <div className="result-card">
+        <h3>QBER</h3>
+        <div className="qber-value">{qber ? `${((qber.errors / Math.max(1, qber.size)) * 100).toFixed(1)}%` : "-"}</div>
+        <p>{qber ? `${qber.errors} errors in ${qber.size} disclosed bits, announced by Bob` : "Announced by Bob after the sample"}</p>
+      </div>
+    </div>
+  );
+};
+
+const Step = ({ children }) => <p className="net-status">{children}</p>;
+
+export const AliceView = ({ session, dispatch, send, announce }) => {
+  const [count, setCount] = useState(12);
+  const [bits, setBits] = useState(() => randomBits(12));
+  const [bases, setBases] = useState(() => randomBits(12));
+  const { round } = session;
+
+  const resize = (n) => {
+    setCount(n);
+    setBits(randomBits(n));
+    setBases(randomBits(n));
+  };
+
+  const sendPhotons = () => {
+    dispatch({ type: "prepared", prepared: { bits, bases } });
+    send({ type: "photons", bits, bases });
+  };
+
+  const announceMatches = () =>
+    announce("matches", { indices: matchingPositions(round.aliceBases, round.announcedBases) });
+
+  const discloseSample = () => {
+    const indices = pickSample(round.matches);
+    announce("sample", { indices, bits: indices.map((i) => round.aliceBits[i]) });
+  };
+
+  return (
+    <div className="net-view">
+      <div className="net-prepare">
+        <label>
+          Photons: {count}
+          <input type="range" min={4} max={32} value={count} onChange={(e) => resize(Number(e.target.value))} />
+        </label>
+        <div className="net-choice-grid">
+          {bits.map((bit, i) => (
+            <div key={i} className="net-choice">
+              <span className="net-index">{i + 1}</span>
+              <Toggle value={bit} onChange={() => setBits((prev) => toggleAt(prev, i))} />
+              <Toggle value={bases[i]} basis onChange={() => setBases((prev) => toggleAt(prev, i))} />
+            </div>
+          ))}
+        </div>
+        <div className="net-actions">
+          <button type="button" onClick={() => resize(count)}>🎲 Randomize</button>
+          <button type="button" className="primary" onClick={sendPhotons} disabled={!session.peers.includes("bob")}>
+            📡 Send photons
+          </button>
+        </div>
+        {!session.peers.includes("bob") && <Step>Waiting for Bob to join the room.</Step>}
+      </div>
+
+      {round?.aliceBits && (
+        <>
+          <table className="net-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Your Bit</th>
+                <th>Your Basis</th>
+                <th>Bob's Basis (announced)</th>
+                <th>Kept</th>
+              </tr>
+            </thead>
+            <tbody>
+              {round.aliceBits.map((bit, i) => (
+                <tr key={i} className={round.matches && !round.matches.includes(i) ? "bases-differ" : ""}>
+                  <td>{i + 1}</td>
+                  <td>{bit}</td>
+                  <td><Basis value={round.aliceBases[i]} /></td>
+                  <td><Basis value={round.announcedBases?.[i]} /></td>
+                  <td>{keptCell(round, i)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="net-actions">
+            {!round.bobMeasured && <Step>Photons sent — waiting for Bob to measure.</Step>}
+            {round.bobMeasured && !round.announcedBases && <Step>Bob measured — waiting for him to announce his bases.</Step>}
+            {round.announcedBases && !round.matches && (
+              <button type="button" className="primary" onClick={announceMatches}>📢 Announce matching positions</button>
+            )}
+            {round.matches && !round.sample && (
+              <button type="button" className="primary" onClick={discloseSample}>📢 Disclose a sample for the QBER</button>
+            )}
+            {round.sample && !round.qber && <Step>Waiting for Bob to compare the sample and announce the QBER.</Step>}
+          </div>
+          <KeyCard role="alice" round={round} />
+        </>
+      )}
+    </div>
+  );
+};
+
+// Bob's and Eve's views are remounted for every round, so their choices start fresh
+export const BobView = ({ session, dispatch, send, announce }) => {
+  const { round } = session;
+  const [choices, setChoices] = useState(() => (round ? randomBits(round.count) : null));
+
+  if (!round) return <Step>Waiting for Alice to send photons.</Step>;
+  if (!round.arrived) {
+    return <Step>{round.count} photons are on their way{session.peers.includes("eve") ? " (Eve is on the line)" : ""}…</Step>;
+  }
+
+  const measure = () => {
+    dispatch({ type: "bob-bases", bases: choices });
+    send({ type: "measure", bases: choices });
+  };
+
+  if (!round.bobBits) {
+    return (
+      <div className="net-view">
+        <Step>{round.count} photons arrived. Pick a measurement basis for each one.</Step>
+        <div className="net-choice-grid">
+          {choices.map((basis, i) => (
+            <div key={i} className="net-choice">
+              <span className="net-index">{i + 1}</span>
+              <Toggle value={basis} basis onChange={() => setChoices((prev) => toggleAt(prev, i))} />
+            </div>
+          ))}
+        </div>
+        <div className="net-actions">
+          <button type="button" onClick={() => setChoices(randomBits(round.count))}>🎲 Random bases</button>
+          <button type="button" className="primary" onClick={measure}>
+            🔬 Measure
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const announceQber = () =>
+    announce("qber", { errors: sampleErrors(round.bobBits, round.sample), size: round.sample.indices.length });
+
+  return (
+    <div className="net-view">
+      <table className="net-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Your Basis</th>
+            <th>Your Bit</th>
+            <th>Kept</th>
+            <th>Alice's Bit (disclosed)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {round.bobBits.map((bit, i) => {
+            const k = round.sample?.indices.indexOf(i) ?? -1;
+            const disclosed = k === -1 ? null : round.sample.bits[k];
+            return (
+              <tr
+                key={i}
+                className={
+                  round.matches && !round.matches.includes(i)
+                    ? "bases-differ"
+                    : disclosed !== null && disclosed !== bit
+                      ? "error"
+                      : ""
+                }
+              >
+                <td>{i + 1}</td>
+                <td><Basis value={round.bobBases?.[i]} /></td>
+                <td>{bit}</td>
+                <td>{keptCell(round, i)}</td>
+                <td>{disclosed ?? "-"}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="net-actions">
+        {!round.announcedBases && (
+          <button type="button" className="primary" onClick={() => announce("bases", { bases: round.bobBases })}>
+            📢 Announce my bases
+          </button>
+        )}
+        {round.announcedBases && !round.matches && <Step>Waiting for Alice to say which positions match.</Step>}
+        {round.matches && !round.sample && <Step>Waiting for Alice to disclose a sample.</Step>}
+        {round.sample && !round.qber && (
+          <button type="button" className="primary" onClick={announceQber}>📢 Announce the QBER</button>
+        )}
+      </div>
+      <KeyCard role="bob" round={round} />
+    </div>
+  );
+};
+
+export const EveView = ({ session, send }) => {
+  const { round } = session;
+  const [plan, setPlan] = useState(() =>
+    round ? Array.from({ length: round.count }, () => ({ intercept: true, basis: Math.random() < 0.5 ? 0 : 1 })) : null
+  );
+
+  if (!round) return <Step>Waiting for Alice to send photons.</Step>;
+
+  if (round.inFlight) {
+    const update = (i, patch) => setPlan((prev) => prev.map((c, j) => (j === i ? { ...c, ...patch } : c)));
+    const intercept = (selected) =>
+      send({
+        type: "intercept",
+        choices: selected.map((c, index) => ({ ...c, index })).filter((c) => c.intercept).map(({ index, basis }) => ({ index, basis })),
+      });
+    return (
+      <div className="net-view">
+        <Step>{round.count} photons are passing through. Choose which to intercept and the basis to measure in.</Step>
+        <div className="net-choice-grid">
+          {plan.map((c, i) => (
+            <div key={i} className={`net-choice ${c.intercept ? "" : "dimmed"}`}>
+              <span className="net-index">{i + 1}</span>
+              <input
+                type="checkbox"
+                checked={c.intercept}
+                onChange={(e) => update(i, { intercept: e.target.checked })}
+                aria-label={`Intercept photon ${i + 1}`}
+              />
+              <Toggle value={c.basis} basis onChange={() => update(i, { basis: 1 - c.basis })} disabled={!c.intercept} />
+            </div>
+          ))}
+        </div>
+        <div className="net-actions">
+          <button type="button" onClick={() => intercept([])}>🙈 Let all pass</button>
+          <button type="button" className="primary" onClick={() => intercept(plan)}>
+            🕵️ Intercept {plan.filter((c) => c.intercept).length} photons
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="net-view">
+      {!round.intercepts && <Step>These photons went past before you could act — wait for the next round.</Step>}
+      {round.intercepts && (
+        <table className="net-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Your Basis</th>
+              <th>Your Bit</th>
+              <th>Bob's Basis (heard)</th>
+              <th>Kept</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Array.from({ length: round.count }, (_, i) => (
+              <tr key={i} className={round.intercepts[i] ? "eve-present" : ""}>
+                <td>{i + 1}</td>
+                <td><Basis value={round.intercepts[i]?.basis} /></td>
+                <td>{round.intercepts[i]?.bit ?? "-"}</td>
+                <td><Basis value={round.announcedBases?.[i]} /></td>
+                <td>{keptCell(round, i)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {round.intercepts && <KeyCard role="eve" round={round} />}
+    </div>
+  );
+};
@@ -0,0 +1,92 @@
+import React from "react";
+import BlochSphere from "./BlochSphere";
+import PolarizationDial from "./PolarizationDial";
+import { polarizationAngle } from "../engine/photonStates";
+
+const NAMED_STATES = [
+  { v: [0, 0, 1], name: "|0⟩" },
+  { v: [0, 0, -1], name: "|1⟩" },
+  { v: [1, 0, 0], name: "|+⟩" },
+  { v: [-1, 0, 0], name: "|−⟩" },
+  { v: [0, 1, 0], name: "|R⟩" },
+  { v: [0, -1, 0], name: "|L⟩" },
+];
+
+const describe = (state) => {
+  const named = NAMED_STATES.find(({ v }) => v.every((c, i) => Math.abs(c - state[i]) < 1e-6));
+  const angle = polarizationAngle(state);
+  const polarization = angle === null ? "circular" : `${Number(angle.toFixed(1))}°`;
+  return named ? `${named.name} (${polarization})` : polarization;
+};
+
+const describeAxis = (axis) => {
+  const angle = polarizationAngle(axis);
+  if (angle === null) return "the circular (R/L) basis";
+  const fmt = (a) => Number((a % 180).toFixed(1));
+  return `the ${fmt(angle)}°/${fmt(angle + 90)}° polarizer`;
+};
+
+const pct = (p) => `${(p * 100).toFixed(0)}%`;
+
+const STAGES = [
+  { id: "alice", label: "1 · Alice prepares" },
+  { id: "eve", label: "2 · Eve" },
+  { id: "bob", label: "3 · Bob measures" },
+];
+
+// Bloch sphere and polarization dial for the photon on the channel, stepping
+// through preparation, Eve's collapse and Bob's measurement as it flies
+const PhotonStatePanel = ({ photon, stage }) => {
+  if (!photon?.journey) return null;
+  const { alice, eve, bob, lost } = photon.journey;
+  const reached = STAGES.findIndex((s) => s.id === stage);
+
+  let caption = `Alice sends ${describe(alice)}.`;
+  if (stage !== "alice") {
+    caption = eve
+      ? `Eve measures with ${describeAxis(eve.axis)} and gets ${eve.outcome}: the photon collapses to ${describe(eve.state)}.`
+      : photon.eveAction
+        ? `Eve: ${photon.eveAction}. She doesn't measure this photon, so its polarization is untouched.`
+        : "Eve leaves the photon alone.";
+  }
+  if (stage === "bob") {
+    caption = lost
+      ? "The pulse never reaches Bob's detector."
+      : `Bob measures with ${describeAxis(bob.axis)}: P(0) = ${pct(bob.p0)}, P(1) = ${pct(bob.p1)}${bob.outcome !== null ? ` → he gets ${bob.outcome}` : ""}.`;
+  }
+
+  return (
+    <div className="photon-state-panel" data-lesson="photon-state">
+      <div className="photon-stages">
+        {STAGES.map((s, i) => (
+          <span key={s.id} className={i <= reached ? "reached" : ""}>
+            {s.label}
+          </span>
+        ))}
+      </div>
+      <div className="photon-state-views">
+        <BlochSphere journey={photon.journey} stage={stage} />
+        <PolarizationDial journey={photon.journey} stage={stage} />
+      </div>
+      {stage === "bob" && !lost && bob.axis && (
+        <div className="outcome-bars">
+          {[0, 1].map((outcome) => {
+            const p = outcome === 0 ? bob.p0 : bob.p1;
+            return (
+              <div key={outcome} className={`outcome-bar ${bob.outcome === outcome ? "chosen" : ""}`}>
+                <span>P({outcome})</span>
+                <div className="outcome-track">
+                  <div className="outcome-fill" style={{ width: pct(p) }} />
+                </div>
+                <span>{pct(p)}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <p className="photon-caption">{caption}</p>
+    </div>
+  );
+};
+
+export default PhotonStatePanel;
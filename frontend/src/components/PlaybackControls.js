@@ -0,0 +1,65 @@
+import React from "react";
+import { photonCount } from "../engine/largeRuns";
+
+const frameLabel = (frame, data) => {
+  if (!frame) return "";
+  if (frame.type === "photon") return `Photon ${frame.index + 1} / ${photonCount(data)}`;
+  if (frame.type === "batch") return `Photons ${frame.start + 1}–${frame.end} / ${photonCount(data)}`;
+  if (frame.type === "sift") return `Sifting ${frame.step + 1} / ${data.matched_indices.length}`;
+  if (frame.type === "estimate") return "QBER estimate";
+  return "Results";
+};
+
+const PlaybackControls = ({ playback, onCancel }) => {
+  const { data, frames, cursor, last, playing, active } = playback;
+  if (!data || !active) return null;
+
+  const photonFrames = frames.filter((f) => f.type === "photon" || f.type === "batch").length;
+  const sifting = frames.some((f) => f.type === "sift");
+  // Where the photon phase ends on the scrubber, as a percentage of its width
+  const siftStart = last > 0 ? (photonFrames / last) * 100 : 100;
+
+  return (
+    <div className="playback-controls">
+      <div className="playback-buttons">
+        <button type="button" onClick={() => playback.step(-1)} disabled={cursor === 0} title="Step back">
+          ⏮️
+        </button>
+        {playing ? (
+          <button type="button" onClick={playback.pause} title="Pause">⏸️</button>
+        ) : (
+          <button type="button" onClick={playback.play} title="Play">▶️</button>
+        )}
+        <button type="button" onClick={() => playback.step(1)} disabled={cursor >= last} title="Step forward">
+          ⏭️
+        </button>
+        <button type="button" onClick={onCancel} title="Cancel animation">
+          ⏹️
+        </button>
+      </div>
+
+      <div className="playback-scrubber">
+        <input
+          type="range"
+          min={0}
+          max={last}
+          step={1}
+          value={cursor}
+          onChange={(e) => playback.seek(Number(e.target.value))}
+          aria-label="Animation position"
+          style={{ "--sift-start": `${siftStart}%` }}
+        />
+        <div className="playback-phases">
+          <span>Photons</span>
+          {sifting && <span>Sifting</span>}
+          {data.sample_indices && <span>Estimate</span>}
+          <span>Results</span>
+        </div>
+      </div>
+
+      <div className="playback-position">{frameLabel(frames[cursor], data)}</div>
+    </div>
+  );
+};
+
+export default PlaybackControls;
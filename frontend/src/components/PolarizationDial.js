@@ -0,0 +1,77 @@
+import React from "react";
+import { polarizationAngle } from "../engine/photonStates";
+
+const SIZE = 220;
+const C = SIZE / 2;
+const R = 80;
+
+const COLORS = { alice: "#4A90E2", eve: "#ef4444", bob: "#f59e0b", arriving: "#7c3aed" };
+
+// End points of a polarization line through the centre; 0° is horizontal
+const ends = (degrees, radius = R) => {
+  const t = (degrees * Math.PI) / 180;
+  return [C - radius * Math.cos(t), C + radius * Math.sin(t), C + radius * Math.cos(t), C - radius * Math.sin(t)];
+};
+
+const lineProps = (degrees) => {
+  const [x1, y1, x2, y2] = ends(degrees, R);
+  return { x1, y1, x2, y2 };
+};
+
+// Linear polarization as a double-headed line, circular light as a ring
+const Polarization = ({ state, color, faded = false, width = 4 }) => {
+  const angle = polarizationAngle(state);
+  if (angle === null) {
+    return <circle cx={C} cy={C} r={R * 0.55} fill="none" stroke={color} strokeWidth={width} opacity={faded ? 0.3 : 1} />;
+  }
+  const [x1, y1, x2, y2] = ends(angle, R * 0.9);
+  return <line x1={x1} y1={y1} x2={x2} y2={y2} stroke={color} strokeWidth={width} strokeLinecap="round" opacity={faded ? 0.3 : 1} />;
+};
+
+const TICKS = [0, 22.5, 45, 67.5, 90, 112.5, 135, 157.5];
+
+// Polarizer view of the same photon: Alice's polarization, Eve's collapse and
+// Bob's polarizer with its two output channels
+const PolarizationDial = ({ journey, stage }) => {
+  const { alice, eve, arriving, bob, lost } = journey;
+  const showEve = stage !== "alice" && eve;
+  const showBob = stage === "bob" && !lost && bob.axis;
+  const bobAngle = showBob ? polarizationAngle(bob.axis) : null;
+
+  return (
+    <svg className="polarization-dial" viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label="Polarization dial">
+      <circle cx={C} cy={C} r={R} className="bloch-outline" />
+      {TICKS.map((deg) => {
+        const [, , x1, y1] = ends(deg, R);
+        const [, , lx, ly] = ends(deg, R + 16);
+        return (
+          <g key={deg}>
+            <circle cx={x1} cy={y1} r={2} className="dial-tick" />
+            {Number.isInteger(deg) && (
+              <text x={lx} y={ly} className="bloch-label" textAnchor="middle" dominantBaseline="middle">
+                {deg}°
+              </text>
+            )}
+          </g>
+        );
+      })}
+
+      {showBob && bobAngle !== null && (
+        <g>
+          {/* Bob's polarizer: outcome 0 along its axis, outcome 1 perpendicular */}
+          <line {...lineProps(bobAngle)} stroke={COLORS.bob} strokeWidth={bob.outcome === 0 ? 3 : 1.5} strokeDasharray="6 4" />
+          <line {...lineProps(bobAngle + 90)} stroke={COLORS.bob} strokeWidth={bob.outcome === 1 ? 3 : 1.5} strokeDasharray="2 4" />
+        </g>
+      )}
+      {showBob && bobAngle === null && (
+        <circle cx={C} cy={C} r={R * 0.75} fill="none" stroke={COLORS.bob} strokeWidth={2} strokeDasharray="6 4" />
+      )}
+
+      <Polarization state={alice} color={COLORS.alice} faded={Boolean(showEve) || Boolean(showBob)} />
+      {showEve && <Polarization state={eve.state} color={COLORS.eve} faded={Boolean(showBob)} />}
+      {showBob && <Polarization state={arriving} color={COLORS.arriving} width={2.5} />}
+    </svg>
+  );
+};
+
+export default PolarizationDial;
@@ -0,0 +1,67 @@
+import React from "react";
+
+const MAX_BITS_SHOWN = 256;
+
+const PrivacyAmplificationPanel = ({ privacy, cipher }) => {
+  if (!privacy) return null;
+  const {
+    inputLength, qber, fromQber, eveInterceptedBits, eveInformation,
+    leakedBits, verificationBits, safetyBits, outputLength, seedLength, aliceKey,
+  } = privacy;
+  const enough = cipher.fromPool || outputLength >= cipher.keyBits;
+
+  const rows = [
+    ["Reconciled key (input)", `${inputLength} bits`],
+    ["QBER used (finite-size upper bound)", `${(qber * 100).toFixed(1)}%`],
+    ["Eve's information", `${eveInformation.toFixed(1)} bits — max of n·h(Q) = ${fromQber.toFixed(1)} and ${eveInterceptedBits} intercepted`],
+    ["Leaked during error correction", `${leakedBits} bits`],
+    ["Verification tag", `${verificationBits} bits`],
+    ["Security margin 2·log₂(1/ε)", `${safetyBits.toFixed(1)} bits`],
+    ["Toeplitz seed (public)", `${seedLength} bits`],
+  ];
+
+  return (
+    <div className="privacy-panel" data-lesson="privacy-amplification">
+      <div className="panel-header">
+        <h2>Privacy Amplification</h2>
+        <span className="privacy-length">
+          {inputLength} → <strong>{outputLength}</strong> bits
+        </span>
+      </div>
+
+      <table className="privacy-table">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <th>{label}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="key-display">
+        {aliceKey.length > 0
+          ? aliceKey.slice(0, MAX_BITS_SHOWN).map((bit, idx) => (
+              <span key={idx} className={`bit ${bit === 0 ? "zero" : "one"}`}>
+                {bit}
+              </span>
+            ))
+          : "No secret key can be extracted from this run"}
+        {aliceKey.length > MAX_BITS_SHOWN && <span>… +{aliceKey.length - MAX_BITS_SHOWN}</span>}
+      </div>
+
+      <div className={`privacy-status ${enough ? "ok" : "failed"}`}>
+        {cipher.fromPool
+          ? `ℹ️ This run alone yields ${outputLength} secure bits. ${cipher.label} takes its key from the key pool, which amplifies many runs together.`
+          : !enough
+            ? `❌ ${cipher.label} needs ${cipher.keyBits} secure bits, this run only yields ${outputLength}. Send more photons or reduce errors.`
+            : cipher.id === "demo"
+              ? `⚠️ Demo cipher: these ${outputLength} secure bits are stretched to an AES key with SHA-256 — not secure, for illustration only`
+              : `✅ ${outputLength} secure bits — a one-time pad for up to ${Math.floor(outputLength / 8)} bytes of messages`}
+      </div>
+    </div>
+  );
+};
+
+export default PrivacyAmplificationPanel;
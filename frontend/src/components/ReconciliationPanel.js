@@ -0,0 +1,123 @@
+import React from "react";
+import { RECONCILIATION_METHODS } from "../engine/reconciliation";
+
+const toBinary = (value, width) => value.toString(2).padStart(width, "0");
+
+const describeRound = (round) => {
+  const where = `Pass ${round.pass + 1}, block ${round.block + 1}${round.cascade ? " (cascaded)" : ""}`;
+  if (round.kind === "syndrome") {
+    const { aliceSyndrome, bobSyndrome, syndromeBits } = round.steps[0];
+    const outcome = round.position === null ? "no single bit to flip" : `flip bit #${round.position + 1}`;
+    return `${where}: syndrome Alice ${toBinary(aliceSyndrome, syndromeBits)} vs Bob ${toBinary(bobSyndrome, syndromeBits)} → ${outcome}`;
+  }
+  const sizes = round.steps.map((step) => step.indices.length).join(" → ");
+  return `${where}: bisect ${sizes}${sizes ? " → " : ""}bit #${round.position + 1} corrected`;
+};
+
+// Large runs reconcile tens of thousands of bits; the panel shows the start of
+// each list and counts the rest
+const MAX_SHOWN_BITS = 256;
+const MAX_SHOWN_BLOCKS = 200;
+const MAX_SHOWN_ROUNDS = 50;
+
+const More = ({ total, shown }) =>
+  total > shown ? <span className="more-bits">… +{(total - shown).toLocaleString()}</span> : null;
+
+const KeyRow = ({ label, bits, highlight }) => (
+  <div className="recon-key-row">
+    <span className="recon-key-label">{label}</span>
+    <div className="recon-key-bits">
+      {bits.slice(0, MAX_SHOWN_BITS).map((bit, idx) => (
+        <span key={idx} className={`recon-bit ${highlight.has(idx) ? "corrected" : ""}`}>
+          {bit}
+        </span>
+      ))}
+      <More total={bits.length} shown={MAX_SHOWN_BITS} />
+    </div>
+  </div>
+);
+
+const ReconciliationPanel = ({ reconciliation, method, onMethodChange, disabled }) => {
+  if (!reconciliation) return null;
+  const {
+    aliceKey, bobKey, leakedBits, passes, rounds, correctedPositions,
+    initialErrors, remainingErrors, verification,
+  } = reconciliation;
+  const corrected = new Set(correctedPositions);
+
+  return (
+    <div className="reconciliation-panel" data-lesson="reconciliation">
+      <div className="panel-header">
+        <h2>Error Correction</h2>
+        <div className="engine-toggle" role="group" aria-label="Reconciliation method">
+          {RECONCILIATION_METHODS.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              className={method === m.id ? "active" : ""}
+              onClick={() => onMethodChange(m.id)}
+              disabled={disabled}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="recon-stats">
+        <div><strong>{aliceKey.length.toLocaleString()}</strong><span>bits reconciled</span></div>
+        <div><strong>{initialErrors}</strong><span>errors before</span></div>
+        <div><strong>{corrected.size}</strong><span>bits flipped</span></div>
+        <div><strong>{leakedBits}</strong><span>bits leaked publicly</span></div>
+        <div><strong>{remainingErrors}</strong><span>errors left</span></div>
+      </div>
+
+      <div className="recon-passes">
+        {passes.map((pass, p) => (
+          <div key={p} className="recon-pass">
+            <span className="recon-pass-label">Pass {p + 1} · blocks of {pass.blockSize}</span>
+            <div className="recon-blocks">
+              {pass.blocks.slice(0, MAX_SHOWN_BLOCKS).map((block, b) => (
+                <span
+                  key={b}
+                  className={`parity-block ${block.mismatch ? "mismatch" : ""}`}
+                  title={`Bits ${block.indices.map((i) => i + 1).join(", ")} — parity Alice ${block.aliceParity}, Bob ${block.bobParity}`}
+                >
+                  {block.mismatch ? "✗" : "✓"}
+                </span>
+              ))}
+              <More total={pass.blocks.length} shown={MAX_SHOWN_BLOCKS} />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {rounds.length > 0 && (
+        <ol className="recon-rounds">
+          {rounds.slice(0, MAX_SHOWN_ROUNDS).map((round, i) => (
+            <li key={i}>{describeRound(round)}</li>
+          ))}
+          {rounds.length > MAX_SHOWN_ROUNDS && (
+            <li className="more-rounds">… {(rounds.length - MAX_SHOWN_ROUNDS).toLocaleString()} more corrections</li>
+          )}
+        </ol>
+      )}
+
+      <div className="recon-keys">
+        <KeyRow label="Alice" bits={aliceKey} highlight={new Set()} />
+        <KeyRow label="Bob" bits={bobKey} highlight={corrected} />
+      </div>
+
+      <div className={`recon-verification ${verification.identical ? "ok" : "failed"}`}>
+        Verification tags ({verification.tagBits}-bit): Alice <code>{verification.aliceTag}</code> · Bob <code>{verification.bobTag}</code>
+        <span>
+          {verification.identical
+            ? "✅ Keys are identical — encryption unlocked"
+            : "❌ Keys still differ — encryption blocked, run again or switch method"}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ReconciliationPanel;
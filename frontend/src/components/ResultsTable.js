@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+
+// Long runs only render the rows in view plus a margin; spacer rows keep the
+// scrollbar the height of the whole table. Rows need a fixed height for that
+// (see .table-wrapper.virtual), so short classroom runs render normally.
+const VIRTUALIZE_FROM = 200;
+const ROW_HEIGHT = 44;
+const OVERSCAN = 10;
+// Same as the .table-wrapper max-height
+const VIEWPORT_HEIGHT = 400;
+
+export const rowClassName = (row, idx, highlightedRow, sampledRows) => {
+  const aliceBit = row["Alice Bit"];
+  const bobBit = row["Bob Measured Bit"];
+  if (highlightedRow === idx) return "highlighted";
+  if (sampledRows.has(idx)) return "sampled";
+  if (row["Error Source"] === "Noise") return "noise-error";
+  if (row["Eve Intercepting"] === "Yes") return "eve-present";
+  if (row["Match"] !== "Yes") return "bases-differ";
+  return aliceBit !== bobBit ? "error" : "correct";
+};
+
+const Spacer = ({ rows, columns }) => (
+  <tr className="virtual-spacer" aria-hidden="true">
+    <td colSpan={columns} style={{ height: rows * ROW_HEIGHT }} />
+  </tr>
+);
+
+const ResultsTable = ({ columns, rows, highlightedRow, sampledRows, onSelectRow }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const virtual = rows.length > VIRTUALIZE_FROM;
+  const first = virtual ? Math.min(rows.length, Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)) : 0;
+  const last = virtual
+    ? Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN)
+    : rows.length;
+
+  return (
+    <>
+      <div
+        className={`table-wrapper ${virtual ? "virtual" : ""}`}
+        onScroll={virtual ? (e) => setScrollTop(e.currentTarget.scrollTop) : undefined}
+      >
+        <table>
+          <thead>
+            <tr>
+              {columns.map((col) => (
+                <th key={col.key}>{col.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <Spacer rows={first} columns={columns.length} />}
+            {rows.slice(first, last).map((row, k) => {
+              const idx = first + k;
+              const rowClass = rowClassName(row, idx, highlightedRow, sampledRows);
+              return (
+                <tr
+                  key={idx}
+                  data-row={idx}
+                  className={onSelectRow ? `${rowClass} lesson-clickable` : rowClass}
+                  onClick={onSelectRow ? () => onSelectRow({ index: idx, row }) : undefined}
+                >
+                  {columns.map((col) => (
+                    <td key={col.key}>{row[col.key] ?? "-"}</td>
+                  ))}
+                </tr>
+              );
+            })}
+            {last < rows.length && <Spacer rows={rows.length - last} columns={columns.length} />}
+          </tbody>
+        </table>
+      </div>
+      {virtual && (
+        <p className="run-meta table-range">
+          Rows {(first + 1).toLocaleString()}–{last.toLocaleString()} of {rows.length.toLocaleString()} rendered
+        </p>
+      )}
+    </>
+  );
+};
+
+export default ResultsTable;
@@ -0,0 +1,141 @@
+import React from "react";
+import { protocolById } from "../engine/protocols";
+import { strategyById } from "../engine/eavesdropping";
+
+const pct = (v) => (v === undefined || v === null ? "-" : `${(v * 100).toFixed(2)}%`);
+
+const rowFlags = (row) => ({
+  eve: row["Eve Intercepting"] === "Yes",
+  error: row["Match"] === "Yes" && row["Alice Bit"] !== row["Bob Measured Bit"],
+  sifted: row["Match"] === "Yes",
+});
+
+const indicesWhere = (rows, predicate) =>
+  rows.map((row, i) => (predicate(rowFlags(row)) ? i : null)).filter((i) => i !== null);
+
+const setDiff = (a, b) => {
+  const inB = new Set(b);
+  const inA = new Set(a);
+  return {
+    onlyA: a.filter((i) => !inB.has(i)),
+    onlyB: b.filter((i) => !inA.has(i)),
+    both: a.filter((i) => inB.has(i)),
+  };
+};
+
+const MAX_LISTED_ROWS = 60;
+
+const listRows = (indices) => {
+  if (!indices.length) return "none";
+  const listed = indices.slice(0, MAX_LISTED_ROWS).map((i) => i + 1).join(", ");
+  return indices.length > MAX_LISTED_ROWS ? `${listed}, … (+${indices.length - MAX_LISTED_ROWS} more)` : listed;
+};
+
+const metrics = [
+  ["Protocol", (r) => protocolById(r.response.protocol).label],
+  ["Photons", (r) => r.params.n],
+  ["Eve probability", (r) => pct(r.params.eveProb)],
+  ["Eve strategy", (r) => strategyById(r.params.attack?.strategy).label],
+  ["Seed", (r) => r.response.seed ?? "-"],
+  ["Engine", (r) => r.source],
+  ["True QBER", (r) => pct(r.response.qber)],
+  ["Estimated QBER", (r) => pct(r.response.estimated_qber)],
+  ["Sifted key length", (r) => r.response.matched_indices.length],
+  ["Key after sampling", (r) => (r.response.bob_remaining_key ?? r.response.bob_key).length],
+  ["Eve's key length", (r) => r.response.eve_key.length],
+  ["Eve's information", (r) => (r.response.eve_information ? `${r.response.eve_information.bits.toFixed(1)} bits` : "-")],
+  ["CHSH S-value", (r) => (r.response.chsh ? Math.abs(r.response.chsh.s).toFixed(3) : "-")],
+  ["Errors from Eve / noise", (r) => {
+    const b = r.response.error_breakdown;
+    return b ? `${b.eve + b.both} / ${b.noise + b.both}` : "-";
+  }],
+  ["Encryption", (r) => (r.encryption?.encrypted ? `${r.encryption.cipher} ✓${r.encryption.decrypted !== undefined ? " · decrypted" : ""}` : "-")],
+];
+
+// One strip of cells per run, aligned by photon index
+const RowStrip = ({ rows, length, label }) => (
+  <div className="compare-strip">
+    <span className="compare-strip-label">{label}</span>
+    {Array.from({ length }, (_, i) => {
+      const row = rows[i];
+      if (!row) return <span key={i} className="compare-cell empty" />;
+      const f = rowFlags(row);
+      const cls = f.error ? "error" : f.eve ? "eve" : f.sifted ? "sifted" : "discarded";
+      return <span key={i} className={`compare-cell ${cls}`} title={`Row ${i + 1}`} />;
+    })}
+  </div>
+);
+
+const RunComparison = ({ runs, onClose }) => {
+  if (!runs) return null;
+  const [a, b] = runs;
+  const rowsA = a.response.table_data;
+  const rowsB = b.response.table_data;
+  const length = Math.max(rowsA.length, rowsB.length);
+
+  const eve = setDiff(indicesWhere(rowsA, (f) => f.eve), indicesWhere(rowsB, (f) => f.eve));
+  const errors = setDiff(indicesWhere(rowsA, (f) => f.error), indicesWhere(rowsB, (f) => f.error));
+  const qberDelta = b.response.qber - a.response.qber;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal compare-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="panel-header">
+          <h2>Compare Runs</h2>
+          <button className="chatbot-close dark" onClick={onClose}>×</button>
+        </div>
+
+        <table className="compare-table">
+          <thead>
+            <tr>
+              <th />
+              <th>A: {a.name}</th>
+              <th>B: {b.name}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {metrics.map(([label, get]) => {
+              const va = get(a);
+              const vb = get(b);
+              return (
+                <tr key={label} className={String(va) !== String(vb) ? "differs" : ""}>
+                  <th>{label}</th>
+                  <td>{va}</td>
+                  <td>{vb}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <p className="compare-delta">
+          QBER difference (B − A): <strong>{qberDelta >= 0 ? "+" : ""}{(qberDelta * 100).toFixed(2)} pp</strong>
+        </p>
+
+        <div className="compare-strips">
+          <RowStrip rows={rowsA} length={length} label="A" />
+          <RowStrip rows={rowsB} length={length} label="B" />
+          <div className="compare-legend">
+            <span className="compare-cell sifted" /> sifted
+            <span className="compare-cell eve" /> Eve intercepted
+            <span className="compare-cell error" /> error in key
+            <span className="compare-cell discarded" /> discarded
+          </div>
+        </div>
+
+        <div className="compare-diff">
+          <h4>Rows Eve intercepted</h4>
+          <p>Only A: {listRows(eve.onlyA)}</p>
+          <p>Only B: {listRows(eve.onlyB)}</p>
+          <p>Both: {listRows(eve.both)}</p>
+          <h4>Rows with key errors</h4>
+          <p>Only A: {listRows(errors.onlyA)}</p>
+          <p>Only B: {listRows(errors.onlyB)}</p>
+          <p>Both: {listRows(errors.both)}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RunComparison;
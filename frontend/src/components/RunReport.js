@@ -0,0 +1,153 @@
+import React from "react";
+import { reportToMarkdown } from "../utils/report";
+import { downloadFile } from "../utils/download";
+
+const pct = (v, digits = 1) => `${(v * 100).toFixed(digits)}%`;
+
+// Past this the printed table is cut short; the JSON and Markdown keep every row
+const MAX_PRINTED_ROWS = 1000;
+
+const Rows = ({ rows }) => (
+  <table className="report-table">
+    <tbody>
+      {rows.map(([label, value]) => (
+        <tr key={label}>
+          <th>{label}</th>
+          <td>{value ?? "-"}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// The printable lab report for one run. Print from here (or save as PDF from
+// the print dialog); only the report is printed, the simulator is hidden.
+const RunReport = ({ report, onClose }) => {
+  if (!report) return null;
+  const { parameters: p, siftedKey, qber, eve, security, encryption } = report;
+  const filename = `bb84-report-seed-${p.seed}`;
+  const printedRows = report.rows.slice(0, MAX_PRINTED_ROWS);
+
+  return (
+    <div className="report-overlay" role="dialog" aria-label="Run report">
+      <div className="report-toolbar">
+        <button type="button" onClick={() => window.print()}>🖨️ Print / Save as PDF</button>
+        <button type="button" onClick={() => downloadFile(`${filename}.json`, JSON.stringify(report, null, 2), "application/json")}>
+          Download JSON
+        </button>
+        <button type="button" onClick={() => downloadFile(`${filename}.md`, reportToMarkdown(report), "text/markdown")}>
+          Download Markdown
+        </button>
+        <button type="button" className="link-button" onClick={onClose}>
+          ✕ Close
+        </button>
+      </div>
+
+      <article className="run-report">
+        <header>
+          <h1>{report.title}</h1>
+          <p className="run-meta">
+            Generated {new Date(report.generatedAt).toLocaleString()}
+            {report.link && (
+              <>
+                {" "}· <a href={report.link}>{report.link}</a>
+              </>
+            )}
+          </p>
+        </header>
+
+        <section>
+          <h2>Parameters</h2>
+          <Rows
+            rows={[
+              ["Protocol", p.protocol],
+              ["Photons", p.photons.toLocaleString()],
+              ["Eve probability", pct(p.eveProbability, 0)],
+              ["Eve strategy", p.eveStrategy],
+              ["Noise", p.noise ? `bit-flip ${pct(p.noise.bitFlip, 0)}, depolarizing ${pct(p.noise.depolarizing, 0)}, misalignment ${p.noise.misalignmentDeg}°` : null],
+              ["QBER sample", p.sampleFraction === null ? null : `${pct(p.sampleFraction, 0)} of sifted bits`],
+              ["Seed", p.seed],
+              ["Animation speed", `${p.animationSpeedMs} ms`],
+              ["Engine", p.source],
+              ["Security policy", `QBER ≤ ${pct(p.policy.qberThreshold)}, key ≥ ${p.policy.minKeyLength} bits, ε = ${p.policy.epsilon.toExponential(0)}`],
+            ]}
+          />
+        </section>
+
+        <section>
+          <h2>Interpretation</h2>
+          {report.interpretation.map((line) => (
+            <p key={line}>{line}</p>
+          ))}
+        </section>
+
+        <section>
+          <h2>Results</h2>
+          <Rows
+            rows={[
+              ["Estimated QBER", pct(qber.estimate, 2)],
+              ["95% confidence interval", qber.interval && `${pct(qber.interval[0])}–${pct(qber.interval[1])}`],
+              ["True QBER (simulator only)", pct(qber.true, 2)],
+              ["Noise alone would give", pct(qber.noiseFloor)],
+              ["Sifted bits", `${siftedKey.siftedLength} (${siftedKey.sampleSize ?? 0} disclosed, ${siftedKey.sampleErrors ?? 0} of them mismatched)`],
+              ["Photons Eve measured", eve.intercepted],
+              ...(report.statistic ? [[report.statistic.title, `${report.statistic.value} — ${report.statistic.detail}`]] : []),
+              ...(security ? [["Security verdict", `${security.verdict} (${security.secureLength} secret bits)`]] : []),
+            ]}
+          />
+          <h3>Sifted key ({siftedKey.length} bits)</h3>
+          <p className="report-bits">{siftedKey.bits || "-"}</p>
+          <h3>Eve's key ({eve.key.length} bits)</h3>
+          <p className="report-bits">{eve.key || "-"}</p>
+        </section>
+
+        {encryption && (
+          <section>
+            <h2>Encryption round-trip</h2>
+            <Rows
+              rows={[
+                ["Cipher", encryption.mode ? `${encryption.cipher} (${encryption.mode.toUpperCase()})` : encryption.cipher],
+                ...(encryption.keyId ? [["Key ID", encryption.keyId]] : []),
+                ["Message", encryption.message],
+                ["Ciphertext", <span className="report-bits">{encryption.ciphertext}</span>],
+                ["Decrypted", encryption.decrypted ?? "not decrypted"],
+              ]}
+            />
+          </section>
+        )}
+
+        <section>
+          <h2>Results table</h2>
+          <table className="report-results">
+            <thead>
+              <tr>
+                <th>#</th>
+                {report.columns.map((col) => (
+                  <th key={col.key}>{col.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {printedRows.map((row, idx) => (
+                <tr key={idx} className={row["Row class"]}>
+                  <td>{idx + 1}</td>
+                  {report.columns.map((col) => (
+                    <td key={col.key}>{row[col.key] ?? "-"}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {report.rows.length > printedRows.length && (
+            <p className="run-meta">
+              First {printedRows.length.toLocaleString()} of {report.rows.length.toLocaleString()} rows — the JSON and
+              Markdown exports have them all.
+            </p>
+          )}
+        </section>
+      </article>
+    </div>
+  );
+};
+
+export default RunReport;
@@ -0,0 +1,66 @@
+import React, { useMemo } from "react";
+import LineChart from "./LineChart";
+import { batchRanges, cumulativeTallies, photonCount } from "../engine/largeRuns";
+
+const count = (v) => v.toLocaleString();
+const pct = (v) => `${(v * 100).toFixed(2)}%`;
+
+// Stands in for the photon animation on large runs: running totals up to the
+// batch on screen, and how the QBER settles as photons accumulate
+const RunTally = ({ data, frame }) => {
+  const total = photonCount(data);
+  const tallies = useMemo(() => cumulativeTallies(data.table_data, batchRanges(photonCount(data))), [data]);
+  const shown = frame?.type === "batch" ? tallies.slice(0, frame.batch + 1) : tallies;
+  const now = shown[shown.length - 1];
+  // A streamed run shows nothing until its first batch is in
+  if (!now) return null;
+  const yMax = Math.max(0.05, ...tallies.map((t) => t.qber)) * 1.25;
+
+  const series = [
+    {
+      label: "QBER over sifted bits so far (95% CI)",
+      color: "#6366f1",
+      points: shown.map((t) => ({
+        x: t.end,
+        y: t.qber,
+        err: t.sifted ? 1.96 * Math.sqrt((t.qber * (1 - t.qber)) / t.sifted) : 0,
+      })),
+    },
+    ...(data.noise_floor
+      ? [
+          {
+            label: "Noise floor",
+            color: "#64748b",
+            dashed: true,
+            points: [
+              { x: 0, y: data.noise_floor },
+              { x: total, y: data.noise_floor },
+            ],
+          },
+        ]
+      : []),
+  ];
+
+  return (
+    <div className="run-tally" data-lesson="run-tally">
+      <div className="recon-stats">
+        <div><strong>{count(now.sent)}</strong><span>of {count(total)} photons sent</span></div>
+        <div><strong>{count(now.intercepted)}</strong><span>intercepted by Eve</span></div>
+        <div><strong>{count(now.sifted)}</strong><span>sifted</span></div>
+        <div><strong>{count(now.errors)}</strong><span>sifted errors ({count(now.eveErrors)} Eve, {count(now.noiseErrors)} noise)</span></div>
+        <div><strong>{pct(now.qber)}</strong><span>QBER so far</span></div>
+      </div>
+      <LineChart
+        series={series}
+        xMax={total}
+        yMax={yMax}
+        xLabel="Photons sent"
+        yLabel="QBER"
+        formatX={(v) => count(Math.round(v))}
+        formatY={(v) => `${(v * 100).toFixed(1)}%`}
+      />
+    </div>
+  );
+};
+
+export default RunTally;
@@ -0,0 +1,159 @@
+import React from "react";
+import LineChart from "./LineChart";
+import { asymptoticRate } from "../engine/securityPolicy";
+
+const pct = (v, digits = 2) => `${(v * 100).toFixed(digits)}%`;
+const count = (v) => v.toLocaleString();
+
+const MIN_LENGTHS = [32, 64, 128, 256, 512, 1024, 2048, 4096];
+const EPSILONS = [1e-3, 1e-6, 1e-9, 1e-12, 1e-15];
+const CHART_MAX_QBER = 0.15;
+// One point per QBER percent
+const CURVE = Array.from({ length: 16 }, (_, i) => ({ x: i / 100, y: Math.max(0, asymptoticRate(i / 100)) }));
+const onCurve = (q) => ({ x: Math.min(q, CHART_MAX_QBER), y: Math.max(0, asymptoticRate(q)) });
+
+const VERDICTS = {
+  abort: { tone: "failed", text: "❌ Abort: the QBER is above the policy threshold — no key may be used" },
+  "no-key": { tone: "failed", text: "❌ No secret key: the finite-size corrections eat the whole key" },
+  short: { tone: "warning", text: "⚠️ A secret key, but shorter than the policy's minimum length" },
+  secure: { tone: "ok", text: "✅ A secret key can be extracted" },
+};
+
+// How many secret bits the run on screen is worth: the asymptotic BB84 rate
+// against what survives this run's finite sample, judged by the security policy
+// that every key decision in the app follows. The controls can only tighten the
+// base policy (the backend's, or the built-in one without a backend), within its
+// limits.
+const SecurityAnalysisPanel = ({
+  analysis, policy, basePolicy, limits, status, onRetry, onPolicyChange, onPolicyReset, disabled,
+}) => {
+  if (!analysis) return null;
+  const verdict = VERDICTS[analysis.status];
+  const qLow = limits.qberThreshold[0];
+  const minLengths = [
+    basePolicy.minKeyLength,
+    ...MIN_LENGTHS.filter((bits) => bits > basePolicy.minKeyLength && bits <= limits.minKeyLength[1]),
+  ];
+  const epsilons = [basePolicy.epsilon, ...EPSILONS.filter((e) => e < basePolicy.epsilon && e >= limits.epsilon[0])];
+
+  const series = [
+    { label: "1 − 2h(Q) per sifted bit", color: "#6366f1", points: CURVE },
+    {
+      label: "Policy threshold",
+      color: "#dc2626",
+      dashed: true,
+      points: [
+        { x: policy.qberThreshold, y: 0 },
+        { x: policy.qberThreshold, y: 1 },
+      ],
+    },
+    {
+      label: "This run: estimate → finite-size bound",
+      color: "#f59e0b",
+      points: [onCurve(analysis.estimate), onCurve(analysis.upperBound)],
+    },
+  ];
+
+  return (
+    <div className="reconciliation-panel security-analysis-panel" data-lesson="security-analysis">
+      <div className="panel-header">
+        <h2>Key Rate &amp; Security</h2>
+        <span className="privacy-length">
+          <strong>{count(analysis.secureLength)}</strong> secret bits
+        </span>
+      </div>
+
+      <div className={`privacy-status ${verdict.tone}`}>{verdict.text}</div>
+      {status === "unavailable" && (
+        <div className="privacy-status warning">
+          ⚠️ The backend's security policy couldn't be loaded, so the built-in one applies. Keys from this browser still
+          work; the backend judges any key it is asked to use by its own policy.{" "}
+          <button type="button" className="link-button" onClick={onRetry} disabled={disabled}>
+            ↻ Retry
+          </button>
+        </div>
+      )}
+
+      <div className="recon-stats">
+        <div><strong>{pct(analysis.estimate)}</strong><span>QBER from {count(analysis.sampleSize)} sampled bits</span></div>
+        <div><strong>{pct(analysis.upperBound)}</strong><span>finite-size bound Q + μ (μ = {pct(analysis.deviation)})</span></div>
+        <div><strong>{analysis.asymptoticRate > 0 ? analysis.asymptoticRate.toFixed(3) : "0"}</strong><span>asymptotic 1 − 2h(Q) per sifted bit</span></div>
+        <div><strong>{analysis.asymptoticPerPhoton.toFixed(4)}</strong><span>asymptotic bits per photon</span></div>
+        <div><strong>{analysis.finiteRate.toFixed(4)}</strong><span>this run's bits per photon</span></div>
+      </div>
+
+      <p className="run-meta">
+        {analysis.status === "abort"
+          ? `The estimated QBER of ${pct(analysis.estimate)} is over the ${pct(policy.qberThreshold, 1)} threshold, so encryption, decryption and the key pool refuse this run.`
+          : analysis.photonsNeeded
+            ? `At this QBER and sampling ratio, about ${count(analysis.photonsNeeded)} photons (${count(analysis.siftedNeeded)} sifted bits) give the policy's ${policy.minKeyLength}-bit minimum.`
+            : `No run length reaches ${policy.minKeyLength} secret bits at this QBER: 1 − 2h(Q) is too close to zero.`}
+        {" "}The asymptotic rate assumes infinitely many photons; the finite-key length also pays for the
+        sampled bits, the statistical bound on the QBER, error-correction leakage and 2·log₂(1/ε).
+      </p>
+
+      <LineChart
+        series={series}
+        xMax={CHART_MAX_QBER}
+        yMax={1}
+        xLabel="QBER"
+        yLabel="Secret bits per sifted bit"
+        formatX={(v) => pct(v, 0)}
+        formatY={(v) => v.toFixed(1)}
+      />
+
+      <div className="policy-controls">
+        <h3>Security policy</h3>
+        <div className="control-item">
+          <label>QBER threshold: {pct(policy.qberThreshold, 1)}</label>
+          <input
+            type="range"
+            min={qLow}
+            max={basePolicy.qberThreshold}
+            step={0.005}
+            value={policy.qberThreshold}
+            onChange={(e) => onPolicyChange({ qberThreshold: Number(e.target.value) })}
+            disabled={disabled}
+          />
+        </div>
+        <div className="control-item">
+          <label htmlFor="policy-min-length">Minimum key length</label>
+          <select
+            id="policy-min-length"
+            value={policy.minKeyLength}
+            onChange={(e) => onPolicyChange({ minKeyLength: Number(e.target.value) })}
+            disabled={disabled}
+          >
+            {minLengths.map((bits) => (
+              <option key={bits} value={bits}>{bits} bits</option>
+            ))}
+          </select>
+        </div>
+        <div className="control-item">
+          <label htmlFor="policy-epsilon">Security parameter ε</label>
+          <select
+            id="policy-epsilon"
+            value={policy.epsilon}
+            onChange={(e) => onPolicyChange({ epsilon: Number(e.target.value) })}
+            disabled={disabled}
+          >
+            {epsilons.map((e) => (
+              <option key={e} value={e}>{e.toExponential(0)}</option>
+            ))}
+          </select>
+        </div>
+        <button type="button" className="link-button" onClick={onPolicyReset} disabled={disabled}>
+          {status === "ready" ? "Reset to the backend's policy" : "Reset to defaults"}
+        </button>
+      </div>
+      <p className="run-meta">
+        {status === "ready" ? "The backend's policy" : "The built-in policy"} is QBER ≤ {pct(basePolicy.qberThreshold, 1)},
+        at least {basePolicy.minKeyLength} bits and ε = {basePolicy.epsilon.toExponential(0)}. Here it can only be made
+        stricter; the stricter settings are kept in this browser. The backend judges every key it is asked to use by its
+        own policy and the QBER it recorded for the run.
+      </p>
+    </div>
+  );
+};
+
+export default SecurityAnalysisPanel;
@@ -1,4 +1,21 @@
-// Replace this with your deployed backend Render URL
-export const API_BASE_URL = "https://bb84-simulation.onrender.com";
-
-
+// Backend location. Set REACT_APP_API_BASE_URL at build/start time to switch between
+// the local Flask server and a deployed backend without editing source, e.g.
+//   REACT_APP_API_BASE_URL=https://bb84-simulation.onrender.com npm run build
+const DEFAULT_API_BASE_URL =
+  process.env.NODE_ENV === "production"
+    ? "https://bb84-simulation.onrender.com"
+    : "http://localhost:5000";
+
+export const API_BASE_URL = (process.env.REACT_APP_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, "");
+
+// Per-attempt request timeout and how many times transient failures are retried
+export const API_TIMEOUT_MS = Number(process.env.REACT_APP_API_TIMEOUT_MS) || 20000;
+const retries = Number(process.env.REACT_APP_API_RETRIES || undefined);
+export const API_RETRIES = Number.isInteger(retries) && retries >= 0 ? retries : 2;
+
+// The health check runs before every simulation, so it gets a shorter leash
+export const HEALTH_TIMEOUT_MS = 5000;
+
+// WebSocket relay for networked mode (backend/relay.py). Each lab machine can
+// point at a shared relay, e.g. REACT_APP_RELAY_URL=ws://192.168.1.20:8765
+export const RELAY_URL = process.env.REACT_APP_RELAY_URL || "ws://localhost:8765";
@@ -0,0 +1,25 @@
+const retriesFor = (value) => {
+  const saved = process.env.REACT_APP_API_RETRIES;
+  if (value === undefined) delete process.env.REACT_APP_API_RETRIES;
+  else process.env.REACT_APP_API_RETRIES = value;
+  let retries;
+  jest.isolateModules(() => {
+    retries = require("./config").API_RETRIES;
+  });
+  if (saved === undefined) delete process.env.REACT_APP_API_RETRIES;
+  else process.env.REACT_APP_API_RETRIES = saved;
+  return retries;
+};
+
+describe("API_RETRIES", () => {
+  it("takes a non-negative whole number from the environment", () => {
+    expect(retriesFor("0")).toBe(0);
+    expect(retriesFor("5")).toBe(5);
+  });
+
+  it("falls back to 2 for anything else", () => {
+    for (const value of [undefined, "", "many", "-1", "1.5"]) {
+      expect(retriesFor(value)).toBe(2);
+    }
+  });
+});
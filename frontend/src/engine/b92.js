@@ -0,0 +1,113 @@
+import { AXES, measure, prepare } from "./qubit";
+import { NO_NOISE, applyChannelNoise, describeNoise } from "./noise";
+import { attributeError, finishRun, seededRng } from "./common";
+import { DEFAULT_SAMPLE_FRACTION } from "./estimation";
+
+// B92: Alice encodes 0 as |0⟩ (0°) and 1 as |+⟩ (45°) — two non-orthogonal states.
+// Bob measures in a random basis; only the outcome orthogonal to one of Alice's
+// states is conclusive (|1⟩ rules out 0, |−⟩ rules out 1). Sifting keeps the
+// conclusive positions, about a quarter of the photons, and Bob never announces
+// his basis.
+
+const STATES = [
+  { axis: AXES.Z, label: "|0⟩ (0°)" },
+  { axis: AXES.X, label: "|+⟩ (45°)" },
+];
+
+const BOB_BASES = [
+  { axis: AXES.Z, label: "+ (0°)" },
+  { axis: AXES.X, label: "× (45°)" },
+];
+
+// Bit Bob (or Eve) infers from a measurement in `basis` with `outcome`.
+// Only outcome 1 is conclusive; outcome 0 is a best guess.
+const inferBit = (basis, outcome) => (basis === 0 ? outcome : 1 - outcome);
+
+export const runB92 = ({
+  nBits = 10,
+  eveProb = 0.3,
+  seed = null,
+  noise = NO_NOISE,
+  sampleFraction = DEFAULT_SAMPLE_FRACTION,
+} = {}) => {
+  const { seed: runSeed, rng } = seededRng(seed);
+  const withEve = eveProb > 0;
+
+  const aliceBits = rng.bits(nBits);
+  const bobBases = rng.bits(nBits);
+  const eveBases = withEve ? rng.bits(nBits) : null;
+
+  const eveResults = [];
+  const eveInformation = [];
+  const noiseEvents = [];
+  const bobOutcomes = [];
+
+  for (let i = 0; i < nBits; i++) {
+    let state = prepare(STATES[aliceBits[i]].axis, 0);
+
+    if (withEve && rng.random() < eveProb) {
+      // Intercept-resend: Eve forwards the eigenstate she collapsed the photon into
+      const result = measure(state, BOB_BASES[eveBases[i]].axis, rng);
+      state = result.state;
+      eveResults.push(inferBit(eveBases[i], result.bit));
+      // A conclusive outcome tells Eve the bit for certain; the rest are guesses
+      eveInformation.push(result.bit === 1 ? 1 : 0);
+    } else {
+      eveResults.push(null);
+      eveInformation.push(null);
+    }
+
+    const noisy = applyChannelNoise(state, noise, rng);
+    noiseEvents.push(noisy.events);
+
+    bobOutcomes.push(measure(noisy.state, BOB_BASES[bobBases[i]].axis, rng).bit);
+  }
+
+  const bobBits = bobOutcomes.map((outcome, i) => inferBit(bobBases[i], outcome));
+  const matchedIndices = bobOutcomes.map((_, i) => i).filter((i) => bobOutcomes[i] === 1);
+  const errorBreakdown = { eve: 0, noise: 0, both: 0 };
+
+  const rows = aliceBits.map((bit, i) => {
+    const eveIntercepted = withEve && eveResults[i] !== null;
+    const conclusive = bobOutcomes[i] === 1;
+
+    // Without noise a conclusive error needs Eve to have resent a state outside
+    // Alice's pair; noise is blamed whenever it touched the photon
+    let errorSource = "-";
+    if (conclusive && bit !== bobBits[i]) {
+      errorSource = attributeError(eveIntercepted, noiseEvents[i].length > 0, errorBreakdown);
+    }
+
+    return {
+      "Alice Bit": bit,
+      "Alice State": STATES[bit].label,
+      "Eve Intercepting": eveIntercepted ? "Yes" : "No",
+      "Eve Basis": eveIntercepted ? BOB_BASES[eveBases[i]].label : "-",
+      "Eve Bit": eveIntercepted ? eveResults[i] : "-",
+      "Noise": describeNoise(noiseEvents[i]),
+      "Bob Basis": BOB_BASES[bobBases[i]].label,
+      "Bob Outcome": bobOutcomes[i],
+      "Bob Measured Bit": conclusive ? bobBits[i] : "-",
+      "Match": conclusive ? "Yes" : "No",
+      "Error Source": errorSource,
+    };
+  });
+
+  return {
+    ...finishRun({
+      protocol: "b92",
+      rows,
+      aliceBits,
+      bobBits,
+      eveBits: eveResults,
+      eveInformation,
+      matchedIndices,
+      sampleFraction,
+      rng,
+      seed: runSeed,
+      noise,
+      errorBreakdown,
+    }),
+    conclusive_rate: nBits ? matchedIndices.length / nBits : 0,
+  };
+};
@@ -0,0 +1,207 @@
+import { AXES, applyPauli, axisForAngle, flipsAxis, measure, prepare } from "./qubit";
+import { NO_NOISE, applyChannelNoise, describeNoise } from "./noise";
+import { attributeError, finishRun, seededRng } from "./common";
+import { DEFAULT_SAMPLE_FRACTION } from "./estimation";
+import {
+  BREIDBART_ANGLE, DEFAULT_ATTACK, cloningGuessProbability, decoyAnalysis, informationPerBit,
+  intensityMu, pickIntensity, pnsForwardProbability, poisson, toAttackPayload,
+} from "./eavesdropping";
+
+// Pure-JS mirror of bb84_protocol in backend/app.py.
+// Returns the same response shape as /api/bb84 so the UI can't tell the engines apart.
+
+const BASES = [
+  { axis: AXES.Z, name: "Z", label: "+ (0°)" },
+  { axis: AXES.X, name: "X", label: "× (45°)" },
+];
+
+export const basisLabel = (basis) => BASES[basis].label;
+
+// Eve's move on one photon. Returns the state sent on to Bob and what Eve did,
+// or null for the state when she blocks the pulse.
+const attackPhoton = ({ attack, state, aliceBit, aliceBasis, eveBasis, pulse, forwardProbability, rng }) => {
+  switch (attack.strategy) {
+    case "breidbart": {
+      const result = measure(state, axisForAngle(BREIDBART_ANGLE), rng);
+      return {
+        state: result.state,
+        eve: { basis: `Breidbart (${BREIDBART_ANGLE}°)`, bit: result.bit, disturbs: true, info: informationPerBit(attack) },
+      };
+    }
+    case "cloning": {
+      // The cloner's disturbance shows up for Bob as a Y error; Eve reads her
+      // copy once Alice announces the basis
+      const disturbed = rng.random() < attack.cloningDisturbance;
+      const correct = rng.random() < cloningGuessProbability(attack.cloningDisturbance);
+      return {
+        state: disturbed ? applyPauli(state, "Y") : state,
+        eve: { basis: "Clone (read in Alice's basis)", bit: correct ? aliceBit : 1 - aliceBit, disturbs: disturbed, info: informationPerBit(attack) },
+      };
+    }
+    case "pns": {
+      if (pulse.photons === 0) return { state, eve: null };
+      if (pulse.photons === 1) {
+        return { state: null, eve: { basis: "Blocked (1 photon)", bit: null, disturbs: false, info: 0 } };
+      }
+      // Keep one photon until the bases are public, forward the rest losslessly
+      const forwarded = rng.random() < forwardProbability;
+      return {
+        state: forwarded ? state : null,
+        eve: { basis: `Split 1 of ${pulse.photons}`, bit: aliceBit, disturbs: false, info: informationPerBit(attack, { split: true }), lossless: forwarded },
+      };
+    }
+    default: {
+      // Intercept-resend: Eve measures in her basis and resends what she saw
+      const result = measure(state, BASES[eveBasis].axis, rng);
+      return {
+        state: result.state,
+        eve: {
+          basis: basisLabel(eveBasis),
+          bit: result.bit,
+          disturbs: eveBasis !== aliceBasis,
+          info: informationPerBit(attack, { basisMatched: eveBasis === aliceBasis }),
+        },
+      };
+    }
+  }
+};
+
+export const runBB84 = ({
+  nBits = 10,
+  eveProb = 0.3,
+  seed = null,
+  noise = NO_NOISE,
+  sampleFraction = DEFAULT_SAMPLE_FRACTION,
+  attack = DEFAULT_ATTACK,
+} = {}) => {
+  const { seed: runSeed, rng } = seededRng(seed);
+  const withEve = eveProb > 0;
+  // PNS only makes sense against a weak-coherent source, so that strategy swaps
+  // the ideal single-photon source for attenuated laser pulses (with decoys)
+  const weakCoherent = attack.strategy === "pns";
+  const forwardProbability = weakCoherent ? pnsForwardProbability(attack) : 0;
+
+  const aliceBits = rng.bits(nBits);
+  const aliceBases = rng.bits(nBits);
+  const bobBases = rng.bits(nBits);
+  const eveBases = withEve ? rng.bits(nBits) : null;
+
+  const pulses = [];
+  const eveActions = [];
+  const noiseEvents = [];
+  const bobResults = [];
+
+  for (let i = 0; i < nBits; i++) {
+    // State currently travelling on the channel
+    let state = prepare(BASES[aliceBases[i]].axis, aliceBits[i]);
+
+    let pulse = null;
+    if (weakCoherent) {
+      const intensity = pickIntensity(attack, rng);
+      pulse = { intensity, photons: poisson(intensityMu(intensity, attack), rng), detected: false };
+      pulses.push(pulse);
+    }
+
+    let eve = null;
+    if (withEve && rng.random() < eveProb) {
+      const outcome = attackPhoton({
+        attack,
+        state,
+        aliceBit: aliceBits[i],
+        aliceBasis: aliceBases[i],
+        eveBasis: eveBases[i],
+        pulse,
+        forwardProbability,
+        rng,
+      });
+      state = outcome.state;
+      eve = outcome.eve;
+    }
+    eveActions.push(eve);
+
+    if (pulse) {
+      // Honest channel: each photon survives with the transmittance. Eve's
+      // lossless line always delivers, a blocked pulse never does
+      if (eve?.lossless) pulse.detected = true;
+      else if (state === null) pulse.detected = false;
+      else pulse.detected = rng.random() < 1 - (1 - attack.transmittance) ** pulse.photons;
+    }
+
+    if (pulse && !pulse.detected) {
+      noiseEvents.push([]);
+      bobResults.push(null);
+      continue;
+    }
+
+    const noisy = applyChannelNoise(state, noise, rng);
+    noiseEvents.push(noisy.events);
+
+    bobResults.push(measure(noisy.state, BASES[bobBases[i]].axis, rng).bit);
+  }
+
+  // Only detected signal pulses measured in Alice's basis become key
+  const matchedIndices = aliceBases
+    .map((_, i) => i)
+    .filter((i) => aliceBases[i] === bobBases[i] && bobResults[i] !== null && (!weakCoherent || pulses[i].intensity === "signal"));
+  const matched = new Set(matchedIndices);
+  const errorBreakdown = { eve: 0, noise: 0, both: 0 };
+
+  const rows = aliceBits.map((bit, i) => {
+    const eve = eveActions[i];
+    const match = matched.has(i);
+
+    // Attribute sifted errors: Eve only causes one when her attack disturbed the
+    // photon (for intercept-resend, a wrong-basis measurement); anything else
+    // has to be channel noise
+    let errorSource = "-";
+    if (match && bit !== bobResults[i]) {
+      errorSource = attributeError(
+        Boolean(eve?.disturbs),
+        flipsAxis(noiseEvents[i], BASES[aliceBases[i]].name),
+        errorBreakdown
+      );
+    }
+
+    const pulseColumns = weakCoherent
+      ? {
+          "Intensity": `${pulses[i].intensity} (μ=${intensityMu(pulses[i].intensity, attack)})`,
+          "Photons": pulses[i].photons,
+          "Detected": pulses[i].detected ? "Yes" : "No",
+        }
+      : {};
+
+    return {
+      "Alice Bit": bit,
+      "Alice Basis": basisLabel(aliceBases[i]),
+      ...pulseColumns,
+      "Bob Basis": basisLabel(bobBases[i]),
+      "Eve Intercepting": eve ? "Yes" : "No",
+      "Eve Basis": eve ? eve.basis : "-",
+      "Eve Bit": eve && eve.bit !== null ? eve.bit : "-",
+      "Noise": describeNoise(noiseEvents[i]),
+      "Bob Measured Bit": bobResults[i] ?? "-",
+      "Match": match ? "Yes" : "No",
+      "Error Source": errorSource,
+    };
+  });
+
+  return {
+    ...finishRun({
+      protocol: "bb84",
+      rows,
+      aliceBits,
+      bobBits: bobResults,
+      eveBits: eveActions.map((eve) => eve?.bit ?? null),
+      eveInformation: eveActions.map((eve) => (eve ? eve.info : null)),
+      eveStrategy: attack.strategy,
+      matchedIndices,
+      sampleFraction,
+      rng,
+      seed: runSeed,
+      noise,
+      errorBreakdown,
+    }),
+    attack: toAttackPayload(attack),
+    decoy: weakCoherent ? decoyAnalysis(pulses, attack) : null,
+  };
+};
@@ -0,0 +1,79 @@
+import { runBB84 } from "./bb84";
+import { NO_NOISE } from "./noise";
+import { DEFAULT_ATTACK } from "./eavesdropping";
+
+// The fields bb84_steps in backend/app.py puts in its result, minus the
+// backend-only simulator name and run_id
+const RESPONSE_FIELDS = [
+  "protocol", "table_data", "alice_key", "bob_key", "qber", "eve_key", "eve_information", "matched_indices",
+  "sample_indices", "sample_size", "sample_errors", "estimated_qber", "qber_interval", "alice_remaining_key",
+  "bob_remaining_key", "seed", "noise", "noise_floor", "error_breakdown", "attack", "decoy",
+];
+const ROW_FIELDS = [
+  "Alice Bit", "Alice Basis", "Bob Basis", "Eve Intercepting", "Eve Basis", "Eve Bit", "Noise",
+  "Bob Measured Bit", "Match", "Error Source", "Sampled",
+];
+
+describe("runBB84", () => {
+  it("answers in the backend's response shape", () => {
+    const data = runBB84({ nBits: 40, eveProb: 0.5, seed: 7 });
+    expect(Object.keys(data).sort()).toEqual([...RESPONSE_FIELDS].sort());
+    expect(data.table_data).toHaveLength(40);
+    data.table_data.forEach((row) => expect(Object.keys(row).sort()).toEqual([...ROW_FIELDS].sort()));
+    expect(Object.keys(data.eve_information).sort()).toEqual(["bits", "correct", "intercepted", "key_fraction", "strategy"]);
+    expect(Object.keys(data.error_breakdown).sort()).toEqual(["both", "eve", "noise"]);
+    expect(data.noise).toEqual({ bit_flip: 0, depolarizing: 0, misalignment_deg: 0 });
+    expect(data.decoy).toBeNull();
+  });
+
+  it("sifts on matching bases and keeps Alice's and Bob's keys aligned", () => {
+    const data = runBB84({ nBits: 200, eveProb: 0, seed: 11 });
+    data.matched_indices.forEach((i, k) => {
+      const row = data.table_data[i];
+      expect(row["Alice Basis"]).toBe(row["Bob Basis"]);
+      expect(data.alice_key[k]).toBe(row["Alice Bit"]);
+      expect(data.bob_key[k]).toBe(row["Bob Measured Bit"]);
+    });
+    expect(data.table_data.filter((row) => row.Match === "Yes")).toHaveLength(data.matched_indices.length);
+    // Without Eve or noise the keys agree
+    expect(data.qber).toBe(0);
+    expect(data.eve_key).toEqual([]);
+  });
+
+  it("splits the sifted key into the public sample and the remaining key", () => {
+    const data = runBB84({ nBits: 200, eveProb: 1, seed: 3 });
+    const sifted = data.matched_indices.length;
+    expect(data.sample_size).toBe(Math.round(0.25 * sifted));
+    expect(data.sample_indices.every((i) => data.matched_indices.includes(i))).toBe(true);
+    expect(data.alice_remaining_key).toHaveLength(sifted - data.sample_size);
+    expect(data.table_data.filter((row) => row.Sampled === "Yes")).toHaveLength(data.sample_size);
+  });
+
+  it("shows intercept-resend as about 25% QBER", () => {
+    const data = runBB84({ nBits: 4000, eveProb: 1, seed: 5 });
+    expect(data.qber).toBeGreaterThan(0.2);
+    expect(data.qber).toBeLessThan(0.3);
+    expect(data.error_breakdown.noise).toBe(0);
+  });
+
+  it("reports the pulses of a weak-coherent source against photon-number splitting", () => {
+    const data = runBB84({ nBits: 300, eveProb: 1, seed: 9, noise: NO_NOISE, attack: { ...DEFAULT_ATTACK, strategy: "pns" } });
+    expect(data.decoy).not.toBeNull();
+    expect(Object.keys(data.table_data[0])).toEqual(expect.arrayContaining(["Intensity", "Photons", "Detected"]));
+    // PNS takes bits without disturbing them
+    expect(data.error_breakdown.eve).toBe(0);
+  });
+});
+
+describe("seeded replay", () => {
+  it("replays a run exactly from its seed", () => {
+    const params = { nBits: 100, eveProb: 0.4, noise: { bitFlip: 0.05, depolarizing: 0.02, misalignmentDeg: 3 } };
+    const first = runBB84(params);
+    expect(Number.isInteger(first.seed)).toBe(true);
+    expect(runBB84({ ...params, seed: first.seed })).toEqual(first);
+  });
+
+  it("gives different runs for different seeds", () => {
+    expect(runBB84({ nBits: 64, seed: 1 }).table_data).not.toEqual(runBB84({ nBits: 64, seed: 2 }).table_data);
+  });
+});
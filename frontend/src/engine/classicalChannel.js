@@ -0,0 +1,195 @@
+// The public (classical) channel of a run: every announcement Alice and Bob make
+// after the photons, in order, each authenticated with a Wegman–Carter MAC.
+// Eve can read all of it; an optional man-in-the-middle also rewrites one message.
+// She can't compute a valid tag without the pre-shared key, so the receiver's check
+// fails and the protocol aborts before any key is used.
+
+import { createRng } from "./random";
+import { slidingHash } from "./privacyAmplification";
+
+export const MAC_TAG_BITS = 32;
+
+export const CHANNEL_PHASES = ["sifting", "estimation", "reconciliation", "verification"];
+
+export const MITM_ATTACKS = [
+  { id: "none", label: "None", summary: "Eve only listens to the public channel." },
+  {
+    id: "hide-errors",
+    label: "Hide errors",
+    target: "qber",
+    summary: "Eve rewrites Bob's QBER report to zero errors to hide her intercept-resend.",
+  },
+  {
+    id: "rewrite-bases",
+    label: "Rewrite bases",
+    target: "bases",
+    summary: "Eve swaps in the bases she measured in, so sifting keeps the bits she knows.",
+  },
+  {
+    id: "flip-parity",
+    label: "Flip a parity",
+    target: "parities",
+    summary: "Eve flips one of Alice's parity bits to derail error correction.",
+  },
+];
+
+export const mitmById = (id) => MITM_ATTACKS.find((a) => a.id === id) || MITM_ATTACKS[0];
+
+const encoder = new TextEncoder();
+
+// Packed 32 bits to a word like packBits, straight from the UTF-8 bytes: the
+// bases announcement of a 10^5-photon run is megabits long
+const packBytes = (bytes) => {
+  const words = new Uint32Array(Math.ceil(bytes.length / 4));
+  bytes.forEach((byte, k) => {
+    words[k >> 2] |= byte << (24 - 8 * (k & 3));
+  });
+  return words;
+};
+
+// rng.bits(count), packed as it's drawn
+const packedRandomBits = (rng, count) => {
+  const words = new Uint32Array(Math.ceil(count / 32));
+  for (let i = 0; i < count; i++) {
+    if (rng.random() >= 0.5) words[i >> 5] |= 1 << (31 - (i & 31));
+  }
+  return words;
+};
+
+const hexOfBits = (bits) => {
+  let hex = "";
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4).join(""), 2).toString(16);
+  }
+  return hex;
+};
+
+// The sequence number and both endpoints are inside the MAC, so a message
+// can't be replayed or redirected either
+const macInput = ({ seq, from, to, kind, payload }) => `${seq}|${from}>${to}|${kind}|${JSON.stringify(payload)}`;
+
+// Toeplitz hash of the message XOR a fresh one-time pad. The hash slides the
+// message along the key from its start (seed[i + k]), so only a prefix of the
+// hash key is used and a longer message never changes an earlier message's tag.
+const macTag = (bytes, hashKey, pad) =>
+  hexOfBits(slidingHash(packBytes(bytes), MAC_TAG_BITS, hashKey).map((bit, i) => bit ^ pad[i]));
+
+const basisColumn = (row) => row["Bob Basis"] ?? row["Bob Angle"];
+
+// The announcements of a run, in the order they're sent
+const announcements = (data, reconciliation) => {
+  const rows = data.table_data;
+  const messages = [];
+  const say = (phase, from, kind, payload) =>
+    messages.push({ phase, from, to: from === "alice" ? "bob" : "alice", kind, payload });
+
+  // B92 has no basis choice to compare: Bob names his conclusive positions instead
+  if (data.protocol === "b92") {
+    say("sifting", "bob", "conclusive", { indices: data.matched_indices });
+  } else {
+    say("sifting", "bob", "bases", { bases: rows.map(basisColumn) });
+  }
+  say("sifting", "alice", "sift-ack", { indices: data.matched_indices });
+
+  if (data.sample_indices) {
+    say("estimation", "alice", "sample", {
+      indices: data.sample_indices,
+      bits: data.sample_indices.map((i) => rows[i]["Alice Bit"]),
+    });
+    say("estimation", "bob", "qber", { errors: data.sample_errors, size: data.sample_size });
+  }
+
+  if (reconciliation) {
+    reconciliation.passes.forEach((pass, p) =>
+      say("reconciliation", "alice", "parities", { pass: p, parities: pass.blocks.map((b) => b.aliceParity) })
+    );
+    reconciliation.rounds.forEach((round) =>
+      say("reconciliation", "alice", round.kind, {
+        pass: round.pass,
+        block: round.block,
+        values: round.steps.map((s) => (round.kind === "syndrome" ? s.aliceSyndrome : s.aliceParity)),
+      })
+    );
+    say("verification", "alice", "key-tag", { tag: reconciliation.verification.aliceTag });
+    say("verification", "bob", "key-tag", { tag: reconciliation.verification.bobTag });
+  }
+  return messages;
+};
+
+// What the man-in-the-middle puts on the wire instead; null if she has nothing to change
+const tamper = (message, rows, rng) => {
+  const { kind, payload } = message;
+  if (kind === "qber") return payload.errors === 0 ? null : { ...payload, errors: 0 };
+  if (kind === "bases") {
+    // Claim Eve's own bases wherever she measured, so sifting keeps the bits she knows
+    const bases = payload.bases.map((b, i) => (rows[i]["Eve Basis"] && rows[i]["Eve Basis"] !== "-" ? rows[i]["Eve Basis"] : b));
+    return bases.some((b, i) => b !== payload.bases[i]) ? { bases } : null;
+  }
+  if (kind === "parities" && payload.parities.length > 0) {
+    const k = rng.randint(payload.parities.length);
+    return { ...payload, parities: payload.parities.map((p, i) => (i === k ? 1 - p : p)) };
+  }
+  return null;
+};
+
+// The full authenticated transcript of a run. Messages after a failed check are
+// never sent. The MAC key and pads come from authSecret, the pre-shared secret,
+// never from the run seed: the seed is public, so Eve would know a key drawn
+// from it. Eve's own choices still follow the seed so replays tamper the same way.
+export const buildTranscript = ({ data, authSecret, reconciliation = null, mitm = "none" }) => {
+  const seed = data.seed ?? 0;
+  const attack = mitmById(mitm);
+  const keyRng = createRng((authSecret ^ 0x5bd1e995) >>> 0);
+  const padRng = createRng((authSecret ^ 0x27d4eb2f) >>> 0);
+  const eveRng = createRng((seed ^ 0x165667b1) >>> 0);
+
+  const messages = announcements(data, reconciliation).map((m, seq) => ({ ...m, seq }));
+  const inputs = messages.map((m) => encoder.encode(macInput(m)));
+  const longest = 8 * Math.max(0, ...inputs.map((bytes) => bytes.length));
+  const hashKeyBits = longest + MAC_TAG_BITS - 1;
+  const hashKey = packedRandomBits(keyRng, hashKeyBits);
+
+  const sent = [];
+  let abortedAt = null;
+  let tampered = false;
+  for (const message of messages) {
+    // Sender and receiver take the same pad from the pre-shared stream
+    const pad = padRng.bits(MAC_TAG_BITS);
+    const tag = macTag(inputs[message.seq], hashKey, pad);
+    // Eve strikes at the first message of her target kind
+    const forged = attack.target === message.kind && !tampered ? tamper(message, data.table_data, eveRng) : null;
+    if (!forged) {
+      sent.push({ ...message, tag, receivedTag: tag, tampered: false, verified: true });
+      continue;
+    }
+    tampered = true;
+    // Without the key her best move is a random tag; it passes with probability 2^-32
+    const received = { ...message, payload: forged };
+    const receivedTag = hexOfBits(eveRng.bits(MAC_TAG_BITS));
+    const verified = macTag(encoder.encode(macInput(received)), hashKey, pad) === receivedTag;
+    sent.push({ ...received, original: message.payload, tag, receivedTag, tampered: true, verified });
+    if (!verified) {
+      abortedAt = message.seq;
+      break;
+    }
+  }
+
+  return {
+    messages: sent,
+    aborted: abortedAt !== null,
+    abortedAt,
+    abortedPhase: abortedAt === null ? null : messages[abortedAt].phase,
+    mitm: attack,
+    attempted: tampered,
+    // Wegman–Carter reuses the hash key but needs a fresh pad for every tag
+    keyBits: { hash: hashKeyBits, pads: sent.length * MAC_TAG_BITS, total: hashKeyBits + sent.length * MAC_TAG_BITS },
+  };
+};
+
+// Messages the playback has reached: nothing during the photons, then each phase in turn
+export const visiblePhases = (frameType) => {
+  if (frameType === "sift") return CHANNEL_PHASES.slice(0, 1);
+  if (frameType === "estimate") return CHANNEL_PHASES.slice(0, 2);
+  if (frameType === "results") return CHANNEL_PHASES;
+  return [];
+};
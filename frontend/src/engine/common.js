@@ -0,0 +1,75 @@
+import { createRng, randomSeed } from "./random";
+import { DEFAULT_SAMPLE_FRACTION, estimateQber } from "./estimation";
+import { toNoisePayload, noiseFloor } from "./noise";
+import { summarizeEveInformation } from "./eavesdropping";
+
+// Pieces every local protocol engine shares: seeding, sifting, error
+// attribution and the common response fields.
+
+export const seededRng = (seed) => {
+  // Like the backend, always run seeded so the response can be replayed
+  const runSeed = seed === null || seed === undefined ? randomSeed() : seed;
+  return { seed: runSeed, rng: createRng(runSeed) };
+};
+
+export const calculateQber = (aliceKey, bobKey) => {
+  if (aliceKey.length === 0 || bobKey.length === 0) return 0;
+  const errors = aliceKey.filter((bit, i) => bit !== bobKey[i]).length;
+  return errors / aliceKey.length;
+};
+
+// Label a sifted error "Eve", "Noise" or "Eve + Noise" and count it in breakdown
+export const attributeError = (eveCaused, noiseCaused, breakdown) => {
+  if (eveCaused && noiseCaused) {
+    breakdown.both += 1;
+    return "Eve + Noise";
+  }
+  if (eveCaused) {
+    breakdown.eve += 1;
+    return "Eve";
+  }
+  breakdown.noise += 1;
+  return "Noise";
+};
+
+// Shared tail of every response: sifted keys, QBER, public-sample estimation,
+// Eve's key and information, and noise summary. `rows` get their "Sampled"
+// column filled in here; `eveInformation[i]` is what Eve knows about bit i.
+export const finishRun = ({
+  protocol,
+  rows,
+  aliceBits,
+  bobBits,
+  eveBits,
+  eveInformation = eveBits.map(() => null),
+  eveStrategy = "intercept-resend",
+  matchedIndices,
+  sampleFraction = DEFAULT_SAMPLE_FRACTION,
+  rng,
+  seed,
+  noise,
+  errorBreakdown,
+  noiseAxes,
+}) => {
+  const aliceKey = matchedIndices.map((i) => aliceBits[i]);
+  const bobKey = matchedIndices.map((i) => bobBits[i]);
+  const estimation = estimateQber(aliceKey, bobKey, matchedIndices, sampleFraction, rng);
+  const sampled = new Set(estimation.sample_indices);
+
+  return {
+    protocol,
+    table_data: rows.map((row, i) => ({ ...row, "Sampled": sampled.has(i) ? "Yes" : "No" })),
+    alice_key: aliceKey,
+    bob_key: bobKey,
+    qber: calculateQber(aliceKey, bobKey),
+    // Eve's key: bits she intercepted at positions that survive sifting
+    eve_key: matchedIndices.filter((i) => eveBits[i] !== null).map((i) => eveBits[i]),
+    eve_information: summarizeEveInformation(eveStrategy, matchedIndices, aliceBits, eveBits, eveInformation),
+    matched_indices: matchedIndices,
+    ...estimation,
+    seed,
+    noise: toNoisePayload(noise),
+    noise_floor: noiseFloor(noise, noiseAxes),
+    error_breakdown: errorBreakdown,
+  };
+};
@@ -0,0 +1,142 @@
+import { axisForAngle, measure, prepare } from "./qubit";
+import { NO_NOISE, applyChannelNoise, describeNoise } from "./noise";
+import { attributeError, finishRun, seededRng } from "./common";
+import { DEFAULT_SAMPLE_FRACTION } from "./estimation";
+import { binaryEntropy } from "./privacyAmplification";
+
+// E91 (Ekert): a source sends one photon of a |Φ+⟩ pair to each party, who
+// measure at random polarizer angles. Matching angles give the key; the
+// 0°/45° × 22.5°/67.5° combinations feed a CHSH test instead. Entanglement
+// pushes |S| to 2√2 ≈ 2.83, while any intercept-resend collapses the pair and
+// drops it to the classical bound of 2 or below.
+
+export const ALICE_ANGLES = [0, 22.5, 45];
+export const BOB_ANGLES = [22.5, 45, 67.5];
+const EVE_ANGLES = [0, 45];
+
+export const CHSH_CLASSICAL_BOUND = 2;
+export const CHSH_QUANTUM_BOUND = 2 * Math.SQRT2;
+
+// CHSH terms as [alice angle, bob angle, sign]
+const CHSH_TERMS = [
+  [0, 22.5, 1],
+  [0, 67.5, -1],
+  [45, 22.5, 1],
+  [45, 67.5, 1],
+];
+
+const angleLabel = (degrees) => `${degrees}°`;
+
+const roundType = (a, b) => {
+  if (a === b) return "Key";
+  if (CHSH_TERMS.some(([ta, tb]) => ta === a && tb === b)) return "CHSH";
+  return "Discarded";
+};
+
+// Correlation E(a, b) over rounds with outcomes mapped 0 → +1, 1 → −1
+const chshStatistic = (aliceAngles, bobAngles, aliceBits, bobBits) => {
+  const correlations = CHSH_TERMS.map(([a, b, sign]) => {
+    const rounds = aliceAngles.map((_, i) => i).filter((i) => aliceAngles[i] === a && bobAngles[i] === b);
+    const same = rounds.filter((i) => aliceBits[i] === bobBits[i]).length;
+    const e = rounds.length ? (2 * same - rounds.length) / rounds.length : 0;
+    return { alice: a, bob: b, sign, rounds: rounds.length, e };
+  });
+  return {
+    s: correlations.reduce((total, c) => total + c.sign * c.e, 0),
+    correlations,
+    rounds: correlations.reduce((total, c) => total + c.rounds, 0),
+  };
+};
+
+export const runE91 = ({
+  nBits = 10,
+  eveProb = 0.3,
+  seed = null,
+  noise = NO_NOISE,
+  sampleFraction = DEFAULT_SAMPLE_FRACTION,
+} = {}) => {
+  const { seed: runSeed, rng } = seededRng(seed);
+  const withEve = eveProb > 0;
+
+  const aliceAngles = Array.from({ length: nBits }, () => ALICE_ANGLES[rng.randint(3)]);
+  const bobAngles = Array.from({ length: nBits }, () => BOB_ANGLES[rng.randint(3)]);
+  const eveAngles = withEve ? Array.from({ length: nBits }, () => EVE_ANGLES[rng.randint(2)]) : null;
+
+  const aliceBits = [];
+  const eveResults = [];
+  const noiseEvents = [];
+  const bobBits = [];
+
+  for (let i = 0; i < nBits; i++) {
+    // Measurements on the two halves commute, so let Alice go first: her
+    // outcome is uniform and leaves Bob's photon in the same polarization
+    const aliceBit = rng.random() < 0.5 ? 0 : 1;
+    aliceBits.push(aliceBit);
+    let state = prepare(axisForAngle(aliceAngles[i]), aliceBit);
+
+    if (withEve && rng.random() < eveProb) {
+      const result = measure(state, axisForAngle(eveAngles[i]), rng);
+      state = result.state;
+      eveResults.push(result.bit);
+    } else {
+      eveResults.push(null);
+    }
+
+    const noisy = applyChannelNoise(state, noise, rng);
+    noiseEvents.push(noisy.events);
+
+    bobBits.push(measure(noisy.state, axisForAngle(bobAngles[i]), rng).bit);
+  }
+
+  const matchedIndices = aliceAngles.map((_, i) => i).filter((i) => aliceAngles[i] === bobAngles[i]);
+  const errorBreakdown = { eve: 0, noise: 0, both: 0 };
+
+  const rows = aliceBits.map((bit, i) => {
+    const eveIntercepted = withEve && eveResults[i] !== null;
+    const round = roundType(aliceAngles[i], bobAngles[i]);
+
+    let errorSource = "-";
+    if (round === "Key" && bit !== bobBits[i]) {
+      errorSource = attributeError(
+        eveIntercepted && eveAngles[i] !== aliceAngles[i],
+        noiseEvents[i].length > 0,
+        errorBreakdown
+      );
+    }
+
+    return {
+      "Alice Angle": angleLabel(aliceAngles[i]),
+      "Alice Bit": bit,
+      "Eve Intercepting": eveIntercepted ? "Yes" : "No",
+      "Eve Basis": eveIntercepted ? angleLabel(eveAngles[i]) : "-",
+      "Eve Bit": eveIntercepted ? eveResults[i] : "-",
+      "Noise": describeNoise(noiseEvents[i]),
+      "Bob Angle": angleLabel(bobAngles[i]),
+      "Bob Measured Bit": bobBits[i],
+      "Match": round === "Key" ? "Yes" : "No",
+      "Round": round,
+      "Error Source": errorSource,
+    };
+  });
+
+  return {
+    ...finishRun({
+      protocol: "e91",
+      rows,
+      aliceBits,
+      bobBits,
+      eveBits: eveResults,
+      // Eve's outcome agrees with Alice's with probability cos²(Δ) for angle gap Δ
+      eveInformation: eveResults.map((bit, i) =>
+        bit === null ? null : 1 - binaryEntropy(Math.cos(((eveAngles[i] - aliceAngles[i]) * Math.PI) / 180) ** 2)
+      ),
+      matchedIndices,
+      sampleFraction,
+      rng,
+      seed: runSeed,
+      noise,
+      errorBreakdown,
+    }),
+    chsh: chshStatistic(aliceAngles, bobAngles, aliceBits, bobBits),
+  };
+};
@@ -0,0 +1,168 @@
+import { binaryEntropy } from "./privacyAmplification";
+
+// Eve's attack strategies and the weak-coherent source the PNS attack needs.
+// Mirrors the strategy handling in backend/app.py.
+
+export const EVE_STRATEGIES = [
+  { id: "intercept-resend", label: "Intercept-resend", summary: "Measure in a random + or × basis and resend what she saw." },
+  { id: "breidbart", label: "Breidbart basis", summary: "Measure halfway between the bases (22.5°): right 85% of the time, but always disturbs." },
+  { id: "cloning", label: "Partial cloning", summary: "Keep an imperfect copy and read it after the bases are announced; stronger copies disturb Bob more." },
+  { id: "pns", label: "Photon-number splitting", summary: "Split one photon off multi-photon pulses, block single photons. No errors — only decoy states catch it." },
+];
+
+export const strategyById = (id) => EVE_STRATEGIES.find((s) => s.id === id) ?? EVE_STRATEGIES[0];
+
+export const DEFAULT_ATTACK = {
+  strategy: "intercept-resend",
+  // Bob's error rate the cloner causes; 0.146 is the optimal phase-covariant cloner
+  cloningDisturbance: 0.1,
+  // Weak-coherent source used with PNS: mean photon numbers and channel transmittance
+  signalMu: 0.6,
+  decoyMu: 0.1,
+  transmittance: 0.15,
+  decoy: true,
+};
+
+// Wire format used by /api/bb84
+export const toAttackPayload = (attack = DEFAULT_ATTACK) => ({
+  strategy: attack.strategy,
+  cloning_disturbance: attack.cloningDisturbance,
+  signal_mu: attack.signalMu,
+  decoy_mu: attack.decoyMu,
+  transmittance: attack.transmittance,
+  decoy: attack.decoy,
+});
+
+export const BREIDBART_ANGLE = 22.5;
+
+// QBER the attack causes when Eve hits every photon
+export const attackQber = (attack) =>
+  ({ "intercept-resend": 0.25, breidbart: 0.25, cloning: attack.cloningDisturbance, pns: 0 })[attack.strategy];
+
+// Chance Eve's clone, read in the announced basis, gives the right bit
+export const cloningGuessProbability = (disturbance) => 0.5 + Math.sqrt(disturbance * (1 - disturbance));
+
+// Shannon information Eve holds about one sifted bit she attacked
+export const informationPerBit = (attack, { basisMatched = false, split = false } = {}) => {
+  switch (attack.strategy) {
+    case "breidbart":
+      return 1 - binaryEntropy(Math.sin((BREIDBART_ANGLE * Math.PI) / 180) ** 2);
+    case "cloning":
+      return 1 - binaryEntropy(cloningGuessProbability(attack.cloningDisturbance));
+    case "pns":
+      return split ? 1 : 0;
+    default:
+      // Intercept-resend: after sifting Eve knows which guesses were in the right basis
+      return basisMatched ? 1 : 0;
+  }
+};
+
+// Summary of what Eve learned about the sifted key. `information[i]` is the
+// Shannon information she has about position i, or null if she left it alone.
+export const summarizeEveInformation = (strategy, matchedIndices, aliceBits, eveBits, information) => {
+  const touched = matchedIndices.filter((i) => information[i] !== null);
+  const bits = touched.reduce((total, i) => total + information[i], 0);
+  return {
+    strategy,
+    intercepted: touched.length,
+    correct: touched.filter((i) => eveBits[i] === aliceBits[i]).length,
+    bits,
+    key_fraction: matchedIndices.length ? bits / matchedIndices.length : 0,
+  };
+};
+
+// ----- Weak-coherent source and decoy states -----
+
+// Share of pulses sent at each intensity when decoys are on
+const INTENSITY_SHARES = [
+  ["signal", 0.7],
+  ["decoy", 0.2],
+  ["vacuum", 0.1],
+];
+
+export const intensityMu = (name, attack) =>
+  ({ signal: attack.signalMu, decoy: attack.decoyMu, vacuum: 0 })[name];
+
+export const pickIntensity = (attack, rng) => {
+  if (!attack.decoy) return "signal";
+  let r = rng.random();
+  for (const [name, share] of INTENSITY_SHARES) {
+    if (r < share) return name;
+    r -= share;
+  }
+  return "signal";
+};
+
+// Knuth's method; fine for the small means a weak-coherent source uses
+export const poisson = (mu, rng) => {
+  const limit = Math.exp(-mu);
+  let k = 0;
+  let p = rng.random();
+  while (p > limit) {
+    k += 1;
+    p *= rng.random();
+  }
+  return k;
+};
+
+// Probability Bob clicks on a pulse of mean `mu` over an honest channel
+export const expectedGain = (mu, transmittance) => 1 - Math.exp(-mu * transmittance);
+
+// PNS Eve forwards multi-photon pulses over a lossless line, but only often
+// enough that the signal gain matches what an honest channel would give
+export const pnsForwardProbability = (attack) => {
+  const mu = attack.signalMu;
+  const multiPhoton = 1 - Math.exp(-mu) * (1 + mu);
+  return multiPhoton > 0 ? Math.min(1, expectedGain(mu, attack.transmittance) / multiPhoton) : 0;
+};
+
+// Gains per intensity and the vacuum + weak decoy lower bound on the
+// single-photon yield (Ma et al. 2005). An honest channel has Y1 ≈ transmittance;
+// a PNS attack that blocks single photons drives the bound towards zero.
+export const decoyAnalysis = (pulses, attack) => {
+  const intensities = (attack.decoy ? INTENSITY_SHARES.map(([name]) => name) : ["signal"]).map((name) => {
+    const sent = pulses.filter((p) => p.intensity === name);
+    const detected = sent.filter((p) => p.detected).length;
+    const mu = intensityMu(name, attack);
+    return {
+      name,
+      mu,
+      sent: sent.length,
+      detected,
+      gain: sent.length ? detected / sent.length : 0,
+      expected_gain: expectedGain(mu, attack.transmittance),
+    };
+  });
+
+  const expected = attack.transmittance;
+  if (!attack.decoy) {
+    return {
+      enabled: false,
+      transmittance: expected,
+      intensities,
+      single_photon_yield: null,
+      expected_single_photon_yield: expected,
+      attack_detected: null,
+      low_statistics: false,
+    };
+  }
+
+  const [signal, decoy, vacuum] = intensities;
+  const mu = signal.mu;
+  const nu = decoy.mu;
+  const y1 =
+    (mu / (mu * nu - nu * nu)) *
+    (decoy.gain * Math.exp(nu) - signal.gain * Math.exp(mu) * (nu * nu) / (mu * mu) - ((mu * mu - nu * nu) / (mu * mu)) * vacuum.gain);
+
+  return {
+    enabled: true,
+    transmittance: expected,
+    intensities,
+    single_photon_yield: Math.max(0, y1),
+    expected_single_photon_yield: expected,
+    // Half the honest yield is a generous margin for the small runs here
+    attack_detected: y1 < expected / 2,
+    // Too few decoy clicks and the bound is mostly statistical noise
+    low_statistics: decoy.detected < 10,
+  };
+};
@@ -0,0 +1,49 @@
+// Parameter estimation: Alice and Bob publicly disclose a random sample of the
+// sifted key, estimate QBER from it, and discard the disclosed bits.
+// Mirrors estimate_qber in backend/app.py.
+
+export const DEFAULT_SAMPLE_FRACTION = 0.25;
+
+// 95% Wilson score interval for an error rate observed as errors / n
+export const wilsonInterval = (errors, n, z = 1.96) => {
+  if (n === 0) return [0, 1];
+  const p = errors / n;
+  const denom = 1 + (z * z) / n;
+  const centre = (p + (z * z) / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return [Math.max(0, centre - half), Math.min(1, centre + half)];
+};
+
+// Pick `size` distinct positions out of 0..n-1 (partial Fisher-Yates)
+const sampleWithoutReplacement = (n, size, rng) => {
+  const pool = Array.from({ length: n }, (_, i) => i);
+  for (let i = 0; i < size; i++) {
+    const j = i + rng.randint(n - i);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size);
+};
+
+export const estimateQber = (aliceKey, bobKey, matchedIndices, sampleFraction, rng) => {
+  const nSifted = aliceKey.length;
+  const sampleSize = nSifted
+    ? Math.min(nSifted, Math.max(1, Math.round(sampleFraction * nSifted)))
+    : 0;
+  const sampled = new Set(sampleWithoutReplacement(nSifted, sampleSize, rng));
+
+  let errors = 0;
+  sampled.forEach((k) => {
+    if (aliceKey[k] !== bobKey[k]) errors += 1;
+  });
+  const kept = aliceKey.map((_, k) => k).filter((k) => !sampled.has(k));
+
+  return {
+    sample_indices: [...sampled].map((k) => matchedIndices[k]).sort((a, b) => a - b),
+    sample_size: sampleSize,
+    sample_errors: errors,
+    estimated_qber: sampleSize ? errors / sampleSize : 0,
+    qber_interval: wilsonInterval(errors, sampleSize),
+    alice_remaining_key: kept.map((k) => aliceKey[k]),
+    bob_remaining_key: kept.map((k) => bobKey[k]),
+  };
+};
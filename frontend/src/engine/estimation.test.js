@@ -0,0 +1,47 @@
+import { estimateQber, wilsonInterval } from "./estimation";
+import { createRng } from "./random";
+
+describe("wilsonInterval", () => {
+  it("brackets the observed error rate", () => {
+    const [low, high] = wilsonInterval(10, 100);
+    expect(low).toBeCloseTo(0.0552, 3);
+    expect(high).toBeCloseTo(0.1744, 3);
+  });
+
+  it("stays inside [0, 1] with no errors or only errors", () => {
+    const [zeroLow, zeroHigh] = wilsonInterval(0, 20);
+    expect(zeroLow).toBe(0);
+    expect(zeroHigh).toBeGreaterThan(0.1);
+    const [allLow, allHigh] = wilsonInterval(20, 20);
+    expect(allLow).toBeLessThan(0.9);
+    expect(allHigh).toBe(1);
+  });
+
+  it("says nothing without a sample", () => {
+    expect(wilsonInterval(0, 0)).toEqual([0, 1]);
+  });
+
+  it("narrows as the sample grows", () => {
+    const width = ([low, high]) => high - low;
+    expect(width(wilsonInterval(100, 1000))).toBeLessThan(width(wilsonInterval(10, 100)));
+  });
+});
+
+describe("estimateQber", () => {
+  it("discloses a sample of the sifted key and keeps the rest", () => {
+    const alice = [0, 1, 1, 0, 1, 0, 0, 1];
+    const bob = [0, 1, 0, 0, 1, 0, 0, 0];
+    const matched = [2, 3, 5, 7, 11, 13, 17, 19];
+    const estimate = estimateQber(alice, bob, matched, 0.5, createRng(1));
+    expect(estimate.sample_size).toBe(4);
+    expect(estimate.sample_indices.every((i) => matched.includes(i))).toBe(true);
+    expect(estimate.alice_remaining_key).toHaveLength(4);
+    expect(estimate.estimated_qber).toBe(estimate.sample_errors / 4);
+    expect(estimate.qber_interval).toEqual(wilsonInterval(estimate.sample_errors, 4));
+  });
+
+  it("samples at least one bit of a non-empty key", () => {
+    expect(estimateQber([1], [1], [0], 0.01, createRng(2)).sample_size).toBe(1);
+    expect(estimateQber([], [], [], 0.25, createRng(2)).sample_size).toBe(0);
+  });
+});
@@ -0,0 +1,106 @@
+// Monte Carlo sweeps over Eve's interception probability (and optionally photon
+// count). Trials are run through whichever engine the caller supplies, so the
+// same sweep works against the local engine or /api/bb84.
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+// Standard error of the mean
+const sem = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  const variance = values.reduce((acc, v) => acc + (v - m) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance / values.length);
+};
+
+export const buildSweep = ({ eveFrom, eveTo, eveStep, nBitsList }) => {
+  const points = [];
+  const steps = Math.max(0, Math.round((eveTo - eveFrom) / eveStep));
+  nBitsList.forEach((nBits) => {
+    for (let i = 0; i <= steps; i++) {
+      // Round away float drift (0.30000000000000004)
+      const eveProb = Math.round((eveFrom + i * eveStep) * 1000) / 1000;
+      points.push({ nBits, eveProb });
+    }
+  });
+  return points;
+};
+
+// Intercept-resend disturbs a sifted bit with probability 1/4 (other attacks pass
+// their own rate); channel noise adds independent flips on top (XOR of the two)
+export const theoreticalQber = (eveProb, noiseFloor = 0, attackQber = 0.25) => {
+  const eve = attackQber * eveProb;
+  return eve + noiseFloor - 2 * eve * noiseFloor;
+};
+
+export const summarize = (point, trials) => {
+  const qbers = trials.map((t) => t.qber);
+  return {
+    ...point,
+    trials: trials.length,
+    meanQber: mean(qbers),
+    semQber: sem(qbers),
+    meanEstimatedQber: mean(trials.map((t) => t.estimatedQber)),
+    meanSiftedLength: mean(trials.map((t) => t.siftedLength)),
+    semSiftedLength: sem(trials.map((t) => t.siftedLength)),
+    meanEveKeyLength: mean(trials.map((t) => t.eveKeyLength)),
+    semEveKeyLength: sem(trials.map((t) => t.eveKeyLength)),
+  };
+};
+
+// The few numbers a sweep keeps from each full response
+export const trialFromResponse = (point, data) => ({
+  ...point,
+  seed: data.seed,
+  qber: data.qber,
+  estimatedQber: data.estimated_qber ?? data.qber,
+  siftedLength: data.matched_indices.length,
+  eveKeyLength: data.eve_key.length,
+});
+
+// Runs every point `trialsPerPoint` times, sequentially, yielding to the browser
+// between trials. `control.cancelled` can be flipped from outside to stop early.
+export const runExperiment = async ({ points, trialsPerPoint, runTrial, onProgress, control }) => {
+  const summaries = [];
+  const allTrials = [];
+  const total = points.length * trialsPerPoint;
+  let done = 0;
+
+  for (const point of points) {
+    const trials = [];
+    for (let t = 0; t < trialsPerPoint; t++) {
+      if (control.cancelled) return { summaries, trials: allTrials, cancelled: true };
+      const data = await runTrial(point);
+      const trial = trialFromResponse(point, data);
+      trials.push(trial);
+      allTrials.push(trial);
+      done += 1;
+      onProgress(done, total);
+      await new Promise((res) => setTimeout(res, 0));
+    }
+    summaries.push(summarize(point, trials));
+  }
+  return { summaries, trials: allTrials, cancelled: false };
+};
+
+const csvRow = (values) => values.map((v) => (typeof v === "number" ? String(v) : `"${v}"`)).join(",");
+
+export const summariesToCsv = (summaries, noiseFloor = 0, attackQber = 0.25) => {
+  const header = [
+    "n_bits", "eve_prob", "trials", "mean_qber", "sem_qber", "theoretical_qber",
+    "mean_estimated_qber", "mean_sifted_length", "sem_sifted_length",
+    "mean_eve_key_length", "sem_eve_key_length",
+  ];
+  const rows = summaries.map((s) => csvRow([
+    s.nBits, s.eveProb, s.trials, s.meanQber, s.semQber, theoreticalQber(s.eveProb, noiseFloor, attackQber),
+    s.meanEstimatedQber, s.meanSiftedLength, s.semSiftedLength, s.meanEveKeyLength, s.semEveKeyLength,
+  ]));
+  return [header.join(","), ...rows].join("\n");
+};
+
+export const trialsToCsv = (trials) => {
+  const header = ["n_bits", "eve_prob", "seed", "qber", "estimated_qber", "sifted_length", "eve_key_length"];
+  const rows = trials.map((t) => csvRow([
+    t.nBits, t.eveProb, t.seed, t.qber, t.estimatedQber, t.siftedLength, t.eveKeyLength,
+  ]));
+  return [header.join(","), ...rows].join("\n");
+};
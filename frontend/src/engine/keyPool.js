@@ -0,0 +1,68 @@
+// Building up key across runs. A 10–50 photon run can't survive privacy
+// amplification on its own — the finite-size terms (QBER bound from a handful of
+// samples, verification tag, security margin) eat the whole key. So finished runs
+// are collected into a block: their undisclosed sifted bits and their QBER samples.
+// The block is error-corrected, verified and amplified as one key, and the result
+// goes to the key store, which hands it out by key ID, once it is at least the
+// security policy's minimum key length.
+
+import { reconcile } from "./reconciliation";
+import { amplify } from "./privacyAmplification";
+import { qberUpperBound } from "./securityPolicy";
+import { createRng } from "./random";
+
+export const blockEntry = ({ runId, results, eveInterceptedBits }) => ({
+  runId,
+  // The backend's id for the run, which the key store checks the block against
+  backendRunId: results.run_id,
+  seed: results.seed ?? 0,
+  aliceKey: results.alice_remaining_key ?? results.alice_key,
+  bobKey: results.bob_remaining_key ?? results.bob_key,
+  sampleSize: results.sample_size ?? 0,
+  sampleErrors: results.sample_errors ?? 0,
+  eveInterceptedBits,
+});
+
+const sum = (entries, field) => entries.reduce((total, e) => total + e[field], 0);
+
+// Post-process the pending runs as one key. The public randomness for Cascade's
+// shuffles and the Toeplitz seed comes from the runs' seeds, so it's replayable.
+// epsilon is the security policy's.
+export const distilBlock = (entries, { method = "cascade", epsilon }) => {
+  if (entries.length === 0) return null;
+  const aliceKey = entries.flatMap((e) => e.aliceKey);
+  const bobKey = entries.flatMap((e) => e.bobKey);
+  const sampleSize = sum(entries, "sampleSize");
+  const sampleErrors = sum(entries, "sampleErrors");
+  const seed = entries.reduce((s, e) => (s ^ e.seed) >>> 0, 0x2545f491);
+  const qber = sampleSize ? sampleErrors / sampleSize : 0;
+  const qberBound = qberUpperBound({ keyLength: aliceKey.length, sampleSize, sampleErrors, epsilon });
+
+  const reconciliation = reconcile(method, aliceKey, bobKey, {
+    qber,
+    rng: createRng(seed),
+  });
+  const privacy = amplify({
+    aliceKey: reconciliation.aliceKey,
+    bobKey: reconciliation.bobKey,
+    qber: qberBound,
+    leakedBits: reconciliation.leakedBits,
+    verificationBits: reconciliation.verification.tagBits,
+    eveInterceptedBits: sum(entries, "eveInterceptedBits"),
+    epsilon,
+    rng: createRng((seed ^ 0x9e3779b9) >>> 0),
+  });
+
+  return {
+    runs: entries.map((e) => e.runId),
+    backendRunIds: entries.map((e) => e.backendRunId),
+    inputLength: aliceKey.length,
+    sampleSize,
+    sampleErrors,
+    qber,
+    qberBound,
+    leakedBits: reconciliation.leakedBits,
+    verified: reconciliation.verification.identical,
+    privacy,
+  };
+};
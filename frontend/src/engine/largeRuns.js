@@ -0,0 +1,53 @@
+// High-volume runs: thousands of photons for statistically meaningful QBER and
+// finite-key numbers. They aren't animated photon by photon; playback steps
+// through batches of photons and shows running totals instead.
+
+// The photon slider's range; anything above is a large run
+export const MAX_ANIMATED_PHOTONS = 50;
+export const LARGE_RUN_SIZES = [1000, 5000, 10000, 50000, 100000];
+export const isLargeRun = (photons) => photons > MAX_ANIMATED_PHOTONS;
+
+// Photons in the run, including those a streamed run hasn't delivered yet
+export const photonCount = (data) => data.expected_photons ?? data.table_data.length;
+
+export const BATCH_COUNT = 20;
+
+// Consecutive [start, end) photon ranges covering the run
+export const batchRanges = (length, count = BATCH_COUNT) => {
+  const size = Math.max(1, Math.ceil(length / count));
+  const ranges = [];
+  for (let start = 0; start < length; start += size) {
+    ranges.push({ start, end: Math.min(length, start + size) });
+  }
+  return ranges;
+};
+
+const tallyRange = (rows, { start, end }) => {
+  const tally = { sent: end - start, intercepted: 0, sifted: 0, errors: 0, eveErrors: 0, noiseErrors: 0 };
+  for (let i = start; i < end; i++) {
+    const row = rows[i];
+    if (row["Eve Intercepting"] === "Yes") tally.intercepted++;
+    if (row["Match"] !== "Yes") continue;
+    tally.sifted++;
+    if (row["Alice Bit"] !== row["Bob Measured Bit"]) {
+      tally.errors++;
+      if (row["Error Source"] === "Noise") tally.noiseErrors++;
+      else tally.eveErrors++;
+    }
+  }
+  return tally;
+};
+
+// Running totals after each batch; the QBER here is over every sifted bit so far
+// (the simulator's view, not Alice and Bob's sampled estimate). Batches that
+// haven't fully arrived yet are left out.
+export const cumulativeTallies = (rows, ranges) => {
+  const totals = { sent: 0, intercepted: 0, sifted: 0, errors: 0, eveErrors: 0, noiseErrors: 0 };
+  return ranges.filter((range) => range.end <= rows.length).map((range) => {
+    const tally = tallyRange(rows, range);
+    Object.keys(totals).forEach((k) => {
+      totals[k] += tally[k];
+    });
+    return { ...range, ...totals, qber: totals.sifted ? totals.errors / totals.sifted : 0 };
+  });
+};
@@ -0,0 +1,56 @@
+import { applyPauli, rotatePolarization } from "./qubit";
+
+// Channel noise, independent of Eve. Mirrors apply_channel_noise in backend/app.py:
+//   bitFlip          probability of an X error
+//   depolarizing     probability of a random X, Y or Z error (p/3 each)
+//   misalignmentDeg  polarization rotation applied to every photon
+
+export const NO_NOISE = { bitFlip: 0, depolarizing: 0, misalignmentDeg: 0 };
+
+export const hasNoise = (noise) =>
+  Boolean(noise && (noise.bitFlip > 0 || noise.depolarizing > 0 || noise.misalignmentDeg > 0));
+
+// Wire format used by /api/bb84
+export const toNoisePayload = (noise = NO_NOISE) => ({
+  bit_flip: noise.bitFlip,
+  depolarizing: noise.depolarizing,
+  misalignment_deg: noise.misalignmentDeg,
+});
+
+export const applyChannelNoise = (state, noise, rng) => {
+  const events = [];
+  let noisy = noise.misalignmentDeg ? rotatePolarization(state, noise.misalignmentDeg) : state;
+  if (rng.random() < noise.bitFlip) {
+    noisy = applyPauli(noisy, "X");
+    events.push("X");
+  }
+  if (rng.random() < noise.depolarizing) {
+    const pauli = ["X", "Y", "Z"][rng.randint(3)];
+    noisy = applyPauli(noisy, pauli);
+    events.push(pauli);
+  }
+  return { state: noisy, events };
+};
+
+const EVENT_NAMES = { X: "Bit flip (X)", Y: "Depolarizing (Y)", Z: "Depolarizing (Z)" };
+
+export const describeNoise = (events) =>
+  events.length ? events.map((e) => EVENT_NAMES[e]).join(" + ") : "-";
+
+// Expected sifted-key error rate from noise alone, averaged over the bases in use.
+// A bit flip (X) leaves X eigenstates alone, misalignment turns about Y so it
+// spares circular light, and Y/Z from depolarizing hit every basis at 2p/3.
+export const noiseFloor = (noise = NO_NOISE, axes = ["Z", "X"]) => {
+  const misaligned = Math.sin((noise.misalignmentDeg * Math.PI) / 180) ** 2;
+  const depolarized = (2 * noise.depolarizing) / 3;
+  // Independent flips combine by XOR
+  const combine = (rates) => rates.reduce((total, r) => total + r - 2 * total * r, 0);
+  const perAxis = axes.map((axis) =>
+    combine([
+      axis === "X" ? 0 : noise.bitFlip,
+      depolarized,
+      axis === "Y" ? 0 : misaligned,
+    ])
+  );
+  return perAxis.reduce((total, r) => total + r, 0) / axes.length;
+};
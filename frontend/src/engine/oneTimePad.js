@@ -0,0 +1,95 @@
+// One-time pad over the amplified key: each message is XORed bit for bit with
+// key bits nobody has used before, which is the only cipher whose security comes
+// from the quantum key alone. Every ciphertext names its pad range, and both ends
+// keep a ledger of those ranges — { id, offset, length } — so the key budget is
+// visible and a range used twice is caught.
+
+export class PadExhaustedError extends Error {
+  constructor(needed, remaining) {
+    super(`The message needs ${needed} pad bits but only ${remaining} are left`);
+    this.name = "PadExhaustedError";
+    this.needed = needed;
+    this.remaining = remaining;
+  }
+}
+
+export class PadReuseError extends Error {
+  constructor(overlaps) {
+    super(`Pad bits already used for message ${overlaps.map((e) => e.id).join(", ")}`);
+    this.name = "PadReuseError";
+    this.overlaps = overlaps;
+  }
+}
+
+export const textToBits = (text) =>
+  Array.from(new TextEncoder().encode(text)).flatMap((byte) =>
+    Array.from({ length: 8 }, (_, k) => (byte >> (7 - k)) & 1)
+  );
+
+export const bitsToText = (bits) => {
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return new TextDecoder().decode(new Uint8Array(bytes));
+};
+
+const toHex = (bits) => {
+  let hex = "";
+  for (let i = 0; i < bits.length; i += 4) hex += parseInt(bits.slice(i, i + 4).join(""), 2).toString(16);
+  return hex;
+};
+
+const fromHex = (hex) =>
+  hex.split("").flatMap((digit) => {
+    const value = parseInt(digit, 16);
+    return [3, 2, 1, 0].map((k) => (value >> k) & 1);
+  });
+
+const xorPad = (bits, key, offset) => bits.map((bit, i) => bit ^ key[offset + i]);
+
+// Ledger entries sharing at least one pad bit with [offset, offset + length)
+export const overlapping = (ledger, offset, length) =>
+  ledger.filter((e) => e.offset < offset + length && offset < e.offset + e.length);
+
+// Pads are handed out in order, so the next free bit is just past the furthest use
+export const padBudget = (keyLength, ledger) => {
+  const next = ledger.reduce((end, e) => Math.max(end, e.offset + e.length), 0);
+  const used = ledger.reduce((sum, e) => sum + e.length, 0);
+  return { total: keyLength, used, next, remaining: Math.max(0, keyLength - next) };
+};
+
+// Alice's side. `reuse` deliberately encrypts with the previous message's pad so
+// students can watch Bob catch it; the returned entry lists what it overlaps.
+export const otpEncrypt = (text, key, ledger, { reuse = false } = {}) => {
+  const bits = textToBits(text);
+  const budget = padBudget(key.length, ledger);
+  const previous = ledger[ledger.length - 1];
+  const offset = reuse && previous ? previous.offset : budget.next;
+  if (offset + bits.length > key.length) {
+    throw new PadExhaustedError(bits.length, key.length - offset);
+  }
+  const entry = { id: ledger.length + 1, offset, length: bits.length };
+  return {
+    encrypted: {
+      cipher: "otp",
+      ciphertext: toHex(xorPad(bits, key, offset)),
+      message_id: entry.id,
+      pad_offset: offset,
+      pad_length: bits.length,
+    },
+    entry,
+    reused: overlapping(ledger, offset, bits.length),
+  };
+};
+
+// Bob's side: he XORs with his copy of the same pad range and refuses any
+// range the ledger says was also spent on a different message
+export const otpDecrypt = (encrypted, key, ledger) => {
+  const { message_id: id, pad_offset: offset, pad_length: length } = encrypted;
+  if (offset + length > key.length) throw new PadExhaustedError(length, key.length - offset);
+  const overlaps = overlapping(ledger.filter((e) => e.id !== id), offset, length);
+  if (overlaps.length > 0) throw new PadReuseError(overlaps);
+  const bits = fromHex(encrypted.ciphertext).slice(0, length);
+  return bitsToText(xorPad(bits, key, offset));
+};
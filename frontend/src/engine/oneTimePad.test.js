@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+// jsdom has no TextEncoder; the pad is pure and runs the same in node
+import { PadExhaustedError, PadReuseError, bitsToText, otpDecrypt, otpEncrypt, padBudget, textToBits } from "./oneTimePad";
+import { createRng } from "./random";
+
+const KEY = createRng(21).bits(256);
+
+// Alice and Bob spend the pad in lockstep, each keeping a ledger
+const send = (text, ledger, options) => {
+  const sent = otpEncrypt(text, KEY, ledger, options);
+  return { ...sent, ledger: [...ledger, sent.entry] };
+};
+
+describe("one-time pad", () => {
+  it("round-trips UTF-8 text through the bits", () => {
+    expect(bitsToText(textToBits("Ψ qubits ✓"))).toBe("Ψ qubits ✓");
+  });
+
+  it("decrypts each message with the pad range it names", () => {
+    const first = send("hi", []);
+    const second = send("there", first.ledger);
+    expect(second.encrypted.pad_offset).toBe(16);
+    expect(otpDecrypt(first.encrypted, KEY, second.ledger)).toBe("hi");
+    expect(otpDecrypt(second.encrypted, KEY, second.ledger)).toBe("there");
+    expect(padBudget(KEY.length, second.ledger)).toEqual({ total: 256, used: 56, next: 56, remaining: 200 });
+  });
+
+  it("refuses a message longer than the pad left", () => {
+    const { ledger } = send("a".repeat(30), []);
+    expect(() => otpEncrypt("a".repeat(3), KEY, ledger)).toThrow(
+      expect.objectContaining({ name: "PadExhaustedError", needed: 24, remaining: 16 })
+    );
+    expect(() => otpEncrypt("ab", KEY, ledger)).not.toThrow();
+  });
+
+  it("refuses to decrypt past the end of the key", () => {
+    const { encrypted } = send("hello", []);
+    expect(() => otpDecrypt(encrypted, KEY.slice(0, 32), [])).toThrow(PadExhaustedError);
+  });
+
+  it("reports a deliberately reused pad, and Bob refuses it", () => {
+    const first = send("secret", []);
+    const reused = send("attack", first.ledger, { reuse: true });
+    expect(reused.encrypted.pad_offset).toBe(first.encrypted.pad_offset);
+    expect(reused.reused).toEqual([first.entry]);
+    expect(() => otpDecrypt(reused.encrypted, KEY, reused.ledger)).toThrow(PadReuseError);
+    expect(() => otpDecrypt(first.encrypted, KEY, reused.ledger)).toThrow(/message 2/);
+  });
+});
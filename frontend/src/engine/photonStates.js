@@ -0,0 +1,79 @@
+import { AXES, axisForAngle, applyPauli, prepare, probabilityOfZero, rotatePolarization } from "./qubit";
+
+// Rebuild a photon's journey from its table row so either engine's response can
+// be visualized: Alice's prepared state, the state Eve leaves behind, and Bob's
+// measurement axis with the outcome probabilities he faces.
+
+const NOISE_EVENTS = { "Bit flip (X)": "X", "Depolarizing (Y)": "Y", "Depolarizing (Z)": "Z" };
+
+// "+ (0°)" / "× (45°)" / "○ (circular)" / "22.5°" / "Breidbart (22.5°)" → measurement axis
+const axisFromLabel = (label) => {
+  if (typeof label !== "string") return null;
+  if (label.startsWith("+")) return AXES.Z;
+  if (label.startsWith("×")) return AXES.X;
+  if (label.startsWith("○")) return AXES.Y;
+  const degrees = label.match(/(-?\d+(?:\.\d+)?)°/);
+  return degrees ? axisForAngle(Number(degrees[1])) : null;
+};
+
+// Polarization angle of a state on the XZ circle, or null for circular light
+export const polarizationAngle = (state) => {
+  if (Math.hypot(state[0], state[2]) < 1e-6) return null;
+  const degrees = (Math.atan2(state[0], state[2]) * 90) / Math.PI;
+  return (degrees + 180) % 180;
+};
+
+const bit = (value) => (value === 0 || value === 1 ? value : null);
+
+// What Alice sends (for E91, Bob's half of the pair after Alice measured)
+const prepared = (protocol, row) => {
+  if (protocol === "b92") return prepare(row["Alice Bit"] === 0 ? AXES.Z : AXES.X, 0);
+  if (protocol === "e91") return prepare(axisFromLabel(row["Alice Angle"]), row["Alice Bit"]);
+  return prepare(axisFromLabel(row["Alice Basis"]), row["Alice Bit"]);
+};
+
+// Eve's measurement axis and raw outcome, or null when she didn't measure
+const eveMeasurement = (protocol, row) => {
+  if (row["Eve Intercepting"] !== "Yes") return null;
+  const axis = axisFromLabel(row["Eve Basis"]);
+  const eveBit = bit(row["Eve Bit"]);
+  // Cloning and PNS leave the photon itself alone
+  if (!axis || eveBit === null) return null;
+  // B92 rows record Eve's inferred bit; × outcome 0 means she inferred 1
+  const outcome = protocol === "b92" && axis === AXES.X ? 1 - eveBit : eveBit;
+  return { axis, outcome };
+};
+
+export const photonJourney = (row, data) => {
+  const protocol = data?.protocol ?? "bb84";
+  const alice = prepared(protocol, row);
+
+  const measurement = eveMeasurement(protocol, row);
+  const eve = measurement
+    ? { ...measurement, before: alice, state: prepare(measurement.axis, measurement.outcome) }
+    : null;
+  // Weak-coherent pulses can be lost in the channel or blocked by Eve
+  const lost = row["Detected"] === "No";
+
+  // Channel noise between Eve and Bob
+  let arriving = eve ? eve.state : alice;
+  const misalignment = data?.noise?.misalignment_deg ?? 0;
+  if (misalignment) arriving = rotatePolarization(arriving, misalignment);
+  String(row["Noise"] ?? "")
+    .split(" + ")
+    .forEach((event) => {
+      if (NOISE_EVENTS[event]) arriving = applyPauli(arriving, NOISE_EVENTS[event]);
+    });
+
+  const bobAxis = axisFromLabel(protocol === "e91" ? row["Bob Angle"] : row["Bob Basis"]);
+  const p0 = probabilityOfZero(arriving, bobAxis);
+  const outcome = bit(protocol === "b92" ? row["Bob Outcome"] : row["Bob Measured Bit"]);
+
+  return {
+    alice,
+    eve,
+    arriving,
+    lost,
+    bob: { axis: bobAxis, p0, p1: 1 - p0, outcome },
+  };
+};
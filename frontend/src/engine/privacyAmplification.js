@@ -0,0 +1,128 @@
+// Privacy amplification: compress the reconciled key with a random Toeplitz
+// matrix (a 2-universal hash) down to the length Eve provably knows nothing about.
+// Alice and Bob hash with the same public seed, so identical inputs give identical keys.
+
+export const DEFAULT_PA_EPSILON = 1e-6;
+
+// Key sizes the encryption section can ask for. AES keys come from the key pool
+// by key ID. "demo" takes the amplified key of the run on screen, at least 32
+// bits, and lets the backend stretch it with SHA-256 — explicitly insecure.
+// "otp" runs in the browser and spends the run's whole amplified key, 8 bits per
+// message byte.
+export const CIPHERS = [
+  { id: "aes-256", label: "AES-256", keyBits: 256, fromPool: true },
+  { id: "aes-128", label: "AES-128", keyBits: 128, fromPool: true },
+  { id: "otp", label: "One-time pad (XOR, uses up key)", keyBits: 8 },
+  { id: "demo", label: "Demo (SHA-256 stretch, insecure)", keyBits: 32 },
+];
+
+export const cipherById = (id) => CIPHERS.find((c) => c.id === id) || CIPHERS[0];
+
+// Authenticated modes the backend runs AES in; everything before this choice was EAX
+export const AES_MODES = [
+  { id: "eax", label: "EAX" },
+  { id: "gcm", label: "GCM" },
+];
+
+export const binaryEntropy = (p) =>
+  p <= 0 || p >= 1 ? 0 : -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
+
+// ℓ = n − max(n·h(Q), intercepted) − leakEC − verification − 2·log2(1/ε)
+// n·h(Q) bounds what Eve can know given the QBER; the simulator also knows how
+// many bits she actually intercepted and takes whichever is larger.
+export const secureKeyLength = ({
+  inputLength,
+  qber,
+  leakedBits,
+  verificationBits,
+  eveInterceptedBits = 0,
+  epsilon = DEFAULT_PA_EPSILON,
+}) => {
+  const fromQber = inputLength * binaryEntropy(Math.min(qber, 0.5));
+  const eveInformation = Math.max(fromQber, eveInterceptedBits);
+  const safetyBits = 2 * Math.log2(1 / epsilon);
+  const outputLength = Math.max(
+    0,
+    Math.floor(inputLength - eveInformation - leakedBits - verificationBits - safetyBits)
+  );
+  return { fromQber, eveInformation, safetyBits, outputLength };
+};
+
+// Bits packed 32 to a word, first bit in the most significant position
+export const packBits = (bits) => {
+  const words = new Uint32Array(Math.ceil(bits.length / 32));
+  bits.forEach((bit, i) => {
+    if (bit) words[i >> 5] |= 1 << (31 - (i & 31));
+  });
+  return words;
+};
+
+// The 32 packed bits starting at bit `offset`; zeros past the end
+const wordAt = (words, offset) => {
+  const q = offset >> 5;
+  const r = offset & 31;
+  const hi = words[q] ?? 0;
+  return r === 0 ? hi : ((hi << r) | ((words[q + 1] ?? 0) >>> (32 - r))) >>> 0;
+};
+
+const parity32 = (x) => {
+  x ^= x >>> 16;
+  x ^= x >>> 8;
+  x ^= x >>> 4;
+  x ^= x >>> 2;
+  x ^= x >>> 1;
+  return x & 1;
+};
+
+// out[i] = parity(seed[i .. i + n − 1] AND message), a word at a time, so
+// amplifying the key of a 10^5-photon run takes milliseconds rather than seconds
+export const slidingHash = (messageWords, outputLength, seedWords) => {
+  const out = [];
+  for (let i = 0; i < outputLength; i++) {
+    let acc = 0;
+    for (let w = 0; w < messageWords.length; w++) {
+      acc ^= wordAt(seedWords, i + 32 * w) & messageWords[w];
+    }
+    out.push(parity32(acc));
+  }
+  return out;
+};
+
+// out[i] = XOR_j T[i][j] · key[j], with T[i][j] = seed[i − j + n − 1]. With the
+// key reversed that's seed[i + k] · key[n − 1 − k]: a window sliding along the seed.
+export const toeplitzHash = (key, outputLength, seedBits) =>
+  slidingHash(packBits([...key].reverse()), outputLength, packBits(seedBits));
+
+export const amplify = ({
+  aliceKey,
+  bobKey,
+  qber,
+  leakedBits,
+  verificationBits,
+  eveInterceptedBits,
+  epsilon,
+  rng,
+}) => {
+  const inputLength = aliceKey.length;
+  const bound = secureKeyLength({
+    inputLength,
+    qber,
+    leakedBits,
+    verificationBits,
+    eveInterceptedBits,
+    epsilon,
+  });
+  const seedBits = rng.bits(Math.max(0, inputLength + bound.outputLength - 1));
+
+  return {
+    inputLength,
+    qber,
+    leakedBits,
+    verificationBits,
+    eveInterceptedBits,
+    ...bound,
+    seedLength: seedBits.length,
+    aliceKey: toeplitzHash(aliceKey, bound.outputLength, seedBits),
+    bobKey: toeplitzHash(bobKey, bound.outputLength, seedBits),
+  };
+};
@@ -0,0 +1,67 @@
+import { amplify, binaryEntropy, secureKeyLength, toeplitzHash } from "./privacyAmplification";
+import { createRng } from "./random";
+
+// The Toeplitz product written out bit by bit: T[i][j] = seed[i − j + n − 1]
+const naiveToeplitz = (key, outputLength, seed) =>
+  Array.from({ length: outputLength }, (_, i) =>
+    key.reduce((acc, bit, j) => acc ^ (bit & seed[i - j + key.length - 1]), 0)
+  );
+
+describe("toeplitzHash", () => {
+  it("matches the matrix product for keys that don't fill whole words", () => {
+    const rng = createRng(5);
+    [1, 31, 32, 33, 100].forEach((n) => {
+      const key = rng.bits(n);
+      const outputLength = Math.max(1, Math.floor(n / 2));
+      const seed = rng.bits(n + outputLength - 1);
+      expect(toeplitzHash(key, outputLength, seed)).toEqual(naiveToeplitz(key, outputLength, seed));
+    });
+  });
+
+  it("gives the requested number of bits, the same for the same key and seed", () => {
+    const rng = createRng(8);
+    const key = rng.bits(200);
+    const seed = rng.bits(200 + 64 - 1);
+    const hashed = toeplitzHash(key, 64, seed);
+    expect(hashed).toHaveLength(64);
+    expect(toeplitzHash([...key], 64, [...seed])).toEqual(hashed);
+  });
+});
+
+describe("secureKeyLength", () => {
+  it("subtracts Eve's information, the leakage and the safety margin", () => {
+    const bound = secureKeyLength({ inputLength: 1000, qber: 0.02, leakedBits: 150, verificationBits: 32, epsilon: 1e-6 });
+    expect(bound.fromQber).toBeCloseTo(1000 * binaryEntropy(0.02));
+    expect(bound.safetyBits).toBeCloseTo(2 * Math.log2(1e6));
+    expect(bound.outputLength).toBe(Math.floor(1000 - bound.fromQber - 150 - 32 - bound.safetyBits));
+  });
+
+  it("charges the bits Eve intercepted when they exceed the QBER bound", () => {
+    const bound = secureKeyLength({ inputLength: 500, qber: 0, leakedBits: 0, verificationBits: 0, eveInterceptedBits: 100 });
+    expect(bound.eveInformation).toBe(100);
+  });
+
+  it("never goes below zero", () => {
+    expect(secureKeyLength({ inputLength: 50, qber: 0.2, leakedBits: 40, verificationBits: 32 }).outputLength).toBe(0);
+  });
+});
+
+describe("amplify", () => {
+  const keys = () => {
+    const key = createRng(13).bits(800);
+    return { aliceKey: key, bobKey: [...key], qber: 0.01, leakedBits: 100, verificationBits: 32, epsilon: 1e-6 };
+  };
+
+  it("compresses Alice's and Bob's equal keys to the same key of the secure length", () => {
+    const result = amplify({ ...keys(), rng: createRng(1) });
+    expect(result.outputLength).toBeGreaterThan(0);
+    expect(result.aliceKey).toHaveLength(result.outputLength);
+    expect(result.bobKey).toEqual(result.aliceKey);
+    expect(result.seedLength).toBe(800 + result.outputLength - 1);
+  });
+
+  it("is replayable from the seed of its public randomness", () => {
+    expect(amplify({ ...keys(), rng: createRng(2) }).aliceKey).toEqual(amplify({ ...keys(), rng: createRng(2) }).aliceKey);
+    expect(amplify({ ...keys(), rng: createRng(2) }).aliceKey).not.toEqual(amplify({ ...keys(), rng: createRng(3) }).aliceKey);
+  });
+});
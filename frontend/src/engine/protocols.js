@@ -0,0 +1,145 @@
+import { runBB84 } from "./bb84";
+import { runB92 } from "./b92";
+import { runSixState } from "./sixState";
+import { CHSH_CLASSICAL_BOUND, CHSH_QUANTUM_BOUND, runE91, ALICE_ANGLES, BOB_ANGLES } from "./e91";
+
+// Everything the UI needs to know about a protocol: its engine, table columns,
+// the bases each party chooses from and the security statistic it reports.
+// Only BB84 has a backend endpoint; the others always run in the browser.
+
+const PLUS = { basis: 0, symbol: "+", label: "+ (0°)" };
+const CROSS = { basis: 1, symbol: "×", label: "× (45°)" };
+const CIRCULAR = { basis: 2, symbol: "○", label: "○ (circular)" };
+const angleBasis = (degrees) => ({ basis: null, symbol: `${degrees}°`, label: `${degrees}°` });
+
+const column = (key, label = key) => ({ key, label });
+
+const EVE_COLUMNS = [
+  column("Eve Intercepting"),
+  column("Eve Basis"),
+  column("Eve Bit"),
+  column("Noise", "Channel Noise"),
+];
+const TAIL_COLUMNS = [column("Error Source"), column("Sampled", "Public Sample")];
+
+// Which of `bases` a row's basis label refers to
+const basisFromLabel = (bases, label) => bases.find((b) => label.startsWith(b.symbol)) ?? bases[0];
+
+export const PROTOCOLS = [
+  {
+    id: "bb84",
+    label: "BB84",
+    summary: "Four states in two bases; keep positions where Alice's and Bob's bases match.",
+    backend: true,
+    run: runBB84,
+    aliceBases: [PLUS, CROSS],
+    bobBases: [PLUS, CROSS],
+    columns: [
+      column("Alice Basis"),
+      column("Alice Bit"),
+      ...EVE_COLUMNS,
+      column("Bob Basis"),
+      column("Bob Measured Bit"),
+      column("Match", "Bases Match"),
+      ...TAIL_COLUMNS,
+    ],
+    photonBasis: (row) => basisFromLabel([PLUS, CROSS], row["Alice Basis"]),
+    statistic: null,
+  },
+  {
+    id: "b92",
+    label: "B92",
+    summary: "Two non-orthogonal states; keep only Bob's conclusive outcomes.",
+    backend: false,
+    run: runB92,
+    aliceBases: [
+      { ...PLUS, label: "|0⟩ encodes 0" },
+      { ...CROSS, label: "|+⟩ encodes 1" },
+    ],
+    bobBases: [PLUS, CROSS],
+    columns: [
+      column("Alice Bit"),
+      column("Alice State"),
+      ...EVE_COLUMNS,
+      column("Bob Basis"),
+      column("Bob Outcome"),
+      column("Bob Measured Bit", "Bob Inferred Bit"),
+      column("Match", "Conclusive"),
+      ...TAIL_COLUMNS,
+    ],
+    // Alice's bit picks the state: 0 → +, 1 → ×
+    photonBasis: (row) => (row["Alice Bit"] === 0 ? PLUS : CROSS),
+    statistic: (data) => ({
+      title: "Conclusive Rate",
+      value: `${(data.conclusive_rate * 100).toFixed(1)}%`,
+      detail: `${data.matched_indices.length} of ${data.table_data.length} photons gave a conclusive result (ideal 25%)`,
+      alarm: false,
+    }),
+  },
+  {
+    id: "six-state",
+    label: "Six-state",
+    summary: "Three bases (+, ×, circular); one third of the photons survive sifting.",
+    backend: false,
+    run: runSixState,
+    aliceBases: [PLUS, CROSS, CIRCULAR],
+    bobBases: [PLUS, CROSS, CIRCULAR],
+    columns: [
+      column("Alice Basis"),
+      column("Alice Bit"),
+      ...EVE_COLUMNS,
+      column("Bob Basis"),
+      column("Bob Measured Bit"),
+      column("Match", "Bases Match"),
+      ...TAIL_COLUMNS,
+    ],
+    photonBasis: (row) => basisFromLabel([PLUS, CROSS, CIRCULAR], row["Alice Basis"]),
+    statistic: (data) => ({
+      title: "Basis Usage",
+      value: `${((data.matched_indices.length / Math.max(1, data.table_data.length)) * 100).toFixed(1)}% sifted`,
+      detail: "Ideal 33%. Full intercept-resend raises the QBER to 33% here, versus 25% in BB84.",
+      alarm: false,
+    }),
+  },
+  {
+    id: "e91",
+    label: "E91",
+    summary: "Entangled pairs; matching angles give the key, the rest run a CHSH test.",
+    backend: false,
+    run: runE91,
+    aliceBases: ALICE_ANGLES.map(angleBasis),
+    bobBases: BOB_ANGLES.map(angleBasis),
+    columns: [
+      column("Alice Angle"),
+      column("Alice Bit"),
+      ...EVE_COLUMNS,
+      column("Bob Angle"),
+      column("Bob Measured Bit"),
+      column("Match", "Angles Match"),
+      column("Round"),
+      ...TAIL_COLUMNS,
+    ],
+    photonBasis: (row) => angleBasis(parseFloat(row["Alice Angle"])),
+    statistic: (data) => ({
+      title: "CHSH S-value",
+      value: Math.abs(data.chsh.s).toFixed(3),
+      detail: `From ${data.chsh.rounds} test rounds. Entanglement gives up to ${CHSH_QUANTUM_BOUND.toFixed(2)}; |S| ≤ ${CHSH_CLASSICAL_BOUND} means the pairs were disturbed.`,
+      alarm: Math.abs(data.chsh.s) <= CHSH_CLASSICAL_BOUND,
+    }),
+  },
+];
+
+// Weak-coherent (PNS) runs add per-pulse columns and only keep detected signal pulses
+const PULSE_COLUMNS = [column("Intensity"), column("Photons"), column("Detected")];
+
+export const columnsFor = (protocol, data) => {
+  // weak_coherent marks a streamed PNS run before its decoy analysis arrives
+  if (!data?.decoy && !data?.weak_coherent) return protocol.columns;
+  return protocol.columns.flatMap((col) => {
+    if (col.key === "Alice Bit") return [col, ...PULSE_COLUMNS];
+    if (col.key === "Match") return [{ ...col, label: "Kept" }];
+    return [col];
+  });
+};
+
+export const protocolById = (id) => PROTOCOLS.find((p) => p.id === id) ?? PROTOCOLS[0];
@@ -0,0 +1,70 @@
+import { PROTOCOLS, protocolById } from "./protocols";
+import { runB92 } from "./b92";
+import { runSixState } from "./sixState";
+import { CHSH_CLASSICAL_BOUND, CHSH_QUANTUM_BOUND, runE91 } from "./e91";
+
+const N = 6000;
+
+describe("runB92", () => {
+  it("keeps only conclusive outcomes, about a quarter of the photons", () => {
+    const data = runB92({ nBits: N, eveProb: 0, seed: 1 });
+    data.matched_indices.forEach((i) => expect(data.table_data[i]["Bob Outcome"]).toBe(1));
+    expect(data.conclusive_rate).toBeCloseTo(0.25, 1);
+    expect(data.qber).toBe(0);
+  });
+
+  it("shows intercept-resend as errors in the conclusive bits", () => {
+    expect(runB92({ nBits: N, eveProb: 1, seed: 2 }).qber).toBeGreaterThan(0.15);
+  });
+});
+
+describe("runSixState", () => {
+  it("sifts a third of the photons", () => {
+    const data = runSixState({ nBits: N, eveProb: 0, seed: 3 });
+    expect(data.matched_indices.length / N).toBeCloseTo(1 / 3, 1);
+    data.matched_indices.forEach((i) => expect(data.table_data[i]["Alice Basis"]).toBe(data.table_data[i]["Bob Basis"]));
+    expect(data.qber).toBe(0);
+  });
+
+  it("costs intercept-resend about 33% QBER", () => {
+    const { qber } = runSixState({ nBits: N, eveProb: 1, seed: 4 });
+    expect(qber).toBeGreaterThan(0.29);
+    expect(qber).toBeLessThan(0.38);
+  });
+});
+
+describe("runE91", () => {
+  it("keeps rounds at matching angles as perfectly correlated key", () => {
+    const data = runE91({ nBits: N, eveProb: 0, seed: 5 });
+    data.matched_indices.forEach((i) => expect(data.table_data[i].Round).toBe("Key"));
+    expect(data.qber).toBe(0);
+  });
+
+  it("violates the CHSH bound with an untouched pair", () => {
+    const { chsh } = runE91({ nBits: N, eveProb: 0, seed: 6 });
+    expect(chsh.correlations).toHaveLength(4);
+    expect(chsh.rounds).toBe(chsh.correlations.reduce((total, c) => total + c.rounds, 0));
+    expect(Math.abs(chsh.s)).toBeGreaterThan(CHSH_CLASSICAL_BOUND + 0.4);
+    expect(Math.abs(chsh.s)).toBeLessThan(CHSH_QUANTUM_BOUND + 0.3);
+  });
+
+  it("falls to the classical bound when Eve measures every photon", () => {
+    const { chsh } = runE91({ nBits: N, eveProb: 1, seed: 7 });
+    expect(Math.abs(chsh.s)).toBeLessThan(CHSH_CLASSICAL_BOUND + 0.2);
+  });
+});
+
+describe("protocolById", () => {
+  it("finds each protocol and falls back to BB84", () => {
+    PROTOCOLS.forEach((protocol) => expect(protocolById(protocol.id)).toBe(protocol));
+    expect(protocolById("nope").id).toBe("bb84");
+  });
+
+  it("runs every protocol's engine from the same parameters", () => {
+    PROTOCOLS.forEach((protocol) => {
+      const data = protocol.run({ nBits: 50, eveProb: 0.3, seed: 8 });
+      expect(data.protocol).toBe(protocol.id);
+      expect(data.table_data).toHaveLength(50);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// Qubits as Bloch vectors [x, y, z]. Pure states are unit vectors, measurement
+// along an axis gives 0 for the +axis outcome and 1 for −axis.
+// Polarization maps onto the XZ great circle at twice the angle:
+// 0° → +Z, 90° → −Z, 45° → +X, 135° → −X; circular light sits on ±Y.
+
+export const AXES = {
+  Z: [0, 0, 1],
+  X: [1, 0, 0],
+  Y: [0, 1, 0],
+};
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const scale = (v, k) => v.map((c) => c * k);
+
+// Measurement axis for a linear polarizer at `degrees`
+export const axisForAngle = (degrees) => {
+  const t = (2 * degrees * Math.PI) / 180;
+  return [Math.sin(t), 0, Math.cos(t)];
+};
+
+// Eigenstate for `bit` along `axis`
+export const prepare = (axis, bit) => (bit === 0 ? [...axis] : scale(axis, -1));
+
+export const probabilityOfZero = (state, axis) => (1 + dot(state, axis)) / 2;
+
+// Projective measurement: returns the outcome and the collapsed state
+export const measure = (state, axis, rng) => {
+  const bit = rng.random() < probabilityOfZero(state, axis) ? 0 : 1;
+  return { bit, state: prepare(axis, bit) };
+};
+
+// A polarization rotation by θ is a rotation about Y by 2θ on the sphere
+export const rotatePolarization = (state, degrees) => {
+  const t = (2 * degrees * Math.PI) / 180;
+  const [x, y, z] = state;
+  return [x * Math.cos(t) + z * Math.sin(t), y, z * Math.cos(t) - x * Math.sin(t)];
+};
+
+// Paulis are π rotations: each keeps its own axis and flips the other two
+export const applyPauli = (state, pauli) => {
+  const [x, y, z] = state;
+  if (pauli === "X") return [x, -y, -z];
+  if (pauli === "Y") return [-x, y, -z];
+  if (pauli === "Z") return [-x, -y, z];
+  return state;
+};
+
+// Whether a set of Pauli errors flips eigenstates of the named axis
+export const flipsAxis = (events, axisName) =>
+  events.filter((p) => p !== axisName).length % 2 === 1;
@@ -0,0 +1,27 @@
+// Small PRNG helpers shared by the local engines.
+// With no seed we fall back to Math.random so runs behave like the backend's unseeded path.
+
+const mulberry32 = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Seeds share numpy's range (0 .. 2^32 - 1) so the same value works on both engines
+export const MAX_SEED = 4294967295;
+
+export const randomSeed = () => Math.floor(Math.random() * (MAX_SEED + 1));
+
+export const createRng = (seed = null) => {
+  const next = seed === null || seed === undefined ? Math.random : mulberry32(Number(seed));
+  return {
+    random: next,
+    randint: (max) => Math.floor(next() * max),
+    bits: (count) => Array.from({ length: count }, () => (next() < 0.5 ? 0 : 1)),
+  };
+};
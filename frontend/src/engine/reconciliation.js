@@ -0,0 +1,203 @@
+// Information reconciliation: Bob corrects his key to match Alice's over the
+// public channel. Every parity or syndrome bit Alice announces is counted as
+// leaked to Eve. Both methods return the same shape so the panel can render either:
+//   { method, aliceKey, bobKey, leakedBits, passes, rounds, correctedPositions,
+//     initialErrors, remainingErrors, verification }
+
+export const RECONCILIATION_METHODS = [
+  { id: "cascade", label: "Cascade" },
+  { id: "winnow", label: "Winnow" },
+];
+
+const MIN_ASSUMED_QBER = 0.02;
+
+const parityOf = (key, indices) => indices.reduce((p, i) => p ^ key[i], 0);
+
+const countErrors = (a, b) => a.filter((bit, i) => bit !== b[i]).length;
+
+const identity = (n) => Array.from({ length: n }, (_, i) => i);
+
+// Both sides derive the same permutation from shared public randomness
+const shuffled = (n, rng) => {
+  const order = identity(n);
+  for (let i = n - 1; i > 0; i--) {
+    const j = rng.randint(i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
+
+const chunk = (order, size) => {
+  const blocks = [];
+  for (let i = 0; i < order.length; i += size) blocks.push(order.slice(i, i + size));
+  return blocks;
+};
+
+// 32-bit FNV-1a over the key bits. Alice and Bob publish these tags to confirm
+// their keys agree; a mismatch goes undetected with probability ~2^-32.
+export const VERIFICATION_TAG_BITS = 32;
+
+export const verificationTag = (bits) => {
+  let hash = 0x811c9dc5;
+  const text = `${bits.length}:${bits.join("")}`;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+};
+
+const verify = (aliceKey, bobKey) => {
+  const aliceTag = verificationTag(aliceKey);
+  const bobTag = verificationTag(bobKey);
+  return { aliceTag, bobTag, tagBits: VERIFICATION_TAG_BITS, identical: aliceTag === bobTag };
+};
+
+// BINARY: halve an odd-parity block until the single differing bit is found.
+// Alice announces the parity of the first half at every step.
+const bisect = (alice, bob, indices) => {
+  const steps = [];
+  let range = indices;
+  while (range.length > 1) {
+    const half = range.slice(0, Math.ceil(range.length / 2));
+    const aliceParity = parityOf(alice, half);
+    const bobParity = parityOf(bob, half);
+    steps.push({ indices: half, aliceParity, bobParity });
+    range = aliceParity !== bobParity ? half : range.slice(half.length);
+  }
+  return { position: range[0], steps };
+};
+
+export const cascade = (aliceKey, bobKey, { qber = 0, rng, passes = 6 } = {}) => {
+  const n = aliceKey.length;
+  const bob = [...bobKey];
+  const layouts = [];
+  const passLogs = [];
+  const rounds = [];
+  const correctedPositions = [];
+  let leakedBits = 0;
+
+  // Standard first block size k1 ≈ 0.73 / Q, doubling every pass. The estimate can
+  // come out as 0 from a small sample, so assume at least 2% to keep blocks small.
+  const k1 = Math.max(2, Math.round(0.73 / Math.max(qber, MIN_ASSUMED_QBER)));
+
+  for (let p = 0; p < passes && n > 0; p++) {
+    // Cap at half the key so later passes still compare more than one block
+    const blockSize = Math.max(1, Math.min(Math.ceil(n / 2), k1 * 2 ** p));
+    const order = p === 0 ? identity(n) : shuffled(n, rng);
+    const blocks = chunk(order, blockSize);
+    const blockOf = [];
+    blocks.forEach((indices, b) => indices.forEach((i) => { blockOf[i] = b; }));
+    layouts.push({ blocks, blockOf });
+
+    const blockLog = blocks.map((indices) => {
+      const aliceParity = parityOf(aliceKey, indices);
+      const bobParity = parityOf(bob, indices);
+      return { indices, aliceParity, bobParity, mismatch: aliceParity !== bobParity };
+    });
+    // One public parity per block
+    leakedBits += blocks.length;
+    passLogs.push({ blockSize, blocks: blockLog });
+
+    const queue = blockLog
+      .map((block, b) => (block.mismatch ? { pass: p, block: b, cascade: false } : null))
+      .filter(Boolean);
+
+    while (queue.length) {
+      const item = queue.shift();
+      const indices = layouts[item.pass].blocks[item.block];
+      // Alice's parity for this block is already public; only re-check Bob's side
+      if (parityOf(aliceKey, indices) === parityOf(bob, indices)) continue;
+
+      const { position, steps } = bisect(aliceKey, bob, indices);
+      leakedBits += steps.length;
+      bob[position] ^= 1;
+      correctedPositions.push(position);
+      rounds.push({ pass: item.pass, block: item.block, kind: "bisect", steps, position, cascade: item.cascade });
+
+      // The fix flips the parity of this bit's block in every other pass run so far
+      for (let q = 0; q <= p; q++) {
+        if (q !== item.pass) queue.push({ pass: q, block: layouts[q].blockOf[position], cascade: true });
+      }
+    }
+  }
+
+  return {
+    method: "cascade",
+    aliceKey: [...aliceKey],
+    bobKey: bob,
+    leakedBits,
+    passes: passLogs,
+    rounds,
+    correctedPositions,
+    initialErrors: countErrors(aliceKey, bobKey),
+    remainingErrors: countErrors(aliceKey, bob),
+    verification: verify(aliceKey, bob),
+  };
+};
+
+// Hamming syndrome of a block: XOR of the 1-based positions holding a 1
+const syndromeOf = (key, indices) =>
+  indices.reduce((s, i, pos) => (key[i] ? s ^ (pos + 1) : s), 0);
+
+export const winnow = (aliceKey, bobKey, { rng, passes = 3 } = {}) => {
+  const n = aliceKey.length;
+  const bob = [...bobKey];
+  const passLogs = [];
+  const rounds = [];
+  const correctedPositions = [];
+  let leakedBits = 0;
+
+  for (let p = 0; p < passes && n > 0; p++) {
+    // Hamming(2^r - 1) blocks, r = 3, 4, 5...
+    const r = 3 + p;
+    const blockSize = Math.min(n, 2 ** r - 1);
+    const order = p === 0 ? identity(n) : shuffled(n, rng);
+    const blocks = chunk(order, blockSize);
+
+    const blockLog = blocks.map((indices, b) => {
+      const aliceParity = parityOf(aliceKey, indices);
+      const bobParity = parityOf(bob, indices);
+      const mismatch = aliceParity !== bobParity;
+      if (mismatch) {
+        // Alice sends her r-bit syndrome; the XOR with Bob's points at the error
+        const aliceSyndrome = syndromeOf(aliceKey, indices);
+        const bobSyndrome = syndromeOf(bob, indices);
+        const target = aliceSyndrome ^ bobSyndrome;
+        const position = target >= 1 && target <= indices.length ? indices[target - 1] : null;
+        if (position !== null) {
+          bob[position] ^= 1;
+          correctedPositions.push(position);
+        }
+        rounds.push({
+          pass: p,
+          block: b,
+          kind: "syndrome",
+          steps: [{ indices, aliceSyndrome, bobSyndrome, syndromeBits: r }],
+          position,
+          cascade: false,
+        });
+      }
+      return { indices, aliceParity, bobParity, mismatch };
+    });
+    // A parity per block, plus an r-bit syndrome for each block whose parity differed
+    leakedBits += blocks.length + r * blockLog.filter((block) => block.mismatch).length;
+    passLogs.push({ blockSize, blocks: blockLog });
+  }
+
+  return {
+    method: "winnow",
+    aliceKey: [...aliceKey],
+    bobKey: bob,
+    leakedBits,
+    passes: passLogs,
+    rounds,
+    correctedPositions,
+    initialErrors: countErrors(aliceKey, bobKey),
+    remainingErrors: countErrors(aliceKey, bob),
+    verification: verify(aliceKey, bob),
+  };
+};
+
+export const reconcile = (method, aliceKey, bobKey, options) =>
+  method === "winnow" ? winnow(aliceKey, bobKey, options) : cascade(aliceKey, bobKey, options);
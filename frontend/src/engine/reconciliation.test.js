@@ -0,0 +1,70 @@
+import { cascade, reconcile, verificationTag, winnow } from "./reconciliation";
+import { createRng } from "./random";
+
+// Alice's random key and Bob's copy with `errors` bits flipped at random positions
+const noisyPair = (length, errors, seed) => {
+  const rng = createRng(seed);
+  const alice = rng.bits(length);
+  const bob = [...alice];
+  const flipped = new Set();
+  while (flipped.size < errors) flipped.add(rng.randint(length));
+  flipped.forEach((i) => { bob[i] ^= 1; });
+  return { alice, bob };
+};
+
+describe("cascade", () => {
+  it("corrects every error at a few percent QBER", () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const { alice, bob } = noisyPair(512, 15, seed);
+      const result = cascade(alice, bob, { qber: 15 / 512, rng: createRng(seed) });
+      expect(result.initialErrors).toBe(15);
+      expect(result.remainingErrors).toBe(0);
+      expect(result.bobKey).toEqual(alice);
+      expect(result.verification.identical).toBe(true);
+    }
+  });
+
+  it("counts one leaked bit per block parity and per bisection step", () => {
+    const { alice, bob } = noisyPair(256, 8, 42);
+    const result = cascade(alice, bob, { qber: 0.03, rng: createRng(42) });
+    const parities = result.passes.reduce((total, pass) => total + pass.blocks.length, 0);
+    const steps = result.rounds.reduce((total, round) => total + round.steps.length, 0);
+    expect(result.leakedBits).toBe(parities + steps);
+    expect(result.correctedPositions).toHaveLength(result.rounds.length);
+  });
+
+  it("leaks only the block parities when the keys already agree", () => {
+    const { alice } = noisyPair(128, 0, 3);
+    const result = cascade(alice, [...alice], { qber: 0, rng: createRng(3) });
+    expect(result.rounds).toEqual([]);
+    expect(result.leakedBits).toBe(result.passes.reduce((total, pass) => total + pass.blocks.length, 0));
+  });
+});
+
+describe("winnow", () => {
+  it("corrects sparse errors", () => {
+    const { alice, bob } = noisyPair(512, 5, 7);
+    const result = reconcile("winnow", alice, bob, { rng: createRng(7) });
+    expect(result.method).toBe("winnow");
+    expect(result.remainingErrors).toBe(0);
+    expect(result.verification.identical).toBe(true);
+  });
+
+  it("counts a parity per block and an r-bit syndrome per mismatched block", () => {
+    const { alice, bob } = noisyPair(300, 6, 9);
+    const result = winnow(alice, bob, { rng: createRng(9) });
+    const expected = result.passes.reduce(
+      (total, pass, p) => total + pass.blocks.length + (3 + p) * pass.blocks.filter((block) => block.mismatch).length,
+      0
+    );
+    expect(result.leakedBits).toBe(expected);
+  });
+});
+
+describe("verificationTag", () => {
+  it("tells keys apart, including by length", () => {
+    expect(verificationTag([1, 0, 1])).toBe(verificationTag([1, 0, 1]));
+    expect(verificationTag([1, 0, 1])).not.toBe(verificationTag([1, 0, 0]));
+    expect(verificationTag([0])).not.toBe(verificationTag([0, 0]));
+  });
+});
@@ -0,0 +1,150 @@
+import { DEFAULT_PA_EPSILON, binaryEntropy } from "./privacyAmplification";
+
+// The one rule for whether a key may be used: the QBER threshold, the fewest
+// secret bits a key must have, and the security parameter ε of the finite-key
+// analysis and privacy amplification. backend/security_policy.py judges every
+// key it's asked to use by its own policy; the UI fetches that from
+// /api/security/policy and may only make it stricter.
+
+// What the UI applies until the backend's policy arrives, or for good when no
+// backend answers (the local engine and the one-time pad need no backend). The
+// same values as backend/security_policy.py's defaults.
+export const DEFAULT_POLICY = { qberThreshold: 0.11, minKeyLength: 128, epsilon: DEFAULT_PA_EPSILON };
+
+export const POLICY_LIMITS = {
+  qberThreshold: [0.01, 0.25],
+  minKeyLength: [8, 4096],
+  epsilon: [1e-15, 1e-2],
+};
+
+export const FALLBACK_POLICY = { policy: DEFAULT_POLICY, limits: POLICY_LIMITS };
+
+const fromPayload = ({ qber_threshold: qberThreshold, min_key_length: minKeyLength, epsilon }) => ({
+  qberThreshold,
+  minKeyLength,
+  epsilon,
+});
+
+// The backend's { policy, limits } in the UI's terms
+export const policyFromPayload = ({ policy, limits }) => ({ policy: fromPayload(policy), limits: fromPayload(limits) });
+
+const STRICTER = {
+  qberThreshold: (value, base) => value <= base,
+  minKeyLength: (value, base) => value >= base,
+  epsilon: (value, base) => value <= base,
+};
+
+// The base policy (the backend's, or FALLBACK_POLICY) with those of `overrides`
+// that tighten it and are in range; looser values are dropped, since the
+// backend would refuse their keys
+export const tightenPolicy = (overrides, { policy, limits }) =>
+  Object.fromEntries(
+    Object.entries(policy).map(([name, base]) => {
+      const value = Number(overrides?.[name]);
+      const [low, high] = limits[name];
+      const usable = Number.isFinite(value) && value >= low && value <= high && STRICTER[name](value, base);
+      return [name, usable ? (name === "minKeyLength" ? Math.round(value) : value) : base];
+    })
+  );
+
+export const qberAllowed = (qber, policy) => qber <= policy.qberThreshold;
+
+// Secret bits per sifted bit with infinitely many signals, 1 − 2h(Q): one h(Q)
+// for error correction, one for Eve. It reaches zero at Q ≈ 11%.
+export const asymptoticRate = (qber) => 1 - 2 * binaryEntropy(Math.min(qber, 0.5));
+
+// How far the QBER of the n undisclosed bits can exceed the k sampled ones,
+// except with probability ε (a sampling-without-replacement bound, as in
+// Tomamichel et al. 2012). A handful of samples says almost nothing.
+export const statisticalDeviation = (keyLength, sampleSize, epsilon) => {
+  if (keyLength === 0 || sampleSize === 0) return 0.5;
+  const n = keyLength;
+  const k = sampleSize;
+  return Math.sqrt(((n + k) / (n * k)) * ((k + 1) / k) * Math.log(2 / epsilon));
+};
+
+export const qberUpperBound = ({ keyLength, sampleSize, sampleErrors, epsilon }) => {
+  const estimate = sampleSize ? sampleErrors / sampleSize : 0;
+  return Math.min(0.5, estimate + statisticalDeviation(keyLength, sampleSize, epsilon));
+};
+
+// Error correction close to the Shannon limit leaks about this many times n·h(Q)
+export const EC_EFFICIENCY = 1.2;
+
+// Secret bits a run of siftedLength sifted bits would give at this QBER, for
+// planning: the sample is a fixed fraction, error correction leaks EC_EFFICIENCY
+// times the minimum, and the rest is charged like privacy amplification does.
+export const modelKeyLength = ({ siftedLength, qber, sampleFraction, epsilon, verificationBits = 32 }) => {
+  const k = Math.round(siftedLength * sampleFraction);
+  const n = siftedLength - k;
+  const bound = qberUpperBound({ keyLength: n, sampleSize: k, sampleErrors: qber * k, epsilon });
+  const length =
+    n * (1 - binaryEntropy(bound)) - EC_EFFICIENCY * n * binaryEntropy(qber) - verificationBits - 2 * Math.log2(1 / epsilon);
+  return Math.max(0, Math.floor(length));
+};
+
+// Fewest sifted bits for a key of `target` bits at this QBER, or null if no
+// run length gets there (the QBER is too close to the 11% limit)
+const MAX_PLANNED_SIFTED = 1e10;
+
+export const siftedBitsFor = (target, params) => {
+  let high = 64;
+  while (modelKeyLength({ ...params, siftedLength: high }) < target) {
+    high *= 2;
+    if (high > MAX_PLANNED_SIFTED) return null;
+  }
+  let low = high / 2;
+  while (high - low > Math.max(1, low * 0.01)) {
+    const mid = Math.floor((low + high) / 2);
+    if (modelKeyLength({ ...params, siftedLength: mid }) >= target) high = mid;
+    else low = mid;
+  }
+  return high;
+};
+
+// The policy's verdict on the run on screen. secureLength is what privacy
+// amplification extracted; status is "abort" (QBER over the threshold),
+// "no-key" (nothing survives the finite-size terms), "short" (a key, but below
+// the minimum length) or "secure".
+export const assessRun = ({ results, secureLength, aborted = false, policy }) => {
+  const estimate = results.estimated_qber ?? results.qber;
+  const keyLength = (results.alice_remaining_key ?? results.alice_key).length;
+  const sampleSize = results.sample_size ?? 0;
+  const sampleErrors = results.sample_errors ?? 0;
+  const siftedLength = results.matched_indices.length;
+  const photons = results.table_data.length;
+  const deviation = statisticalDeviation(keyLength, sampleSize, policy.epsilon);
+  const rate = asymptoticRate(estimate);
+  const needed =
+    qberAllowed(estimate, policy) && rate > 0
+      ? siftedBitsFor(policy.minKeyLength, {
+          qber: estimate,
+          sampleFraction: siftedLength ? sampleSize / siftedLength : 0.25,
+          epsilon: policy.epsilon,
+        })
+      : null;
+
+  let status = "secure";
+  if (aborted || !qberAllowed(estimate, policy)) status = "abort";
+  else if (secureLength === 0) status = "no-key";
+  else if (secureLength < policy.minKeyLength) status = "short";
+
+  return {
+    status,
+    qberOk: qberAllowed(estimate, policy),
+    estimate,
+    deviation,
+    upperBound: qberUpperBound({ keyLength, sampleSize, sampleErrors, epsilon: policy.epsilon }),
+    keyLength,
+    sampleSize,
+    siftedLength,
+    photons,
+    asymptoticRate: rate,
+    // Asymptotic secret bits per photon sent, with this run's sifting ratio
+    asymptoticPerPhoton: photons ? Math.max(0, rate) * (siftedLength / photons) : 0,
+    secureLength,
+    finiteRate: photons ? secureLength / photons : 0,
+    siftedNeeded: needed,
+    photonsNeeded: needed && siftedLength ? Math.ceil(needed * (photons / siftedLength)) : null,
+  };
+};
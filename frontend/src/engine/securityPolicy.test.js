@@ -0,0 +1,90 @@
+import {
+  DEFAULT_POLICY, FALLBACK_POLICY, assessRun, policyFromPayload, qberUpperBound, statisticalDeviation, tightenPolicy,
+} from "./securityPolicy";
+
+// A run's results as assessRun reads them: `sifted` bits, a quarter sampled
+const results = ({ photons = 4000, sifted = 2000, qber = 0.02 } = {}) => {
+  const sampleSize = Math.round(sifted / 4);
+  const keyLength = sifted - sampleSize;
+  return {
+    qber,
+    estimated_qber: qber,
+    sample_size: sampleSize,
+    sample_errors: Math.round(qber * sampleSize),
+    alice_key: new Array(sifted).fill(0),
+    alice_remaining_key: new Array(keyLength).fill(0),
+    matched_indices: Array.from({ length: sifted }, (_, i) => 2 * i),
+    table_data: new Array(photons).fill({}),
+  };
+};
+
+describe("assessRun", () => {
+  it("passes a low-QBER run with a long enough key", () => {
+    const analysis = assessRun({ results: results(), secureLength: 600, policy: DEFAULT_POLICY });
+    expect(analysis.status).toBe("secure");
+    expect(analysis.qberOk).toBe(true);
+    expect(analysis.keyLength).toBe(1500);
+    expect(analysis.sampleSize).toBe(500);
+    expect(analysis.finiteRate).toBe(600 / 4000);
+    expect(analysis.asymptoticPerPhoton).toBeCloseTo(analysis.asymptoticRate / 2);
+  });
+
+  it("bounds the QBER with the same finite-size term as qberUpperBound", () => {
+    const analysis = assessRun({ results: results(), secureLength: 600, policy: DEFAULT_POLICY });
+    expect(analysis.deviation).toBe(statisticalDeviation(1500, 500, DEFAULT_POLICY.epsilon));
+    expect(analysis.upperBound).toBe(
+      qberUpperBound({ keyLength: 1500, sampleSize: 500, sampleErrors: 10, epsilon: DEFAULT_POLICY.epsilon })
+    );
+    expect(analysis.upperBound).toBeGreaterThan(analysis.estimate);
+  });
+
+  it("aborts over the threshold, and when the classical channel was", () => {
+    expect(assessRun({ results: results({ qber: 0.2 }), secureLength: 0, policy: DEFAULT_POLICY })).toMatchObject({
+      status: "abort",
+      qberOk: false,
+      siftedNeeded: null,
+      photonsNeeded: null,
+    });
+    expect(assessRun({ results: results(), secureLength: 600, aborted: true, policy: DEFAULT_POLICY }).status).toBe("abort");
+  });
+
+  it("tells no key from a key shorter than the policy's minimum", () => {
+    expect(assessRun({ results: results(), secureLength: 0, policy: DEFAULT_POLICY }).status).toBe("no-key");
+    expect(assessRun({ results: results(), secureLength: 100, policy: DEFAULT_POLICY }).status).toBe("short");
+  });
+
+  it("follows a stricter policy", () => {
+    const policy = { ...DEFAULT_POLICY, qberThreshold: 0.01 };
+    expect(assessRun({ results: results(), secureLength: 600, policy }).status).toBe("abort");
+  });
+
+  it("estimates the photons needed for the minimum key", () => {
+    const analysis = assessRun({ results: results(), secureLength: 100, policy: DEFAULT_POLICY });
+    expect(analysis.siftedNeeded).toBeGreaterThan(0);
+    expect(analysis.photonsNeeded).toBe(Math.ceil(analysis.siftedNeeded * 2));
+  });
+});
+
+describe("tightenPolicy", () => {
+  it("keeps stricter overrides in range and drops the rest", () => {
+    expect(tightenPolicy({ qberThreshold: 0.05, minKeyLength: 256.4, epsilon: 1e-9 }, FALLBACK_POLICY)).toEqual({
+      qberThreshold: 0.05,
+      minKeyLength: 256,
+      epsilon: 1e-9,
+    });
+    expect(tightenPolicy({ qberThreshold: 0.2, minKeyLength: 64, epsilon: 1e-20 }, FALLBACK_POLICY)).toEqual(DEFAULT_POLICY);
+    expect(tightenPolicy({ qberThreshold: "x" }, FALLBACK_POLICY)).toEqual(DEFAULT_POLICY);
+  });
+
+  it("tightens the backend's policy once it arrives", () => {
+    const backend = policyFromPayload({
+      policy: { qber_threshold: 0.08, min_key_length: 256, epsilon: 1e-9 },
+      limits: { qber_threshold: [0.01, 0.25], min_key_length: [8, 4096], epsilon: [1e-15, 1e-2] },
+    });
+    expect(tightenPolicy({ qberThreshold: 0.1, minKeyLength: 512 }, backend)).toEqual({
+      qberThreshold: 0.08,
+      minKeyLength: 512,
+      epsilon: 1e-9,
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { AXES, flipsAxis, measure, prepare } from "./qubit";
+import { NO_NOISE, applyChannelNoise, describeNoise } from "./noise";
+import { attributeError, finishRun, seededRng } from "./common";
+import { DEFAULT_SAMPLE_FRACTION } from "./estimation";
+
+// Six-state protocol: BB84 with a third, circular basis. Only a third of the
+// photons survive sifting, but intercept-resend now costs Eve a 33% error rate
+// instead of 25%.
+
+export const SIX_STATE_BASES = [
+  { axis: AXES.Z, name: "Z", symbol: "+", label: "+ (0°)" },
+  { axis: AXES.X, name: "X", symbol: "×", label: "× (45°)" },
+  { axis: AXES.Y, name: "Y", symbol: "○", label: "○ (circular)" },
+];
+
+const randomBases = (rng, count) =>
+  Array.from({ length: count }, () => rng.randint(SIX_STATE_BASES.length));
+
+export const runSixState = ({
+  nBits = 10,
+  eveProb = 0.3,
+  seed = null,
+  noise = NO_NOISE,
+  sampleFraction = DEFAULT_SAMPLE_FRACTION,
+} = {}) => {
+  const { seed: runSeed, rng } = seededRng(seed);
+  const withEve = eveProb > 0;
+
+  const aliceBits = rng.bits(nBits);
+  const aliceBases = randomBases(rng, nBits);
+  const bobBases = randomBases(rng, nBits);
+  const eveBases = withEve ? randomBases(rng, nBits) : null;
+
+  const eveResults = [];
+  const noiseEvents = [];
+  const bobResults = [];
+
+  for (let i = 0; i < nBits; i++) {
+    let state = prepare(SIX_STATE_BASES[aliceBases[i]].axis, aliceBits[i]);
+
+    if (withEve && rng.random() < eveProb) {
+      const result = measure(state, SIX_STATE_BASES[eveBases[i]].axis, rng);
+      state = result.state;
+      eveResults.push(result.bit);
+    } else {
+      eveResults.push(null);
+    }
+
+    const noisy = applyChannelNoise(state, noise, rng);
+    noiseEvents.push(noisy.events);
+
+    bobResults.push(measure(noisy.state, SIX_STATE_BASES[bobBases[i]].axis, rng).bit);
+  }
+
+  const matchedIndices = aliceBases.map((_, i) => i).filter((i) => aliceBases[i] === bobBases[i]);
+  const errorBreakdown = { eve: 0, noise: 0, both: 0 };
+
+  const rows = aliceBits.map((bit, i) => {
+    const eveIntercepted = withEve && eveResults[i] !== null;
+    const match = aliceBases[i] === bobBases[i];
+
+    let errorSource = "-";
+    if (match && bit !== bobResults[i]) {
+      errorSource = attributeError(
+        eveIntercepted && eveBases[i] !== aliceBases[i],
+        flipsAxis(noiseEvents[i], SIX_STATE_BASES[aliceBases[i]].name),
+        errorBreakdown
+      );
+    }
+
+    return {
+      "Alice Bit": bit,
+      "Alice Basis": SIX_STATE_BASES[aliceBases[i]].label,
+      "Bob Basis": SIX_STATE_BASES[bobBases[i]].label,
+      "Eve Intercepting": eveIntercepted ? "Yes" : "No",
+      "Eve Basis": eveIntercepted ? SIX_STATE_BASES[eveBases[i]].label : "-",
+      "Eve Bit": eveIntercepted ? eveResults[i] : "-",
+      "Noise": describeNoise(noiseEvents[i]),
+      "Bob Measured Bit": bobResults[i],
+      "Match": match ? "Yes" : "No",
+      "Error Source": errorSource,
+    };
+  });
+
+  return finishRun({
+    protocol: "six-state",
+    rows,
+    aliceBits,
+    bobBits: bobResults,
+    eveBits: eveResults,
+    eveInformation: eveResults.map((bit, i) => (bit === null ? null : Number(eveBases[i] === aliceBases[i]))),
+    matchedIndices,
+    sampleFraction,
+    rng,
+    seed: runSeed,
+    noise,
+    errorBreakdown,
+    noiseAxes: SIX_STATE_BASES.map((b) => b.name),
+  });
+};
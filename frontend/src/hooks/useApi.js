@@ -0,0 +1,8 @@
+import { createContext, useContext } from "react";
+import { createApi } from "../api";
+
+// The backend client of the simulator a component belongs to. BB84Simulator
+// provides one per instance; outside it the configured backend is used.
+export const ApiContext = createContext(createApi());
+
+export const useApi = () => useContext(ApiContext);
@@ -0,0 +1,154 @@
+import { useCallback, useRef, useState } from "react";
+import { SAE_IDS } from "../api";
+import { useApi } from "./useApi";
+import {
+  CHUNK_BYTES,
+  MAX_FILE_BYTES,
+  MAX_OTP_BYTES,
+  base64ToBytes,
+  buildEnvelope,
+  bytesToBase64,
+  chunkAad,
+  chunkCount,
+  fileModeById,
+  padKeySizes,
+} from "../utils/envelope";
+
+// File encryption with keys from the key store. Alice's side fetches fresh keys
+// and encrypts the file chunk by chunk; Bob's side fetches the envelope's keys by
+// ID and decrypts it. `progress` is { action, done, total } in bytes while busy.
+
+class CancelledError extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "CancelledError";
+  }
+}
+
+// The pad is carved as whole keys plus a remainder; each size is its own request
+const fetchPadKeys = async (api, bytes) => {
+  const sizes = padKeySizes(bytes);
+  const whole = sizes.filter((s) => s === sizes[0]);
+  const batches = [whole, sizes.slice(whole.length)].filter((b) => b.length > 0);
+  const ids = [];
+  for (const batch of batches) {
+    const { keys } = await api.getEncKeys({ number: batch.length, size: batch[0] });
+    ids.push(...keys.map((k) => k.key_ID));
+  }
+  return ids;
+};
+
+export const useFileCrypto = ({ onKeysUsed } = {}) => {
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const cancelled = useRef(false);
+  const api = useApi();
+
+  const run = useCallback(
+    async (action, total, work) => {
+      cancelled.current = false;
+      setError("");
+      setProgress({ action, done: 0, total });
+      try {
+        return await work((done) => {
+          if (cancelled.current) throw new CancelledError();
+          setProgress({ action, done, total });
+        });
+      } catch (err) {
+        if (!(err instanceof CancelledError)) {
+          console.error("File encryption:", err);
+          setError(`${action} failed: ${err.message}`);
+        }
+        return null;
+      } finally {
+        setProgress(null);
+        onKeysUsed?.();
+      }
+    },
+    [onKeysUsed]
+  );
+
+  // Resolves to the envelope, or null if it failed or was cancelled
+  const encryptFile = useCallback(
+    (file, modeId) => {
+      const mode = fileModeById(modeId);
+      if (file.size === 0) {
+        setError(`${file.name} is empty`);
+        return Promise.resolve(null);
+      }
+      const limit = mode.id === "otp" ? MAX_OTP_BYTES : MAX_FILE_BYTES;
+      if (file.size > limit) {
+        setError(`${mode.label} is limited to ${limit} bytes here; ${file.name} has ${file.size}`);
+        return Promise.resolve(null);
+      }
+
+      return run("Encryption", file.size, async (report) => {
+        const keyIds =
+          mode.id === "otp"
+            ? await fetchPadKeys(api, file.size)
+            : (await api.getEncKeys({ size: mode.keyBits })).keys.map((k) => k.key_ID);
+        const fileId = crypto.randomUUID();
+        const count = chunkCount(file.size);
+        const chunks = [];
+        for (let i = 0; i < count; i++) {
+          report(i * CHUNK_BYTES);
+          const offset = i * CHUNK_BYTES;
+          const bytes = new Uint8Array(await file.slice(offset, offset + CHUNK_BYTES).arrayBuffer());
+          chunks.push(
+            await api.encryptFileChunk({
+              mode: mode.id,
+              keyIds,
+              chunk: bytesToBase64(bytes),
+              aad: chunkAad(fileId, i, count),
+              offset,
+            })
+          );
+        }
+        report(file.size);
+        return buildEnvelope({
+          mode: mode.id,
+          file: { id: fileId, name: file.name, type: file.type, size: file.size },
+          key: {
+            kme: "bb84-sim-kme",
+            master_SAE_ID: SAE_IDS.alice,
+            slave_SAE_ID: SAE_IDS.bob,
+            key_IDs: keyIds,
+          },
+          chunks,
+        });
+      });
+    },
+    [api, run]
+  );
+
+  // Resolves to the decrypted file as a Blob, or null
+  const decryptEnvelope = useCallback(
+    (envelope) =>
+      run("Decryption", envelope.file.size, async (report) => {
+        const keyIds = envelope.key.key_IDs;
+        await api.getDecKeys(keyIds);
+        const count = envelope.chunks.length;
+        const parts = [];
+        for (let i = 0; i < count; i++) {
+          report(i * envelope.chunk_size);
+          const { chunk } = await api.decryptFileChunk({
+            mode: envelope.mode,
+            keyIds,
+            chunk: envelope.chunks[i],
+            aad: chunkAad(envelope.file.id, i, count),
+            offset: i * envelope.chunk_size,
+          });
+          parts.push(base64ToBytes(chunk));
+        }
+        report(envelope.file.size);
+        return new Blob(parts, { type: envelope.file.type || "application/octet-stream" });
+      }),
+    [api, run]
+  );
+
+  const cancel = useCallback(() => {
+    cancelled.current = true;
+  }, []);
+
+  return { progress, error, setError, encryptFile, decryptEnvelope, cancel };
+};
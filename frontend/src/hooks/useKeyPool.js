@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { BackendUnavailableError } from "../api";
+import { useApi } from "./useApi";
+import { distilBlock } from "../engine/keyPool";
+
+// Runs waiting to be distilled into the key store, persisted so a block can be
+// built up across page reloads. The store itself lives in the backend.
+
+const storageKey = (prefix) => `${prefix}.keypool.v1`;
+// Seeds already pooled: the same seed replays the same key, which must never count twice
+const MAX_POOLED_SEEDS = 500;
+
+const EMPTY = { pending: [], pooledSeeds: [] };
+
+const loadPool = (key) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    const saved = raw ? JSON.parse(raw) : null;
+    if (!saved || !Array.isArray(saved.pending) || !Array.isArray(saved.pooledSeeds)) return EMPTY;
+    // Runs saved before the key store asked for backend run ids can't be deposited
+    return { ...saved, pending: saved.pending.filter((e) => e.backendRunId) };
+  } catch (error) {
+    console.warn("Could not read the key pool:", error);
+    return EMPTY;
+  }
+};
+
+// Blocks are distilled with the security policy's ε and deposited once they reach
+// its minimum key length
+export const useKeyPool = (policy, storagePrefix = "bb84") => {
+  const key = storageKey(storagePrefix);
+  const [local, setLocal] = useState(() => loadPool(key));
+  const [store, setStore] = useState(null);
+  const [error, setError] = useState("");
+  const depositing = useRef(false);
+  const api = useApi();
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(local));
+    } catch (err) {
+      console.warn("Could not save the key pool:", err);
+    }
+  }, [key, local]);
+
+  const { epsilon, minKeyLength } = policy;
+  const block = useMemo(() => distilBlock(local.pending, { epsilon }), [local.pending, epsilon]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [status, summary] = await Promise.all([api.getKeyStatus(), api.listKeys()]);
+      setStore({ status, summary });
+      setError("");
+    } catch (err) {
+      setError(err instanceof BackendUnavailableError ? `Key store unreachable at ${api.baseUrl}` : err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // A run joins the pending block once; runs with no undisclosed bits add nothing
+  const addRun = useCallback((entry) => {
+    if (entry.aliceKey.length === 0) return;
+    setLocal((prev) =>
+      prev.pooledSeeds.includes(entry.seed)
+        ? prev
+        : {
+            pending: [...prev.pending, entry],
+            pooledSeeds: [...prev.pooledSeeds, entry.seed].slice(-MAX_POOLED_SEEDS),
+          }
+    );
+  }, []);
+
+  const discardBlock = useCallback(() => setLocal((prev) => ({ ...prev, pending: [] })), []);
+
+  // Alice's and Bob's amplified keys are identical once verified; the KME gets one copy
+  const deposit = useCallback(async () => {
+    if (!block?.verified || block.privacy.outputLength < minKeyLength || depositing.current) return;
+    depositing.current = true;
+    try {
+      await api.depositKey(block.privacy.aliceKey, `${block.runs.length} runs`, block.backendRunIds);
+      setLocal((prev) => ({ ...prev, pending: prev.pending.filter((e) => !block.runs.includes(e.runId)) }));
+      await refresh();
+    } catch (err) {
+      setError(`Deposit failed: ${err.message}`);
+    } finally {
+      depositing.current = false;
+    }
+  }, [api, block, minKeyLength, refresh]);
+
+  // Deposit as soon as the block is big enough
+  useEffect(() => {
+    if (block?.verified && block.privacy.outputLength >= minKeyLength) deposit();
+  }, [block, minKeyLength, deposit]);
+
+  return {
+    pending: local.pending,
+    pooledSeeds: local.pooledSeeds,
+    block,
+    targetBits: minKeyLength,
+    status: store?.status ?? null,
+    keys: store?.summary.keys ?? [],
+    deposits: store?.summary.deposits ?? [],
+    storedBits: store?.status.status_extension?.stored_bits ?? 0,
+    error,
+    addRun,
+    discardBlock,
+    deposit,
+    refresh,
+  };
+};
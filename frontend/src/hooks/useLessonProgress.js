@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useState } from "react";
+import { validateLesson } from "../lessons";
+
+// Lesson progress — the current step and each finished step's result — plus any
+// lessons an instructor loaded from a file, persisted to localStorage.
+
+const storageKey = (prefix) => `${prefix}.lessons.v1`;
+const EMPTY = { progress: {}, imported: [] };
+
+const load = (key) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    const saved = raw ? JSON.parse(raw) : EMPTY;
+    const imported = (saved.imported ?? []).flatMap((lesson) => {
+      try {
+        return [validateLesson(lesson)];
+      } catch (error) {
+        console.warn("Dropping invalid saved lesson:", error);
+        return [];
+      }
+    });
+    return { progress: saved.progress ?? {}, imported };
+  } catch (error) {
+    console.warn("Could not read lesson progress:", error);
+    return EMPTY;
+  }
+};
+
+const patchLesson = (state, lessonId, patch) => {
+  const current = state.progress[lessonId] ?? { step: 0, results: {} };
+  return { ...state, progress: { ...state.progress, [lessonId]: { ...current, ...patch(current) } } };
+};
+
+export const useLessonProgress = (storagePrefix = "bb84") => {
+  const key = storageKey(storagePrefix);
+  const [state, setState] = useState(() => load(key));
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(state));
+    } catch (error) {
+      console.warn("Could not save lesson progress:", error);
+    }
+  }, [key, state]);
+
+  const lessonProgress = useCallback(
+    (lessonId) => state.progress[lessonId] ?? { step: 0, results: {} },
+    [state.progress]
+  );
+
+  const goToStep = useCallback((lessonId, step) => setState((prev) => patchLesson(prev, lessonId, () => ({ step }))), []);
+
+  // result: { correct, response?, expected? }; steps without grading pass `correct: true`
+  const recordResult = useCallback(
+    (lessonId, stepId, result) =>
+      setState((prev) => patchLesson(prev, lessonId, (current) => ({ results: { ...current.results, [stepId]: result } }))),
+    []
+  );
+
+  const resetLesson = useCallback((lessonId) => {
+    setState((prev) => {
+      const { [lessonId]: removed, ...progress } = prev.progress;
+      return { ...prev, progress };
+    });
+  }, []);
+
+  // A re-imported lesson replaces the earlier copy with the same id
+  const importLesson = useCallback((lesson) => {
+    setState((prev) => ({ ...prev, imported: [...prev.imported.filter((l) => l.id !== lesson.id), lesson] }));
+  }, []);
+
+  const removeLesson = useCallback((lessonId) => {
+    setState((prev) => ({ ...prev, imported: prev.imported.filter((l) => l.id !== lessonId) }));
+  }, []);
+
+  return {
+    imported: state.imported,
+    lessonProgress,
+    goToStep,
+    recordResult,
+    resetLesson,
+    importLesson,
+    removeLesson,
+  };
+};
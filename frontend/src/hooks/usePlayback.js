@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { batchRanges, isLargeRun, photonCount } from "../engine/largeRuns";
+
+// A run is animated as a list of frames: one per photon, one per sifted position,
+// one for the public QBER sample, then a final frame that reveals the results. The cursor points at the frame on
+// screen; everything the UI shows is derived from it, so pausing, stepping and
+// scrubbing are just cursor moves. Large runs get one frame per batch of photons
+// and skip the position-by-position sifting. A run still streaming in only has
+// frames for the photons (or whole batches) received so far.
+export const buildFrames = (data) => {
+  if (!data) return [];
+  const received = data.table_data.length;
+  const estimation = data.sample_indices ? [{ type: "estimate" }] : [];
+  const closing = data.streaming ? [] : [...estimation, { type: "results" }];
+  if (isLargeRun(photonCount(data))) {
+    const batches = batchRanges(photonCount(data))
+      .filter((range) => range.end <= received)
+      .map((range, batch) => ({ type: "batch", batch, ...range }));
+    return [...batches, ...closing];
+  }
+  const photons = data.table_data.map((_, index) => ({ type: "photon", index }));
+  if (data.streaming) return photons;
+  const sifting = data.matched_indices.map((index, step) => ({ type: "sift", index, step }));
+  return [...photons, ...sifting, ...estimation, { type: "results" }];
+};
+
+export const usePlayback = ({ photonMs, siftMs }) => {
+  const [data, setData] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [active, setActive] = useState(false);
+
+  const frames = useMemo(() => buildFrames(data), [data]);
+  const last = frames.length - 1;
+  const clamp = useCallback((i) => Math.max(0, Math.min(i, last)), [last]);
+
+  // Advance one frame after the current frame's duration while playing. At the
+  // end of a run that is still streaming in, wait for the next frames.
+  const streaming = Boolean(data?.streaming);
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (cursor >= last) {
+      if (!streaming) setPlaying(false);
+      return undefined;
+    }
+    const frame = frames[cursor];
+    const duration = frame.type === "photon" ? photonMs : siftMs;
+    const timer = setTimeout(() => setCursor((c) => Math.min(c + 1, last)), duration);
+    return () => clearTimeout(timer);
+  }, [playing, cursor, last, frames, photonMs, siftMs, streaming]);
+
+  const load = useCallback((runData, { autoplay = true } = {}) => {
+    setData(runData);
+    setCursor(0);
+    setActive(true);
+    setPlaying(autoplay);
+  }, []);
+
+  // Swap in a newer copy of the run on screen (more photons streamed in, or the
+  // finished response) without moving the cursor
+  const update = useCallback((runData) => setData(runData), []);
+
+  const play = useCallback(() => {
+    if (cursor >= last) setCursor(0);
+    setActive(true);
+    setPlaying(true);
+  }, [cursor, last]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const step = useCallback((delta) => {
+    setPlaying(false);
+    setCursor((c) => clamp(c + delta));
+  }, [clamp]);
+
+  const seek = useCallback((i) => {
+    setPlaying(false);
+    setCursor(clamp(i));
+  }, [clamp]);
+
+  // Stop where we are and hand the UI back; the partial view stays on screen
+  const cancel = useCallback(() => {
+    setPlaying(false);
+    setActive(false);
+  }, []);
+
+  return {
+    data,
+    frames,
+    frame: active ? frames[cursor] || null : null,
+    cursor,
+    last,
+    playing,
+    active,
+    load,
+    update,
+    play,
+    pause,
+    step,
+    seek,
+    cancel,
+  };
+};
@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useReducer, useRef } from "react";
+import { INITIAL_SESSION, sessionReducer } from "../network/session";
+
+// One WebSocket connection to the relay, with the session state its messages build up.
+export const useRelaySession = () => {
+  const [session, dispatch] = useReducer(sessionReducer, INITIAL_SESSION);
+  const socketRef = useRef(null);
+
+  const disconnect = useCallback(() => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    if (socket) socket.close();
+    dispatch({ type: "closed" });
+  }, []);
+
+  const connect = useCallback((url, room, role) => {
+    socketRef.current?.close();
+    dispatch({ type: "connecting", room, role });
+
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      dispatch({ type: "closed", error: `Invalid relay URL: ${error.message}` });
+      return;
+    }
+    socketRef.current = socket;
+
+    // Events from a socket we've since replaced are ignored
+    const current = () => socketRef.current === socket;
+    socket.onopen = () => socket.send(JSON.stringify({ type: "join", room, role }));
+    socket.onmessage = (event) => {
+      if (!current()) return;
+      try {
+        dispatch({ type: "relay", message: JSON.parse(event.data) });
+      } catch (error) {
+        console.warn("Ignoring malformed relay message:", error);
+      }
+    };
+    socket.onerror = () => {
+      if (current()) dispatch({ type: "error", message: `Cannot reach the relay at ${url}` });
+    };
+    socket.onclose = () => {
+      if (!current()) return;
+      socketRef.current = null;
+      dispatch({ type: "closed" });
+    };
+  }, []);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      dispatch({ type: "error", message: "Not connected to the relay" });
+      return false;
+    }
+    socket.send(JSON.stringify(message));
+    return true;
+  }, []);
+
+  // Classical-channel announcement: every other party hears it, and so do we
+  const announce = useCallback(
+    (kind, payload) => {
+      if (send({ type: "classical", kind, payload })) dispatch({ type: "announced", kind, payload });
+    },
+    [send]
+  );
+
+  useEffect(() => () => socketRef.current?.close(), []);
+
+  return { session, dispatch, connect, disconnect, send, announce };
+};
@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Every simulation run is kept with its parameters, full response and any
+// encryption results, persisted to localStorage so it survives reloads.
+// Large runs keep only a summary: their responses run to megabytes, and the
+// seed in their parameters is enough to simulate them again.
+
+const storageKey = (prefix) => `${prefix}.history.v1`;
+const MAX_RUNS = 50;
+const MAX_STORED_PHOTONS = 2000;
+
+const loadRuns = (key) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    const runs = raw ? JSON.parse(raw) : [];
+    return Array.isArray(runs) ? runs : [];
+  } catch (error) {
+    console.warn("Could not read run history:", error);
+    return [];
+  }
+};
+
+// Drop the oldest runs until the history fits in the storage quota
+const saveRuns = (key, runs) => {
+  let kept = runs;
+  while (true) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(kept));
+      return;
+    } catch (error) {
+      if (kept.length === 0) {
+        console.warn("Could not save run history:", error);
+        return;
+      }
+      kept = kept.slice(0, -1);
+    }
+  }
+};
+
+const newId = () => `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const useRunHistory = (storagePrefix = "bb84") => {
+  const key = storageKey(storagePrefix);
+  const [runs, setRuns] = useState(() => loadRuns(key));
+
+  useEffect(() => {
+    saveRuns(key, runs);
+  }, [key, runs]);
+
+  const addRun = useCallback((run) => {
+    const { response } = run;
+    const record = {
+      id: newId(),
+      createdAt: new Date().toISOString(),
+      encryption: null,
+      ...run,
+      summary: { qber: response.qber },
+      response: response.table_data.length > MAX_STORED_PHOTONS ? null : response,
+    };
+    setRuns((prev) => [record, ...prev].slice(0, MAX_RUNS));
+    return record;
+  }, []);
+
+  // patch can be an object or a function of the current record
+  const updateRun = useCallback((id, patch) => {
+    setRuns((prev) =>
+      prev.map((r) => (r.id === id ? { ...r, ...(typeof patch === "function" ? patch(r) : patch) } : r))
+    );
+  }, []);
+
+  const renameRun = useCallback((id, name) => updateRun(id, { name }), [updateRun]);
+
+  const deleteRun = useCallback((id) => {
+    setRuns((prev) => prev.filter((r) => r.id !== id));
+  }, []);
+
+  const clearRuns = useCallback(() => setRuns([]), []);
+
+  return { runs, addRun, updateRun, renameRun, deleteRun, clearRuns };
+};
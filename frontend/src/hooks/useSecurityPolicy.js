@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { FALLBACK_POLICY, policyFromPayload, tightenPolicy } from "../engine/securityPolicy";
+import { useApi } from "./useApi";
+
+// The security policy the simulator applies: the backend's, made stricter by
+// the overrides set in the Key Rate & Security panel. The overrides persist to
+// localStorage so an instructor's settings survive reloads. Until the backend's
+// policy arrives, or if it never does (status "unavailable"), the built-in
+// FALLBACK_POLICY stands in for it.
+
+const storageKey = (prefix) => `${prefix}.policy.v1`;
+
+const loadOverrides = (key) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.warn("Could not read the security policy:", error);
+    return {};
+  }
+};
+
+export const useSecurityPolicy = (storagePrefix = "bb84") => {
+  const key = storageKey(storagePrefix);
+  const api = useApi();
+  const [server, setServer] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [overrides, setOverrides] = useState(() => loadOverrides(key));
+
+  const fetchPolicy = useCallback(async () => {
+    setStatus("loading");
+    try {
+      setServer(policyFromPayload(await api.getSecurityPolicy()));
+      setStatus("ready");
+    } catch (error) {
+      console.warn("Could not load the security policy:", error);
+      setStatus("unavailable");
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchPolicy();
+  }, [fetchPolicy]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(overrides));
+    } catch (error) {
+      console.warn("Could not save the security policy:", error);
+    }
+  }, [key, overrides]);
+
+  const base = server ?? FALLBACK_POLICY;
+  const policy = useMemo(() => tightenPolicy(overrides, base), [overrides, base]);
+  const update = useCallback((patch) => setOverrides((prev) => ({ ...prev, ...patch })), []);
+  const reset = useCallback(() => setOverrides({}), []);
+
+  return { policy, basePolicy: base.policy, limits: base.limits, status, retry: fetchPolicy, update, reset };
+};
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useRef } from "react";
+import { protocolById } from "../engine/protocols";
+
+// Local engine runs go through one Web Worker, started on first use. Resolves to
+// the same response the engine returns inline. Browsers without workers, and a
+// worker that fails to start or dies (a 404 or CSP-blocked script only shows up
+// as an error event), fall back to running on the main thread from then on.
+
+const runInline = (protocol, params) => Promise.resolve().then(() => protocolById(protocol).run(params));
+
+const rejectPending = (state, error) => {
+  state.pending.forEach(({ reject }) => reject(error));
+  state.pending.clear();
+};
+
+const startWorker = (state) => {
+  if (state.worker) return state.worker;
+  const worker = new Worker(new URL("../workers/simulation.worker.js", import.meta.url));
+  worker.onmessage = ({ data: { id, data, error } }) => {
+    const request = state.pending.get(id);
+    if (!request) return;
+    state.pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(data);
+  };
+  // Engine errors come back as messages, so this is the worker itself failing:
+  // drop it, run what it had on the main thread and don't start another
+  worker.onerror = (event) => {
+    event.preventDefault();
+    console.warn("Simulation worker failed, running inline:", event.message || "could not start");
+    worker.terminate();
+    state.worker = null;
+    state.inline = true;
+    state.pending.forEach(({ protocol, params, resolve }) => resolve(runInline(protocol, params)));
+    state.pending.clear();
+  };
+  state.worker = worker;
+  return worker;
+};
+
+export const useSimulationWorker = () => {
+  const state = useRef({ worker: null, pending: new Map(), nextId: 0, inline: false });
+
+  useEffect(() => {
+    const current = state.current;
+    return () => {
+      current.worker?.terminate();
+      current.worker = null;
+      rejectPending(current, new Error("Simulation worker stopped"));
+    };
+  }, []);
+
+  return useCallback((protocol, params) => {
+    let worker = null;
+    try {
+      if (typeof Worker !== "undefined" && !state.current.inline) worker = startWorker(state.current);
+    } catch (error) {
+      console.warn("Could not start the simulation worker, running inline:", error);
+      state.current.inline = true;
+    }
+    if (!worker) return runInline(protocol, params);
+    const id = state.current.nextId++;
+    return new Promise((resolve, reject) => {
+      state.current.pending.set(id, { protocol, params, resolve, reject });
+      worker.postMessage({ id, protocol, params });
+    });
+  }, []);
+};
@@ -0,0 +1,108 @@
+import { strategyById } from "../engine/eavesdropping";
+import { hasNoise } from "../engine/noise";
+import { protocolById } from "../engine/protocols";
+
+// Lesson steps are checked against the run on screen. A run is
+// { id, params: { protocol, n, eveProb, attack, noise }, results, qber }.
+
+const percent = (v) => Math.round(v * 10000) / 100;
+
+// Numbers a quiz or prediction can be graded against; all derived from the run itself
+export const RUN_FACTS = {
+  qber: { label: "QBER shown", unit: "%", value: (run) => Number(run.qber) },
+  trueQber: { label: "true QBER", unit: "%", value: (run) => percent(run.results.qber) },
+  photons: { label: "photons sent", unit: "", value: (run) => run.results.table_data.length },
+  sifted: { label: "sifted bits", unit: "", value: (run) => run.results.matched_indices.length },
+  siftedPercent: {
+    label: "share of photons kept",
+    unit: "%",
+    value: (run) => percent(run.results.matched_indices.length / Math.max(1, run.results.table_data.length)),
+  },
+  basesDiffer: {
+    label: "photons dropped in sifting",
+    unit: "",
+    value: (run) => run.results.table_data.filter((row) => row["Match"] !== "Yes").length,
+  },
+  sampleSize: { label: "bits disclosed in the sample", unit: "", value: (run) => run.results.sample_size ?? 0 },
+  keyBits: {
+    label: "bits left after sampling",
+    unit: "",
+    value: (run) => (run.results.bob_remaining_key ?? run.results.bob_key).length,
+  },
+  siftedErrors: {
+    label: "errors in the sifted key",
+    unit: "",
+    value: (run) => run.results.alice_key.filter((bit, i) => bit !== run.results.bob_key[i]).length,
+  },
+  eveIntercepted: {
+    label: "photons Eve intercepted",
+    unit: "",
+    value: (run) => run.results.table_data.filter((row) => row["Eve Intercepting"] === "Yes").length,
+  },
+  eveBits: { label: "bits in Eve's key", unit: "", value: (run) => run.results.eve_key.length },
+  chshS: { label: "CHSH |S|", unit: "", value: (run) => (run.results.chsh ? Math.abs(run.results.chsh.s) : null) },
+};
+
+export const factValue = (fact, run) => {
+  const definition = RUN_FACTS[fact];
+  if (!definition || !run?.results) return null;
+  return definition.value(run);
+};
+
+export const formatFact = (fact, value) => {
+  const unit = RUN_FACTS[fact]?.unit ?? "";
+  const shown = Number.isInteger(value) ? value : value.toFixed(2);
+  return `${shown}${unit}`;
+};
+
+// Does a finished run use the settings a "run" step asks for?
+// requires: { protocol, strategy, eveProb, minEveProb, maxEveProb, minPhotons, noise }
+// where `noise` true/false asks for some/no channel noise
+export const runMeetsRequirements = (run, requires = {}) => {
+  if (!run?.results) return false;
+  const { params } = run;
+  if (requires.protocol && params.protocol !== requires.protocol) return false;
+  if (requires.strategy && (params.attack?.strategy ?? "intercept-resend") !== requires.strategy) return false;
+  if (requires.eveProb !== undefined && Math.abs(params.eveProb - requires.eveProb) > 1e-9) return false;
+  if (requires.minEveProb !== undefined && params.eveProb < requires.minEveProb) return false;
+  if (requires.maxEveProb !== undefined && params.eveProb > requires.maxEveProb) return false;
+  if (requires.minPhotons !== undefined && params.n < requires.minPhotons) return false;
+  if (requires.noise !== undefined && hasNoise(params.noise) !== requires.noise) return false;
+  return true;
+};
+
+// Plain-language list of a step's requirements, shown under its instructions
+export const describeRequirements = (requires = {}) => {
+  const parts = [];
+  if (requires.protocol) parts.push(`protocol ${protocolById(requires.protocol).label}`);
+  if (requires.strategy) parts.push(`Eve strategy "${strategyById(requires.strategy).label}"`);
+  if (requires.eveProb !== undefined) parts.push(`Eve probability ${percent(requires.eveProb)}%`);
+  if (requires.minEveProb !== undefined) parts.push(`Eve probability at least ${percent(requires.minEveProb)}%`);
+  if (requires.maxEveProb !== undefined) parts.push(`Eve probability at most ${percent(requires.maxEveProb)}%`);
+  if (requires.minPhotons !== undefined) parts.push(`at least ${requires.minPhotons} photons`);
+  if (requires.noise === false) parts.push("all noise sliders at 0");
+  if (requires.noise === true) parts.push("some channel noise");
+  return parts;
+};
+
+// Every column in `where` must equal the row's value; arrays list accepted values
+export const rowMatches = (row, where = {}) =>
+  Object.entries(where).every(([column, expected]) =>
+    Array.isArray(expected) ? expected.includes(row[column]) : row[column] === expected
+  );
+
+// Grade a quiz answer. Choice questions compare indices; numeric ones compare
+// with a run fact (or a fixed `answer`) within `tolerance`.
+export const gradeQuiz = (quiz, response, run) => {
+  if (quiz.choices) {
+    const correct = Number(response) === quiz.answer;
+    return { correct, expected: quiz.choices[quiz.answer] };
+  }
+
+  const value = Number(response);
+  if (response === "" || !Number.isFinite(value)) return null;
+  const expected = quiz.fact ? factValue(quiz.fact, run) : quiz.answer;
+  if (expected === null || expected === undefined) return null;
+  const correct = Math.abs(value - expected) <= (quiz.tolerance ?? 0);
+  return { correct, expected: quiz.fact ? formatFact(quiz.fact, expected) : String(expected) };
+};
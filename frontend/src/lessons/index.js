@@ -0,0 +1,87 @@
+import { RUN_FACTS } from "./grading";
+
+// Lessons are plain JSON files in this folder — drop a new one in and it is
+// picked up at build time, or load one at runtime from the Lessons tab.
+//
+// { "id", "title", "summary", "order"?, "steps": [step, ...] }
+//
+// Every step has "id", "title", "text" and optionally "highlight" (one or more
+// data-lesson targets such as "eve-probability" or "qber-card") and
+// "highlightRows" (a column → value filter for table rows). Its "type" is one of:
+//   "read"      — nothing to do; the student presses Next
+//   "run"       — finish a run whose settings satisfy "requires"; an optional
+//                 "predict": { "fact", "tolerance" } asks for a guess beforehand
+//   "find-row"  — click a table row matching "where"
+//   "quiz"      — "question" with "choices" + "answer" (index), or a number
+//                 graded against a run "fact" (or a fixed "answer") ± "tolerance"
+
+export class LessonFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LessonFormatError";
+  }
+}
+
+const STEP_TYPES = ["read", "run", "find-row", "quiz"];
+
+const checkFact = (fact, where) => {
+  if (fact !== undefined && !RUN_FACTS[fact]) {
+    throw new LessonFormatError(`${where}: unknown fact "${fact}" (use one of ${Object.keys(RUN_FACTS).join(", ")})`);
+  }
+};
+
+const validateStep = (step, index) => {
+  const where = `Step ${index + 1}${step?.id ? ` (${step.id})` : ""}`;
+  if (!step || typeof step !== "object") throw new LessonFormatError(`${where} must be an object`);
+  if (!step.id || !step.title || !step.text) throw new LessonFormatError(`${where} needs an id, title and text`);
+  const type = step.type ?? "read";
+  if (!STEP_TYPES.includes(type)) throw new LessonFormatError(`${where}: unknown type "${type}"`);
+
+  if (type === "run") checkFact(step.predict?.fact, where);
+  if (type === "find-row" && (!step.where || typeof step.where !== "object")) {
+    throw new LessonFormatError(`${where}: find-row steps need a "where" filter`);
+  }
+  if (type === "quiz") {
+    if (!step.question) throw new LessonFormatError(`${where}: quiz steps need a question`);
+    if (step.choices) {
+      if (!Array.isArray(step.choices) || !Number.isInteger(step.answer) || !step.choices[step.answer]) {
+        throw new LessonFormatError(`${where}: "answer" must be the index of one of the choices`);
+      }
+    } else if (step.fact === undefined && typeof step.answer !== "number") {
+      throw new LessonFormatError(`${where}: numeric quiz steps need a "fact" or a numeric "answer"`);
+    }
+    checkFact(step.fact, where);
+  }
+  return { ...step, type };
+};
+
+export const validateLesson = (lesson) => {
+  if (!lesson || typeof lesson !== "object") throw new LessonFormatError("A lesson must be a JSON object");
+  if (!lesson.id || !lesson.title) throw new LessonFormatError("A lesson needs an id and a title");
+  if (!Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+    throw new LessonFormatError(`Lesson "${lesson.id}" has no steps`);
+  }
+  const steps = lesson.steps.map(validateStep);
+  const ids = new Set(steps.map((s) => s.id));
+  if (ids.size !== steps.length) throw new LessonFormatError(`Lesson "${lesson.id}" repeats a step id`);
+  return { summary: "", order: 100, ...lesson, steps };
+};
+
+// Parse an instructor's lesson file; throws LessonFormatError with a readable message
+export const parseLesson = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new LessonFormatError(`Not valid JSON: ${error.message}`);
+  }
+  return validateLesson(json);
+};
+
+const bundled = require.context("./", false, /\.json$/);
+
+export const LESSONS = bundled
+  .keys()
+  .filter((key) => key.startsWith("./"))
+  .map((key) => validateLesson(bundled(key)))
+  .sort((a, b) => a.order - b.order);
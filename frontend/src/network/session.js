@@ -0,0 +1,155 @@
+// State of one browser's seat in a networked session (see backend/relay.py).
+// The relay only tells each party its own quantum outcomes; everything shared
+// arrives as classical-channel messages, in this order:
+//   Bob "bases" → Alice "matches" → Alice "sample" → Bob "qber"
+
+export const ROLES = [
+  { id: "alice", label: "Alice", description: "Chooses bits and bases and sends photons" },
+  { id: "bob", label: "Bob", description: "Chooses measurement bases" },
+  { id: "eve", label: "Eve", description: "Chooses which photons to intercept" },
+];
+
+export const BASIS_SYMBOLS = ["+", "×"];
+export const SAMPLE_FRACTION = 0.25;
+
+export const INITIAL_SESSION = {
+  status: "disconnected",
+  room: null,
+  role: null,
+  peers: [],
+  error: "",
+  prepared: null,
+  round: null,
+  log: [],
+};
+
+const newRound = (number, count, prepared) => ({
+  number,
+  count,
+  // Alice's own choices; nobody else ever receives them
+  aliceBits: prepared?.bits ?? null,
+  aliceBases: prepared?.bases ?? null,
+  inFlight: false,
+  arrived: false,
+  bobMeasured: false,
+  bobBases: null,
+  bobBits: null,
+  intercepts: null,
+  announcedBases: null,
+  matches: null,
+  sample: null,
+  qber: null,
+});
+
+const patchRound = (state, patch) => (state.round ? { ...state, round: { ...state.round, ...patch } } : state);
+
+// Classical messages update what this party has heard, whoever sent them
+const hearClassical = (state, { kind, payload }) => {
+  switch (kind) {
+    case "bases":
+      return patchRound(state, { announcedBases: payload?.bases ?? null });
+    case "matches":
+      return patchRound(state, { matches: payload?.indices ?? null });
+    case "sample":
+      return patchRound(state, { sample: payload?.indices ? payload : null });
+    case "qber":
+      return patchRound(state, { qber: payload ?? null });
+    default:
+      return state;
+  }
+};
+
+const logEntry = (from, kind, payload) => ({ from, kind, payload, at: new Date().toISOString() });
+
+const receive = (state, message) => {
+  switch (message.type) {
+    case "joined":
+      return { ...state, status: "connected", room: message.room, role: message.role, error: "" };
+    case "peers":
+      return { ...state, peers: message.roles };
+    case "round-started":
+      return { ...state, round: newRound((state.round?.number ?? 0) + 1, message.count, state.role === "alice" ? state.prepared : null), log: [] };
+    case "photons-in-flight":
+      return patchRound(state, { inFlight: true });
+    case "intercepted":
+      return patchRound(state, {
+        inFlight: false,
+        intercepts: Object.fromEntries(message.results.map((r) => [r.index, { basis: r.basis, bit: r.bit }])),
+      });
+    case "photons-arrived":
+      return patchRound(state, { arrived: true });
+    case "measured":
+      return patchRound(state, { bobMeasured: true, bobBits: message.bits });
+    case "bob-measured":
+      return patchRound(state, { bobMeasured: true });
+    case "classical":
+      return {
+        ...hearClassical(state, message),
+        log: [...state.log, logEntry(message.from, message.kind, message.payload)],
+      };
+    case "error":
+      return { ...state, error: message.message };
+    default:
+      return state;
+  }
+};
+
+export const sessionReducer = (state, action) => {
+  switch (action.type) {
+    case "connecting":
+      return { ...INITIAL_SESSION, status: "connecting", room: action.room, role: action.role };
+    case "closed":
+      return { ...state, status: "disconnected", peers: [], error: action.error ?? state.error };
+    case "error":
+      return { ...state, error: action.message };
+    case "prepared":
+      return { ...state, prepared: action.prepared, error: "" };
+    case "bob-bases":
+      return patchRound(state, { bobBases: action.bases });
+    // Our own classical announcement: apply it locally and log it
+    case "announced":
+      return {
+        ...hearClassical(state, action),
+        log: [...state.log, logEntry(state.role, action.kind, action.payload)],
+        error: "",
+      };
+    case "relay":
+      return receive(state, action.message);
+    default:
+      return state;
+  }
+};
+
+// ----- What each party can work out from its own view -----
+
+export const matchingPositions = (aliceBases, bobBases) =>
+  aliceBases.map((basis, i) => (basis === bobBases[i] ? i : -1)).filter((i) => i !== -1);
+
+// Random subset of the sifted positions Alice discloses to estimate the QBER
+export const pickSample = (matches, fraction = SAMPLE_FRACTION) => {
+  const size = Math.min(matches.length, Math.max(1, Math.round(matches.length * fraction)));
+  const pool = [...matches];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size).sort((a, b) => a - b);
+};
+
+export const sampleErrors = (bobBits, sample) =>
+  sample.indices.filter((index, k) => bobBits[index] !== sample.bits[k]).length;
+
+// This party's bit at every position: Alice's sent bits, Bob's measurements,
+// or Eve's intercepted results (null where she let the photon pass)
+export const ownBits = (role, round) => {
+  if (role === "alice") return round.aliceBits ?? [];
+  if (role === "bob") return round.bobBits ?? [];
+  return Array.from({ length: round.count }, (_, i) => round.intercepts?.[i]?.bit ?? null);
+};
+
+// Sifted positions minus the disclosed sample make the key
+export const keyPositions = (round) => {
+  if (!round?.matches) return [];
+  const disclosed = new Set(round.sample?.indices ?? []);
+  return round.matches.filter((i) => !disclosed.has(i));
+};
@@ -0,0 +1,12 @@
+// Save generated text (CSV, JSON, ...) as a file from the browser
+export const downloadFile = (filename, content, type = "text/plain") => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
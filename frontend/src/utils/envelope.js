@@ -0,0 +1,122 @@
+// Encrypted files travel as a JSON "envelope": the ciphertext chunks with their
+// nonces and tags, and a reference to the key in the key store — never the key
+// itself. Anyone holding the envelope can ask the key store for that key as Bob,
+// so it can be decrypted in another session (while the backend keeps its store).
+//
+// { "format": "bb84-envelope", "version": 1, "mode", "chunk_size",
+//   "file": { "id", "name", "type", "size" },
+//   "key": { "kme", "master_SAE_ID", "slave_SAE_ID", "key_IDs": [...] },
+//   "chunks": [{ "ciphertext", "nonce"?, "tag"? }, ...], "created" }
+
+import { AES_MODES } from "../engine/privacyAmplification";
+
+export const ENVELOPE_FORMAT = "bb84-envelope";
+export const ENVELOPE_VERSION = 1;
+
+export const FILE_MODES = [
+  ...AES_MODES.map((m) => ({ id: m.id, label: `AES-256-${m.label}`, keyBits: 256 })),
+  { id: "otp", label: "One-time pad", keyBits: null },
+];
+
+export const fileModeById = (id) => FILE_MODES.find((m) => m.id === id) || FILE_MODES[0];
+
+// Each chunk is one request to the backend and one step of the progress bar
+export const CHUNK_BYTES = 256 * 1024;
+export const MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+// The pad is one key-store key per 4096 bits, at most 16 keys per request
+export const PAD_KEY_BITS = 4096;
+export const MAX_PAD_KEYS = 16;
+export const MAX_OTP_BYTES = (PAD_KEY_BITS * MAX_PAD_KEYS) / 8;
+
+export class EnvelopeFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EnvelopeFormatError";
+  }
+}
+
+export const chunkCount = (size) => Math.max(1, Math.ceil(size / CHUNK_BYTES));
+
+// Authenticated with every AES chunk so chunks can't be reordered, dropped or
+// spliced in from another file
+export const chunkAad = (fileId, index, count) => `${fileId}:${index}/${count}`;
+
+// Key sizes for a pad covering `bytes`: whole keys, then one for the remainder
+export const padKeySizes = (bytes) => {
+  const bits = bytes * 8;
+  const whole = Math.floor(bits / PAD_KEY_BITS);
+  const rest = bits % PAD_KEY_BITS;
+  return [...Array(whole).fill(PAD_KEY_BITS), ...(rest ? [rest] : [])];
+};
+
+// btoa/atob work on binary strings; build them in slices to stay under the
+// argument limit of String.fromCharCode
+export const bytesToBase64 = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+export const buildEnvelope = ({ mode, file, key, chunks }) => ({
+  format: ENVELOPE_FORMAT,
+  version: ENVELOPE_VERSION,
+  mode,
+  chunk_size: CHUNK_BYTES,
+  file,
+  key,
+  chunks,
+  created: new Date().toISOString(),
+});
+
+export const envelopeFilename = (envelope) => `${envelope.file.name}.${ENVELOPE_FORMAT}.json`;
+
+const isBase64 = (value) => typeof value === "string" && /^[A-Za-z0-9+/]*={0,2}$/.test(value);
+
+export const parseEnvelope = (text) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch (error) {
+    throw new EnvelopeFormatError(`Not a JSON file: ${error.message}`);
+  }
+  if (!envelope || envelope.format !== ENVELOPE_FORMAT) {
+    throw new EnvelopeFormatError(`Not a ${ENVELOPE_FORMAT} file`);
+  }
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new EnvelopeFormatError(`Unsupported envelope version ${envelope.version}`);
+  }
+  if (!FILE_MODES.some((m) => m.id === envelope.mode)) {
+    throw new EnvelopeFormatError(`Unknown mode "${envelope.mode}"`);
+  }
+  const { file, key, chunks } = envelope;
+  if (!file || typeof file.name !== "string" || !Number.isInteger(file.size) || typeof file.id !== "string") {
+    throw new EnvelopeFormatError("The envelope needs a file id, name and size");
+  }
+  if (!key || !Array.isArray(key.key_IDs) || key.key_IDs.length === 0) {
+    throw new EnvelopeFormatError("The envelope doesn't reference any key_IDs");
+  }
+  if (!Number.isInteger(envelope.chunk_size) || envelope.chunk_size <= 0) {
+    throw new EnvelopeFormatError("The envelope needs a positive chunk_size");
+  }
+  const expected = Math.max(1, Math.ceil(file.size / envelope.chunk_size));
+  if (!Array.isArray(chunks) || chunks.length !== expected) {
+    throw new EnvelopeFormatError(`A ${file.size}-byte file in ${envelope.chunk_size}-byte chunks should have ${expected} chunks`);
+  }
+  const aes = envelope.mode !== "otp";
+  chunks.forEach((chunk, i) => {
+    if (!isBase64(chunk?.ciphertext) || (aes && (!isBase64(chunk.nonce) || !isBase64(chunk.tag)))) {
+      throw new EnvelopeFormatError(`Chunk ${i + 1} is missing its ciphertext${aes ? ", nonce or tag" : ""}`);
+    }
+  });
+  return envelope;
+};
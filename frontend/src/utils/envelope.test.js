@@ -0,0 +1,54 @@
+import {
+  CHUNK_BYTES, EnvelopeFormatError, PAD_KEY_BITS, base64ToBytes, buildEnvelope, bytesToBase64, chunkCount,
+  envelopeFilename, padKeySizes, parseEnvelope,
+} from "./envelope";
+
+const KEY = { kme: "http://localhost:5000", master_SAE_ID: "alice", slave_SAE_ID: "bob", key_IDs: ["k-1"] };
+
+const envelope = (overrides = {}) =>
+  buildEnvelope({
+    mode: "gcm",
+    file: { id: "f-1", name: "notes.txt", type: "text/plain", size: CHUNK_BYTES + 10 },
+    key: KEY,
+    chunks: [
+      { ciphertext: "AAEC", nonce: "bm9uY2U=", tag: "dGFn" },
+      { ciphertext: "AwQ=", nonce: "bm9uY2U=", tag: "dGFn" },
+    ],
+    ...overrides,
+  });
+
+describe("envelope", () => {
+  it("round-trips through JSON", () => {
+    const sealed = envelope();
+    expect(parseEnvelope(JSON.stringify(sealed))).toEqual(sealed);
+    expect(envelopeFilename(sealed)).toBe("notes.txt.bb84-envelope.json");
+  });
+
+  it("round-trips bytes through base64, past one String.fromCharCode slice", () => {
+    const bytes = Uint8Array.from({ length: 0x8000 + 5 }, (_, i) => (i * 7) % 256);
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+  });
+
+  it("rejects what isn't an envelope it can decrypt", () => {
+    const reject = (value) => expect(() => parseEnvelope(typeof value === "string" ? value : JSON.stringify(value))).toThrow(EnvelopeFormatError);
+    reject("not json");
+    reject({ ...envelope(), format: "zip" });
+    reject({ ...envelope(), version: 2 });
+    reject({ ...envelope(), mode: "rot13" });
+    reject({ ...envelope(), key: { ...KEY, key_IDs: [] } });
+    reject({ ...envelope(), chunks: envelope().chunks.slice(0, 1) });
+    reject(envelope({ chunks: [{ ciphertext: "AAEC" }, { ciphertext: "AwQ=" }] }));
+  });
+
+  it("needs no nonce or tag for a one-time pad", () => {
+    const otp = envelope({ mode: "otp", chunks: [{ ciphertext: "AAEC" }, { ciphertext: "AwQ=" }] });
+    expect(parseEnvelope(JSON.stringify(otp)).mode).toBe("otp");
+  });
+
+  it("sizes chunks and pad keys to cover the file", () => {
+    expect(chunkCount(0)).toBe(1);
+    expect(chunkCount(CHUNK_BYTES + 1)).toBe(2);
+    expect(padKeySizes(PAD_KEY_BITS / 8)).toEqual([PAD_KEY_BITS]);
+    expect(padKeySizes(PAD_KEY_BITS / 8 + 3)).toEqual([PAD_KEY_BITS, 24]);
+  });
+});
@@ -0,0 +1,202 @@
+import { protocolById } from "../engine/protocols";
+import { strategyById } from "../engine/eavesdropping";
+import { hasNoise } from "../engine/noise";
+import { cipherById } from "../engine/privacyAmplification";
+
+// A finished run as a lab report: plain data (for JSON export), Markdown, and
+// a few sentences interpreting the numbers, written from the same data.
+
+const pct = (v, digits = 1) => `${(v * 100).toFixed(digits)}%`;
+const bitString = (bits) => bits.join("");
+
+const VERDICTS = {
+  abort: "abort: the QBER is above the policy threshold",
+  "no-key": "no secret key survives the finite-size corrections",
+  short: "a secret key, shorter than the policy minimum",
+  secure: "a secret key can be extracted",
+};
+
+export const buildReport = ({ run, results, columns, rowClass, speed, security, policy, encryption, link }) => {
+  const protocol = protocolById(results.protocol ?? run.protocol);
+  const attack = run.attack ? strategyById(run.attack.strategy) : null;
+  const sifted = results.bob_remaining_key ?? results.bob_key;
+  const statistic = protocol.statistic ? protocol.statistic(results) : null;
+
+  const report = {
+    title: `${protocol.label} run · seed ${run.seed}`,
+    generatedAt: new Date().toISOString(),
+    link,
+    parameters: {
+      protocol: protocol.label,
+      photons: results.table_data.length,
+      eveProbability: run.eveProb,
+      eveStrategy: attack?.label ?? null,
+      noise: run.noise ?? null,
+      sampleFraction: run.sampleFraction ?? null,
+      seed: run.seed,
+      animationSpeedMs: speed,
+      source: run.source,
+      policy,
+    },
+    columns: [...columns, { key: "Row class", label: "Row class" }],
+    rows: results.table_data.map((row, idx) => ({ ...row, "Row class": rowClass(row, idx) })),
+    siftedKey: {
+      bits: bitString(sifted),
+      length: sifted.length,
+      siftedLength: results.matched_indices.length,
+      sampleSize: results.sample_size ?? null,
+      sampleErrors: results.sample_errors ?? null,
+    },
+    qber: {
+      estimate: results.estimated_qber ?? results.qber,
+      interval: results.qber_interval ?? null,
+      true: results.qber,
+      noiseFloor: results.noise_floor ?? 0,
+      breakdown: results.error_breakdown ?? null,
+    },
+    eve: {
+      key: bitString(results.eve_key),
+      intercepted: results.table_data.filter((row) => row["Eve Intercepting"] === "Yes").length,
+      information: results.eve_information ?? null,
+    },
+    statistic: statistic && { title: statistic.title, value: statistic.value, detail: statistic.detail },
+    security: security && {
+      status: security.status,
+      verdict: VERDICTS[security.status],
+      secureLength: security.secureLength,
+      qberUpperBound: security.upperBound,
+      asymptoticRate: security.asymptoticRate,
+    },
+    encryption: encryption?.encrypted
+      ? {
+          cipher: cipherById(encryption.encrypted.cipher).label,
+          mode: encryption.encrypted.mode ?? null,
+          keyId: encryption.encrypted.key_ID ?? null,
+          message: encryption.message,
+          ciphertext: encryption.encrypted.ciphertext,
+          decrypted: encryption.decrypted || null,
+          roundTrip: encryption.decrypted ? encryption.decrypted === encryption.message : null,
+        }
+      : null,
+  };
+  report.interpretation = interpretRun(report);
+  return report;
+};
+
+export const interpretRun = ({ parameters, siftedKey, qber, eve, security, encryption }) => {
+  const lines = [];
+  const photons = parameters.photons;
+  lines.push(
+    `${siftedKey.siftedLength} of ${photons} photons (${pct(siftedKey.siftedLength / Math.max(1, photons))}) survived sifting` +
+      (siftedKey.sampleSize ? `, and ${siftedKey.sampleSize} of those were disclosed to estimate the QBER.` : ".")
+  );
+
+  const noisy = hasNoise(parameters.noise);
+  if (parameters.eveProbability === 0 && !noisy) {
+    lines.push(`With no eavesdropper and a noiseless channel every error is a statistical accident; the estimated QBER is ${pct(qber.estimate)}.`);
+  } else {
+    const causes = [
+      parameters.eveProbability > 0 && `Eve intercepting ${pct(parameters.eveProbability, 0)} of the photons (${parameters.eveStrategy})`,
+      noisy && `channel noise that alone gives about ${pct(qber.noiseFloor)}`,
+    ].filter(Boolean);
+    lines.push(
+      qber.true === 0
+        ? `No errors turned up in the sifted key despite ${causes.join(" and ")}: with this few photons the disturbance can go unseen.`
+        : `The estimated QBER of ${pct(qber.estimate)} reflects ${causes.join(" and ")}.`
+    );
+  }
+  if (qber.breakdown && qber.true > 0) {
+    lines.push(`Of the errors in the sifted key, ${qber.breakdown.eve} were caused by Eve, ${qber.breakdown.noise} by noise and ${qber.breakdown.both} by both.`);
+  }
+  if (eve.intercepted > 0) {
+    lines.push(
+      `Eve measured ${eve.intercepted} photons` +
+        (eve.information ? ` and learned about ${eve.information.bits.toFixed(1)} bits (${pct(eve.information.key_fraction)}) of the sifted key.` : ".")
+    );
+  }
+  if (security) {
+    lines.push(
+      security.status === "abort"
+        ? `That is above the ${pct(parameters.policy.qberThreshold)} policy threshold, so Alice and Bob must abort: this run gives no usable key.`
+        : `Under the security policy ${security.verdict}: privacy amplification leaves ${security.secureLength} secret bits.`
+    );
+  }
+  if (encryption?.roundTrip !== null && encryption?.roundTrip !== undefined) {
+    lines.push(
+      encryption.roundTrip
+        ? `Bob decrypted the ${encryption.cipher} message back to the original text.`
+        : `Bob's decryption did not reproduce the original message.`
+    );
+  }
+  return lines;
+};
+
+const cell = (value) => String(value ?? "-").replace(/\|/g, "\\|");
+const table = (header, rows) =>
+  [`| ${header.map(cell).join(" | ")} |`, `|${header.map(() => " --- ").join("|")}|`, ...rows.map((r) => `| ${r.map(cell).join(" | ")} |`)].join("\n");
+
+export const reportToMarkdown = (report) => {
+  const { parameters: p } = report;
+  const sections = [
+    `# ${report.title}`,
+    `Generated ${new Date(report.generatedAt).toLocaleString()}${report.link ? ` · [Open this configuration](${report.link})` : ""}`,
+    "## Parameters",
+    table(
+      ["Parameter", "Value"],
+      [
+        ["Protocol", p.protocol],
+        ["Photons", p.photons],
+        ["Eve probability", pct(p.eveProbability, 0)],
+        ["Eve strategy", p.eveStrategy],
+        ["Noise", hasNoise(p.noise) ? `flip ${pct(p.noise.bitFlip, 0)}, depol ${pct(p.noise.depolarizing, 0)}, tilt ${p.noise.misalignmentDeg}°` : "none"],
+        ["QBER sample", p.sampleFraction === null ? null : `${pct(p.sampleFraction, 0)} of sifted bits`],
+        ["Seed", p.seed],
+        ["Animation speed", `${p.animationSpeedMs} ms`],
+        ["Engine", p.source],
+        ["Security policy", `QBER ≤ ${pct(p.policy.qberThreshold)}, ≥ ${p.policy.minKeyLength} bits, ε = ${p.policy.epsilon.toExponential(0)}`],
+      ]
+    ),
+    "## Interpretation",
+    report.interpretation.join(" "),
+    "## Results",
+    table(
+      ["Quantity", "Value"],
+      [
+        ["Sifted key (after sampling)", `${report.siftedKey.length} bits`],
+        ["Estimated QBER", pct(report.qber.estimate, 2)],
+        ["95% confidence interval", report.qber.interval && `${pct(report.qber.interval[0])}–${pct(report.qber.interval[1])}`],
+        ["True QBER (simulator only)", pct(report.qber.true, 2)],
+        ["Eve's intercepted key", `${report.eve.key.length} bits`],
+        ...(report.statistic ? [[report.statistic.title, report.statistic.value]] : []),
+        ...(report.security ? [["Security verdict", report.security.verdict], ["Secret key length", `${report.security.secureLength} bits`]] : []),
+      ]
+    ),
+    "### Sifted key",
+    `\`${report.siftedKey.bits || "-"}\``,
+    "### Eve's key",
+    `\`${report.eve.key || "-"}\``,
+  ];
+  if (report.encryption) {
+    const e = report.encryption;
+    sections.push(
+      "## Encryption round-trip",
+      table(
+        ["Step", "Value"],
+        [
+          ["Cipher", e.mode ? `${e.cipher} (${e.mode.toUpperCase()})` : e.cipher],
+          ["Message", e.message],
+          ["Ciphertext", e.ciphertext],
+          ["Decrypted", e.decrypted ?? "not decrypted"],
+        ]
+      )
+    );
+  }
+  sections.push(
+    "## Results table",
+    table(
+      report.columns.map((c) => c.label),
+      report.rows.map((row) => report.columns.map((c) => row[c.key]))
+    )
+  );
+  return `${sections.join("\n\n")}\n`;
+};
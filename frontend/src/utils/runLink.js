@@ -0,0 +1,74 @@
+import { PROTOCOLS } from "../engine/protocols";
+import { DEFAULT_ATTACK, EVE_STRATEGIES } from "../engine/eavesdropping";
+import { NO_NOISE } from "../engine/noise";
+import { MAX_SEED } from "../engine/random";
+
+// A run's settings as URL query parameters, so a link opens the same
+// configuration (and, with run=1, runs it). Short names keep links pasteable;
+// anything missing or out of range falls back to the simulator's default.
+
+const NUMBERS = [
+  // [query name, settings path, min, max]
+  ["n", ["n"], 1, 100000],
+  ["eve", ["eveProb"], 0, 1],
+  ["speed", ["speed"], 10, 300],
+  ["seed", ["seed"], 0, MAX_SEED],
+  ["sample", ["sampleFraction"], 0.1, 0.5],
+  ["flip", ["noise", "bitFlip"], 0, 0.3],
+  ["depol", ["noise", "depolarizing"], 0, 0.3],
+  ["tilt", ["noise", "misalignmentDeg"], 0, 30],
+  ["clone", ["attack", "cloningDisturbance"], 0, 0.25],
+  ["mu", ["attack", "signalMu"], 0.2, 1],
+  ["nu", ["attack", "decoyMu"], 0.05, 0.95],
+  ["eta", ["attack", "transmittance"], 0.05, 1],
+];
+
+const CHOICES = [
+  ["protocol", ["protocol"], PROTOCOLS.map((p) => p.id)],
+  ["engine", ["engine"], ["local", "backend"]],
+  ["attack", ["attack", "strategy"], EVE_STRATEGIES.map((s) => s.id)],
+];
+
+const get = (settings, [head, field]) => (field ? settings[head]?.[field] : settings[head]);
+
+export const runLinkQuery = (settings, { autorun = false } = {}) => {
+  const query = new URLSearchParams();
+  CHOICES.forEach(([name, path]) => {
+    if (get(settings, path) !== undefined) query.set(name, get(settings, path));
+  });
+  NUMBERS.forEach(([name, path]) => {
+    const value = get(settings, path);
+    // Round away float noise such as 0.30000000000000004
+    if (value !== undefined && value !== null) query.set(name, String(Number(value.toFixed(4))));
+  });
+  if (settings.attack) query.set("decoy", settings.attack.decoy ? "1" : "0");
+  if (autorun) query.set("run", "1");
+  return query.toString();
+};
+
+export const runLinkUrl = (settings, options) =>
+  `${window.location.origin}${window.location.pathname}?${runLinkQuery(settings, options)}`;
+
+// The settings a query string names, as { protocol, n, eveProb, ..., noise, attack, autorun }.
+// noise and attack are complete objects whenever the link sets any of their fields.
+export const readRunLink = (search) => {
+  const query = new URLSearchParams(search);
+  const settings = {};
+  const put = ([head, field], value) => {
+    if (!field) settings[head] = value;
+    else settings[head] = { ...(settings[head] ?? (head === "noise" ? NO_NOISE : DEFAULT_ATTACK)), [field]: value };
+  };
+
+  CHOICES.forEach(([name, path, allowed]) => {
+    if (allowed.includes(query.get(name))) put(path, query.get(name));
+  });
+  NUMBERS.forEach(([name, path, min, max]) => {
+    if (!query.has(name)) return;
+    const value = Number(query.get(name));
+    if (Number.isFinite(value) && value >= min && value <= max) put(path, value);
+  });
+  if (query.has("decoy")) put(["attack", "decoy"], query.get("decoy") === "1");
+  if (settings.seed !== undefined && !Number.isInteger(settings.seed)) delete settings.seed;
+  settings.autorun = query.get("run") === "1";
+  return settings;
+};
@@ -0,0 +1,45 @@
+import { readRunLink, runLinkQuery } from "./runLink";
+import { DEFAULT_ATTACK } from "../engine/eavesdropping";
+import { NO_NOISE } from "../engine/noise";
+
+const SETTINGS = {
+  protocol: "six-state",
+  engine: "local",
+  n: 500,
+  eveProb: 0.3,
+  speed: 120,
+  seed: 123456789,
+  sampleFraction: 0.2,
+  noise: { bitFlip: 0.01, depolarizing: 0.02, misalignmentDeg: 5 },
+  attack: { ...DEFAULT_ATTACK, strategy: "cloning", cloningDisturbance: 0.1 },
+};
+
+describe("run links", () => {
+  it("round-trips a run's settings", () => {
+    expect(readRunLink(`?${runLinkQuery(SETTINGS)}`)).toEqual({ ...SETTINGS, autorun: false });
+    expect(readRunLink(runLinkQuery(SETTINGS, { autorun: true })).autorun).toBe(true);
+  });
+
+  it("rounds away float noise", () => {
+    expect(runLinkQuery({ eveProb: 0.1 + 0.2 })).toBe("eve=0.3");
+  });
+
+  it("drops values out of range, so the simulator's defaults apply", () => {
+    const settings = readRunLink("?n=0&eve=1.5&speed=9999&seed=-1&sample=0.9&flip=0.5&tilt=45");
+    expect(settings).toEqual({ autorun: false });
+  });
+
+  it("keeps the bounds themselves", () => {
+    expect(readRunLink("?n=100000&eve=0&seed=4294967295")).toEqual({ n: 100000, eveProb: 0, seed: 4294967295, autorun: false });
+  });
+
+  it("ignores unknown choices, non-numbers and fractional seeds", () => {
+    expect(readRunLink("?protocol=bb85&engine=cloud&attack=nope&n=lots&seed=1.5")).toEqual({ autorun: false });
+  });
+
+  it("fills in the rest of noise and attack from the defaults", () => {
+    const settings = readRunLink("?flip=0.05&attack=pns&decoy=0");
+    expect(settings.noise).toEqual({ ...NO_NOISE, bitFlip: 0.05 });
+    expect(settings.attack).toEqual({ ...DEFAULT_ATTACK, strategy: "pns", decoy: false });
+  });
+});
@@ -0,0 +1,29 @@
+// Theme tokens an embedding page can set, and the CSS variables in styles.css
+// they override. Raw variable names ("--pri-2") pass through as well.
+export const THEME_TOKENS = {
+  primary: "--pri-2",
+  primaryLight: "--pri-1",
+  primaryDark: "--pri-3",
+  accent: "--sec-1",
+  accentDark: "--sec-2",
+  background: "--bg-0",
+  surface: "--bg-1",
+  surfaceAlt: "--bg-2",
+  card: "--card",
+  panel: "--panel",
+  text: "--text",
+  textMuted: "--text-sub",
+  border: "--border",
+  success: "--success",
+  warning: "--warning",
+  danger: "--danger",
+};
+
+// Inline style for the simulator's root element; the variables apply to
+// everything inside it and nothing outside
+export const themeVariables = (theme = {}) =>
+  Object.fromEntries(
+    Object.entries(theme)
+      .map(([token, value]) => [token.startsWith("--") ? token : THEME_TOKENS[token], value])
+      .filter(([variable, value]) => variable && value)
+  );
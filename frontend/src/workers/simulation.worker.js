@@ -0,0 +1,16 @@
+import { protocolById } from "../engine/protocols";
+
+// Runs a local engine off the main thread: a 10^5-photon run takes about a
+// second, long enough to freeze the page. Requests are { id, protocol, params };
+// the reply carries the same id and either the run's response or an error.
+// The worker's global scope; `self` is the only name for it here
+// eslint-disable-next-line no-restricted-globals
+const worker = self;
+
+worker.onmessage = ({ data: { id, protocol, params } }) => {
+  try {
+    worker.postMessage({ id, data: protocolById(protocol).run(params) });
+  } catch (error) {
+    worker.postMessage({ id, error: error.message });
+  }
+};